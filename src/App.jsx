@@ -3,9 +3,13 @@ import AppHeader from './components/app/AppHeader';
 import GeometryTab from './components/app/tabs/GeometryTab';
 import MaterialsTab from './components/app/tabs/MaterialsTab';
 import JsonTab from './components/app/tabs/JsonTab';
+import CppTab from './components/app/tabs/CppTab';
 import ErrorBoundary from './components/app/ErrorBoundary';
+import RecoveryDialog from './components/app/RecoveryDialog';
 import { AppStateProvider } from './contexts/AppStateContext';
 import { useAppContext } from './contexts/useAppContext';
+import { useUndoRedoShortcuts } from './hooks/useUndoRedoShortcuts';
+import { useAutosave } from './hooks/useAutosave';
 import './App.css';
 
 const theme = createTheme({
@@ -20,7 +24,12 @@ const theme = createTheme({
 });
 
 function AppContent() {
-  const { tabValue, setTabValue } = useAppContext();
+  const {
+    tabValue, setTabValue, undo, redo,
+    jsonData, materials, hitCollections, handleLoadProject,
+  } = useAppContext();
+  useUndoRedoShortcuts({ undo, redo });
+  const autosave = useAutosave({ jsonData, materials, hitCollections, onRestore: handleLoadProject });
 
   return (
     <Box sx={{ display: 'flex', flexDirection: 'column', height: '100vh' }}>
@@ -32,7 +41,14 @@ function AppContent() {
         {tabValue === 0 && <GeometryTab />}
         {tabValue === 1 && <MaterialsTab />}
         {tabValue === 2 && <JsonTab />}
+        {tabValue === 3 && <CppTab />}
       </Box>
+      <RecoveryDialog
+        recovery={autosave.recovery}
+        onRestore={autosave.restore}
+        onDiscard={autosave.discard}
+        onDismiss={autosave.dismiss}
+      />
     </Box>
   );
 }
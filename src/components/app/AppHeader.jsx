@@ -1,5 +1,8 @@
-import { AppBar, Toolbar, Typography, Tabs, Tab, Box } from '@mui/material';
+import { AppBar, Toolbar, Typography, Tabs, Tab, Box, IconButton, Tooltip } from '@mui/material';
+import UndoIcon from '@mui/icons-material/Undo';
+import RedoIcon from '@mui/icons-material/Redo';
 import { ProjectManager } from '../project-manager';
+import { useAppContext } from '../../contexts/useAppContext';
 
 const tabsSx = {
   flexGrow: 1,
@@ -20,6 +23,8 @@ const tabsSx = {
 };
 
 const AppHeader = ({ tabValue, onChangeTab }) => {
+  const { undo, redo, canUndo, canRedo, undoLabel, redoLabel } = useAppContext();
+
   return (
     <AppBar position="static">
       <Toolbar>
@@ -35,8 +40,23 @@ const AppHeader = ({ tabValue, onChangeTab }) => {
           <Tab label="3D View" />
           <Tab label="Materials" />
           <Tab label="JSON" />
+          <Tab label="C++" />
         </Tabs>
         <Box sx={{ ml: 'auto', display: 'flex', alignItems: 'center' }}>
+          <Tooltip title={canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}>
+            <span>
+              <IconButton color="inherit" onClick={undo} disabled={!canUndo} aria-label="Undo">
+                <UndoIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title={canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}>
+            <span>
+              <IconButton color="inherit" onClick={redo} disabled={!canRedo} aria-label="Redo" sx={{ mr: 1 }}>
+                <RedoIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
           <ProjectManager compactMode={true} />
         </Box>
       </Toolbar>
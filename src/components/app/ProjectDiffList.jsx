@@ -0,0 +1,79 @@
+import React from 'react';
+import { Typography, Box } from '@mui/material';
+import { isEmptyDiff, formatFieldChange } from '../../utils/projectDiff';
+
+// One bullet with optional nested detail lines and colour swatch
+const DiffItem = ({ text, details = [], color }) => (
+  <Typography component="li" variant="body2">
+    {color && (
+      <Box component="span" sx={{ display: 'inline-block', width: 10, height: 10, mr: 0.5, bgcolor: color }} />
+    )}
+    {text}
+    {details.length > 0 && (
+      <Box component="ul" sx={{ my: 0, pl: 2, color: 'text.secondary' }}>
+        {details.map(line => <li key={line}>{line}</li>)}
+      </Box>
+    )}
+  </Typography>
+);
+
+// Added / removed / changed entries of one kind, e.g. materials
+const DiffGroup = ({ noun, group, describeChange, colors = {} }) => (
+  <>
+    {group.added.length > 0 && (
+      <DiffItem text={`Added ${noun}: ${group.added.join(', ')}`} color={colors.added} />
+    )}
+    {group.removed.length > 0 && (
+      <DiffItem text={`Removed ${noun}: ${group.removed.join(', ')}`} color={colors.removed} />
+    )}
+    {(group.changed || []).map(change => (
+      <DiffItem
+        key={change.name}
+        text={`Changed ${noun} ${change.name}`}
+        details={describeChange(change)}
+        color={colors.changed}
+      />
+    ))}
+  </>
+);
+
+const fieldLines = (change) => change.fields.map(formatFieldChange);
+
+// Field changes of a volume followed by its placement changes
+const volumeLines = (change) => {
+  const { added, removed, changed } = change.placements;
+  return [
+    ...fieldLines(change),
+    ...added.map(name => `placement ${name} added`),
+    ...removed.map(name => `placement ${name} removed`),
+    ...changed.flatMap(pl => pl.fields.map(field => `placement ${pl.name} ${formatFieldChange(field)}`)),
+  ];
+};
+
+/**
+ * Structured differences between two projects, keyed by volume and
+ * placement name, with the changed fields of each.
+ *
+ * @param {Object} props
+ * @param {Object} props.diff - Result of diffProjects
+ * @param {Object} [props.volumeColors] - { added, removed, changed } swatch colours of
+ *   volume lines, matching what the viewer highlights
+ */
+const ProjectDiffList = ({ diff, volumeColors }) => {
+  if (isEmptyDiff(diff)) {
+    return <Typography variant="body2">The projects are identical</Typography>;
+  }
+  return (
+    <Box component="ul" sx={{ mt: 0.5, pl: 3 }}>
+      {diff.world.length > 0 && <DiffItem text="Changed the world volume" details={diff.world.map(formatFieldChange)} />}
+      <DiffGroup noun="volumes" group={diff.volumes} describeChange={volumeLines} colors={volumeColors} />
+      <DiffGroup noun="materials" group={diff.materials} describeChange={fieldLines} />
+      <DiffGroup noun="parameters" group={diff.parameters} describeChange={fieldLines} />
+      <DiffGroup noun="hit collections" group={diff.hitCollections} />
+      <DiffGroup noun="saved queries" group={diff.savedQueries} describeChange={fieldLines} />
+      <DiffGroup noun="saved views" group={diff.savedViews} describeChange={fieldLines} />
+    </Box>
+  );
+};
+
+export default ProjectDiffList;
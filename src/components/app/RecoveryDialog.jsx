@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  Typography,
+  Box
+} from '@mui/material';
+import { describeProjectChanges } from '../../utils/autosave';
+
+const formatTime = (iso) => new Date(iso).toLocaleString();
+
+/**
+ * Startup dialog offering to restore an unsaved session from autosave.
+ *
+ * Lists the kept snapshots, newest first, and what the selected one
+ * changes compared with the last explicitly saved project.
+ *
+ * @param {Object} props Component props
+ * @param {Object|null} props.recovery { snapshots, baseline } from useAutosave, or null
+ * @param {Function} props.onRestore Called with the snapshot to restore
+ * @param {Function} props.onDiscard Delete the snapshots
+ * @param {Function} props.onDismiss Close without deciding
+ */
+const RecoveryDialog = ({ recovery, onRestore, onDiscard, onDismiss }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  if (!recovery) return null;
+
+  const { snapshots, baseline } = recovery;
+  const selected = snapshots.find(s => s.id === selectedId) || snapshots[0];
+  const changes = describeProjectChanges(selected, baseline);
+
+  return (
+    <Dialog open onClose={onDismiss} maxWidth="sm" fullWidth>
+      <DialogTitle>Restore unsaved work?</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          The editor was closed with changes that were not saved.
+          {baseline
+            ? ` The last saved project is "${baseline.name}" (${formatTime(baseline.savedAt)}).`
+            : ' No project was saved in this browser.'}
+        </Typography>
+
+        <Typography variant="subtitle2">Autosaves</Typography>
+        <List dense disablePadding sx={{ maxHeight: 200, overflow: 'auto', mb: 2 }}>
+          {snapshots.map(snapshot => (
+            <ListItemButton
+              key={snapshot.id}
+              selected={snapshot === selected}
+              onClick={() => setSelectedId(snapshot.id)}
+            >
+              <ListItemText
+                primary={formatTime(snapshot.savedAt)}
+                secondary={`${(snapshot.jsonData?.volumes || []).length} volumes`}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+
+        <Typography variant="subtitle2">
+          {baseline ? 'Changes since the last save' : 'Contents'}
+        </Typography>
+        <Box component="ul" sx={{ mt: 0.5, pl: 3 }}>
+          {changes.length === 0 && (
+            <Typography component="li" variant="body2">Same as the last save</Typography>
+          )}
+          {changes.map(line => (
+            <Typography key={line} component="li" variant="body2">{line}</Typography>
+          ))}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onDiscard} color="error">Discard</Button>
+        <Button onClick={onDismiss}>Later</Button>
+        <Button onClick={() => onRestore(selected)} variant="contained" color="primary">
+          Restore
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RecoveryDialog;
@@ -0,0 +1,12 @@
+import { Container } from '@mui/material';
+import CppViewer from '../../cpp-viewer';
+
+const CppTab = () => {
+  return (
+    <Container maxWidth="lg" sx={{ height: '100%', py: 2 }}>
+      <CppViewer />
+    </Container>
+  );
+};
+
+export default CppTab;
@@ -0,0 +1,108 @@
+import { useMemo, useState } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Tabs,
+  Tab
+} from '@mui/material';
+import { handleDownload } from '../json-viewer/utils/jsonHandlers';
+import { useAppContext } from '../../contexts/useAppContext';
+import { exportToCpp } from '../../utils/cppExport';
+
+const FILES = [
+  { key: 'source', fileName: 'DetectorConstruction.cc' },
+  { key: 'header', fileName: 'DetectorConstruction.hh' },
+];
+
+/**
+ * Preview of the standalone Geant4 DetectorConstruction generated from the
+ * current project, with downloads for the .cc/.hh pair.
+ * State is consumed from AppStateContext.
+ */
+const CppViewer = () => {
+  const { jsonData, materials } = useAppContext();
+  const [fileIndex, setFileIndex] = useState(0);
+
+  // Regenerate whenever the geometry or materials change
+  const generated = useMemo(() => {
+    if (!jsonData) return null;
+    try {
+      return exportToCpp(jsonData, materials);
+    } catch (error) {
+      console.error('CppViewer:: Error generating C++:', error);
+      return { header: '', source: '', warnings: [`Error generating C++: ${error.message}`] };
+    }
+  }, [jsonData, materials]);
+
+  const file = FILES[fileIndex];
+  const code = generated ? generated[file.key] : '';
+
+  const downloadAll = () => {
+    FILES.forEach(f => handleDownload(generated[f.key], f.fileName, 'text/x-c++src'));
+  };
+
+  return (
+    <Paper sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <Typography variant="h6" sx={{ p: 2, pb: 0 }}>
+        Geant4 DetectorConstruction (C++)
+      </Typography>
+
+      <Box sx={{ p: 2, display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+        <Button
+          variant="contained"
+          onClick={() => handleDownload(code, file.fileName, 'text/x-c++src')}
+          size="small"
+          disabled={!code}
+        >
+          Download {file.fileName}
+        </Button>
+        <Button
+          variant="outlined"
+          onClick={downloadAll}
+          size="small"
+          disabled={!generated || !generated.source}
+        >
+          Download Both
+        </Button>
+        <Tabs
+          value={fileIndex}
+          onChange={(e, value) => setFileIndex(value)}
+          sx={{ ml: 'auto', minHeight: 0, '& .MuiTab-root': { minHeight: 0, py: 1 } }}
+        >
+          {FILES.map(f => <Tab key={f.key} label={f.fileName} sx={{ textTransform: 'none' }} />)}
+        </Tabs>
+      </Box>
+
+      {generated && generated.warnings.length > 0 && (
+        <Alert severity="warning" sx={{ mx: 2, mb: 2, maxHeight: 120, overflow: 'auto' }}>
+          {generated.warnings.map((w, i) => <div key={i}>{w}</div>)}
+        </Alert>
+      )}
+
+      <Box
+        component="pre"
+        sx={{
+          flexGrow: 1,
+          overflow: 'auto',
+          p: 2,
+          m: 0,
+          mx: 2,
+          mb: 2,
+          backgroundColor: '#f5f5f5',
+          color: '#333',
+          border: '1px solid #ddd',
+          borderRadius: 1,
+          fontFamily: 'monospace',
+          fontSize: '0.8rem',
+        }}
+      >
+        {code || 'No geometry loaded.'}
+      </Box>
+    </Paper>
+  );
+};
+
+export default CppViewer;
@@ -0,0 +1,6 @@
+/**
+ * Export the CppViewer component
+ */
+import CppViewer from './CppViewer';
+
+export default CppViewer;
@@ -15,10 +15,13 @@ import {
 
 // Import components
 import PropertyEditor from './components/PropertyEditor';
+import MultiPropertyEditor from './components/MultiPropertyEditor';
 import AddNewTab from './components/AddNewTab';
 import UpdateObjectsDialog from './components/UpdateObjectsDialog';
 import ImportObjectDialog from './components/ImportObjectDialog';
+import ImportMeshDialog from './components/ImportMeshDialog';
 import HitCollectionsDialog from './components/HitCollectionsDialog';
+import ParametersDialog from './components/ParametersDialog';
 
 // Import context
 import { useAppContext } from '../../contexts/useAppContext';
@@ -36,6 +39,8 @@ const RefactoredGeometryEditor = () => {
     geometries,
     materials,
     selectedGeometry,
+    selectedGeometries,
+    handleBulkUpdate,
     hitCollections,
     setHitCollections: onUpdateHitCollections,
     handleUpdateGeometry: onUpdateGeometry,
@@ -45,6 +50,7 @@ const RefactoredGeometryEditor = () => {
     handleImportMaterials,
     handleAppendJsonVolumes,
     handleReplaceJsonVolumes,
+    handleUpdateParameters,
     jsonData,
     updateDialogOpen,
     setUpdateDialogOpen,
@@ -69,10 +75,16 @@ const RefactoredGeometryEditor = () => {
   // ===== Dialog States =====
   // Import Object Dialog
   const [importObjectDialogOpen, setImportObjectDialogOpen] = useState(false);
+
+  // Import Mesh Dialog
+  const [importMeshDialogOpen, setImportMeshDialogOpen] = useState(false);
   
   // Hit Collections Dialog
   const [hitCollectionsDialogOpen, setHitCollectionsDialogOpen] = useState(false);
 
+  // Parameters Dialog
+  const [parametersDialogOpen, setParametersDialogOpen] = useState(false);
+
   // ===== Create handlers using utility functions =====
  
 
@@ -120,6 +132,18 @@ const RefactoredGeometryEditor = () => {
 
   // Render the property editor tab
   const renderPropertyEditor = () => {
+    if (selectedGeometries.length > 1) {
+      return (
+        <MultiPropertyEditor
+          key={selectedGeometries.join(',')}
+          geometries={geometries}
+          materials={materials}
+          selectedGeometries={selectedGeometries}
+          hitCollections={hitCollections}
+          onBulkUpdate={handleBulkUpdate}
+        />
+      );
+    }
     return (
       <PropertyEditor
         geometries={geometries}
@@ -152,7 +176,9 @@ const RefactoredGeometryEditor = () => {
         importAlert={importAlert}
         handleCloseAlert={handleCloseAlert}
         setImportObjectDialogOpen={setImportObjectDialogOpen}
+        setImportMeshDialogOpen={setImportMeshDialogOpen}
         setHitCollectionsDialogOpen={setHitCollectionsDialogOpen}
+        setParametersDialogOpen={setParametersDialogOpen}
         setUpdateObjectsDialogOpen={setUpdateDialogOpen}
       />
     );
@@ -216,6 +242,16 @@ const RefactoredGeometryEditor = () => {
         jsonData={jsonData}
       />
       
+      {/* Import Mesh Dialog */}
+      <ImportMeshDialog
+        open={importMeshDialogOpen}
+        onClose={() => setImportMeshDialogOpen(false)}
+        geometries={geometries}
+        materials={materials}
+        motherVolume={newMotherVolume}
+        onAddGeometry={onAddGeometry}
+      />
+      
       {/* Hit Collections Dialog */}
       <HitCollectionsDialog
         open={hitCollectionsDialogOpen}
@@ -223,6 +259,14 @@ const RefactoredGeometryEditor = () => {
         hitCollections={hitCollections}
         onUpdateHitCollections={onUpdateHitCollections}
       />
+      
+      {/* Parameters Dialog */}
+      <ParametersDialog
+        open={parametersDialogOpen}
+        onClose={() => setParametersDialogOpen(false)}
+        parameters={jsonData?.parameters}
+        onUpdateParameters={handleUpdateParameters}
+      />
     </Paper>
   );
 };
@@ -30,7 +30,9 @@ const AddNewTab = ({
   geometries,
   handleAddGeometry,
   setHitCollectionsDialogOpen,
-  setImportObjectDialogOpen
+  setParametersDialogOpen,
+  setImportObjectDialogOpen,
+  setImportMeshDialogOpen
 }) => {
   return (
     <Box sx={{ p: 2 }}>
@@ -58,9 +60,17 @@ const AddNewTab = ({
           >
             Import From Library
           </Button>
+          <Button
+            variant="outlined"
+            color="secondary"
+            onClick={() => setImportMeshDialogOpen(true)}
+            sx={{ flexGrow: 1 }}
+          >
+            Import Mesh (STL/OBJ)
+          </Button>
         </Box>
         <Typography variant="caption" color="text.secondary">
-          Import a previously exported object with its descendants. The object will be added with {newMotherVolume} as its mother volume.
+          Import a previously exported object with its descendants, or a CAD mesh as a tessellated solid. The object will be added with {newMotherVolume} as its mother volume.
         </Typography>
       </Box>
       
@@ -77,10 +87,14 @@ const AddNewTab = ({
           <MenuItem value="box">Box</MenuItem>
           <MenuItem value="cylinder">Cylinder</MenuItem>
           <MenuItem value="sphere">Sphere</MenuItem>
+          <MenuItem value="orb">Orb</MenuItem>
+          <MenuItem value="cone">Cone</MenuItem>
           <MenuItem value="trapezoid">Trapezoid</MenuItem>
           <MenuItem value="torus">Torus</MenuItem>
           <MenuItem value="ellipsoid">Ellipsoid</MenuItem>
+          <MenuItem value="elliptical_tube">Elliptical Tube</MenuItem>
           <MenuItem value="polycone">Polycone</MenuItem>
+          <MenuItem value="polyhedra">Polyhedra</MenuItem>
           <Divider />
           <MenuItem value="assembly">Assembly</MenuItem>
           <MenuItem value="union">Union Solid</MenuItem>
@@ -125,6 +139,16 @@ const AddNewTab = ({
         Add Geometry
       </Button>
       
+      <Button 
+        variant="outlined" 
+        color="secondary" 
+        onClick={() => setParametersDialogOpen(true)}
+        sx={{ mb: 2 }}
+        fullWidth
+      >
+        Manage Parameters
+      </Button>
+      
       <Button 
         variant="outlined" 
         color="secondary" 
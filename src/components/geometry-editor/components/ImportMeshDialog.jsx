@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  Typography,
+  Box,
+  Alert
+} from '@mui/material';
+import { parseMeshFile, trianglesToTessellated, meshBounds, MESH_UNITS, MESH_UP_AXES } from '../../../utils/meshImport';
+import { debugLog } from '../../../utils/logger.js';
+
+const UNIT_LABELS = { mm: 'Millimetres', cm: 'Centimetres', m: 'Metres', in: 'Inches' };
+
+// Volume name from the file name, kept to the characters Geant4 names use
+const nameFromFile = (fileName) => fileName.replace(/\.[^.]*$/, '').replace(/[^A-Za-z0-9_]/g, '_') || 'mesh';
+
+/**
+ * Dialog component for importing an STL or OBJ mesh as a tessellated solid
+ *
+ * The file is read once; unit, up axis and centring are applied to it as
+ * they are changed, and the resulting size is shown before the volume is
+ * added.
+ *
+ * @param {Object} props Component props
+ * @param {boolean} props.open Whether the dialog is open
+ * @param {Function} props.onClose Function to call when the dialog is closed
+ * @param {Object} props.geometries Flat geometries, for unique names
+ * @param {Object} props.materials Materials map, for the material choice
+ * @param {string} props.motherVolume Mother volume of the new volume
+ * @param {Function} props.onAddGeometry Function to call with the new flat volume
+ */
+const ImportMeshDialog = ({ open, onClose, geometries, materials, motherVolume, onAddGeometry }) => {
+  const [file, setFile] = useState(null);        // { name, triangles }
+  const [readError, setReadError] = useState('');
+  const [name, setName] = useState('');
+  const [material, setMaterial] = useState('G4_AIR');
+  const [unit, setUnit] = useState('mm');
+  const [upAxis, setUpAxis] = useState('z');
+  const [center, setCenter] = useState(false);
+
+  // Start from an empty form each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setFile(null);
+      setReadError('');
+      setName('');
+    }
+  }, [open]);
+
+  const mesh = useMemo(() => {
+    if (!file) return null;
+    try {
+      return trianglesToTessellated(file.triangles, { unit, upAxis, center });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [file, unit, upAxis, center]);
+
+  const size = useMemo(() => {
+    if (!mesh?.vertices) return null;
+    const { min, max } = meshBounds(mesh.vertices);
+    return max.map((m, k) => m - min[k]);
+  }, [mesh]);
+
+  const nameTaken = (geometries?.volumes || []).some(v => v.name === name);
+  const nameError = !name ? 'Name is required' : nameTaken ? 'A volume with this name already exists' : '';
+
+  const handleFileChange = async (event) => {
+    const chosen = event.target.files[0];
+    event.target.value = '';
+    if (!chosen) return;
+
+    setReadError('');
+    try {
+      const triangles = parseMeshFile(chosen.name, await chosen.arrayBuffer());
+      debugLog('handleFileChange:: Read', triangles.length, 'triangles from', chosen.name);
+      setFile({ name: chosen.name, triangles });
+      setName(nameFromFile(chosen.name));
+    } catch (error) {
+      console.error('Error reading mesh:', error);
+      setFile(null);
+      setReadError(`Error reading ${chosen.name}: ${error.message}`);
+    }
+  };
+
+  /**
+   * Handle adding the volume, with the same fields as a volume added from
+   * the Add New tab (the g4name is generated on add)
+   * The mesh is stored in the volume itself, so the project needs no other file
+   */
+  const handleImport = () => {
+    onAddGeometry({
+      name,
+      type: 'tessellated',
+      material,
+      mother_volume: motherVolume,
+      position: { x: 0, y: 0, z: 0 },
+      rotation: { x: 0, y: 0, z: 0 },
+      visible: true,
+      vertices: mesh.vertices,
+      facets: mesh.facets,
+    });
+    onClose();
+  };
+
+  const materialNames = [...new Set(['G4_AIR', ...Object.keys(materials || {})])];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Import Mesh</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          Adds an STL (ASCII or binary) or OBJ file as a tessellated solid
+          (G4TessellatedSolid) in {motherVolume}. The mesh must be closed to have
+          a volume in Geant4, in booleans and in the mass report.
+        </Typography>
+
+        <Button variant="outlined" component="label" fullWidth>
+          {file ? file.name : 'Choose STL or OBJ File'}
+          <input type="file" accept=".stl,.obj" hidden onChange={handleFileChange} />
+        </Button>
+        {readError && <Alert severity="error" sx={{ mt: 2 }}>{readError}</Alert>}
+
+        <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+          <FormControl fullWidth size="small">
+            <InputLabel>File Unit</InputLabel>
+            <Select value={unit} label="File Unit" onChange={(e) => setUnit(e.target.value)}>
+              {Object.keys(MESH_UNITS).map(key => (
+                <MenuItem key={key} value={key}>{UNIT_LABELS[key]}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth size="small">
+            <InputLabel>Up Axis in File</InputLabel>
+            <Select value={upAxis} label="Up Axis in File" onChange={(e) => setUpAxis(e.target.value)}>
+              {MESH_UP_AXES.map(axis => (
+                <MenuItem key={axis} value={axis}>{axis.toUpperCase()}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+        <FormControlLabel
+          control={<Checkbox checked={center} onChange={(e) => setCenter(e.target.checked)} size="small" />}
+          label="Centre on the origin"
+        />
+
+        <TextField
+          label="Name"
+          value={name}
+          onChange={(e) => setName(e.target.value.trim())}
+          error={Boolean(file && nameError)}
+          helperText={file && nameError}
+          fullWidth
+          margin="normal"
+          size="small"
+        />
+        <FormControl fullWidth margin="normal" size="small">
+          <InputLabel>Material</InputLabel>
+          <Select value={material} label="Material" onChange={(e) => setMaterial(e.target.value)}>
+            {materialNames.map(m => (
+              <MenuItem key={m} value={m}>{m}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {mesh?.error && <Alert severity="error" sx={{ mt: 1 }}>{mesh.error}</Alert>}
+        {mesh?.vertices && (
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            {mesh.facets.length} facets, {mesh.vertices.length} vertices;
+            size {size.map(s => Number(s.toPrecision(6))).join(' × ')} mm
+          </Typography>
+        )}
+        {mesh?.warnings?.map(warning => (
+          <Alert key={warning} severity="warning" sx={{ mt: 1 }}>{warning}</Alert>
+        ))}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleImport} variant="contained" color="primary" disabled={!mesh?.vertices || Boolean(nameError)}>
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportMeshDialog;
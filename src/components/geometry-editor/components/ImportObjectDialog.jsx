@@ -26,11 +26,13 @@ import SearchIcon from '@mui/icons-material/Search';
 import InfoIcon from '@mui/icons-material/Info';
 import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
 import { debugLog } from '../../../utils/logger.js';
+import { importGdml } from '../../../utils/gdmlImport.js';
 
 /**
- * Dialog for importing a JSON object from the objects directory.
- * Appends raw JSON volumes to the primary JSON state.
+ * Dialog for importing a JSON object from the objects directory, or the
+ * volumes of a GDML file. Appends raw JSON volumes to the primary JSON state.
  * When incoming volume names conflict with existing ones, a resolution
  * dialog offers: replace definition (keep placements), import as new copy, or skip.
  */
@@ -51,10 +53,13 @@ const ImportObjectDialog = ({
   const [selectedObject, setSelectedObject] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [objectDetails, setObjectDetails] = useState(null);
+  // Constructs the last GDML import could not map
+  const [gdmlReport, setGdmlReport] = useState([]);
   
   // Load the list of available objects when the dialog opens
   useEffect(() => {
     if (open) {
+      setGdmlReport([]);
       loadObjectsList();
     }
   }, [open]);
@@ -152,6 +157,41 @@ const ImportObjectDialog = ({
   const [conflictingNames, setConflictingNames] = useState([]);
   const [pendingImportData, setPendingImportData] = useState(null);
 
+  // Close after a successful import, unless there is a GDML report to show
+  const finishImport = (report = []) => {
+    if (report.length > 0) {
+      setGdmlReport(report);
+    } else {
+      onClose();
+    }
+  };
+
+  // Append an object's volumes, or pause for conflict resolution
+  const importObjectJson = (objectData, report = []) => {
+    const objectJson = objectData.volumes ? objectData : { volumes: [objectData] };
+
+    // Detect name conflicts with existing project volumes
+    const existingNames = new Set((jsonData?.volumes || []).map(v => v.name));
+    const conflicts = objectJson.volumes
+      .map(v => v.name)
+      .filter(n => existingNames.has(n));
+
+    if (conflicts.length > 0) {
+      // Pause and ask the user how to resolve
+      setPendingImportData({ ...objectJson, report });
+      setConflictingNames(conflicts);
+      setConflictDialogOpen(true);
+      return;
+    }
+
+    // No conflicts — append directly
+    onAppendJsonVolumes(objectJson.volumes);
+    if (objectData.materials) {
+      onImportMaterials({ ...objectData.materials, ...materials });
+    }
+    finishImport(report);
+  };
+
   // Handle importing the selected object
   const handleImport = async () => {
     if (!selectedObject) return;
@@ -164,31 +204,7 @@ const ImportObjectDialog = ({
 
       if (result.success) {
         debugLog('handleImport:: result.data', result.data);
-
-        const objectData = result.data;
-        const objectJson = objectData.volumes ? objectData : { volumes: [objectData] };
-
-        // Detect name conflicts with existing project volumes
-        const existingNames = new Set((jsonData?.volumes || []).map(v => v.name));
-        const conflicts = objectJson.volumes
-          .map(v => v.name)
-          .filter(n => existingNames.has(n));
-
-        if (conflicts.length > 0) {
-          // Pause and ask the user how to resolve
-          setPendingImportData(objectJson);
-          setConflictingNames(conflicts);
-          setConflictDialogOpen(true);
-          setIsLoading(false);
-          return;
-        }
-
-        // No conflicts — append directly
-        onAppendJsonVolumes(objectJson.volumes);
-        if (objectData.materials) {
-          onImportMaterials({ ...objectData.materials, ...materials });
-        }
-        onClose();
+        importObjectJson(result.data);
       } else {
         setError(result.message || 'Error loading object');
       }
@@ -200,6 +216,29 @@ const ImportObjectDialog = ({
     }
   };
 
+  // Handle importing the volumes of a GDML file (its world is not imported)
+  const handleImportGdmlFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setGdmlReport([]);
+    try {
+      const { json, report } = importGdml(await file.text());
+      debugLog('handleImportGdmlFile:: Imported', json.volumes.length, 'volumes from', file.name);
+      if (json.volumes.length === 0) {
+        setError('The GDML file contains no importable volumes');
+        setGdmlReport(report);
+        return;
+      }
+      importObjectJson({ volumes: json.volumes, materials: json.materials }, report);
+    } catch (error) {
+      console.error('Error importing GDML:', error);
+      setError(`Error importing GDML: ${error.message}`);
+    }
+  };
+
   // Conflict resolution: replace definitions, keep existing placements
   const handleConflictReplace = () => {
     if (!pendingImportData) return;
@@ -209,7 +248,7 @@ const ImportObjectDialog = ({
       onImportMaterials({ ...pendingImportData.materials, ...materials });
     }
     setPendingImportData(null);
-    onClose();
+    finishImport(pendingImportData.report);
   };
 
   // Conflict resolution: rename conflicting volumes and import as new copies
@@ -264,7 +303,7 @@ const ImportObjectDialog = ({
       onImportMaterials({ ...pendingImportData.materials, ...materials });
     }
     setPendingImportData(null);
-    onClose();
+    finishImport(pendingImportData.report);
   };
 
   // Conflict resolution: cancel the import entirely
@@ -301,6 +340,19 @@ const ImportObjectDialog = ({
               {error}
             </Alert>
           )}
+
+          {gdmlReport.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2, maxHeight: 160, overflow: 'auto' }}>
+              GDML constructs that could not be mapped exactly:
+              <Box component="ul" sx={{ m: 0, pl: 2 }}>
+                {gdmlReport.map((entry, i) => (
+                  <li key={i}>
+                    &lt;{entry.construct}&gt; {entry.name}: {entry.message}
+                  </li>
+                ))}
+              </Box>
+            </Alert>
+          )}
           
           <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
             <TextField
@@ -318,6 +370,21 @@ const ImportObjectDialog = ({
                 ),
               }}
             />
+            <Button
+              variant="outlined"
+              component="label"
+              size="small"
+              startIcon={<UploadFileIcon />}
+              disabled={isLoading}
+            >
+              Import GDML File
+              <input
+                type="file"
+                accept=".gdml,.xml"
+                hidden
+                onChange={handleImportGdmlFile}
+              />
+            </Button>
           </Box>
           
           <Box sx={{ display: 'flex', height: '400px' }}>
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch
+} from '@mui/material';
+import { findFlatIndex } from '../../../utils/expandToFlat';
+
+// Keep clicks inside the editor from reaching the geometry tree
+const stop = (e) => e.stopPropagation();
+const selectStopProps = {
+  onClick: stop,
+  MenuProps: { onClick: stop, PaperProps: { onClick: stop } },
+};
+
+// Select value shown when the selected volumes disagree
+const MIXED = '__mixed__';
+
+const sharedValue = (volumes, read) => {
+  if (volumes.length === 0) return undefined;
+  const first = read(volumes[0]);
+  return volumes.every(volume => read(volume) === first) ? first : MIXED;
+};
+
+/**
+ * MultiPropertyEditor Component
+ *
+ * Property panel for several selected volumes. It shows the fields they
+ * can share — material, hits collection, visibility and display group —
+ * with "(mixed)" where they differ, and applies a change to all of them
+ * in one update. Boolean parts take material and hits collection from
+ * their union, so only their visibility is edited here.
+ *
+ * @param {string[]} props.selectedGeometries - Keys of the selected volumes
+ * @param {Function} props.onBulkUpdate - (keys, patch) applied as one undo step
+ */
+const MultiPropertyEditor = ({
+  selectedGeometries,
+  geometries,
+  materials,
+  hitCollections,
+  onBulkUpdate,
+}) => {
+  const volumes = selectedGeometries
+    .map(key => geometries.volumes[findFlatIndex(geometries.volumes, key)])
+    .filter(Boolean);
+  const editable = volumes.filter(volume => !volume._is_boolean_component);
+  const editableKeys = editable.map(volume => volume._id);
+
+  const material = sharedValue(editable, volume => volume.material || '');
+  const hitsCollection = sharedValue(editable, volume => volume.hitsCollectionName || 'Inactive');
+  const visible = sharedValue(volumes, volume => volume.visible !== false);
+  const displayGroup = sharedValue(editable, volume => volume._displayGroup || '');
+
+  // Typed text is applied on blur or Enter
+  const [displayGroupDraft, setDisplayGroupDraft] = useState(displayGroup === MIXED ? '' : displayGroup || '');
+  const commitDisplayGroup = () => {
+    const value = displayGroupDraft.trim();
+    if (value === '' && displayGroup === MIXED) return;
+    if (value === displayGroup) return;
+    onBulkUpdate(editableKeys, { _displayGroup: value });
+  };
+
+  return (
+    <Box sx={{ p: 2 }}>
+      <Typography variant="h6">Geometry Editor</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {volumes.length} volumes selected
+        {editable.length < volumes.length && ` (${volumes.length - editable.length} boolean part${volumes.length - editable.length === 1 ? '' : 's'}: visibility only)`}
+      </Typography>
+      <Box component="ul" sx={{ my: 0, pl: 3, maxHeight: 120, overflow: 'auto', typography: 'body2' }}>
+        {volumes.map(volume => <li key={volume._id}>{volume.g4name || volume.name}</li>)}
+      </Box>
+
+      {editable.length > 0 && (
+        <FormControl fullWidth margin="normal" size="small">
+          <InputLabel>Material</InputLabel>
+          <Select
+            value={material}
+            label="Material"
+            onChange={(e) => {
+              e.stopPropagation();
+              if (e.target.value !== MIXED) onBulkUpdate(editableKeys, { material: e.target.value });
+            }}
+            {...selectStopProps}
+          >
+            {material === MIXED && <MenuItem value={MIXED} disabled>(mixed)</MenuItem>}
+            {Object.keys(materials).map((name) => (
+              <MenuItem key={name} value={name}>
+                {name}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+
+      {editable.length > 0 && (
+        <FormControl fullWidth margin="normal" size="small">
+          <InputLabel>Hits Collection</InputLabel>
+          <Select
+            value={hitsCollection}
+            label="Hits Collection"
+            onChange={(e) => {
+              e.stopPropagation();
+              const value = e.target.value;
+              if (value === MIXED) return;
+              onBulkUpdate(editableKeys, { hitsCollectionName: value === 'Inactive' ? null : value });
+            }}
+            {...selectStopProps}
+          >
+            {hitsCollection === MIXED && <MenuItem value={MIXED} disabled>(mixed)</MenuItem>}
+            <MenuItem value="Inactive">Inactive</MenuItem>
+            {hitCollections.map((collection) => (
+              <MenuItem key={collection} value={collection}>
+                {collection}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+
+      <FormControlLabel
+        control={
+          <Switch
+            checked={visible === true}
+            onChange={(e) => {
+              e.stopPropagation();
+              onBulkUpdate(selectedGeometries, { visible: e.target.checked });
+            }}
+            onClick={stop}
+            size="small"
+          />
+        }
+        label={visible === MIXED ? 'Visible (mixed)' : 'Visible'}
+        sx={{ mt: 1, mb: 1 }}
+        onClick={stop}
+      />
+
+      {editable.length > 0 && (
+        <TextField
+          label="Display Group"
+          value={displayGroupDraft}
+          placeholder={displayGroup === MIXED ? '(mixed)' : ''}
+          onChange={(e) => setDisplayGroupDraft(e.target.value)}
+          onBlur={commitDisplayGroup}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitDisplayGroup();
+          }}
+          onClick={stop}
+          helperText="Folder the volumes are listed under in the geometry tree; empty removes them from it"
+          fullWidth
+          margin="normal"
+          size="small"
+        />
+      )}
+    </Box>
+  );
+};
+
+export default MultiPropertyEditor;
@@ -1,42 +1,64 @@
 import React, { useState, useEffect } from 'react';
 import { TextField } from '@mui/material';
 import { toInternalUnit, fromInternalUnit } from '../utils/UnitConverter';
+import { evaluateExpression } from '../../../utils/expressionEvaluator';
+import { UNIT_CONSTANTS } from '../../../utils/parameters';
+
+const NUMBER_RE = /^-?\d*\.?\d*$/;
 
 /**
  * NumericInput Component
- * 
+ *
  * A specialized input component for handling numeric values with unit conversion
  * that properly supports decimal points and negative numbers.
+ *
+ * Anything that is not a plain number is taken as an expression over the
+ * project parameters and unit names ("TankRadius - 5*mm"). Expressions give
+ * internal units, are checked while typing and applied on Enter or blur.
  */
 const NumericInput = ({
   label,
   internalValue, // Value in internal units (e.g., mm or rad)
   unit,          // Display unit (e.g., 'cm', 'deg')
   type,          // 'length' or 'angle'
-  onUpdate,      // Callback when valid number entered
+  onUpdate,      // Callback when valid number entered: (internalValue, expression?)
+  expression,    // Expression the value comes from, if any
+  variables = UNIT_CONSTANTS, // Parameter values and units for expressions
   size = 'small',
   disabled = false,
   onFocus = null
 }) => {
   // State to track the displayed input value
   const [input, setInput] = useState('');
+  const [error, setError] = useState('');
 
   // Update input when internalValue changes externally
   useEffect(() => {
-    if (internalValue !== undefined && internalValue !== null) {
+    setError('');
+    if (expression) {
+      setInput(expression);
+    } else if (internalValue !== undefined && internalValue !== null) {
       setInput(String(fromInternalUnit(internalValue, unit, type)));
     } else {
       setInput('0');
     }
-  }, [internalValue, unit, type]);
+  }, [internalValue, unit, type, expression]);
+
+  const evaluate = (text) => {
+    try {
+      return { value: evaluateExpression(text, variables) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  };
 
   const handleChange = (e) => {
     const val = e.target.value;
+    setInput(val);
 
     // Allow valid partial values including negative numbers and decimals
-    if (/^-?\d*\.?\d*$/.test(val)) {
-      setInput(val);
-
+    if (NUMBER_RE.test(val)) {
+      setError('');
       // Only convert and update if we have a valid number
       if (val !== '' && val !== '-' && val !== '.') {
         const num = parseFloat(val);
@@ -44,20 +66,40 @@ const NumericInput = ({
           onUpdate(toInternalUnit(num, unit, type));
         }
       }
+      return;
+    }
+    setError(evaluate(val).error || '');
+  };
+
+  const commitExpression = () => {
+    const text = input.trim();
+    if (NUMBER_RE.test(text) || text === expression) return;
+    const { value, error: message } = evaluate(text);
+    if (message) {
+      setError(message);
+      return;
     }
-    // Ignore invalid characters
+    onUpdate(value, text);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') commitExpression();
   };
 
   const handleFocus = (e) => {
     // Select all text when focused
     e.target.select();
-    
+
     // Call the provided onFocus handler if any
     if (onFocus) {
       onFocus(e);
     }
   };
 
+  const helperText = error || (expression && internalValue !== undefined && internalValue !== null
+    ? `= ${Number(fromInternalUnit(internalValue, unit, type).toPrecision(6))} ${unit}`
+    : undefined);
+
   return (
     <TextField
       label={label}
@@ -65,10 +107,13 @@ const NumericInput = ({
       value={input}
       onChange={handleChange}
       onFocus={handleFocus}
+      onBlur={commitExpression}
+      onKeyDown={handleKeyDown}
       size={size}
       disabled={disabled}
-      inputProps={{ 
-        inputMode: 'decimal',
+      error={Boolean(error)}
+      helperText={helperText}
+      inputProps={{
         style: { textAlign: 'right' }
       }}
     />
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  IconButton,
+  Typography,
+  Box,
+  Paper
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import { resolveParameters, parameterNameError } from '../../../utils/parameters';
+
+const toRows = (parameters) => Object.entries(parameters || {}).map(([name, value]) => ({ name, value: String(value) }));
+
+/**
+ * Dialog component for editing the project's named parameters
+ *
+ * Each parameter is a name and an expression, which may use other
+ * parameters and unit names. Volumes whose fields use a parameter are
+ * resized when the table is saved.
+ *
+ * @param {Object} props Component props
+ * @param {boolean} props.open Whether the dialog is open
+ * @param {Function} props.onClose Function to call when the dialog is closed
+ * @param {Object} props.parameters Current parameter table (name → expression)
+ * @param {Function} props.onUpdateParameters Function to call with the edited table
+ */
+const ParametersDialog = ({ open, onClose, parameters, onUpdateParameters }) => {
+  // Rows keep their order and allow names that are still being typed
+  const [rows, setRows] = useState(toRows(parameters));
+
+  // Start from the project's table each time the dialog opens
+  useEffect(() => {
+    if (open) setRows(toRows(parameters));
+  }, [open, parameters]);
+
+  const table = Object.fromEntries(rows.filter(r => r.name).map(r => [r.name, r.value]));
+  const { values, errors } = resolveParameters(table);
+
+  const rowError = (row, index) => {
+    if (!row.name) return 'Name is required';
+    if (rows.findIndex(r => r.name === row.name) !== index) return 'Name must be unique';
+    return parameterNameError(row.name) || errors[row.name] || '';
+  };
+  const hasErrors = rows.some((row, index) => rowError(row, index));
+
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleAdd = () => {
+    let n = rows.length + 1;
+    while (rows.some(r => r.name === `Parameter${n}`)) n++;
+    setRows([...rows, { name: `Parameter${n}`, value: '0' }]);
+  };
+
+  const handleRemove = (index) => {
+    setRows(rows.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Handle saving the table
+   * Plain numbers are stored as numbers, everything else as expressions
+   */
+  const handleSave = () => {
+    const saved = Object.fromEntries(rows.map(({ name, value }) => {
+      const text = value.trim();
+      return [name, /^-?\d*\.?\d+(?:[eE][+-]?\d+)?$/.test(text) ? Number(text) : text];
+    }));
+    onUpdateParameters(saved);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Parameters</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          Any position, rotation or dimension field can hold an expression over these
+          parameters, such as <code>TankRadius - TankWall</code>. Values are in mm and rad;
+          write other units explicitly (<code>1.5*m</code>, <code>30*deg</code>). Parameters
+          may use each other in any order.
+        </Typography>
+
+        <Paper variant="outlined" sx={{ maxHeight: 400, overflow: 'auto', p: 1 }}>
+          {rows.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ p: 1 }}>
+              No parameters defined
+            </Typography>
+          )}
+          {rows.map((row, index) => {
+            const error = rowError(row, index);
+            return (
+              <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 1 }}>
+                <TextField
+                  label="Name"
+                  value={row.name}
+                  onChange={(e) => updateRow(index, 'name', e.target.value.trim())}
+                  size="small"
+                  sx={{ width: 220 }}
+                />
+                <TextField
+                  label="Expression"
+                  value={row.value}
+                  onChange={(e) => updateRow(index, 'value', e.target.value)}
+                  error={Boolean(error)}
+                  helperText={error || `= ${Number(values[row.name].toPrecision(10))}`}
+                  size="small"
+                  sx={{ flex: 1 }}
+                />
+                <IconButton onClick={() => handleRemove(index)} aria-label={`Remove ${row.name}`}>
+                  <DeleteIcon />
+                </IconButton>
+              </Box>
+            );
+          })}
+        </Paper>
+        <Button startIcon={<AddIcon />} onClick={handleAdd} sx={{ mt: 1 }}>
+          Add Parameter
+        </Button>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" color="primary" disabled={hasErrors}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ParametersDialog;
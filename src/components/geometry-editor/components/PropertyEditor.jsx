@@ -19,8 +19,11 @@ import { renderMotherVolumeTree } from './motherVolumeUtils.jsx';
 import NumericInput from './NumericInput';
 import UnitSelector from './UnitSelector';
 import MoreVertIcon from '@mui/icons-material/MoreVert';
-import { toInternalUnit, fromInternalUnit } from '../utils/UnitConverter';
+import { toInternalUnit } from '../utils/UnitConverter';
 import { getSelectedGeometryObject } from '../utils/GeometryUtils';
+import { UNIT_CONSTANTS } from '../../../utils/parameters';
+import { meshBounds, countOpenEdges } from '../../../utils/meshImport';
+import { appliesInArrayOrder } from '../../../utils/booleanOperations';
 
 // Shared props to prevent click events on Select dropdowns from bubbling up
 // to the geometry tree (which would deselect the current object).
@@ -30,6 +33,33 @@ const selectStopProps = {
   MenuProps: { onClick: stop, PaperProps: { onClick: stop } },
 };
 
+// Solids with startPhi/deltaPhi (spheres also startTheta/deltaTheta)
+const SEGMENTED_TYPES = ['cylinder', 'sphere', 'cone', 'torus', 'polycone', 'polyhedra'];
+
+// Read-only facts about a tessellated solid; its mesh is replaced by importing again
+const MeshSummary = ({ vertices, facets }) => {
+  const { min, max } = meshBounds(vertices);
+  const openEdges = countOpenEdges(facets);
+  return (
+    <>
+      <Typography variant="subtitle1" sx={{ mt: 2 }}>Mesh</Typography>
+      <Typography variant="body2">
+        {facets.length} facets, {vertices.length} vertices
+      </Typography>
+      {vertices.length > 0 && (
+        <Typography variant="body2">
+          Size {max.map((m, k) => Number((m - min[k]).toPrecision(6))).join(' × ')} mm
+        </Typography>
+      )}
+      <Typography variant="caption" sx={{ mb: 1, display: 'block', color: openEdges > 0 ? 'warning.main' : 'text.secondary' }}>
+        {openEdges > 0
+          ? `Not closed: ${openEdges} open edges. Geant4 needs a closed solid.`
+          : 'Closed solid. Import the file again to change the mesh.'}
+      </Typography>
+    </>
+  );
+};
+
 /**
  * PropertyEditor Component
  * 
@@ -82,6 +112,10 @@ const PropertyEditor = ({
     );
   }
 
+  // Expressions are keyed by flat path; box dimensions live under size
+  const expressionOf = (property) => selectedObject._expressions?.[property.replace(/^dimensions\./, 'size.')];
+  const variables = { ...UNIT_CONSTANTS, ...geometries.parameters };
+
   return (
     <Box sx={{ p: 2 }}>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
@@ -302,6 +336,8 @@ const PropertyEditor = ({
             
             // Get the current boolean parent if any
             const currentBooleanParent = selectedObject?._boolean_parent || null;
+            const siblingComponents = (geometries.volumes || [])
+              .filter(vol => vol._is_boolean_component && vol._boolean_parent === currentBooleanParent);
             const isBooleanComponent = selectedObject?._is_boolean_component === true;
             
             return (
@@ -375,8 +411,14 @@ const PropertyEditor = ({
                       >
                         <MenuItem value="union">Add (Union)</MenuItem>
                         <MenuItem value="subtract">Subtract</MenuItem>
+                        <MenuItem value="intersect">Intersect</MenuItem>
                       </Select>
                     </FormControl>
+                    <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary' }}>
+                      {appliesInArrayOrder(siblingComponents)
+                        ? 'With an intersection, components are applied in order, each to the result of the ones before it.'
+                        : 'Without an intersection, all added components are combined first and the subtractions then cut from them.'}
+                    </Typography>
                   </>
                 )}
               </FormControl>
@@ -392,7 +434,9 @@ const PropertyEditor = ({
           internalValue={selectedObject?.position?.x}
           unit={lengthUnit}
           type="length"
-          onUpdate={(newValue) => handlePropertyChange('position.x', newValue)}
+          expression={expressionOf('position.x')}
+          variables={variables}
+          onUpdate={(newValue, expression) => handlePropertyChange('position.x', newValue, lengthUnit, expression)}
           onFocus={handleInputFocus}
         />
         <NumericInput
@@ -400,7 +444,9 @@ const PropertyEditor = ({
           internalValue={selectedObject?.position?.y}
           unit={lengthUnit}
           type="length"
-          onUpdate={(newValue) => handlePropertyChange('position.y', newValue)}
+          expression={expressionOf('position.y')}
+          variables={variables}
+          onUpdate={(newValue, expression) => handlePropertyChange('position.y', newValue, lengthUnit, expression)}
           onFocus={handleInputFocus}
         />
         <NumericInput
@@ -408,7 +454,9 @@ const PropertyEditor = ({
           internalValue={selectedObject?.position?.z}
           unit={lengthUnit}
           type="length"
-          onUpdate={(newValue) => handlePropertyChange('position.z', newValue)}
+          expression={expressionOf('position.z')}
+          variables={variables}
+          onUpdate={(newValue, expression) => handlePropertyChange('position.z', newValue, lengthUnit, expression)}
           onFocus={handleInputFocus}
         />
         <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
@@ -424,7 +472,9 @@ const PropertyEditor = ({
           internalValue={selectedObject?.rotation?.x}
           unit={angleUnit}
           type="angle"
-          onUpdate={(newValue) => handlePropertyChange('rotation.x', newValue)}
+          expression={expressionOf('rotation.x')}
+          variables={variables}
+          onUpdate={(newValue, expression) => handlePropertyChange('rotation.x', newValue, angleUnit, expression)}
           onFocus={handleInputFocus}
         />
         <NumericInput
@@ -432,7 +482,9 @@ const PropertyEditor = ({
           internalValue={selectedObject?.rotation?.y}
           unit={angleUnit}
           type="angle"
-          onUpdate={(newValue) => handlePropertyChange('rotation.y', newValue)}
+          expression={expressionOf('rotation.y')}
+          variables={variables}
+          onUpdate={(newValue, expression) => handlePropertyChange('rotation.y', newValue, angleUnit, expression)}
           onFocus={handleInputFocus}
         />
         <NumericInput
@@ -440,7 +492,9 @@ const PropertyEditor = ({
           internalValue={selectedObject?.rotation?.z}
           unit={angleUnit}
           type="angle"
-          onUpdate={(newValue) => handlePropertyChange('rotation.z', newValue)}
+          expression={expressionOf('rotation.z')}
+          variables={variables}
+          onUpdate={(newValue, expression) => handlePropertyChange('rotation.z', newValue, angleUnit, expression)}
           onFocus={handleInputFocus}
         />
         <UnitSelector type="angle" value={angleUnit} onChange={setAngleUnit} />
@@ -461,7 +515,9 @@ const PropertyEditor = ({
               }
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('dimensions.x', newValue)}
+              expression={expressionOf('dimensions.x')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dimensions.x', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <NumericInput
@@ -474,7 +530,9 @@ const PropertyEditor = ({
               }
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('dimensions.y', newValue)}
+              expression={expressionOf('dimensions.y')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dimensions.y', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <NumericInput
@@ -487,7 +545,9 @@ const PropertyEditor = ({
               }
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('dimensions.z', newValue)}
+              expression={expressionOf('dimensions.z')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dimensions.z', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
@@ -504,7 +564,9 @@ const PropertyEditor = ({
               internalValue={selectedObject?.radius !== undefined ? selectedObject.radius : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('radius', newValue)}
+              expression={expressionOf('radius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('radius', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <NumericInput
@@ -512,7 +574,9 @@ const PropertyEditor = ({
               internalValue={selectedObject?.height !== undefined ? selectedObject.height : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('height', newValue)}
+              expression={expressionOf('height')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('height', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
@@ -523,7 +587,9 @@ const PropertyEditor = ({
               internalValue={selectedObject?.innerRadius !== undefined ? selectedObject.innerRadius : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('innerRadius', newValue)}
+              expression={expressionOf('innerRadius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('innerRadius', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
@@ -540,7 +606,19 @@ const PropertyEditor = ({
               internalValue={selectedObject?.radius !== undefined ? selectedObject.radius : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('radius', newValue)}
+              expression={expressionOf('radius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('radius', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <NumericInput
+              label="Inner Radius"
+              internalValue={selectedObject?.innerRadius !== undefined ? selectedObject.innerRadius : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('innerRadius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('innerRadius', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
@@ -557,7 +635,9 @@ const PropertyEditor = ({
               internalValue={selectedObject?.dx1 !== undefined ? selectedObject.dx1 : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('dx1', newValue)}
+              expression={expressionOf('dx1')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dx1', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <NumericInput
@@ -565,7 +645,9 @@ const PropertyEditor = ({
               internalValue={selectedObject?.dx2 !== undefined ? selectedObject.dx2 : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('dx2', newValue)}
+              expression={expressionOf('dx2')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dx2', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
@@ -576,7 +658,9 @@ const PropertyEditor = ({
               internalValue={selectedObject?.dy1 !== undefined ? selectedObject.dy1 : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('dy1', newValue)}
+              expression={expressionOf('dy1')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dy1', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <NumericInput
@@ -584,7 +668,9 @@ const PropertyEditor = ({
               internalValue={selectedObject?.dy2 !== undefined ? selectedObject.dy2 : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('dy2', newValue)}
+              expression={expressionOf('dy2')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dy2', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
@@ -595,7 +681,9 @@ const PropertyEditor = ({
               internalValue={selectedObject?.dz !== undefined ? selectedObject.dz : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('dz', newValue)}
+              expression={expressionOf('dz')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dz', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
@@ -607,41 +695,35 @@ const PropertyEditor = ({
         <>
           <Typography variant="subtitle1" sx={{ mt: 2 }}>Dimensions</Typography>
           <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
-            <TextField
+            <NumericInput
               label="X Radius"
-              type="number"
-              value={selectedObject?.xRadius !== undefined 
-                ? fromInternalUnit(selectedObject.xRadius, lengthUnit, 'length')
-                : 0
-              }
-              onChange={(e) => handlePropertyChange('xRadius', e.target.value, lengthUnit)}
+              internalValue={selectedObject?.xRadius !== undefined ? selectedObject.xRadius : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('xRadius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('xRadius', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
-              size="small"
-              inputProps={{ step: 'any', min: 0 }}
             />
-            <TextField
+            <NumericInput
               label="Y Radius"
-              type="number"
-              value={selectedObject?.yRadius !== undefined 
-                ? fromInternalUnit(selectedObject.yRadius, lengthUnit, 'length')
-                : 0
-              }
-              onChange={(e) => handlePropertyChange('yRadius', e.target.value, lengthUnit)}
+              internalValue={selectedObject?.yRadius !== undefined ? selectedObject.yRadius : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('yRadius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('yRadius', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
-              size="small"
-              inputProps={{ step: 'any', min: 0 }}
             />
-            <TextField
+            <NumericInput
               label="Z Radius"
-              type="number"
-              value={selectedObject?.zRadius !== undefined 
-                ? fromInternalUnit(selectedObject.zRadius, lengthUnit, 'length')
-                : 0
-              }
-              onChange={(e) => handlePropertyChange('zRadius', e.target.value, lengthUnit)}
+              internalValue={selectedObject?.zRadius !== undefined ? selectedObject.zRadius : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('zRadius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('zRadius', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
-              size="small"
-              inputProps={{ step: 'any', min: 0 }}
             />
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
           </Box>
@@ -657,7 +739,9 @@ const PropertyEditor = ({
               internalValue={selectedObject?.majorRadius !== undefined ? selectedObject.majorRadius : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('majorRadius', newValue)}
+              expression={expressionOf('majorRadius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('majorRadius', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <NumericInput
@@ -665,7 +749,28 @@ const PropertyEditor = ({
               internalValue={selectedObject?.minorRadius !== undefined ? selectedObject.minorRadius : 0}
               unit={lengthUnit}
               type="length"
-              onUpdate={(newValue) => handlePropertyChange('minorRadius', newValue)}
+              expression={expressionOf('minorRadius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('minorRadius', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
+          </Box>
+        </>
+      )}
+      
+      {selectedObject?.type === 'orb' && (
+        <>
+          <Typography variant="subtitle1" sx={{ mt: 2 }}>Dimensions</Typography>
+          <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            <NumericInput
+              label="Radius"
+              internalValue={selectedObject?.radius !== undefined ? selectedObject.radius : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('radius')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('radius', newValue, lengthUnit, expression)}
               onFocus={handleInputFocus}
             />
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
@@ -673,70 +778,169 @@ const PropertyEditor = ({
         </>
       )}
       
-      {selectedObject?.type === 'polycone' && (
+      {selectedObject?.type === 'cone' && (
+        <>
+          <Typography variant="subtitle1" sx={{ mt: 2 }}>Dimensions</Typography>
+          <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            <NumericInput
+              label="Inner Radius (-z/2)"
+              internalValue={selectedObject?.innerRadiusBottom !== undefined ? selectedObject.innerRadiusBottom : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('innerRadiusBottom')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('innerRadiusBottom', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <NumericInput
+              label="Outer Radius (-z/2)"
+              internalValue={selectedObject?.radiusBottom !== undefined ? selectedObject.radiusBottom : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('radiusBottom')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('radiusBottom', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            <NumericInput
+              label="Inner Radius (+z/2)"
+              internalValue={selectedObject?.innerRadiusTop !== undefined ? selectedObject.innerRadiusTop : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('innerRadiusTop')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('innerRadiusTop', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <NumericInput
+              label="Outer Radius (+z/2)"
+              internalValue={selectedObject?.radiusTop !== undefined ? selectedObject.radiusTop : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('radiusTop')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('radiusTop', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            <NumericInput
+              label="Height"
+              internalValue={selectedObject?.height !== undefined ? selectedObject.height : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('height')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('height', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
+          </Box>
+        </>
+      )}
+      
+      {selectedObject?.type === 'elliptical_tube' && (
+        <>
+          <Typography variant="subtitle1" sx={{ mt: 2 }}>Dimensions</Typography>
+          <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            <NumericInput
+              label="dx (Semi-axis in X)"
+              internalValue={selectedObject?.dx !== undefined ? selectedObject.dx : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('dx')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dx', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <NumericInput
+              label="dy (Semi-axis in Y)"
+              internalValue={selectedObject?.dy !== undefined ? selectedObject.dy : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('dy')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dy', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            <NumericInput
+              label="dz (Half-length in Z)"
+              internalValue={selectedObject?.dz !== undefined ? selectedObject.dz : 0}
+              unit={lengthUnit}
+              type="length"
+              expression={expressionOf('dz')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('dz', newValue, lengthUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
+          </Box>
+        </>
+      )}
+      
+      {(selectedObject?.type === 'polycone' || selectedObject?.type === 'polyhedra') && (
         <>
           <Typography variant="subtitle1" sx={{ mt: 2 }}>Z Sections</Typography>
           <Typography variant="caption" sx={{ mb: 1, display: 'block', color: 'text.secondary' }}>
-            Define the sections of the polycone along the z-axis
+            Define the sections of the {selectedObject.type} along the z-axis
+            {selectedObject.type === 'polyhedra' && ' (radii are measured to the flat sides)'}
           </Typography>
+          {selectedObject.type === 'polyhedra' && (
+            <TextField
+              label="Number of Sides"
+              type="number"
+              value={selectedObject.numSides ?? 6}
+              onChange={(e) => {
+                const sides = parseInt(e.target.value, 10);
+                if (sides >= 3) handlePropertyChange('numSides', sides);
+              }}
+              onFocus={handleInputFocus}
+              size="small"
+              inputProps={{ step: 1, min: 3 }}
+              sx={{ mb: 1 }}
+            />
+          )}
           <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
             <UnitSelector type="length" value={lengthUnit} onChange={setLengthUnit} />
           </Box>
           {selectedObject?.zSections && selectedObject?.zSections.map((section, index) => (
             <Box key={`section-${index}`} sx={{ display: 'flex', gap: 1, mb: 1, border: '1px solid #eee', p: 1, borderRadius: '4px' }}>
-              <TextField
+              <NumericInput
                 label="Z Position"
-                type="number"
-                value={section.z !== undefined 
-                  ? fromInternalUnit(section.z, lengthUnit, 'length')
-                  : 0
-                }
-                onChange={(e) => {
-                  const newSections = [...(selectedObject?.zSections || [])];
-                  // Convert to internal units (mm)
-                  const valueInMm = toInternalUnit(parseFloat(e.target.value) || 0, lengthUnit, 'length');
-                  newSections[index] = { ...newSections[index], z: valueInMm };
-                  handlePropertyChange('zSections', newSections, lengthUnit, true);
-                }}
+                internalValue={section.z !== undefined ? section.z : 0}
+                unit={lengthUnit}
+                type="length"
+                expression={expressionOf(`zSections.${index}.z`)}
+                variables={variables}
+                onUpdate={(newValue, expression) => handlePropertyChange(`zSections.${index}.z`, newValue, lengthUnit, expression)}
                 onFocus={handleInputFocus}
-                size="small"
-                inputProps={{ step: 'any' }}
               />
-              <TextField
+              <NumericInput
                 label="Min Radius"
-                type="number"
-                value={section.rMin !== undefined 
-                  ? fromInternalUnit(section.rMin, lengthUnit, 'length')
-                  : 0
-                }
-                onChange={(e) => {
-                  const newSections = [...(selectedObject?.zSections || [])];
-                  // Convert to internal units (mm)
-                  const valueInMm = toInternalUnit(parseFloat(e.target.value) || 0, lengthUnit, 'length');
-                  newSections[index] = { ...newSections[index], rMin: valueInMm };
-                  handlePropertyChange('zSections', newSections, lengthUnit, true);
-                }}
+                internalValue={section.rMin !== undefined ? section.rMin : 0}
+                unit={lengthUnit}
+                type="length"
+                expression={expressionOf(`zSections.${index}.rMin`)}
+                variables={variables}
+                onUpdate={(newValue, expression) => handlePropertyChange(`zSections.${index}.rMin`, newValue, lengthUnit, expression)}
                 onFocus={handleInputFocus}
-                size="small"
-                inputProps={{ step: 'any', min: 0 }}
               />
-              <TextField
+              <NumericInput
                 label="Max Radius"
-                type="number"
-                value={section.rMax !== undefined 
-                  ? fromInternalUnit(section.rMax, lengthUnit, 'length')
-                  : 0
-                }
-                onChange={(e) => {
-                  const newSections = [...(selectedObject?.zSections || [])];
-                  // Convert to internal units (mm)
-                  const valueInMm = toInternalUnit(parseFloat(e.target.value) || 0, lengthUnit, 'length');
-                  newSections[index] = { ...newSections[index], rMax: valueInMm };
-                  handlePropertyChange('zSections', newSections, lengthUnit, true);
-                }}
+                internalValue={section.rMax !== undefined ? section.rMax : 0}
+                unit={lengthUnit}
+                type="length"
+                expression={expressionOf(`zSections.${index}.rMax`)}
+                variables={variables}
+                onUpdate={(newValue, expression) => handlePropertyChange(`zSections.${index}.rMax`, newValue, lengthUnit, expression)}
                 onFocus={handleInputFocus}
-                size="small"
-                inputProps={{ step: 'any', min: 0 }}
               />
               <Button 
                 variant="outlined" 
@@ -746,7 +950,7 @@ const PropertyEditor = ({
                   if (selectedObject?.zSections?.length > 2) {
                     const newSections = [...(selectedObject?.zSections || [])];
                     newSections.splice(index, 1);
-                    handlePropertyChange('zSections', newSections, lengthUnit, true);
+                    handlePropertyChange('zSections', newSections, lengthUnit);
                   }
                 }}
                 disabled={selectedObject?.zSections?.length <= 2}
@@ -770,7 +974,7 @@ const PropertyEditor = ({
                 rMin: 0, 
                 rMax: toInternalUnit(5, lengthUnit, 'length') 
               });
-              handlePropertyChange('zSections', newSections, lengthUnit, true);
+              handlePropertyChange('zSections', newSections, lengthUnit);
             }}
             sx={{ mb: 1 }}
           >
@@ -779,6 +983,67 @@ const PropertyEditor = ({
         </>
       )}
       
+      {selectedObject?.type === 'tessellated' && (
+        <MeshSummary vertices={selectedObject.vertices || []} facets={selectedObject.facets || []} />
+      )}
+
+      {SEGMENTED_TYPES.includes(selectedObject?.type) && (
+        <>
+          <Typography variant="subtitle1" sx={{ mt: 2 }}>Segment</Typography>
+          <Typography variant="caption" sx={{ mb: 1, display: 'block', color: 'text.secondary' }}>
+            Phi is measured around the z axis from +x{selectedObject.type === 'sphere' && ', theta from +z'}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            <NumericInput
+              label="Start Phi"
+              internalValue={selectedObject.startPhi ?? 0}
+              unit={angleUnit}
+              type="angle"
+              expression={expressionOf('startPhi')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('startPhi', newValue, angleUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <NumericInput
+              label="Delta Phi"
+              internalValue={selectedObject.deltaPhi ?? 2 * Math.PI}
+              unit={angleUnit}
+              type="angle"
+              expression={expressionOf('deltaPhi')}
+              variables={variables}
+              onUpdate={(newValue, expression) => handlePropertyChange('deltaPhi', newValue, angleUnit, expression)}
+              onFocus={handleInputFocus}
+            />
+            <UnitSelector type="angle" value={angleUnit} onChange={setAngleUnit} />
+          </Box>
+          {selectedObject.type === 'sphere' && (
+            <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+              <NumericInput
+                label="Start Theta"
+                internalValue={selectedObject.startTheta ?? 0}
+                unit={angleUnit}
+                type="angle"
+                expression={expressionOf('startTheta')}
+                variables={variables}
+                onUpdate={(newValue, expression) => handlePropertyChange('startTheta', newValue, angleUnit, expression)}
+                onFocus={handleInputFocus}
+              />
+              <NumericInput
+                label="Delta Theta"
+                internalValue={selectedObject.deltaTheta ?? Math.PI}
+                unit={angleUnit}
+                type="angle"
+                expression={expressionOf('deltaTheta')}
+                variables={variables}
+                onUpdate={(newValue, expression) => handlePropertyChange('deltaTheta', newValue, angleUnit, expression)}
+                onFocus={handleInputFocus}
+              />
+              <UnitSelector type="angle" value={angleUnit} onChange={setAngleUnit} />
+            </Box>
+          )}
+        </>
+      )}
+
       {selectedGeometry !== 'world' && (
         <Box sx={{ mt: 2, display: 'flex', gap: 2 }}>
           <Button 
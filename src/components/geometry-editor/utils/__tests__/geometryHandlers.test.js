@@ -77,7 +77,7 @@ describe('geometryHandlers', () => {
         expect(added.radius).toBe(50);
         expect(added.height).toBe(100);
         expect(added.innerRadius).toBe(0);
-        expect(added.spanningAngle).toBeCloseTo(2 * Math.PI);
+        expect(added.deltaPhi).toBeCloseTo(2 * Math.PI);
       });
 
       it('creates sphere with correct defaults', () => {
@@ -90,8 +90,8 @@ describe('geometryHandlers', () => {
         const added = onAddGeometry.mock.calls[0][0];
         expect(added.type).toBe('sphere');
         expect(added.radius).toBe(50);
-        expect(added.spanningPhi).toBeCloseTo(2 * Math.PI);
-        expect(added.spanningTheta).toBeCloseTo(Math.PI);
+        expect(added.deltaPhi).toBeCloseTo(2 * Math.PI);
+        expect(added.deltaTheta).toBeCloseTo(Math.PI);
       });
 
       it('creates ellipsoid with correct defaults', () => {
@@ -144,6 +144,33 @@ describe('geometryHandlers', () => {
         expect(added.dz).toBe(50);
       });
 
+      it('creates cone, orb and elliptical tube with correct defaults', () => {
+        const add = (type) => {
+          const h = createGeometryHandlers(
+            { onAddGeometry, onUpdateGeometry, geometries, materials: [], setImportAlert },
+            { newGeometryType: type, newMotherVolume: 'World' }
+          );
+          h.handleAddGeometry();
+          return onAddGeometry.mock.calls[onAddGeometry.mock.calls.length - 1][0];
+        };
+
+        expect(add('cone')).toMatchObject({ type: 'cone', radiusBottom: 50, radiusTop: 0, height: 100 });
+        expect(add('orb')).toMatchObject({ type: 'orb', radius: 50 });
+        expect(add('elliptical_tube')).toMatchObject({ type: 'elliptical_tube', dx: 50, dy: 30, dz: 50 });
+      });
+
+      it('creates polyhedra with sides and zSections', () => {
+        const h = createGeometryHandlers(
+          { onAddGeometry, onUpdateGeometry, geometries, materials: [], setImportAlert },
+          { newGeometryType: 'polyhedra', newMotherVolume: 'World' }
+        );
+        h.handleAddGeometry();
+
+        const added = onAddGeometry.mock.calls[0][0];
+        expect(added.numSides).toBe(6);
+        expect(added.zSections).toHaveLength(2);
+      });
+
       it('creates assembly with _compoundId matching name', () => {
         const h = createGeometryHandlers(
           { onAddGeometry, onUpdateGeometry, geometries, materials: [], setImportAlert },
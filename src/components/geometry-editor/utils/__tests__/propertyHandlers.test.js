@@ -121,6 +121,32 @@ describe('propertyHandlers', () => {
       const updated = onUpdateGeometry.mock.calls[0][1];
       expect(updated.zSections).toEqual(sections);
     });
+
+    it('records the expression of a value and drops it for a plain number', () => {
+      handlers.handlePropertyChange('dimensions.x', 120, 'cm', 'Width + 2*cm');
+      const withExpression = onUpdateGeometry.mock.calls[0][1];
+      expect(withExpression.size.x).toBe(120);
+      expect(withExpression._expressions).toEqual({ 'size.x': 'Width + 2*cm' });
+
+      geometries.volumes[0] = { ...geometries.volumes[0], _expressions: { 'size.x': 'Width', 'position.z': 'Lift' } };
+      handlers.handlePropertyChange('dimensions.x', 50);
+      expect(onUpdateGeometry.mock.calls[1][1]._expressions).toEqual({ 'position.z': 'Lift' });
+    });
+
+    it('moves array item expressions along when an item is removed', () => {
+      const sections = [{ z: 0, rMin: 0, rMax: 1 }, { z: 1, rMin: 0, rMax: 2 }, { z: 2, rMin: 0, rMax: 3 }];
+      geometries.volumes[0] = {
+        ...geometries.volumes[0], type: 'polycone', zSections: sections,
+        _expressions: { 'zSections.0.rMax': 'R0', 'zSections.2.rMax': 'R2' },
+      };
+      handlers.handlePropertyChange('zSections', [sections[0], sections[2]]);
+      expect(onUpdateGeometry.mock.calls[0][1]._expressions).toEqual({ 'zSections.0.rMax': 'R0', 'zSections.1.rMax': 'R2' });
+
+      handlers.handlePropertyChange('zSections.1.z', 25, 'cm', 'Top');
+      const updated = onUpdateGeometry.mock.calls[1][1];
+      expect(updated.zSections[1].z).toBe(25);
+      expect(updated._expressions['zSections.1.z']).toBe('Top');
+    });
   });
 
   describe('handleRotationChange', () => {
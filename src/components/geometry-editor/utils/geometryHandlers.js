@@ -107,17 +107,21 @@ export const createGeometryHandlers = (props, state) => {
         newObject.radius = 50;
         newObject.height = 100;
         newObject.innerRadius = 0;
-        newObject.startAngle = 0;
-        newObject.spanningAngle = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
+        newObject.startPhi = 0;
+        newObject.deltaPhi = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
         break;
         
       case 'sphere':
         newObject.radius = 50;
         newObject.innerRadius = 0;
         newObject.startPhi = 0;
-        newObject.spanningPhi = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
+        newObject.deltaPhi = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
         newObject.startTheta = 0;
-        newObject.spanningTheta = Math.PI;    // Use radians (π) instead of 180 degrees
+        newObject.deltaTheta = Math.PI;    // Use radians (π) instead of 180 degrees
+        break;
+        
+      case 'orb':
+        newObject.radius = 50;
         break;
         
       case 'cone':
@@ -126,15 +130,15 @@ export const createGeometryHandlers = (props, state) => {
         newObject.height = 100;
         newObject.innerRadiusTop = 0;
         newObject.innerRadiusBottom = 0;
-        newObject.startAngle = 0;
-        newObject.spanningAngle = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
+        newObject.startPhi = 0;
+        newObject.deltaPhi = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
         break;
         
       case 'torus':
         newObject.majorRadius = 50;
         newObject.minorRadius = 10;
-        newObject.startAngle = 0;
-        newObject.spanningAngle = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
+        newObject.startPhi = 0;
+        newObject.deltaPhi = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
         break;
         
       case 'ellipsoid':
@@ -144,8 +148,8 @@ export const createGeometryHandlers = (props, state) => {
         break;
         
       case 'polycone':
-        newObject.startAngle = 0;
-        newObject.spanningAngle = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
+        newObject.startPhi = 0;
+        newObject.deltaPhi = 2 * Math.PI;  // Use radians (2π) instead of 360 degrees
         newObject.zSections = [
           { z: -50, rMin: 0, rMax: 30 },
           { z: 0, rMin: 0, rMax: 50 },
@@ -153,6 +157,22 @@ export const createGeometryHandlers = (props, state) => {
         ];
         break;
         
+      case 'polyhedra':
+        newObject.startPhi = 0;
+        newObject.deltaPhi = 2 * Math.PI;
+        newObject.numSides = 6;
+        newObject.zSections = [
+          { z: -50, rMin: 0, rMax: 50 },
+          { z: 50, rMin: 0, rMax: 50 }
+        ];
+        break;
+        
+      case 'elliptical_tube':
+        newObject.dx = 50; // Semi-axis in x
+        newObject.dy = 30; // Semi-axis in y
+        newObject.dz = 50; // Half-length in z
+        break;
+        
       case 'trapezoid':
         newObject.dx1 = 50; // Half-length in x at -z/2
         newObject.dx2 = 50; // Half-length in x at +z/2
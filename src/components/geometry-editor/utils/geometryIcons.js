@@ -13,10 +13,22 @@ export const icons = {
     regular: '◯', // Circle
     filled: '●'    // Filled circle
   },
+  orb: {
+    regular: '⚪', // Circle
+    filled: '⚫'    // Filled circle
+  },
   cylinder: {
     regular: '⌭', // Cylinder
     filled: '⌭'    // No good filled variant, will use color instead
   },
+  cone: {
+    regular: '△', // Triangle (side view)
+    filled: '▲'    // Filled triangle
+  },
+  elliptical_tube: {
+    regular: '⬯', // Vertical ellipse
+    filled: '⬮'    // Filled vertical ellipse
+  },
   ellipsoid: {
     regular: '⬭', // Ellipse
     filled: '⬬'    // Filled ellipse
@@ -29,10 +41,18 @@ export const icons = {
     regular: '⏣', // Polycone
     filled: '⏣'    // No good filled variant, will use color instead
   },
+  polyhedra: {
+    regular: '⬡', // Hexagon
+    filled: '⬢'    // Filled hexagon
+  },
   trapezoid: {
     regular: '⏢', // Trapezoid
     filled: '⏢'    // No good filled variant, will use color instead
   },
+  tessellated: {
+    regular: '◬', // Triangle with dot (facets)
+    filled: '◭'    // Half-filled triangle
+  },
   assembly: {
     regular: '📁', // Folder
     filled: '📂'    // Open folder
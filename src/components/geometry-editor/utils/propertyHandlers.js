@@ -44,12 +44,13 @@ export const createPropertyHandlers = (props) => {
   /**
    * Handle property changes for the selected geometry object
    * 
-   * @param {string} property - The property to change
+   * @param {string} property - The property to change, e.g. 'radius', 'position.x' or 'zSections.1.rMax'
    * @param {any} value - The new value for the property
    * @param {string} unit - The unit of the input value (e.g., 'cm', 'mm', 'deg', 'rad')
-   * @param {boolean} isStringProperty - Whether the property is a string (no numeric conversion)
+   * @param {string} [expression] - Expression the value was evaluated from; without one the
+   *   property's expression is dropped
    */
-  const handlePropertyChange = (property, value, unit = 'cm') => {
+  const handlePropertyChange = (property, value, unit = 'cm', expression) => {
     // Get the currently selected geometry object
     debugLog(`handlePropertyChange called for property ${property} with value ${value} and unit ${unit}`);
     const selectedObject = getSelectedGeometryObjectLocal();
@@ -75,7 +76,7 @@ export const createPropertyHandlers = (props) => {
     // Handle nested properties like 'position.x'
     if (property.includes('.')) {
       
-      const [parent, child] = property.split('.');
+      const [parent, child, ...rest] = property.split('.');
       
       // Ensure the parent property exists
       if (!updatedObject[parent]) {
@@ -83,7 +84,14 @@ export const createPropertyHandlers = (props) => {
       }
       
       // Apply the value to the property
-      updatedObject[parent][child] = finalValue;
+      if (rest.length > 0) {
+        // Deeper paths such as 'zSections.1.rMax'
+        const keys = [child, ...rest];
+        const target = keys.slice(0, -1).reduce((node, key) => node[key], updatedObject[parent]);
+        target[keys[keys.length - 1]] = finalValue;
+      } else {
+        updatedObject[parent][child] = finalValue;
+      }
       
       // Special handling for box dimensions - update both dimensions and size
       if (parent === 'dimensions' && updatedObject.type === 'box') {
@@ -108,6 +116,28 @@ export const createPropertyHandlers = (props) => {
       // Handle direct properties
       updatedObject[property] = finalValue;
     }
+
+    // Expressions are kept by flat path (box dimensions live under size)
+    const expressions = { ...updatedObject._expressions };
+    if (Array.isArray(value) && Array.isArray(selectedObject[property])) {
+      // Array items keep their expressions when others are added or removed
+      const previous = selectedObject[property];
+      Object.keys(expressions).filter(path => path.startsWith(`${property}.`)).forEach(path => {
+        const [, index, ...rest] = path.split('.');
+        const text = expressions[path];
+        delete expressions[path];
+        const moved = value.indexOf(previous[index]);
+        if (moved >= 0) expressions[[property, moved, ...rest].join('.')] = text;
+      });
+    } else {
+      const path = property.startsWith('dimensions.') && updatedObject.type === 'box'
+        ? property.replace('dimensions.', 'size.')
+        : property;
+      if (typeof expression === 'string') expressions[path] = expression;
+      else delete expressions[path];
+    }
+    if (Object.keys(expressions).length > 0) updatedObject._expressions = expressions;
+    else delete updatedObject._expressions;
     
     // Update the geometry with the new object
     onUpdateGeometry(selectedGeometry, updatedObject);
@@ -5,16 +5,24 @@ import {
   Typography, 
   Button,
   Alert,
-  Snackbar
+  Snackbar,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
 } from '@mui/material';
 import {
   handleDownload,
-  handleFileUpload
+  handleFileUpload,
+  readFileAsText
 } from './utils/jsonHandlers';
 import { JsonTree } from './components/JsonTreeNode';
 import { debugLog } from '../../utils/logger';
 import { useAppContext } from '../../contexts/useAppContext';
 import { restructureCompounds } from '../../utils/jsonOperations';
+import { exportToGdml } from '../../utils/gdmlExport';
+import { importGdml } from '../../utils/gdmlImport';
 
 /**
  * JSON viewer for exporting and importing combined geometry/material state.
@@ -29,6 +37,8 @@ const JsonViewer = () => {
     handleImportMaterials: onImportMaterials,
   } = useAppContext();
   const [alert, setAlert] = useState({ open: false, message: '', severity: 'info' });
+  // Constructs the last GDML import could not map (shown in a dialog)
+  const [gdmlReport, setGdmlReport] = useState([]);
   // Tree expansion depth: bump this key to force a full re-mount with new depth
   const [expandDepth, setExpandDepth] = useState(1);
   const [treeKey, setTreeKey] = useState(0);
@@ -86,6 +96,60 @@ const JsonViewer = () => {
     }
   };
   
+  // Export the project as GDML (geometry + materials)
+  const handleDownloadGdml = () => {
+    if (!jsonData) return;
+    const { gdml, warnings } = exportToGdml(jsonData, materials);
+    if (!gdml) {
+      setAlert({ open: true, message: `GDML export failed: ${warnings.join('; ')}`, severity: 'error' });
+      return;
+    }
+    handleDownload(gdml, 'geometry.gdml', 'application/xml');
+    if (warnings.length > 0) {
+      warnings.forEach(w => console.warn('handleDownloadGdml::', w));
+      setAlert({
+        open: true,
+        message: `GDML exported with ${warnings.length} warning(s): ${warnings[0]}${warnings.length > 1 ? ' …' : ''}`,
+        severity: 'warning'
+      });
+    } else {
+      setAlert({ open: true, message: 'GDML exported successfully!', severity: 'success' });
+    }
+  };
+
+  // Handle importing geometry and materials from a GDML file
+  const handleImportGdml = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await readFileAsText(file);
+      const { json, report } = importGdml(text);
+      debugLog('handleImportGdml:: Imported', json.volumes.length, 'volumes,', report.length, 'report entries');
+
+      onImportGeometries({ world: json.world, volumes: json.volumes });
+      // Keep existing materials (e.g. NIST colours) and add the file's definitions
+      onImportMaterials({ ...materials, ...json.materials });
+
+      setGdmlReport(report);
+      setAlert({
+        open: true,
+        message: report.length > 0
+          ? `GDML imported with ${report.length} unmapped construct(s)`
+          : 'GDML imported successfully!',
+        severity: report.length > 0 ? 'warning' : 'success'
+      });
+    } catch (error) {
+      console.error('handleImportGdml:: Error importing GDML:', error);
+      setAlert({
+        open: true,
+        message: `Error importing GDML: ${error.message}`,
+        severity: 'error'
+      });
+    }
+  };
+
   // Alert handling functions
   const handleAlertClose = () => {
     setAlert({ ...alert, open: false });
@@ -119,6 +183,15 @@ const JsonViewer = () => {
           >
             Download JSON
           </Button>
+
+          <Button
+            variant="contained"
+            onClick={handleDownloadGdml}
+            size="small"
+            disabled={!jsonData}
+          >
+            Download GDML
+          </Button>
           
           <Button
             variant="contained"
@@ -135,6 +208,21 @@ const JsonViewer = () => {
             />
           </Button>
 
+          <Button
+            variant="contained"
+            component="label"
+            size="small"
+            color="secondary"
+          >
+            Import GDML
+            <input
+              type="file"
+              accept=".gdml,.xml"
+              hidden
+              onChange={handleImportGdml}
+            />
+          </Button>
+
           <Button 
             onClick={scrollToTop} 
             size="small" 
@@ -196,6 +284,28 @@ const JsonViewer = () => {
         </Box>
       </Paper>
       
+      {/* Report of GDML constructs that could not be mapped */}
+      <Dialog open={gdmlReport.length > 0} onClose={() => setGdmlReport([])} maxWidth="md" fullWidth>
+        <DialogTitle>GDML Import Report</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The following constructs could not be mapped to the editor model exactly:
+          </DialogContentText>
+          <Box component="ul" sx={{ mt: 1, pl: 3 }}>
+            {gdmlReport.map((entry, i) => (
+              <li key={i}>
+                <Typography variant="body2">
+                  <strong>&lt;{entry.construct}&gt; {entry.name}</strong>: {entry.message}
+                </Typography>
+              </li>
+            ))}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setGdmlReport([])}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Alert for import status */}
       <Snackbar 
         open={alert.open} 
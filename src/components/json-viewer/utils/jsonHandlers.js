@@ -12,9 +12,10 @@ import { debugLog } from '../../../utils/logger.js';
  * 
  * @param {string} content - JSON content to download
  * @param {string} filename - Name of the file to download
+ * @param {string} [mimeType] - MIME type of the content (defaults to JSON)
  */
-export const handleDownload = (content, filename) => {
-  const blob = new Blob([content], { type: 'application/json' });
+export const handleDownload = (content, filename, mimeType = 'application/json') => {
+  const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -25,6 +26,21 @@ export const handleDownload = (content, filename) => {
   URL.revokeObjectURL(url);
 };
 
+/**
+ * Read an uploaded file as plain text (used for GDML import)
+ * 
+ * @param {File} file - The uploaded file
+ * @returns {Promise<string>} File content
+ */
+export const readFileAsText = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(new Error('Error reading file'));
+    reader.readAsText(file);
+  });
+};
+
 /**
  * Handle file upload and parse JSON content
  * 
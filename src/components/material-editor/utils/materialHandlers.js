@@ -46,20 +46,21 @@ export const createMaterialHandlers = (props) => {
   const handleUpdateMaterial = (property, value, selectedMaterial) => {
     if (!selectedMaterial) return;
     
-    const updatedMaterials = { ...materials };
+    // Copy the edited material: the current one stays as it is for undo
+    const material = { ...materials[selectedMaterial] };
     
     // Handle nested properties
     if (property.includes('.')) {
       const [parent, child] = property.split('.');
-      updatedMaterials[selectedMaterial][parent] = { 
-        ...updatedMaterials[selectedMaterial][parent], 
+      material[parent] = { 
+        ...material[parent], 
         [child]: value 
       };
     } else {
-      updatedMaterials[selectedMaterial][property] = value;
+      material[property] = value;
     }
     
-    onUpdateMaterials(updatedMaterials);
+    onUpdateMaterials({ ...materials, [selectedMaterial]: material });
   };
 
   /**
@@ -147,10 +148,7 @@ export const createMaterialHandlers = (props) => {
   const handleUpdateColor = (materialName, color) => {
     if (!materialName) return;
     
-    const updatedMaterials = { ...materials };
-    updatedMaterials[materialName].color = color;
-    
-    onUpdateMaterials(updatedMaterials);
+    onUpdateMaterials({ ...materials, [materialName]: { ...materials[materialName], color } });
   };
 
   return {
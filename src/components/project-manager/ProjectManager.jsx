@@ -4,7 +4,7 @@
  * Uses extracted dialogs and custom hooks for cleaner code
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   Button,
@@ -24,6 +24,7 @@ import {
   StorageInitDialog,
   SaveProjectDialog,
   LoadProjectDialog,
+  RevisionHistoryDialog,
   SaveObjectDialog,
   CreateCategoryDialog
 } from './dialogs';
@@ -59,10 +60,15 @@ const ProjectManager = ({ compactMode = false }) => {
   const [loadDialogOpen, setLoadDialogOpen] = useState(false);
   const [objectDialogOpen, setObjectDialogOpen] = useState(false);
   const [categoryDialogOpen, setCategoryDialogOpen] = useState(false);
+  const [historyProject, setHistoryProject] = useState(null);
+  const [revisions, setRevisions] = useState([]);
   
   // Form states
   const [projectName, setProjectName] = useState('');
   const [projectDescription, setProjectDescription] = useState('');
+  const [revisionMessage, setRevisionMessage] = useState('');
+  // Kept between saves: usually the same person saves every revision
+  const [author, setAuthor] = useState('');
   const [objectName, setObjectName] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('common');
   const [newCategoryName, setNewCategoryName] = useState('');
@@ -108,11 +114,15 @@ const ProjectManager = ({ compactMode = false }) => {
 
   // Handle save project
   const handleSaveProject = async () => {
-    const success = await storage.saveProject(projectName, projectDescription);
+    const success = await storage.saveProject(projectName, projectDescription, {
+      message: revisionMessage.trim(),
+      author: author.trim()
+    });
     if (success) {
       setSaveDialogOpen(false);
       setProjectName('');
       setProjectDescription('');
+      setRevisionMessage('');
     }
   };
 
@@ -124,6 +134,35 @@ const ProjectManager = ({ compactMode = false }) => {
     }
   };
 
+  // Open the revision history of a project
+  const handleShowHistory = async (name) => {
+    setRevisions(await storage.listRevisions(name));
+    setHistoryProject(name);
+  };
+
+  const { loadRevision } = storage;
+  const handleLoadRevision = useCallback(
+    (revisionId) => loadRevision(historyProject, revisionId),
+    [loadRevision, historyProject]
+  );
+
+  // Restore or branch from a revision; either loads it and closes the dialogs
+  const handleRestoreRevision = async (revision) => {
+    const success = await storage.restoreRevision(historyProject, revision, author.trim());
+    if (success) {
+      setHistoryProject(null);
+      setLoadDialogOpen(false);
+    }
+  };
+
+  const handleBranchRevision = async (revision, branchName) => {
+    const success = await storage.branchRevision(historyProject, revision, branchName, author.trim());
+    if (success) {
+      setHistoryProject(null);
+      setLoadDialogOpen(false);
+    }
+  };
+
   // Handle save object
   const handleSaveObject = async () => {
     if (!objectToSave) return;
@@ -270,6 +309,10 @@ const ProjectManager = ({ compactMode = false }) => {
           onProjectNameChange={setProjectName}
           projectDescription={projectDescription}
           onProjectDescriptionChange={setProjectDescription}
+          revisionMessage={revisionMessage}
+          onRevisionMessageChange={setRevisionMessage}
+          author={author}
+          onAuthorChange={setAuthor}
           savedProjects={storage.savedProjects}
           onSave={handleSaveProject}
           formatDate={formatDate}
@@ -281,6 +324,19 @@ const ProjectManager = ({ compactMode = false }) => {
           isLoading={storage.isLoading}
           savedProjects={storage.savedProjects}
           onLoadProject={handleLoadProject}
+          onShowHistory={handleShowHistory}
+          formatDate={formatDate}
+        />
+        
+        <RevisionHistoryDialog
+          open={historyProject !== null}
+          onClose={() => setHistoryProject(null)}
+          isLoading={storage.isLoading}
+          projectName={historyProject || ''}
+          revisions={revisions}
+          onLoadRevision={handleLoadRevision}
+          onRestore={handleRestoreRevision}
+          onBranch={handleBranchRevision}
           formatDate={formatDate}
         />
         
@@ -357,6 +413,10 @@ const ProjectManager = ({ compactMode = false }) => {
         onProjectNameChange={setProjectName}
         projectDescription={projectDescription}
         onProjectDescriptionChange={setProjectDescription}
+        revisionMessage={revisionMessage}
+        onRevisionMessageChange={setRevisionMessage}
+        author={author}
+        onAuthorChange={setAuthor}
         savedProjects={storage.savedProjects}
         onSave={handleSaveProject}
         formatDate={formatDate}
@@ -368,6 +428,19 @@ const ProjectManager = ({ compactMode = false }) => {
         isLoading={storage.isLoading}
         savedProjects={storage.savedProjects}
         onLoadProject={handleLoadProject}
+        onShowHistory={handleShowHistory}
+        formatDate={formatDate}
+      />
+      
+      <RevisionHistoryDialog
+        open={historyProject !== null}
+        onClose={() => setHistoryProject(null)}
+        isLoading={storage.isLoading}
+        projectName={historyProject || ''}
+        revisions={revisions}
+        onLoadRevision={handleLoadRevision}
+        onRestore={handleRestoreRevision}
+        onBranch={handleBranchRevision}
         formatDate={formatDate}
       />
       
@@ -16,8 +16,11 @@ import {
   Typography,
   Divider,
   Box,
-  CircularProgress
+  CircularProgress,
+  IconButton,
+  Tooltip
 } from '@mui/material';
+import HistoryIcon from '@mui/icons-material/History';
 
 const LoadProjectDialog = ({
   open,
@@ -25,6 +28,7 @@ const LoadProjectDialog = ({
   isLoading,
   savedProjects,
   onLoadProject,
+  onShowHistory,
   formatDate
 }) => {
   return (
@@ -49,6 +53,19 @@ const LoadProjectDialog = ({
                 <ListItem 
                   button 
                   onClick={() => onLoadProject(project.name)}
+                  secondaryAction={
+                    <Tooltip title="Revision history">
+                      <IconButton
+                        edge="end"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onShowHistory(project.name);
+                        }}
+                      >
+                        <HistoryIcon />
+                      </IconButton>
+                    </Tooltip>
+                  }
                 >
                   <ListItemText 
                     primary={project.name} 
@@ -0,0 +1,178 @@
+/**
+ * RevisionHistoryDialog.jsx
+ * Dialog for browsing, comparing, restoring and branching project revisions
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+  Box,
+  CircularProgress
+} from '@mui/material';
+import ProjectDiffList from '../../app/ProjectDiffList';
+import { diffProjects } from '../../../utils/projectDiff';
+
+const revisionLabel = (revision, formatDate) =>
+  `${formatDate(revision.createdAt)}${revision.message ? ` — ${revision.message}` : ''}`;
+
+const RevisionHistoryDialog = ({
+  open,
+  onClose,
+  isLoading,
+  projectName,
+  revisions,
+  onLoadRevision,
+  onRestore,
+  onBranch,
+  formatDate
+}) => {
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [diffFailed, setDiffFailed] = useState(false);
+  const [branching, setBranching] = useState(null);
+  const [branchName, setBranchName] = useState('');
+  // Revision geometries are immutable, so they are fetched once per project
+  const geometryCache = useRef(new Map());
+
+  // Compare the previous revision with the newest by default
+  useEffect(() => {
+    geometryCache.current = new Map();
+    setFromId(revisions[1]?.id ?? revisions[0]?.id ?? '');
+    setToId(revisions[0]?.id ?? '');
+    setBranching(null);
+  }, [projectName, revisions]);
+
+  useEffect(() => {
+    setDiff(null);
+    setDiffFailed(false);
+    if (fromId === '' || toId === '') return undefined;
+    let cancelled = false;
+    const fetchGeometry = async (id) => {
+      if (!geometryCache.current.has(id)) {
+        geometryCache.current.set(id, await onLoadRevision(id));
+      }
+      return geometryCache.current.get(id);
+    };
+    Promise.all([fetchGeometry(fromId), fetchGeometry(toId)]).then(([before, after]) => {
+      if (cancelled) return;
+      if (before && after) setDiff(diffProjects(before, after));
+      else setDiffFailed(true);
+    });
+    return () => { cancelled = true; };
+  }, [fromId, toId, onLoadRevision]);
+
+  const startBranch = (revision) => {
+    setBranching(revision);
+    setBranchName(`${projectName}_branch`);
+  };
+
+  const revisionSelect = (label, value, onChange) => (
+    <TextField
+      select
+      size="small"
+      label={label}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      sx={{ flex: 1, minWidth: 0 }}
+    >
+      {revisions.map(revision => (
+        <MenuItem key={revision.id} value={revision.id}>{revisionLabel(revision, formatDate)}</MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>History of {projectName}</DialogTitle>
+      <DialogContent>
+        {revisions.length === 0 ? (
+          <Typography variant="body1">
+            No revisions recorded. Revisions are kept for every save from now on.
+          </Typography>
+        ) : (
+          <>
+            <List dense sx={{ maxHeight: 240, overflow: 'auto' }}>
+              {revisions.map((revision, index) => (
+                <ListItem
+                  key={revision.id}
+                  divider
+                  secondaryAction={
+                    <>
+                      <Button
+                        size="small"
+                        disabled={isLoading || index === 0}
+                        onClick={() => onRestore(revision)}
+                      >
+                        Restore
+                      </Button>
+                      <Button size="small" disabled={isLoading} onClick={() => startBranch(revision)}>
+                        Branch
+                      </Button>
+                    </>
+                  }
+                >
+                  <ListItemText
+                    primary={revision.message || (index === 0 ? 'Current version' : 'No message')}
+                    secondary={`${formatDate(revision.createdAt)}${revision.author ? ` by ${revision.author}` : ''}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+
+            {branching && (
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 1 }}>
+                <TextField
+                  autoFocus
+                  size="small"
+                  label={`New project from ${formatDate(branching.createdAt)}`}
+                  value={branchName}
+                  onChange={(e) => setBranchName(e.target.value)}
+                  sx={{ flex: 1 }}
+                />
+                <Button onClick={() => setBranching(null)}>Cancel</Button>
+                <Button
+                  variant="contained"
+                  disabled={isLoading || !branchName.trim()}
+                  onClick={() => onBranch(branching, branchName)}
+                >
+                  Create
+                </Button>
+              </Box>
+            )}
+
+            <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>Compare revisions</Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              {revisionSelect('From', fromId, setFromId)}
+              {revisionSelect('To', toId, setToId)}
+            </Box>
+            {diffFailed && (
+              <Typography variant="body2" color="error" sx={{ mt: 1 }}>Could not load the revisions</Typography>
+            )}
+            {diff && <ProjectDiffList diff={diff} />}
+            {!diff && !diffFailed && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+                <CircularProgress size={24} />
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RevisionHistoryDialog;
@@ -26,6 +26,10 @@ const SaveProjectDialog = ({
   onProjectNameChange,
   projectDescription,
   onProjectDescriptionChange,
+  revisionMessage,
+  onRevisionMessageChange,
+  author,
+  onAuthorChange,
   savedProjects,
   onSave,
   formatDate
@@ -58,10 +62,27 @@ const SaveProjectDialog = ({
           value={projectDescription}
           onChange={(e) => onProjectDescriptionChange(e.target.value)}
         />
+        <TextField
+          margin="dense"
+          label="Revision message (optional)"
+          type="text"
+          fullWidth
+          placeholder="What changed in this version"
+          value={revisionMessage}
+          onChange={(e) => onRevisionMessageChange(e.target.value)}
+        />
+        <TextField
+          margin="dense"
+          label="Author (optional)"
+          type="text"
+          fullWidth
+          value={author}
+          onChange={(e) => onAuthorChange(e.target.value)}
+        />
         {savedProjects.length > 0 && (
           <>
             <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>
-              Existing Projects (click to overwrite):
+              Existing Projects (click to save a new revision):
             </Typography>
             <List dense sx={{ maxHeight: 200, overflow: 'auto' }}>
               {savedProjects.map((project) => (
@@ -81,7 +102,7 @@ const SaveProjectDialog = ({
               ))}
             </List>
             <Typography variant="caption" color="text.secondary">
-              Note: Saving with an existing name will overwrite that project
+              Note: Saving with an existing name makes this the current version of that project; earlier versions stay in its history
             </Typography>
           </>
         )}
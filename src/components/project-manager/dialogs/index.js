@@ -5,5 +5,6 @@
 export { default as StorageInitDialog } from './StorageInitDialog';
 export { default as SaveProjectDialog } from './SaveProjectDialog';
 export { default as LoadProjectDialog } from './LoadProjectDialog';
+export { default as RevisionHistoryDialog } from './RevisionHistoryDialog';
 export { default as SaveObjectDialog } from './SaveObjectDialog';
 export { default as CreateCategoryDialog } from './CreateCategoryDialog';
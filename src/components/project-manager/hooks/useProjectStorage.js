@@ -258,8 +258,22 @@ export const useProjectStorage = (geometries, materials, hitCollections, onLoadP
     }
   }, [isInitialized, storageManager, loadCategories]);
 
+  // Put loaded geometry in the editor; autosaves are compared against it on the next startup
+  const applyLoadedGeometry = useCallback((projectName, geometryData) => {
+    // Pass the hierarchical JSON directly to handleLoadProject.
+    // The state hook will derive the flat view via expandToFlat.
+    const restoredHitCollections = geometryData.hitCollections || [];
+    const loadedMaterials = geometryData.materials || {};
+
+    // Pass the JSON data (with world, volumes, materials) directly
+    onLoadProject(geometryData, loadedMaterials, restoredHitCollections);
+    indexedDBManager.setAutosaveBaseline(projectName, {
+      jsonData: geometryData, materials: loadedMaterials, hitCollections: restoredHitCollections
+    }).catch(err => debugWarn('Could not record autosave baseline:', err));
+  }, [onLoadProject]);
+
   // Save project
-  const saveProject = useCallback(async (projectName, projectDescription = '') => {
+  const saveProject = useCallback(async (projectName, projectDescription = '', revision = {}) => {
     if (!isInitialized || !storageManager || !projectName.trim()) {
       setAlert({
         open: true,
@@ -294,10 +308,15 @@ export const useProjectStorage = (geometries, materials, hitCollections, onLoadP
       const success = await storageManager.saveProject(
         projectName.trim(),
         geometryData,
-        metadata
+        metadata,
+        revision
       );
 
       if (success) {
+        // Autosaves are compared against this on the next startup
+        indexedDBManager.setAutosaveBaseline(projectName.trim(), {
+          jsonData: geometryData, materials, hitCollections
+        }).catch(err => debugWarn('Could not record autosave baseline:', err));
         setAlert({
           open: true,
           message: `Project "${projectName}" saved successfully`,
@@ -335,15 +354,7 @@ export const useProjectStorage = (geometries, materials, hitCollections, onLoadP
       const projectData = await storageManager.loadProject(projectName);
       
       if (projectData && projectData.geometry) {
-        const geometryData = projectData.geometry;
-        
-        // Pass the hierarchical JSON directly to handleLoadProject.
-        // The state hook will derive the flat view via expandToFlat.
-        const restoredHitCollections = geometryData.hitCollections || [];
-        const loadedMaterials = geometryData.materials || {};
-        
-        // Pass the JSON data (with world, volumes, materials) directly
-        onLoadProject(geometryData, loadedMaterials, restoredHitCollections);
+        applyLoadedGeometry(projectName, projectData.geometry);
         
         setAlert({
           open: true,
@@ -371,7 +382,132 @@ export const useProjectStorage = (geometries, materials, hitCollections, onLoadP
     } finally {
       setIsLoading(false);
     }
-  }, [isInitialized, storageManager, geometries, materials, onLoadProject]);
+  }, [isInitialized, storageManager, applyLoadedGeometry]);
+
+  // List the revisions of a project
+  const listRevisions = useCallback(async (projectName) => {
+    if (!isInitialized || !storageManager) return [];
+    
+    try {
+      return await storageManager.listRevisions(projectName);
+    } catch (error) {
+      console.error('Error listing revisions:', error);
+      setAlert({
+        open: true,
+        message: `Error listing revisions of "${projectName}"`,
+        severity: 'error'
+      });
+      return [];
+    }
+  }, [isInitialized, storageManager]);
+
+  // Load the geometry of one revision without applying it
+  const loadRevision = useCallback(async (projectName, revisionId) => {
+    if (!isInitialized || !storageManager) return null;
+    
+    try {
+      const revisionData = await storageManager.loadRevision(projectName, revisionId);
+      if (!revisionData) {
+        throw new Error('Revision not found');
+      }
+      return revisionData.geometry;
+    } catch (error) {
+      console.error('Error loading revision:', error);
+      setAlert({
+        open: true,
+        message: `Error loading revision: ${error.message}`,
+        severity: 'error'
+      });
+      return null;
+    }
+  }, [isInitialized, storageManager]);
+
+  // Save an old revision as the newest one of a project (targetName) and load it.
+  // Restoring targets the same project, branching a new one; history is never rewritten.
+  const copyRevision = useCallback(async (projectName, revisionId, targetName, description, revision) => {
+    if (!isInitialized || !storageManager) return false;
+    
+    setIsLoading(true);
+    try {
+      const revisionData = await storageManager.loadRevision(projectName, revisionId);
+      if (!revisionData) {
+        throw new Error('Revision not found');
+      }
+      
+      const success = await storageManager.saveProject(
+        targetName,
+        revisionData.geometry,
+        { description },
+        revision
+      );
+      if (!success) {
+        throw new Error(`Could not save "${targetName}"`);
+      }
+      
+      applyLoadedGeometry(targetName, revisionData.geometry);
+      await loadSavedProjectsList();
+      return true;
+    } catch (error) {
+      console.error('Error copying revision:', error);
+      setAlert({
+        open: true,
+        message: `Error restoring revision: ${error.message}`,
+        severity: 'error'
+      });
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [isInitialized, storageManager, applyLoadedGeometry, loadSavedProjectsList]);
+
+  // Make an old revision the current version of its project
+  const restoreRevision = useCallback(async (projectName, revision, author = '') => {
+    const project = savedProjects.find(p => p.name === projectName);
+    const success = await copyRevision(
+      projectName,
+      revision.id,
+      projectName,
+      project?.description || '',
+      { message: `Restored revision of ${new Date(revision.createdAt).toLocaleString()}`, author }
+    );
+    if (success) {
+      setAlert({
+        open: true,
+        message: `Restored "${projectName}" to the revision of ${new Date(revision.createdAt).toLocaleString()}`,
+        severity: 'success'
+      });
+    }
+    return success;
+  }, [savedProjects, copyRevision]);
+
+  // Start a new project from an old revision
+  const branchRevision = useCallback(async (projectName, revision, branchName, author = '') => {
+    const name = branchName.trim();
+    if (!name || savedProjects.some(p => p.name === name)) {
+      setAlert({
+        open: true,
+        message: name ? `A project named "${name}" already exists` : 'Please enter a project name',
+        severity: 'warning'
+      });
+      return false;
+    }
+    
+    const success = await copyRevision(
+      projectName,
+      revision.id,
+      name,
+      `Branched from "${projectName}"`,
+      { message: `Branched from "${projectName}" revision of ${new Date(revision.createdAt).toLocaleString()}`, author }
+    );
+    if (success) {
+      setAlert({
+        open: true,
+        message: `Created project "${name}" from "${projectName}"`,
+        severity: 'success'
+      });
+    }
+    return success;
+  }, [savedProjects, copyRevision]);
 
   // Save object
   const saveObject = useCallback(async (objectName, objectData, category = 'common') => {
@@ -478,6 +614,12 @@ export const useProjectStorage = (geometries, materials, hitCollections, onLoadP
     saveProject,
     loadProject,
     
+    // Revision methods
+    listRevisions,
+    loadRevision,
+    restoreRevision,
+    branchRevision,
+    
     // Object methods
     loadObjectsList,
     saveObject,
@@ -1,17 +1,24 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useMemo, useEffect } from 'react';
 import { getParentKey } from './utils/geometryUtils';
 import { isVolumeKey, findFlatIndex } from '../../utils/expandToFlat';
 import { getVolumeIcon } from '../geometry-editor/utils/geometryIcons';
 import SaveObjectDialog from '../geometry-editor/components/SaveObjectDialog';
+import TreeSearchBar from './components/TreeSearchBar';
+import { searchVolumes } from './utils/volumeQuery';
 import { getSelectedGeometryObject, findAllDescendants } from '../geometry-editor/utils/GeometryUtils';
 import { saveObject } from '../geometry-editor/utils/ObjectStorage';
-import { extractSubtreeFromJson } from '../../utils/jsonOperations';
+import { extractSubtreeFromJson, getReparentError } from '../../utils/jsonOperations';
 import { useAppContext } from '../../contexts/useAppContext';
 import { debugLog } from '../../utils/logger.js';
 
 // GeometryTree component for the left panel
-export default function GeometryTree({ geometries, selectedGeometry, onSelect, onUpdateGeometry, scopeRoot, setScopeRoot }) {
-  const { jsonData, materials, handleBatchSetVisibility, handleAddPlacement, handleDuplicateVolume, refreshView } = useAppContext();
+export default function GeometryTree({ geometries, selectedGeometry, onSelect, onUpdateGeometry, scopeRoot, setScopeRoot, onOpenPattern, onQueryMatches }) {
+  const {
+    jsonData, materials, handleBatchSetVisibility, handleAddPlacement, handleDuplicateVolume, handleReparentVolume, refreshView,
+    selectedGeometries, setSelection, toggleSelection, handleUpdateSavedQueries,
+  } = useAppContext();
+  // Search query filtering the tree (see utils/volumeQuery.js)
+  const [query, setQuery] = useState('');
   // State for save object dialog
   const [saveObjectDialogOpen, setSaveObjectDialogOpen] = useState(false);
   const [objectToSave, setObjectToSave] = useState(null);
@@ -92,6 +99,70 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
     setContextMenu(null);
   };
   
+  // State for drag-and-drop reparenting: the dragged volume key, the row
+  // under the pointer, and whether the moved volume keeps its world pose
+  const [dragKey, setDragKey] = useState(null);
+  const [dropTargetKey, setDropTargetKey] = useState(null);
+  const [keepWorldPose, setKeepWorldPose] = useState(true);
+  // Why the dragged volume cannot go under each target, cached per drag
+  const dropErrorsRef = useRef(new Map());
+
+  const getDropError = (targetKey) => {
+    if (!dragKey || !jsonData) return 'Nothing to move';
+    if (!dropErrorsRef.current.has(targetKey)) {
+      const flatIndex = findFlatIndex(geometries.volumes, dragKey);
+      const parentIndex = targetKey === 'world' ? null : findFlatIndex(geometries.volumes, targetKey);
+      dropErrorsRef.current.set(targetKey, flatIndex < 0 || parentIndex < 0
+        ? 'Volume not found'
+        : getReparentError(jsonData, geometries.volumes, flatIndex, parentIndex));
+    }
+    return dropErrorsRef.current.get(targetKey);
+  };
+
+  const handleDragStart = (event, key) => {
+    event.stopPropagation();
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', key);
+    dropErrorsRef.current = new Map();
+    setDragKey(key);
+  };
+
+  const handleDragEnd = () => {
+    setDragKey(null);
+    setDropTargetKey(null);
+  };
+
+  // Handlers for a row that accepts drops; refused targets keep the
+  // browser's no-drop cursor
+  const dropTargetHandlers = (targetKey) => ({
+    onDragOver: (event) => {
+      if (getDropError(targetKey)) {
+        if (dropTargetKey === targetKey) setDropTargetKey(null);
+        return;
+      }
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+      if (dropTargetKey !== targetKey) setDropTargetKey(targetKey);
+    },
+    onDrop: (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      const result = handleReparentVolume(dragKey, targetKey, { keepWorldPose });
+      handleDragEnd();
+      if (result && !result.success) {
+        setImportAlert({ show: true, message: result.message, severity: 'error' });
+        setTimeout(() => {
+          setImportAlert({ show: false, message: '', severity: 'info' });
+        }, 5000);
+      }
+    },
+  });
+
+  const dropTargetStyle = (targetKey) => (dropTargetKey === targetKey ? {
+    outline: '2px dashed #1976d2',
+    outlineOffset: '-2px',
+  } : {});
+
   // Function to confirm adding to assembly
   const handleConfirmAddToAssembly = (assemblyIndex) => {
     const volumeIndex = assemblyDialog.volumeIndex;
@@ -268,6 +339,63 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
     handleBatchSetVisibility(updates);
   };
   
+  // ─── Search: matches are shown with their ancestors, fully expanded ──
+  const queryResult = useMemo(
+    () => (query.trim() ? searchVolumes(query, geometries) : null),
+    [query, geometries]
+  );
+  const queryMatches = queryResult && !queryResult.error ? queryResult.keys : null;
+
+  // The viewer highlights the matches
+  useEffect(() => {
+    if (onQueryMatches) onQueryMatches(queryMatches);
+  }, [queryMatches, onQueryMatches]);
+  useEffect(() => () => onQueryMatches && onQueryMatches(null), [onQueryMatches]);
+
+  const matchKeys = queryMatches ? new Set(queryMatches) : null;
+  let shownKeys = null;
+  if (matchKeys) {
+    shownKeys = new Set();
+    matchKeys.forEach(matchKey => {
+      let current = matchKey;
+      while (current && current !== 'world' && !shownKeys.has(current)) {
+        shownKeys.add(current);
+        const flatIdx = isVolumeKey(current) ? findFlatIndex(geometries.volumes, current) : -1;
+        current = flatIdx >= 0 ? getParentKeyWrapper(geometries.volumes[flatIdx]) : null;
+      }
+    });
+  }
+
+  // Folders (display groups, union parts) are shown when anything in them is
+  const isShown = (item) => {
+    if (!shownKeys) return true;
+    if (item.volume) return shownKeys.has(item.key);
+    return (volumesByParent[item.key] || []).some(isShown);
+  };
+  const isExpanded = (key) => Boolean(shownKeys) || Boolean(expandedNodes[key]);
+
+  // Volume rows in the order they are drawn, filled by renderVolumeTree,
+  // for Shift-click range selection
+  const visibleRowKeys = [];
+
+  // Selected along with the primary selection (which is drawn in full blue)
+  const isCoSelected = (key) => key !== selectedGeometry && selectedGeometries.length > 1 && selectedGeometries.includes(key);
+
+  // Ctrl/Cmd-click toggles a volume in the selection; Shift-click selects
+  // the rows from the primary selection to this one
+  const handleRowClick = (e, key) => {
+    if (e.ctrlKey || e.metaKey) {
+      toggleSelection(key);
+    } else if (e.shiftKey && visibleRowKeys.includes(selectedGeometry)) {
+      const from = visibleRowKeys.indexOf(selectedGeometry);
+      const to = visibleRowKeys.indexOf(key);
+      setSelection(visibleRowKeys.slice(Math.min(from, to), Math.max(from, to) + 1), selectedGeometry);
+    } else {
+      // Clicking the only selected volume unselects it
+      onSelect(selectedGeometry === key && selectedGeometries.length <= 1 ? null : key);
+    }
+  };
+
   // Recursive function to render a volume and its children in the tree
   const renderVolumeTree = (parentKey, level = 0) => {
     // If this parent has no children, return null
@@ -276,7 +404,7 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
     }
     
     // Sort volumes alphabetically by g4name (if available) or name
-    const sortedVolumes = [...volumesByParent[parentKey]].sort((a, b) => {
+    const sortedVolumes = volumesByParent[parentKey].filter(isShown).sort((a, b) => {
       // Special case: Display group folders come first (alphabetically among themselves)
       if (a.isDisplayGroupFolder && b.isDisplayGroupFolder) return a.groupName.localeCompare(b.groupName);
       if (a.isDisplayGroupFolder) return -1;
@@ -332,7 +460,7 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
                   textAlign: 'center'
                 }}
               >
-                {expandedNodes[groupKey] ? '▼' : '►'}
+                {isExpanded(groupKey) ? '▼' : '►'}
               </span>
               <span style={{ marginRight: '5px', color: '#e6a817' }}>📁</span>
               <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={item.groupName}>{item.groupName}</span>
@@ -352,7 +480,7 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
                 👁️
               </span>
             </div>
-            {expandedNodes[groupKey] && renderVolumeTree(groupKey, level + 1)}
+            {isExpanded(groupKey) && renderVolumeTree(groupKey, level + 1)}
           </React.Fragment>
         );
       }
@@ -399,7 +527,7 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
                   textAlign: 'center'
                 }}
               >
-                {expandedNodes[partsKey] ? '▼' : '►'}
+                {isExpanded(partsKey) ? '▼' : '►'}
               </span>
               
               {/* Parts folder icon */}
@@ -410,7 +538,7 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
             </div>
             
             {/* Render parts if expanded */}
-            {expandedNodes[partsKey] && renderVolumeTree(partsKey, level + 1)}
+            {isExpanded(partsKey) && renderVolumeTree(partsKey, level + 1)}
           </React.Fragment>
         );
       }
@@ -421,15 +549,12 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
       
       // Check if volume is active (has a hits collection connected)
       const isActive = Boolean(volume.hitsCollectionName);
+      visibleRowKeys.push(key);
       
       return (
         <React.Fragment key={key}>
           <div 
-            onClick={() => {
-              // If this object is already selected, unselect it by setting selection to null
-              // Otherwise, select this object
-              onSelect(selectedGeometry === key ? null : key);
-            }}
+            onClick={(e) => handleRowClick(e, key)}
             onDoubleClick={(e) => {
               if (hasChildren) {
                 e.stopPropagation();
@@ -437,20 +562,27 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
               }
             }}
             onContextMenu={(e) => handleContextMenu(e, index)}
+            draggable={!isBooleanComponent}
+            onDragStart={(e) => handleDragStart(e, key)}
+            onDragEnd={handleDragEnd}
+            {...dropTargetHandlers(key)}
             style={{
               padding: '8px',
               paddingLeft: `${15 + level * 14}px`,
-              backgroundColor: selectedGeometry === key ? '#1976d2' : '#fff',
+              backgroundColor: selectedGeometry === key ? '#1976d2' : (isCoSelected(key) ? '#bbdefb' : (matchKeys?.has(key) ? '#fff8c4' : '#fff')),
               color: selectedGeometry === key ? '#fff' : '#000',
               borderRadius: '4px',
               cursor: 'pointer',
+              userSelect: 'none',
               marginBottom: '5px',
               display: 'flex',
               alignItems: 'center',
+              opacity: dragKey === key ? 0.5 : 1,
               ...(isBooleanComponent && {
                 borderLeft: '2px solid #1976d2',
-                backgroundColor: selectedGeometry === key ? '#1976d2' : '#f0f8ff'
-              })
+                backgroundColor: selectedGeometry === key ? '#1976d2' : (isCoSelected(key) ? '#bbdefb' : (matchKeys?.has(key) ? '#fff8c4' : '#f0f8ff'))
+              }),
+              ...dropTargetStyle(key)
             }}
           >
             {/* Expand/collapse icon - only show if node has children */}
@@ -466,7 +598,7 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
                   textAlign: 'center'
                 }}
               >
-                {expandedNodes[key] ? '▼' : '►'}
+                {isExpanded(key) ? '▼' : '►'}
               </span>
             )}
             {/* If no children, add spacing to align with nodes that have the toggle */}
@@ -521,7 +653,7 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
             </span>
           </div>
           {/* Only render children if node is expanded */}
-          {expandedNodes[key] && renderVolumeTree(key, level + 1)}
+          {isExpanded(key) && renderVolumeTree(key, level + 1)}
         </React.Fragment>
       );
     });
@@ -574,6 +706,22 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
           Update View
         </button>
       </div>
+      <label
+        title="When a volume is dragged onto a new parent, recompute its local position and rotation so it stays where it is"
+        style={{ display: 'flex', alignItems: 'center', gap: '4px', margin: '0 0 8px 0', fontSize: '12px', color: '#555' }}
+      >
+        <input type="checkbox" checked={keepWorldPose} onChange={(e) => setKeepWorldPose(e.target.checked)} />
+        Keep world position when moving
+      </label>
+      <TreeSearchBar
+        query={query}
+        onQueryChange={setQuery}
+        matches={queryMatches}
+        error={queryResult?.error || null}
+        onSelectAll={() => setSelection(queryMatches)}
+        savedQueries={jsonData?.savedQueries}
+        onUpdateSavedQueries={handleUpdateSavedQueries}
+      />
       
       {/* SaveObjectDialog for saving objects with a nicer interface - using the same component as GeometryEditor */}
       <SaveObjectDialog
@@ -756,6 +904,7 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
               }
             }
           }}
+          {...dropTargetHandlers(scopeRoot)}
           style={{
             padding: '8px',
             backgroundColor: (selectedGeometry === scopeRoot) ? '#1976d2' : '#fff',
@@ -764,7 +913,8 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
             cursor: 'pointer',
             marginBottom: '5px',
             display: 'flex',
-            alignItems: 'center'
+            alignItems: 'center',
+            ...dropTargetStyle(scopeRoot)
           }}
         >
           {/* Back arrow when scoped in */}
@@ -803,14 +953,14 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
               textAlign: 'center'
             }}
           >
-            {expandedNodes[scopeRoot] ? '▼' : '►'}
+            {isExpanded(scopeRoot) ? '▼' : '►'}
           </span>
           <span style={{ marginRight: '5px' }}>{scopeRoot === 'world' ? '🌐' : ''}</span>
           <strong>{getScopeLabel(scopeRoot)}</strong>
         </div>
         
         {/* Render tree from scope root */}
-        {expandedNodes[scopeRoot] && renderVolumeTree(scopeRoot)}
+        {isExpanded(scopeRoot) && renderVolumeTree(scopeRoot)}
       </div>
       
       {/* Context Menu */}
@@ -868,6 +1018,25 @@ export default function GeometryTree({ geometries, selectedGeometry, onSelect, o
               </div>
           )}
 
+          {/* Generate many placements in a pattern (row, grid, ring, …) */}
+          {onOpenPattern && geometries.volumes[contextMenu.volumeIndex] &&
+           geometries.volumes[contextMenu.volumeIndex]._componentIndex === undefined && (
+              <div
+                onClick={() => {
+                  const volumeKey = geometries.volumes[contextMenu.volumeIndex]?._id;
+                  onOpenPattern(volumeKey);
+                  handleCloseContextMenu();
+                }}
+                style={{
+                  padding: '8px 16px',
+                  cursor: 'pointer',
+                  hover: { backgroundColor: '#f5f5f5' }
+                }}
+              >
+                Placement Pattern...
+              </div>
+          )}
+
           {/* Duplicate volume definition (independent copy) */}
           {geometries.volumes[contextMenu.volumeIndex] &&
            geometries.volumes[contextMenu.volumeIndex]._componentIndex === undefined && (
@@ -5,12 +5,33 @@ import * as THREE from 'three';
 import TransformableObject from './components/TransformableObject';
 import CoordinateSystem from './components/CoordinateSystem';
 import CameraSetup from './components/CameraSetup';
+import SelectionTransform from './components/SelectionTransform';
+import ClippingPlanes from './components/ClippingPlanes';
+import MeasureTool from './components/MeasureTool';
+import InstancedVolumes from './components/InstancedVolumes';
+import { planInstancing, poseMatrix } from './utils/instancing';
+import { selectionPivot } from './utils/selectionUtils';
 import { debugLog } from '../../utils/logger';
 
 // Scene component with all 3D elements
 
+// Whether a volume sits in the named assembly, at any depth of nesting
+const isInAssembly = (volume, assemblyName, byName) => {
+  const seen = new Set();
+  for (let name = volume.mother_volume; name && !seen.has(name); ) {
+    seen.add(name);
+    const mother = byName.get(name);
+    if (!mother) return false;
+    if (mother.type === 'assembly' && mother.name === assemblyName) return true;
+    name = mother.mother_volume;
+  }
+  return false;
+};
+
 // Simple Scene component with flat object structure
-export default function Scene({ geometries, selectedGeometry, onSelect, setFrontViewCamera, transformMode, onTransformEnd, worldSize, materials, scopeRoot }) {
+export default function Scene({ geometries, selectedGeometry, onSelect, setFrontViewCamera, transformMode, onTransformEnd, onDraggingChanged, worldSize, materials, scopeRoot, highlightedKeys = [], highlightRegion = null, patternPreview = null, diffOverlay = null, selectedGeometries = [], onTransformSelection, clipping = null, measure = null }) {
+  // Group holding the volumes, so clip planes reach them and nothing else
+  const volumesRef = useRef(null);
   // Track which objects are source objects (objects that have been loaded from files)
   const [sourceObjects, setSourceObjects] = useState({});
   
@@ -293,6 +314,16 @@ export default function Scene({ geometries, selectedGeometry, onSelect, setFront
   // When scoped to a specific node, compute the set of volume names that are
   // descendants of that node (BFS via mother_volume). Volumes outside this set
   // will be hidden in the 3D view.
+  // With several volumes selected, each gets an outline and one gizmo
+  // moves them all about their common pivot
+  const isMultiSelection = selectedGeometries.length > 1;
+  const selectedKeys = React.useMemo(() => new Set(selectedGeometries), [selectedGeometries]);
+  const highlightedKeySet = React.useMemo(() => new Set(highlightedKeys), [highlightedKeys]);
+  const selectionCenter = React.useMemo(
+    () => (isMultiSelection ? selectionPivot(selectedGeometries, geometries) : null),
+    [isMultiSelection, selectedGeometries, geometries]
+  );
+
   const scopeVisibleNames = React.useMemo(() => {
     if (!scopeRoot || scopeRoot === 'world' || !geometries.volumes) return null;
     // Find the scope root volume
@@ -320,17 +351,53 @@ export default function Scene({ geometries, selectedGeometry, onSelect, setFront
     return names;
   }, [scopeRoot, geometries.volumes]);
 
+  // Repeated placements are drawn instanced. The selected volume, and the
+  // contents of a selected assembly, are drawn on their own so the gizmo
+  // can move them.
+  const instancing = React.useMemo(() => {
+    const volumes = geometries.volumes || [];
+    const selectedVolume = volumes.find(v => v._id === selectedGeometry);
+    const selectedAssembly = selectedVolume?.type === 'assembly' ? selectedVolume.name : null;
+    const byName = new Map(volumes.map(v => [v.name, v]));
+    const plan = planInstancing(volumes, {
+      exclude: (volume) => volume._id === selectedGeometry ||
+        (selectedAssembly !== null && isInAssembly(volume, selectedAssembly, byName)) ||
+        (scopeVisibleNames !== null && !scopeVisibleNames.has(volume.name)),
+    });
+    const nameToIndex = {};
+    volumes.forEach((v, i) => { if (v.name) nameToIndex[v.name] = i; });
+    const groups = plan.groups.map(group => ({
+      ...group,
+      members: group.members.map(volume => {
+        const { position, rotation } = calculateWorldPosition(volume, new Set(), geometries, nameToIndex);
+        return { key: volume._id, name: volume.name, matrix: poseMatrix(position, rotation) };
+      }),
+    }));
+    return { groups, keys: plan.keys, names: plan.names };
+  }, [geometries, selectedGeometry, scopeVisibleNames]);
+  // Outlined placements among the instanced ones
+  const outlinedKeySet = React.useMemo(
+    () => (isMultiSelection ? new Set([...highlightedKeySet, ...selectedKeys]) : highlightedKeySet),
+    [isMultiSelection, highlightedKeySet, selectedKeys]
+  );
+
   // Render all volumes in a flat structure
   const renderVolumes = () => {
     if (!geometries.volumes) return null;
     
     return geometries.volumes.map((volume, index) => {
+      // Highlighted volumes (an overlap pair, search matches) render like selected ones
+      const isHighlighted = highlightedKeySet.has(volume._id) || (isMultiSelection && selectedKeys.has(volume._id));
+      // Drawn with the other placements of its definition
+      if (instancing.keys.has(volume._id)) {
+        return null;
+      }
       // Skip rendering components of unions (they'll be rendered by their parent union)
       // Only use the explicit is_boolean_component flag - no backward compatibility
       if (volume._is_boolean_component === true) {
         // Exception: If this boolean component is currently selected, render it anyway
         // This allows users to see and interact with the component when selected in the tree
-        const isSelected = selectedGeometry === volume._id;
+        const isSelected = selectedGeometry === volume._id || selectedKeys.has(volume._id) || isHighlighted;
         
         if (!isSelected) {
           // Return null for boolean components to maintain indices but not render them
@@ -345,7 +412,7 @@ export default function Scene({ geometries, selectedGeometry, onSelect, setFront
       // Exception: union compound types render via their own components.
       if (assemblyDescendantNames.has(volume.name) && volume.type !== 'assembly'
           && volume.type !== 'union') {
-        const isSelected = selectedGeometry === volume._id;
+        const isSelected = selectedGeometry === volume._id || selectedKeys.has(volume._id) || isHighlighted;
         if (!isSelected) {
           return null;
         }
@@ -378,34 +445,38 @@ export default function Scene({ geometries, selectedGeometry, onSelect, setFront
       const euler = new THREE.Euler(rotX, rotY, rotZ, 'XYZ');
       
       return (
-        <TransformableObject 
-          key={key}
-          object={{
-            ...volume,
-            // Use calculated world position for rendering
-            calculatedWorldPosition: {
-              x: worldTransform.position[0],
-              y: worldTransform.position[1],
-              z: worldTransform.position[2]
-            },
-            calculatedWorldRotation: {
-              x: worldTransform.rotation[0],
-              y: worldTransform.rotation[1],
-              z: worldTransform.rotation[2]
-            }
-          }}
-          objectKey={key}
-          isSelected={selectedGeometry === key}
-          transformMode={transformMode}
-          onSelect={() => onSelect(key)}
-          isMotherVolume={isMotherVolume}
-          worldPosition={worldTransform.position}
-          worldRotation={[euler.x, euler.y, euler.z]}
-          isSourceObject={sourceObjects[key] === true}
-          onTransformEnd={(objKey, updatedProps, keepSelected, isLiveUpdate) => handleVolumeTransform(objKey, updatedProps, keepSelected, isLiveUpdate)}
-          materials={materials}
-          volumes={geometries.volumes}
-        />
+        <group key={key} userData={{ volumeName: volume.name }}>
+          <TransformableObject 
+            object={{
+              ...volume,
+              // Use calculated world position for rendering
+              calculatedWorldPosition: {
+                x: worldTransform.position[0],
+                y: worldTransform.position[1],
+                z: worldTransform.position[2]
+              },
+              calculatedWorldRotation: {
+                x: worldTransform.rotation[0],
+                y: worldTransform.rotation[1],
+                z: worldTransform.rotation[2]
+              }
+            }}
+            objectKey={key}
+            isSelected={!isMultiSelection && selectedGeometry === key}
+            isHighlighted={isHighlighted}
+            transformMode={transformMode}
+            onSelect={(event) => onSelect(key, event)}
+            isMotherVolume={isMotherVolume}
+            worldPosition={worldTransform.position}
+            worldRotation={[euler.x, euler.y, euler.z]}
+            isSourceObject={sourceObjects[key] === true}
+            onTransformEnd={(objKey, updatedProps, keepSelected, isLiveUpdate) => handleVolumeTransform(objKey, updatedProps, keepSelected, isLiveUpdate)}
+            onDraggingChanged={onDraggingChanged}
+            materials={materials}
+            volumes={geometries.volumes}
+            instancedNames={instancing.names}
+          />
+        </group>
       );
     });
   };
@@ -444,7 +515,74 @@ export default function Scene({ geometries, selectedGeometry, onSelect, setFront
       )}
       
       {/* Render all volumes in a flat structure */}
-      {renderVolumes()}
+      <group ref={volumesRef}>
+        {renderVolumes()}
+        {instancing.groups.map(group => (
+          <InstancedVolumes
+            key={group.key}
+            prototype={group.prototype}
+            members={group.members}
+            highlightedKeys={outlinedKeySet}
+            materials={materials}
+            volumes={geometries.volumes}
+            onSelect={onSelect}
+          />
+        ))}
+      </group>
+
+      {/* Section planes, their caps and gizmo */}
+      {clipping && clipping.planes.length > 0 && (
+        <ClippingPlanes
+          volumesRef={volumesRef}
+          geometries={geometries}
+          materials={materials}
+          worldSize={worldSize}
+          {...clipping}
+        />
+      )}
+
+      {/* Measure and probe modes */}
+      {measure && (
+        <MeasureTool volumesRef={volumesRef} geometries={geometries} {...measure} />
+      )}
+
+      {selectionCenter && onTransformSelection && (
+        <SelectionTransform
+          pivot={selectionCenter}
+          transformMode={transformMode}
+          onTransform={onTransformSelection}
+        />
+      )}
+
+      {/* Offending region of the highlighted overlap, drawn on top */}
+      {highlightRegion && (
+        <mesh geometry={highlightRegion} renderOrder={999}>
+          <meshBasicMaterial color="#ff0000" transparent={true} opacity={0.6} depthTest={false} />
+        </mesh>
+      )}
+
+      {/* Volumes that differ in the compare panel, coloured by kind of change */}
+      {diffOverlay && diffOverlay.map((item, i) => (
+        <mesh key={`diff-${i}`} geometry={item.geometry} renderOrder={997}>
+          <meshBasicMaterial color={item.color} transparent={true} opacity={0.45} depthWrite={false} />
+        </mesh>
+      ))}
+
+      {/* Placement pattern being edited; markers for volumes without a mesh */}
+      {patternPreview && patternPreview.matrices.map((matrix, i) => (
+        <mesh
+          key={`pattern-${i}`}
+          geometry={patternPreview.geometry || undefined}
+          matrix={matrix}
+          matrixAutoUpdate={false}
+          renderOrder={998}
+        >
+          {!patternPreview.geometry && (
+            <sphereGeometry args={[Math.max(worldSize.x, worldSize.y, worldSize.z) / 200, 12, 8]} />
+          )}
+          <meshBasicMaterial color="#00a040" transparent={true} opacity={0.35} depthWrite={false} />
+        </mesh>
+      ))}
     </>
   );
 }
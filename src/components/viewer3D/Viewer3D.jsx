@@ -1,13 +1,40 @@
-import React, { useState } from 'react';
-import { Canvas } from '@react-three/fiber';
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { Canvas, useThree } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
 import Scene from './Scene';
 import GeometryTree from './GeometryTree';
 import CameraSetup from './components/CameraSetup';
+import OverlapPanel from './components/OverlapPanel';
+import MassReportDialog from './components/MassReportDialog';
+import PatternPanel from './components/PatternPanel';
+import ComparePanel from './components/ComparePanel';
+import ClippingPanel from './components/ClippingPanel';
+import MeasurePanel from './components/MeasurePanel';
 import ErrorBoundary from '../app/ErrorBoundary';
 import { debugLog } from '../../utils/logger';
 import { useAppContext } from '../../contexts/useAppContext';
 import { isVolumeKey, findFlatIndex } from '../../utils/expandToFlat';
+import { transformSelection, volumesInScreenRect } from './utils/selectionUtils';
+import { subtreeNames } from './utils/clipping';
+import { captureCameraView, applyCameraView } from './utils/cameraViews';
+
+// Hands the canvas camera and orbit controls to code outside the Canvas
+// (box selection, saved views)
+const CameraTracker = ({ threeRef }) => {
+  const { camera, controls } = useThree();
+  useEffect(() => {
+    threeRef.current = { camera, controls };
+  }, [camera, controls, threeRef]);
+  return null;
+};
+
+const NO_CLIPPING = { planes: [], showCaps: true, subtrees: null };
+
+// Ctrl/Cmd or Shift held during a click, for DOM and three.js events alike
+const isMultiSelectClick = (event) => {
+  const nativeEvent = event?.nativeEvent || event;
+  return Boolean(nativeEvent && (nativeEvent.ctrlKey || nativeEvent.metaKey || nativeEvent.shiftKey));
+};
 
 /**
  * 3D viewer and geometry tree panel.
@@ -20,18 +47,172 @@ const Viewer3D = () => {
     setSelectedGeometry: onSelect,
     handleUpdateGeometry: onUpdateGeometry,
     materials,
+    jsonData,
+    handleAddPlacementPattern,
+    hitCollections,
+    handleApplyMergedProject,
+    selectedGeometries,
+    setSelection,
+    toggleSelection,
+    handleTransformSelection,
+    handleUpdateSavedViews,
+    beginUndoGroup,
+    endUndoGroup,
   } = useAppContext();
   const [transformMode, setTransformMode] = useState('translate');
   const [cameraControls, setCameraControls] = useState(null);
   const [scopeRoot, setScopeRoot] = useState('world');
+  const [showOverlapPanel, setShowOverlapPanel] = useState(false);
+  // { keys, region } of the overlap result picked in the panel
+  const [overlapHighlight, setOverlapHighlight] = useState(null);
+  const [showMassReport, setShowMassReport] = useState(false);
+  // Keys of the volumes matching the geometry tree search, or null
+  const [queryMatches, setQueryMatches] = useState(null);
+  // Volume key the placement pattern panel is open for, and its preview
+  const [patternSource, setPatternSource] = useState(null);
+  const [patternPreview, setPatternPreview] = useState(null);
+  const [showComparePanel, setShowComparePanel] = useState(false);
+  // [{ geometry, color }] of the volumes the comparison or merge touches
+  const [diffOverlay, setDiffOverlay] = useState(null);
+  // Box selection mode and the rectangle being dragged, in pixels
+  // relative to the viewer: { x0, y0, x1, y1, additive }
+  const [boxSelect, setBoxSelect] = useState(false);
+  const [selectionBox, setSelectionBox] = useState(null);
+  const threeRef = useRef(null);
+  // Section planes: { planes, showCaps, subtrees } (see utils/clipping.js)
+  const [clipping, setClipping] = useState(NO_CLIPPING);
+  const [showClippingPanel, setShowClippingPanel] = useState(false);
+  const [activeClipPlane, setActiveClipPlane] = useState(null);
+  const [clipGizmoMode, setClipGizmoMode] = useState('translate');
+  // Measure mode ('distance', 'angle' or 'probe', null when off), the
+  // points picked so far and the units they are shown in
+  const [measureMode, setMeasureMode] = useState(null);
+  const [measurePoints, setMeasurePoints] = useState([]);
+  const [lengthUnit, setLengthUnit] = useState('mm');
+  const [angleUnit, setAngleUnit] = useState('deg');
+  const clipScopeNames = useMemo(
+    () => (clipping.subtrees && geometries?.volumes ? subtreeNames(geometries.volumes, clipping.subtrees) : null),
+    [clipping.subtrees, geometries]
+  );
+  // The editor's project in saved-project shape, as the compare panel's "Current"
+  const currentProject = useMemo(
+    () => (jsonData ? { ...jsonData, materials, hitCollections } : null),
+    [jsonData, materials, hitCollections]
+  );
   
   // Handle canvas click to deselect
   const handleCanvasClick = (e) => {
-    if (selectedGeometry && e.target === e.currentTarget) {
+    if (selectedGeometry && !measureMode && e.target === e.currentTarget) {
       onSelect(null);
     }
   };
   
+  // Clicking a volume selects it; with Ctrl/Cmd or Shift it is added to
+  // or taken out of the selection
+  const handleSceneSelect = (key, event) => {
+    // Clicks pick points while measuring
+    if (measureMode) return;
+    if (isMultiSelectClick(event)) toggleSelection(key);
+    else onSelect(key);
+  };
+
+  // The multi-selection gizmo was released: delta is its world transform
+  const handleSelectionTransform = (delta) => {
+    const updates = transformSelection(selectedGeometries, delta, geometries);
+    const actionName = transformMode === 'rotate' ? 'Rotate' : 'Move';
+    handleTransformSelection(updates, `${actionName} ${updates.length} volume${updates.length === 1 ? '' : 's'}`);
+  };
+
+  const boxPoint = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    return { x: e.clientX - bounds.left, y: e.clientY - bounds.top, width: bounds.width, height: bounds.height };
+  };
+
+  const handleBoxPointerDown = (e) => {
+    const { x, y } = boxPoint(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setSelectionBox({ x0: x, y0: y, x1: x, y1: y, additive: isMultiSelectClick(e) });
+  };
+
+  const handleBoxPointerMove = (e) => {
+    if (!selectionBox) return;
+    const { x, y } = boxPoint(e);
+    setSelectionBox(box => ({ ...box, x1: x, y1: y }));
+  };
+
+  const handleBoxPointerUp = (e) => {
+    const box = selectionBox;
+    setSelectionBox(null);
+    const camera = threeRef.current?.camera;
+    if (!box || !camera) return;
+    const { width, height } = boxPoint(e);
+    const toNdcX = (px) => (px / width) * 2 - 1;
+    const toNdcY = (py) => 1 - (py / height) * 2;
+    const keys = volumesInScreenRect(geometries, camera, {
+      left: toNdcX(Math.min(box.x0, box.x1)),
+      right: toNdcX(Math.max(box.x0, box.x1)),
+      bottom: toNdcY(Math.max(box.y0, box.y1)),
+      top: toNdcY(Math.min(box.y0, box.y1)),
+    });
+    const previous = box.additive ? selectedGeometries.filter(key => key !== 'world') : [];
+    const combined = [...previous, ...keys.filter(key => !previous.includes(key))];
+    if (combined.length > 0) setSelection(combined);
+    else onSelect(null);
+  };
+
+  const toggleMeasure = () => {
+    setMeasureMode(mode => (mode ? null : 'distance'));
+    setMeasurePoints([]);
+    setBoxSelect(false);
+  };
+
+  const changeMeasureMode = (mode) => {
+    setMeasureMode(mode);
+    setMeasurePoints([]);
+  };
+
+  // A point was picked: a finished measurement starts over, the probe
+  // keeps only its latest reading
+  const handleMeasurePick = useCallback((pick) => {
+    const needed = measureMode === 'angle' ? 3 : measureMode === 'probe' ? 1 : 2;
+    setMeasurePoints(points => (points.length >= needed ? [pick] : [...points, pick]));
+  }, [measureMode]);
+
+  // A clip plane gizmo was dragged
+  const handleClipPlaneChange = (id, patch) => {
+    setClipping(current => ({
+      ...current,
+      planes: current.planes.map(plane => (plane.id === id ? { ...plane, ...patch } : plane)),
+    }));
+  };
+
+  const handleSaveView = (name) => {
+    const { camera, controls } = threeRef.current || {};
+    if (!camera) return;
+    handleUpdateSavedViews({ ...(jsonData?.savedViews || {}), [name]: captureCameraView(camera, controls, clipping) });
+  };
+
+  const handleRestoreView = (name) => {
+    const view = jsonData?.savedViews?.[name];
+    const { camera, controls } = threeRef.current || {};
+    if (!view || !camera) return;
+    applyCameraView(view, camera, controls);
+    const restored = { ...NO_CLIPPING, ...view.clipping };
+    setClipping(restored);
+    setActiveClipPlane(restored.planes[0]?.id || null);
+  };
+
+  const handleDeleteView = (name) => {
+    const { [name]: _removed, ...rest } = jsonData?.savedViews || {};
+    handleUpdateSavedViews(rest);
+  };
+
+  // A gizmo drag starts or ends
+  const handleDraggingChanged = (dragging) => {
+    if (dragging) beginUndoGroup();
+    else endUndoGroup();
+  };
+
   // Handle transform end - completely rewritten to fix selection issues
   const handleTransformEnd = (objectKey, updates, keepSelected = true, isSourceUpdate = false) => {
     debugLog(`Transform end for ${objectKey}, keepSelected: ${keepSelected}, isSourceUpdate: ${isSourceUpdate}`);
@@ -92,8 +273,8 @@ const Viewer3D = () => {
       if (updates.innerRadius !== undefined) updatedObject.innerRadius = updates.innerRadius;
     }
     
-    // Update radius for sphere
-    if (updatedObject.type === 'sphere' && updates.radius !== undefined) {
+    // Update radius for sphere and orb
+    if ((updatedObject.type === 'sphere' || updatedObject.type === 'orb') && updates.radius !== undefined) {
       updatedObject.radius = updates.radius;
     }
     
@@ -119,14 +300,37 @@ const Viewer3D = () => {
       if (updates.dz !== undefined) updatedObject.dz = updates.dz;
     }
     
-    // Update properties for polycone
-    if (updatedObject.type === 'polycone' && updates.zSections) {
+    // Update properties for cone
+    if (updatedObject.type === 'cone') {
+      ['radiusBottom', 'radiusTop', 'innerRadiusBottom', 'innerRadiusTop', 'height'].forEach(key => {
+        if (updates[key] !== undefined) updatedObject[key] = updates[key];
+      });
+    }
+    
+    // Update properties for elliptical tube
+    if (updatedObject.type === 'elliptical_tube') {
+      if (updates.dx !== undefined) updatedObject.dx = updates.dx;
+      if (updates.dy !== undefined) updatedObject.dy = updates.dy;
+      if (updates.dz !== undefined) updatedObject.dz = updates.dz;
+    }
+    
+    // Update properties for polycone and polyhedra
+    if ((updatedObject.type === 'polycone' || updatedObject.type === 'polyhedra') && updates.zSections) {
       updatedObject.zSections = updates.zSections;
     }
+    if (updatedObject.type === 'polyhedra' && updates.numSides !== undefined) {
+      updatedObject.numSides = updates.numSides;
+    }
     
     // Update the geometry WITHOUT changing selection
-    // The third parameter (false) is critical - it tells onUpdateGeometry not to change selection
-    onUpdateGeometry(objectKey, updatedObject, false);
+    // The third parameter (false) is critical - it tells onUpdateGeometry not to change selection.
+    // Live drag updates share a coalesce key so one drag (an undo group, see
+    // handleDraggingChanged) becomes one undo step.
+    const actionName = transformMode === 'rotate' ? 'Rotate' : 'Move';
+    onUpdateGeometry(objectKey, updatedObject, false, {
+      label: `${actionName} ${currentObject.name}`,
+      coalesceKey: `transform:${objectKey}`,
+    });
     
     // CRITICAL: Force selection of the object again AFTER the update
     // This ensures it stays selected even if something in the update process changed it
@@ -167,6 +371,9 @@ const Viewer3D = () => {
     }
   };
   
+  const patternSourceIndex = patternSource ? findFlatIndex(geometries?.volumes || [], patternSource) : -1;
+  const patternSourceVolume = patternSourceIndex >= 0 ? geometries.volumes[patternSourceIndex] : null;
+
   // Get world size for use in children
   const worldSize = geometries && geometries.world && geometries.world.size ? geometries.world.size : { x: 1000, y: 1000, z: 1000 };
 
@@ -186,6 +393,8 @@ const Viewer3D = () => {
           onUpdateGeometry={onUpdateGeometry}
           scopeRoot={scopeRoot}
           setScopeRoot={setScopeRoot}
+          onOpenPattern={setPatternSource}
+          onQueryMatches={setQueryMatches}
         />
       </div>
       
@@ -239,6 +448,37 @@ const Viewer3D = () => {
           >
             Scale
           </button>
+          <button 
+            onClick={() => {
+              setBoxSelect(active => !active);
+              setMeasureMode(null);
+            }}
+            title="Drag a rectangle to select the volumes in it (Shift/Ctrl adds to the selection)"
+            style={{
+              backgroundColor: boxSelect ? '#1976d2' : '#f1f1f1',
+              color: boxSelect ? 'white' : 'black',
+              border: 'none',
+              padding: '5px 10px',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Box Select
+          </button>
+          <button 
+            onClick={toggleMeasure}
+            title="Measure distances and angles, or probe volumes under the cursor"
+            style={{
+              backgroundColor: measureMode ? '#1976d2' : '#f1f1f1',
+              color: measureMode ? 'white' : 'black',
+              border: 'none',
+              padding: '5px 10px',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Measure
+          </button>
         </div>
         
         {/* Front view button - bottom left */}
@@ -246,7 +486,9 @@ const Viewer3D = () => {
           position: 'absolute',
           bottom: '10px',
           left: '10px',
-          zIndex: 100
+          zIndex: 100,
+          display: 'flex',
+          gap: '5px'
         }}>
           <button 
             onClick={() => cameraControls?.setFrontView()}
@@ -261,7 +503,165 @@ const Viewer3D = () => {
           >
             Front View
           </button>
+          <button 
+            onClick={() => {
+              setShowOverlapPanel(open => !open);
+              setShowComparePanel(false);
+              setShowClippingPanel(false);
+            }}
+            style={{
+              backgroundColor: showOverlapPanel ? '#1976d2' : '#f1f1f1',
+              color: showOverlapPanel ? 'white' : 'black',
+              border: 'none',
+              padding: '5px 10px',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Check Overlaps
+          </button>
+          <button 
+            onClick={() => setShowMassReport(true)}
+            style={{
+              backgroundColor: '#f1f1f1',
+              color: 'black',
+              border: 'none',
+              padding: '5px 10px',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Mass Report
+          </button>
+          <button 
+            onClick={() => {
+              setShowComparePanel(open => !open);
+              setShowOverlapPanel(false);
+              setShowClippingPanel(false);
+            }}
+            style={{
+              backgroundColor: showComparePanel ? '#1976d2' : '#f1f1f1',
+              color: showComparePanel ? 'white' : 'black',
+              border: 'none',
+              padding: '5px 10px',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Compare / Merge
+          </button>
+          <button 
+            onClick={() => {
+              setShowClippingPanel(open => !open);
+              setShowOverlapPanel(false);
+              setShowComparePanel(false);
+            }}
+            style={{
+              backgroundColor: showClippingPanel || clipping.planes.length > 0 ? '#1976d2' : '#f1f1f1',
+              color: showClippingPanel || clipping.planes.length > 0 ? 'white' : 'black',
+              border: 'none',
+              padding: '5px 10px',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Clipping
+          </button>
         </div>
+
+        {showOverlapPanel && (
+          <OverlapPanel
+            geometries={geometries}
+            onSelect={onSelect}
+            onHighlight={setOverlapHighlight}
+            onClose={() => setShowOverlapPanel(false)}
+          />
+        )}
+
+        {showComparePanel && (
+          <ComparePanel
+            currentProject={currentProject}
+            onOverlay={setDiffOverlay}
+            onApplyMerge={handleApplyMergedProject}
+            onClose={() => setShowComparePanel(false)}
+          />
+        )}
+
+        {showClippingPanel && (
+          <ClippingPanel
+            clipping={clipping}
+            onChange={setClipping}
+            activePlaneId={activeClipPlane}
+            onActivePlane={setActiveClipPlane}
+            gizmoMode={clipGizmoMode}
+            onGizmoMode={setClipGizmoMode}
+            selectedNames={selectedGeometries
+              .map(key => geometries.volumes[findFlatIndex(geometries.volumes, key)]?.name)
+              .filter(Boolean)}
+            worldSize={worldSize}
+            savedViews={jsonData?.savedViews}
+            onSaveView={handleSaveView}
+            onRestoreView={handleRestoreView}
+            onDeleteView={handleDeleteView}
+            onClose={() => setShowClippingPanel(false)}
+          />
+        )}
+
+        {measureMode && (
+          <MeasurePanel
+            mode={measureMode}
+            onModeChange={changeMeasureMode}
+            points={measurePoints}
+            lengthUnit={lengthUnit}
+            onLengthUnit={setLengthUnit}
+            angleUnit={angleUnit}
+            onAngleUnit={setAngleUnit}
+            onClear={() => setMeasurePoints([])}
+            onClose={toggleMeasure}
+          />
+        )}
+
+        {patternSourceVolume && (
+          <PatternPanel
+            key={patternSource}
+            volume={patternSourceVolume}
+            geometries={geometries}
+            jsonData={jsonData}
+            onPreview={setPatternPreview}
+            onApply={(placements) => handleAddPlacementPattern(patternSource, placements)}
+            onClose={() => setPatternSource(null)}
+          />
+        )}
+
+        {/* Box selection: catches the drag so the camera does not move */}
+        {boxSelect && (
+          <div
+            onPointerDown={handleBoxPointerDown}
+            onPointerMove={handleBoxPointerMove}
+            onPointerUp={handleBoxPointerUp}
+            style={{ position: 'absolute', inset: 0, zIndex: 50, cursor: 'crosshair' }}
+          >
+            {selectionBox && (
+              <div style={{
+                position: 'absolute',
+                left: Math.min(selectionBox.x0, selectionBox.x1),
+                top: Math.min(selectionBox.y0, selectionBox.y1),
+                width: Math.abs(selectionBox.x1 - selectionBox.x0),
+                height: Math.abs(selectionBox.y1 - selectionBox.y0),
+                border: '1px dashed #1976d2',
+                backgroundColor: 'rgba(25, 118, 210, 0.1)',
+                pointerEvents: 'none'
+              }} />
+            )}
+          </div>
+        )}
+
+        <MassReportDialog
+          open={showMassReport}
+          geometries={geometries}
+          materials={materials}
+          onClose={() => setShowMassReport(false)}
+        />
         
         <ErrorBoundary
           title="3D Viewer Error"
@@ -278,16 +678,40 @@ const Viewer3D = () => {
           }}
         >
           <CameraSetup setFrontViewCamera={setCameraControls} worldSize={geometries.world.size} />
+          <CameraTracker threeRef={threeRef} />
           <Scene 
             geometries={geometries}
             selectedGeometry={selectedGeometry}
-            onSelect={onSelect}
+            selectedGeometries={selectedGeometries}
+            onSelect={handleSceneSelect}
+            onTransformSelection={handleSelectionTransform}
             setFrontViewCamera={setCameraControls}
             transformMode={transformMode}
             onTransformEnd={handleTransformEnd}
+            onDraggingChanged={handleDraggingChanged}
             worldSize={worldSize}
             materials={materials}
             scopeRoot={scopeRoot}
+            highlightedKeys={overlapHighlight?.keys || queryMatches || undefined}
+            highlightRegion={overlapHighlight?.region}
+            patternPreview={patternPreview}
+            diffOverlay={diffOverlay}
+            clipping={{
+              planes: clipping.planes,
+              showCaps: clipping.showCaps,
+              scopeNames: clipScopeNames,
+              showHelpers: showClippingPanel,
+              activePlaneId: activeClipPlane,
+              gizmoMode: clipGizmoMode,
+              onPlaneChange: handleClipPlaneChange,
+            }}
+            measure={measureMode ? {
+              mode: measureMode,
+              points: measurePoints,
+              lengthUnit,
+              angleUnit,
+              onPick: handleMeasurePick,
+            } : null}
           />
           <OrbitControls 
             makeDefault 
@@ -7,13 +7,14 @@
  * assembly itself; here we only deal with the *local* positions of the
  * children relative to the assembly origin.
  *
- * Supported child types: box, cylinder, sphere, trapezoid, torus, ellipsoid,
- * polycone, cone.
+ * Supported child types: box, cylinder, sphere, orb, trapezoid, torus,
+ * ellipsoid, elliptical_tube, polycone, polyhedra, cone.
  */
 import React, { forwardRef, useMemo } from 'react';
 import * as THREE from 'three';
 import { Html } from '@react-three/drei';
 import { debugLog } from '../../../utils/logger.js';
+import { createGeometryForVolume } from '../utils/solidGeometries';
 
 // ---------------------------------------------------------------------------
 // Helper – material colour
@@ -37,86 +38,6 @@ const getMaterialOpacity = (materialName, materials) => {
   return 0.7;
 };
 
-// ---------------------------------------------------------------------------
-// Helper – create THREE geometry from a volume's properties
-// ---------------------------------------------------------------------------
-const createGeometryForVolume = (vol) => {
-  switch (vol.type) {
-    case 'box': {
-      const sx = vol.size?.x || 10;
-      const sy = vol.size?.y || 10;
-      const sz = vol.size?.z || 10;
-      return new THREE.BoxGeometry(sx, sy, sz);
-    }
-    case 'cylinder': {
-      const r = vol.radius || 5;
-      const h = vol.height || 10;
-      const innerR = vol.innerRadius || 0;
-      if (innerR > 0) {
-        const shape = new THREE.Shape();
-        shape.absarc(0, 0, r, 0, Math.PI * 2, false);
-        const hole = new THREE.Path();
-        hole.absarc(0, 0, innerR, 0, Math.PI * 2, true);
-        shape.holes.push(hole);
-        const geom = new THREE.ExtrudeGeometry(shape, {
-          depth: h,
-          bevelEnabled: false,
-          curveSegments: 32,
-        });
-        geom.translate(0, 0, -h / 2);
-        return geom;
-      }
-      const geom = new THREE.CylinderGeometry(r, r, h, 32);
-      geom.rotateX(Math.PI / 2);          // Geant4 convention: height along z
-      return geom;
-    }
-    case 'sphere': {
-      const r = vol.radius || 5;
-      return new THREE.SphereGeometry(r, 32, 32);
-    }
-    case 'trapezoid': {
-      // Approximate as a box using average half-widths
-      const dx1 = vol.dx1 || 50;
-      const dx2 = vol.dx2 || 50;
-      const dy1 = vol.dy1 || 50;
-      const dy2 = vol.dy2 || 50;
-      const dz  = vol.dz  || 50;
-      return new THREE.BoxGeometry(dx1 + dx2, dy1 + dy2, dz);
-    }
-    case 'torus': {
-      const R = vol.majorRadius || 50;
-      const r = vol.minorRadius || 10;
-      return new THREE.TorusGeometry(R, r, 16, 48);
-    }
-    case 'ellipsoid': {
-      const geom = new THREE.SphereGeometry(1, 32, 16);
-      geom.scale(vol.xRadius || 50, vol.yRadius || 30, vol.zRadius || 40);
-      return geom;
-    }
-    case 'polycone': {
-      // Simple polycone: build from z-sections using LatheGeometry
-      const sections = vol.zSections;
-      if (sections && sections.length >= 2) {
-        const points = sections.map(s => new THREE.Vector2(s.rMax || 0, s.z || 0));
-        const geom = new THREE.LatheGeometry(points, 48);
-        geom.rotateX(Math.PI / 2);        // Geant4 convention: axis along z
-        return geom;
-      }
-      return new THREE.CylinderGeometry(30, 50, 100, 32);
-    }
-    case 'cone': {
-      const rTop = vol.radiusTop ?? 0;
-      const rBot = vol.radiusBottom ?? 50;
-      const h = vol.height || 100;
-      const geom = new THREE.CylinderGeometry(rTop, rBot, h, 32);
-      geom.rotateX(Math.PI / 2);
-      return geom;
-    }
-    default:
-      return new THREE.BoxGeometry(10, 10, 10);
-  }
-};
-
 // ---------------------------------------------------------------------------
 // Collect all descendants of an assembly (BFS via mother_volume chain)
 // Returns volumes with their *cumulative* local position/rotation relative
@@ -146,8 +67,9 @@ const collectDescendants = (assemblyName, volumes) => {
       // Skip invisible children
       if (child.visible === false) return;
 
-      // Skip compound children – they have their own renderers (UnionObject, etc.)
-      // But still continue BFS through them so their descendants can be collected.
+      // Skip compound children – they have their own renderers (UnionObject,
+      // or an AssemblyObject of their own for a nested assembly), which draw
+      // their descendants at any depth.
       if (child.type === 'assembly' || child.type === 'union') {
         return;
       }
@@ -206,16 +128,18 @@ const Label = ({ text }) => (
 // ---------------------------------------------------------------------------
 // AssemblyObject
 // ---------------------------------------------------------------------------
-const AssemblyObject = forwardRef(({ object, volumes, isSelected, onClick, materials }, ref) => {
+const AssemblyObject = forwardRef(({ object, volumes, instancedNames, isSelected, onClick, materials }, ref) => {
 
-  // Collect all descendant volumes with their positions relative to assembly
+  // Collect all descendant volumes with their positions relative to assembly.
+  // Those the Scene draws instanced with the other placements are left out.
   const descendants = useMemo(
     () => {
-      const result = collectDescendants(object.name, volumes);
+      const result = collectDescendants(object.name, volumes)
+        .filter(({ volume }) => !instancedNames || !instancedNames.has(volume.name));
       debugLog(`AssemblyObject "${object.name}": found ${result.length} descendants`, result);
       return result;
     },
-    [object.name, volumes]
+    [object.name, volumes, instancedNames]
   );
 
   // Build mesh data for each descendant
@@ -234,10 +158,10 @@ const AssemblyObject = forwardRef(({ object, volumes, isSelected, onClick, mater
   const version = useMemo(() => Date.now(), [meshData]);
 
   return (
-    <group ref={ref} onClick={(e) => { e.stopPropagation(); onClick && onClick(); }}>
+    <group ref={ref} onClick={(e) => { e.stopPropagation(); onClick && onClick(e); }}>
       {/* Render each descendant volume as a mesh */}
       {meshData.map((m, i) => (
-        <mesh key={`${m.name || i}-${version}`} geometry={m.geometry} position={m.position} rotation={m.rotation}>
+        <mesh key={`${m.name || i}-${version}`} geometry={m.geometry} position={m.position} rotation={m.rotation} userData={{ volumeName: m.name }}>
           <meshStandardMaterial
             color={m.color}
             transparent
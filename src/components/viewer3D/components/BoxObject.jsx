@@ -1,8 +1,6 @@
 import React from 'react';
 import * as THREE from 'three';
-import { getMaterialColor } from '../utils/materialColorUtils';
-
-const DEFAULT_COLOR = 'rgba(100, 100, 255, 0.7)';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
 
 // Box Object Component
 const BoxObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
@@ -32,7 +30,7 @@ const BoxObject = React.forwardRef(({ object, isSelected, onClick, materials },
 
       onClick={(e) => {
         e.stopPropagation();
-        if (onClick) onClick();
+        if (onClick) onClick(e);
       }}
     >
       <boxGeometry args={size} />
@@ -46,11 +44,7 @@ const BoxObject = React.forwardRef(({ object, isSelected, onClick, materials },
         />
       ) : (
         // Regular box volume with material color if available
-        <meshStandardMaterial 
-          color={getMaterialColor(object.material, materials, DEFAULT_COLOR)} 
-          transparent={true}
-          opacity={0.7}
-        />
+        <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
       )}
       {isSelected && (
         <lineSegments>
@@ -0,0 +1,292 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  Slider,
+  Checkbox,
+  FormControlLabel,
+  ToggleButton,
+  ToggleButtonGroup,
+  Radio,
+  Divider,
+  IconButton
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { createClipPlane, AXIS_NORMALS, MAX_CLIP_PLANES } from '../utils/clipping';
+
+const formatNumber = (value) => Number(Number(value).toPrecision(4)).toString();
+
+const nextPlaneId = (planes) => {
+  let n = planes.length + 1;
+  while (planes.some(plane => plane.id === `plane-${n}`)) n++;
+  return `plane-${n}`;
+};
+
+/**
+ * Floating panel for the section planes: up to MAX_CLIP_PLANES planes,
+ * each along an axis or custom, with caps over the cut faces, an optional
+ * clip scope (subtrees of volumes) and named camera views that also keep
+ * the clipping setup.
+ *
+ * @param {Object} props.clipping - { planes, showCaps, subtrees } (see utils/clipping.js)
+ * @param {Function} props.onChange - Receives the new clipping setup
+ * @param {string|null} props.activePlaneId - Plane the gizmo is on
+ * @param {Function} props.onActivePlane - Put the gizmo on a plane
+ * @param {string} props.gizmoMode - 'translate' or 'rotate'
+ * @param {Function} props.onGizmoMode - Change the gizmo mode
+ * @param {string[]} props.selectedNames - Names of the selected volumes
+ * @param {Object} props.worldSize - World dimensions, for the offset range
+ * @param {Object} props.savedViews - Saved views by name
+ * @param {Function} props.onSaveView - Save the current view under a name
+ * @param {Function} props.onRestoreView - Restore a saved view by name
+ * @param {Function} props.onDeleteView - Delete a saved view by name
+ * @param {Function} props.onClose - Close the panel
+ */
+const ClippingPanel = ({
+  clipping,
+  onChange,
+  activePlaneId,
+  onActivePlane,
+  gizmoMode,
+  onGizmoMode,
+  selectedNames,
+  worldSize,
+  savedViews,
+  onSaveView,
+  onRestoreView,
+  onDeleteView,
+  onClose,
+}) => {
+  const [viewName, setViewName] = useState('');
+  const { planes, showCaps, subtrees } = clipping;
+  const range = Math.max(worldSize.x, worldSize.y, worldSize.z) / 2;
+
+  const updatePlane = (id, patch) => {
+    onChange({ ...clipping, planes: planes.map(plane => (plane.id === id ? { ...plane, ...patch } : plane)) });
+  };
+
+  const addPlane = () => {
+    const used = new Set(planes.map(plane => plane.axis));
+    const axis = ['x', 'y', 'z'].find(a => !used.has(a)) || 'custom';
+    const plane = createClipPlane(nextPlaneId(planes), axis);
+    onChange({ ...clipping, planes: [...planes, plane] });
+    onActivePlane(plane.id);
+  };
+
+  const removePlane = (id) => {
+    const remaining = planes.filter(plane => plane.id !== id);
+    onChange({ ...clipping, planes: remaining });
+    if (activePlaneId === id) onActivePlane(remaining[0]?.id || null);
+  };
+
+  const changeAxis = (plane, axis) => {
+    // A custom plane starts from the axis it was on
+    const normal = axis === 'custom' ? plane.normal : [...AXIS_NORMALS[axis]];
+    updatePlane(plane.id, { axis, normal });
+  };
+
+  const changeNormal = (plane, component, value) => {
+    const normal = [...plane.normal];
+    normal[component] = Number(value) || 0;
+    updatePlane(plane.id, { normal });
+  };
+
+  const saveView = () => {
+    const name = viewName.trim();
+    if (!name) return;
+    onSaveView(name);
+    setViewName('');
+  };
+
+  const viewNames = Object.keys(savedViews || {});
+
+  return (
+    <Paper
+      elevation={3}
+      sx={{
+        position: 'absolute',
+        top: 10,
+        right: 10,
+        zIndex: 100,
+        width: 340,
+        maxHeight: '80%',
+        display: 'flex',
+        flexDirection: 'column',
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', px: 2, pt: 1 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          Clipping Planes
+        </Typography>
+        <IconButton size="small" onClick={onClose} aria-label="Close clipping planes">
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ overflow: 'auto', px: 2, pb: 1 }}>
+        {planes.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+            No planes. Add one to cut the geometry open.
+          </Typography>
+        )}
+        {planes.map(plane => (
+          <Box key={plane.id} sx={{ borderBottom: '1px solid #eee', py: 1 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <Radio
+                size="small"
+                checked={activePlaneId === plane.id}
+                onChange={() => onActivePlane(plane.id)}
+                disabled={!plane.enabled}
+                inputProps={{ 'aria-label': 'Move with the gizmo' }}
+              />
+              <Checkbox
+                size="small"
+                checked={plane.enabled}
+                onChange={(e) => updatePlane(plane.id, { enabled: e.target.checked })}
+                inputProps={{ 'aria-label': 'Enabled' }}
+              />
+              <Select
+                size="small"
+                value={plane.axis}
+                onChange={(e) => changeAxis(plane, e.target.value)}
+                sx={{ minWidth: 90 }}
+              >
+                <MenuItem value="x">X</MenuItem>
+                <MenuItem value="y">Y</MenuItem>
+                <MenuItem value="z">Z</MenuItem>
+                <MenuItem value="custom">Custom</MenuItem>
+              </Select>
+              <Button size="small" onClick={() => updatePlane(plane.id, { flipped: !plane.flipped })}>
+                {plane.flipped ? 'Unflip' : 'Flip'}
+              </Button>
+              <Box sx={{ flexGrow: 1 }} />
+              <IconButton size="small" onClick={() => removePlane(plane.id)} aria-label="Remove plane">
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+
+            {plane.axis === 'custom' && (
+              <Box sx={{ display: 'flex', gap: 1, pt: 1 }}>
+                {['X', 'Y', 'Z'].map((label, component) => (
+                  <TextField
+                    key={label}
+                    label={`Normal ${label}`}
+                    type="number"
+                    size="small"
+                    value={formatNumber(plane.normal[component])}
+                    onChange={(e) => changeNormal(plane, component, e.target.value)}
+                    inputProps={{ step: 0.1 }}
+                  />
+                ))}
+              </Box>
+            )}
+
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', pt: 1 }}>
+              <Slider
+                size="small"
+                min={-range}
+                max={range}
+                step={range / 500}
+                value={Math.max(-range, Math.min(range, plane.offset))}
+                onChange={(_, value) => updatePlane(plane.id, { offset: value })}
+                disabled={!plane.enabled}
+              />
+              <TextField
+                label="Offset (mm)"
+                type="number"
+                size="small"
+                value={formatNumber(plane.offset)}
+                onChange={(e) => updatePlane(plane.id, { offset: Number(e.target.value) || 0 })}
+                sx={{ width: 120, flexShrink: 0 }}
+              />
+            </Box>
+          </Box>
+        ))}
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 1 }}>
+          <Button variant="outlined" size="small" onClick={addPlane} disabled={planes.length >= MAX_CLIP_PLANES}>
+            Add plane
+          </Button>
+          <Box sx={{ flexGrow: 1 }} />
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={gizmoMode}
+            onChange={(_, mode) => mode && onGizmoMode(mode)}
+          >
+            <ToggleButton value="translate">Move</ToggleButton>
+            <ToggleButton value="rotate" title="Custom planes only">Tilt</ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
+
+        <FormControlLabel
+          control={
+            <Checkbox
+              size="small"
+              checked={showCaps}
+              onChange={(e) => onChange({ ...clipping, showCaps: e.target.checked })}
+            />
+          }
+          label="Cap cut faces"
+        />
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                size="small"
+                checked={Boolean(subtrees)}
+                disabled={!subtrees && selectedNames.length === 0}
+                onChange={(e) => onChange({ ...clipping, subtrees: e.target.checked ? selectedNames : null })}
+              />
+            }
+            label="Only clip selected subtrees"
+            sx={{ flexGrow: 1 }}
+          />
+          {subtrees && (
+            <Button size="small" onClick={() => onChange({ ...clipping, subtrees: selectedNames })} disabled={selectedNames.length === 0}>
+              Use selection
+            </Button>
+          )}
+        </Box>
+        {subtrees && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+            Clipping {subtrees.join(', ')} and their daughters.
+          </Typography>
+        )}
+
+        <Divider sx={{ my: 1 }} />
+        <Typography variant="subtitle2">Saved views</Typography>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', py: 1 }}>
+          <TextField
+            label="View name"
+            size="small"
+            value={viewName}
+            onChange={(e) => setViewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') saveView(); }}
+            sx={{ flexGrow: 1 }}
+          />
+          <Button variant="contained" size="small" onClick={saveView} disabled={!viewName.trim()}>
+            Save
+          </Button>
+        </Box>
+        {viewNames.map(name => (
+          <Box key={name} sx={{ display: 'flex', alignItems: 'center' }}>
+            <Typography variant="body2" sx={{ flexGrow: 1 }}>{name}</Typography>
+            <Button size="small" onClick={() => onRestoreView(name)}>Restore</Button>
+            <IconButton size="small" onClick={() => onDeleteView(name)} aria-label={`Delete view ${name}`}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        ))}
+      </Box>
+    </Paper>
+  );
+};
+
+export default ClippingPanel;
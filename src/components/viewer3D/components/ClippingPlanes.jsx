@@ -0,0 +1,164 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { TransformControls } from '@react-three/drei';
+import * as THREE from 'three';
+import { clipPlaneToThree, clipPlaneFrame, clipPlaneFromFrame, buildSectionCaps } from '../utils/clipping';
+import { getMaterialColor } from '../utils/materialColorUtils';
+
+// Wait this long after the last plane change before rebuilding caps
+const CAP_DELAY_MS = 200;
+
+// Give every material under `object` the clip planes, or none when it is
+// outside the clip scope. Wrapper groups name their volume in userData,
+// instanced meshes all of theirs; gizmos are left alone.
+const assignClipping = (object, planes, scopeNames, clipped) => {
+  if (object.isTransformControlsRoot) return;
+  const { volumeName, volumeNames } = object.userData;
+  let clip = clipped;
+  if (volumeName !== undefined) clip = !scopeNames || scopeNames.has(volumeName);
+  else if (volumeNames) clip = !scopeNames || volumeNames.some(name => scopeNames.has(name));
+  const target = clip && planes.length > 0 ? planes : null;
+  const materials = Array.isArray(object.material) ? object.material : (object.material ? [object.material] : []);
+  materials.forEach(material => {
+    if (material.clippingPlanes !== target) {
+      material.clippingPlanes = target;
+      material.needsUpdate = true;
+    }
+  });
+  object.children.forEach(child => assignClipping(child, planes, scopeNames, clip));
+};
+
+/**
+ * Section planes in the scene: clips the volumes under `volumesRef`, draws
+ * caps over the cut faces in the colour of each volume's material, and,
+ * while the clipping panel is open, shows the planes with a gizmo on the
+ * active one.
+ *
+ * @param {Object} props.volumesRef Ref to the group holding the volumes
+ * @param {Object} props.geometries Flat geometry { world, volumes }
+ * @param {Object} props.materials Materials, for cap colours
+ * @param {Object[]} props.planes Plane specs (see utils/clipping.js)
+ * @param {boolean} props.showCaps Cover the cut faces
+ * @param {Set<string>|null} props.scopeNames Only clip these volumes (null: all)
+ * @param {boolean} props.showHelpers Draw the planes and the gizmo
+ * @param {string|null} props.activePlaneId Plane the gizmo is on
+ * @param {string} props.gizmoMode 'translate' or 'rotate' (custom planes only)
+ * @param {Object} props.worldSize World dimensions, for the plane size
+ * @param {Function} props.onPlaneChange (id, { normal, offset }) while dragging
+ */
+export default function ClippingPlanes({
+  volumesRef,
+  geometries,
+  materials,
+  planes,
+  showCaps,
+  scopeNames,
+  showHelpers,
+  activePlaneId,
+  gizmoMode,
+  worldSize,
+  onPlaneChange,
+}) {
+  const { gl, camera } = useThree();
+  const [caps, setCaps] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [gizmoTarget, setGizmoTarget] = useState(null);
+
+  const enabled = planes.filter(plane => plane.enabled);
+  const planesKey = JSON.stringify(enabled);
+  // One THREE.Plane per enabled spec; assignClipping hands new planes to
+  // the materials on the next frame
+  const threePlanes = useMemo(
+    () => JSON.parse(planesKey).map(spec => clipPlaneToThree(spec)),
+    [planesKey]
+  );
+
+  useEffect(() => {
+    gl.localClippingEnabled = true;
+  }, [gl]);
+
+  useFrame(() => {
+    if (volumesRef.current) assignClipping(volumesRef.current, threePlanes, scopeNames, true);
+  });
+
+  // Caps are rebuilt once the planes stop moving
+  useEffect(() => {
+    const specs = JSON.parse(planesKey);
+    if (!showCaps || dragging || specs.length === 0) {
+      setCaps([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      buildSectionCaps(geometries, specs, { names: scopeNames, isCancelled: () => cancelled })
+        .then(result => {
+          if (cancelled) result.forEach(cap => cap.geometry.dispose());
+          else setCaps(result);
+        })
+        .catch(err => console.error('ClippingPlanes:: Caps failed:', err));
+    }, CAP_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [planesKey, showCaps, dragging, geometries, scopeNames]);
+
+  // Free the previous caps once they are replaced
+  useEffect(() => () => caps.forEach(cap => cap.geometry.dispose()), [caps]);
+
+  const size = 1.2 * Math.max(worldSize?.x || 1000, worldSize?.y || 1000, worldSize?.z || 1000);
+  const activePlane = showHelpers ? enabled.find(plane => plane.id === activePlaneId) : null;
+  const activeFrame = activePlane ? clipPlaneFrame(activePlane) : null;
+
+  return (
+    <>
+      {caps.map((cap, i) => (
+        <mesh key={`cap-${i}`} geometry={cap.geometry}>
+          <meshStandardMaterial
+            color={getMaterialColor(cap.material, materials)}
+            side={THREE.DoubleSide}
+            clippingPlanes={threePlanes.filter((_, index) => index !== cap.planeIndex)}
+          />
+        </mesh>
+      ))}
+
+      {showHelpers && enabled.map(plane => (
+        <mesh key={plane.id} matrix={clipPlaneFrame(plane)} matrixAutoUpdate={false} raycast={() => null}>
+          <planeGeometry args={[size, size]} />
+          <meshBasicMaterial
+            color={plane.id === activePlaneId ? '#1976d2' : '#888888'}
+            transparent={true}
+            opacity={0.12}
+            side={THREE.DoubleSide}
+            depthWrite={false}
+          />
+        </mesh>
+      ))}
+
+      {activeFrame && (
+        <group
+          ref={setGizmoTarget}
+          position={new THREE.Vector3().setFromMatrixPosition(activeFrame)}
+          quaternion={new THREE.Quaternion().setFromRotationMatrix(activeFrame)}
+        />
+      )}
+      {activeFrame && gizmoTarget && (
+        <TransformControls
+          object={gizmoTarget}
+          camera={camera}
+          mode={activePlane.axis === 'custom' ? gizmoMode : 'translate'}
+          space="local"
+          size={0.75}
+          showX={gizmoMode === 'rotate' && activePlane.axis === 'custom'}
+          showY={gizmoMode === 'rotate' && activePlane.axis === 'custom'}
+          onMouseDown={() => setDragging(true)}
+          onMouseUp={() => setDragging(false)}
+          onObjectChange={() => {
+            gizmoTarget.updateMatrixWorld();
+            onPlaneChange(activePlane.id, clipPlaneFromFrame(activePlane, gizmoTarget.matrixWorld));
+          }}
+        />
+      )}
+    </>
+  );
+}
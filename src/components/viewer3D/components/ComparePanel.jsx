@@ -0,0 +1,266 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import ProjectDiffList from '../../app/ProjectDiffList';
+import {
+  diffProjects, diffFields, formatFieldChange, mergeProjects, resolveMerge
+} from '../../../utils/projectDiff';
+import { buildDiffOverlay, compareOverlayLayers, mergeOverlayLayers, DIFF_COLORS } from '../utils/diffOverlay';
+
+const CURRENT = 'current';
+
+const STATUS_TEXT = {
+  ours: 'taken from A',
+  theirs: 'taken from B',
+  both: 'same change in A and B',
+  conflict: 'changed differently in A and B',
+};
+
+const KIND_TEXT = {
+  world: 'World',
+  volume: 'Volume',
+  material: 'Material',
+  parameter: 'Parameter',
+  hitCollection: 'Hit collection',
+  savedQuery: 'Saved query',
+  savedView: 'Saved view',
+};
+
+// Why a conflict is one: what differs between the two sides
+const conflictLines = (entry) => {
+  if (entry.ours === undefined) return ['removed in A'];
+  if (entry.theirs === undefined) return ['removed in B'];
+  return diffFields(entry.ours, entry.theirs).map(formatFieldChange);
+};
+
+/**
+ * One input project: the current project (where allowed) or a JSON file.
+ */
+const SourceRow = ({ label, source, allowCurrent, onUseCurrent, onFile, onClear }) => {
+  const inputRef = useRef(null);
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+      <Typography variant="body2" sx={{ width: 56, flexShrink: 0 }}>{label}</Typography>
+      <Typography variant="body2" color="text.secondary" noWrap sx={{ flexGrow: 1 }} title={source?.label}>
+        {source ? source.label : 'none'}
+      </Typography>
+      {allowCurrent && source?.id !== CURRENT && (
+        <Button size="small" onClick={onUseCurrent}>Current</Button>
+      )}
+      <Button size="small" onClick={() => inputRef.current?.click()}>File…</Button>
+      {onClear && source && (
+        <IconButton size="small" onClick={onClear} aria-label={`Clear ${label}`}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      )}
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        hidden
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          if (file) onFile(file);
+        }}
+      />
+    </Box>
+  );
+};
+
+/**
+ * Floating panel that compares two projects — the current one or geometry
+ * JSON files — volume by volume, and highlights the differences in the
+ * viewer. With a common ancestor as Base it does a three-way merge: the
+ * user picks A or B for each conflicting volume and applies the result.
+ *
+ * @param {Object} props.currentProject - { ...jsonData, materials, hitCollections }
+ * @param {Function} props.onOverlay - Receives [{ geometry, color }] or null
+ * @param {Function} props.onApplyMerge - Receives the merged project JSON
+ * @param {Function} props.onClose - Close the panel
+ */
+const ComparePanel = ({ currentProject, onOverlay, onApplyMerge, onClose }) => {
+  // { id, label, project } per slot; CURRENT follows the editor
+  const [sources, setSources] = useState({ base: null, a: { id: CURRENT, label: 'Current project' }, b: null });
+  const [resolutions, setResolutions] = useState({});
+  const [error, setError] = useState('');
+
+  const projectOf = (source) => (source?.id === CURRENT ? currentProject : source?.project);
+  const base = projectOf(sources.base);
+  const a = projectOf(sources.a);
+  const b = projectOf(sources.b);
+
+  const diff = useMemo(() => (a && b && !base ? diffProjects(a, b) : null), [a, b, base]);
+  const merge = useMemo(() => (a && b && base ? mergeProjects(base, a, b) : null), [a, b, base]);
+
+  const loadFile = async (slot, file) => {
+    setError('');
+    try {
+      const project = JSON.parse(await file.text());
+      if (!project || !Array.isArray(project.volumes)) {
+        throw new Error('no volumes array');
+      }
+      setSources(s => ({ ...s, [slot]: { id: `${file.name}:${file.lastModified}`, label: file.name, project } }));
+      setResolutions({});
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const setSlot = (slot, source) => {
+    setSources(s => ({ ...s, [slot]: source }));
+    setResolutions({});
+  };
+
+  // Meshes of the volumes that differ
+  useEffect(() => {
+    if (!diff && !merge) {
+      onOverlay(null);
+      return undefined;
+    }
+    let cancelled = false;
+    let meshes = [];
+    const layers = merge ? mergeOverlayLayers(merge, a, b) : compareOverlayLayers(a, b, diff);
+    buildDiffOverlay(layers)
+      .then(result => {
+        meshes = result;
+        if (cancelled) meshes.forEach(m => m.geometry.dispose());
+        else onOverlay(meshes);
+      })
+      .catch(err => console.error('ComparePanel:: Overlay failed:', err));
+    return () => {
+      cancelled = true;
+      meshes.forEach(m => m.geometry.dispose());
+    };
+  }, [diff, merge, a, b, onOverlay]);
+
+  // Clear the overlay when the panel goes away
+  useEffect(() => () => onOverlay(null), [onOverlay]);
+
+  const mergeEntries = merge ? merge.entries.filter(entry => entry.status !== 'unchanged') : [];
+  const unresolved = merge ? merge.conflicts.filter(entry => !resolutions[entry.key]).length : 0;
+
+  const handleApply = () => {
+    try {
+      onApplyMerge(resolveMerge(merge, resolutions));
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Paper
+      elevation={3}
+      sx={{
+        position: 'absolute',
+        top: 10,
+        right: 10,
+        zIndex: 100,
+        width: 400,
+        maxHeight: '80%',
+        display: 'flex',
+        flexDirection: 'column',
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', px: 2, pt: 1 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          {base ? 'Three-way Merge' : 'Compare Projects'}
+        </Typography>
+        <IconButton size="small" onClick={onClose} aria-label="Close compare">
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ px: 2, py: 1 }}>
+        <SourceRow
+          label="Base"
+          source={sources.base}
+          allowCurrent
+          onUseCurrent={() => setSlot('base', { id: CURRENT, label: 'Current project' })}
+          onFile={(file) => loadFile('base', file)}
+          onClear={() => setSlot('base', null)}
+        />
+        {['a', 'b'].map(slot => (
+          <SourceRow
+            key={slot}
+            label={slot.toUpperCase()}
+            source={sources[slot]}
+            allowCurrent
+            onUseCurrent={() => setSlot(slot, { id: CURRENT, label: 'Current project' })}
+            onFile={(file) => loadFile(slot, file)}
+          />
+        ))}
+        <Typography variant="caption" color="text.secondary">
+          {base
+            ? 'Base is the common ancestor of A and B.'
+            : 'Set a Base (common ancestor) to merge A and B.'}
+        </Typography>
+      </Box>
+
+      <Box sx={{ overflow: 'auto', px: 2, pb: 1 }}>
+        {error && <Typography variant="body2" color="error">{error}</Typography>}
+        {!diff && !merge && (
+          <Typography variant="body2" color="text.secondary">Choose projects A and B to compare.</Typography>
+        )}
+
+        {diff && <ProjectDiffList diff={diff} volumeColors={DIFF_COLORS} />}
+
+        {merge && mergeEntries.length === 0 && (
+          <Typography variant="body2">Neither A nor B changed anything since Base.</Typography>
+        )}
+        {merge && mergeEntries.map(entry => (
+          <Box key={entry.key} sx={{ py: 0.5, borderBottom: '1px solid', borderColor: 'divider' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              {entry.kind === 'volume' && (
+                <Box sx={{ width: 10, height: 10, flexShrink: 0, bgcolor: DIFF_COLORS[entry.status === 'both' ? 'ours' : entry.status] }} />
+              )}
+              <Typography variant="body2" sx={{ flexGrow: 1 }} noWrap>
+                {KIND_TEXT[entry.kind]} {entry.kind !== 'world' && entry.name}
+              </Typography>
+              {entry.status === 'conflict' ? (
+                <ToggleButtonGroup
+                  size="small"
+                  exclusive
+                  value={resolutions[entry.key] || null}
+                  onChange={(e, side) => side && setResolutions(r => ({ ...r, [entry.key]: side }))}
+                >
+                  <ToggleButton value="ours">A</ToggleButton>
+                  <ToggleButton value="theirs">B</ToggleButton>
+                </ToggleButtonGroup>
+              ) : (
+                <Typography variant="caption" color="text.secondary">{STATUS_TEXT[entry.status]}</Typography>
+              )}
+            </Box>
+            {entry.status === 'conflict' && (
+              <Box component="ul" sx={{ my: 0, pl: 3, color: 'text.secondary', typography: 'caption' }}>
+                {conflictLines(entry).map(line => <li key={line}>{line}</li>)}
+              </Box>
+            )}
+          </Box>
+        ))}
+      </Box>
+
+      {merge && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, px: 2, pb: 1 }}>
+          <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+            {unresolved > 0 ? `${unresolved} conflict${unresolved === 1 ? '' : 's'} to resolve` : 'Ready to merge'}
+          </Typography>
+          <Button variant="contained" size="small" disabled={unresolved > 0} onClick={handleApply}>
+            Apply Merge
+          </Button>
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,43 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+import { createConeGeometry } from '../utils/solidGeometries';
+
+// Cone Object Component (G4Cons, axis along z)
+const ConeObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
+  const position = object.position ? [
+    object.position.x, 
+    object.position.y, 
+    object.position.z
+  ] : [0, 0, 0];
+  
+  const { radiusBottom, radiusTop, innerRadiusBottom, innerRadiusTop, height, startPhi, deltaPhi } = object;
+
+  // The rotation is already handled by the parent TransformableObject component
+  const geometry = useMemo(
+    () => createConeGeometry({ radiusBottom, radiusTop, innerRadiusBottom, innerRadiusTop, height, startPhi, deltaPhi }),
+    [radiusBottom, radiusTop, innerRadiusBottom, innerRadiusTop, height, startPhi, deltaPhi]
+  );
+
+  return (
+    <mesh
+      ref={ref}
+      position={position}
+      onClick={(e) => {
+        e.stopPropagation();
+        if (onClick) onClick(e);
+      }}
+    >
+      <primitive object={geometry} />
+      <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
+      {isSelected && (
+        <lineSegments>
+          <edgesGeometry attach="geometry" args={[geometry]} />
+          <lineBasicMaterial attach="material" color="#ffff00" />
+        </lineSegments>
+      )}
+    </mesh>
+  );
+});
+
+export default ConeObject;
@@ -1,8 +1,7 @@
 import React from 'react';
 import * as THREE from 'three';
-import { getMaterialColor } from '../utils/materialColorUtils';
-
-const DEFAULT_COLOR = 'rgba(100, 255, 100, 0.7)';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+import { createTubeGeometry, isSegmented } from '../utils/solidGeometries';
 
 // Separate Cylinder Object Component with correct Geant4 rotation handling
 const CylinderObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
@@ -17,23 +16,12 @@ const CylinderObject = React.forwardRef(({ object, isSelected, onClick, material
   const innerRadius = object.innerRadius || 0;
 
   // Create a cylinder geometry that aligns with Geant4 convention (height along z-axis).
-  // When innerRadius > 0 (hollow cylinder / tube), ExtrudeGeometry with a ring shape is
-  // used because THREE.CylinderGeometry has no inner radius support.
+  // Hollow tubes and phi segments are revolved by the shared tube builder, which
+  // the CSG path uses too, because THREE.CylinderGeometry has neither a bore nor
+  // capped cut faces.
   const createCylinderGeometry = () => {
-    if (innerRadius > 0) {
-      const shape = new THREE.Shape();
-      shape.absarc(0, 0, radius, 0, Math.PI * 2, false);
-      const hole = new THREE.Path();
-      hole.absarc(0, 0, innerRadius, 0, Math.PI * 2, true);
-      shape.holes.push(hole);
-      const geom = new THREE.ExtrudeGeometry(shape, {
-        depth: height,
-        bevelEnabled: false,
-        curveSegments: 32,
-      });
-      // ExtrudeGeometry goes from z=0 to z=height; translate to centre at origin
-      geom.translate(0, 0, -height / 2);
-      return geom;
+    if (innerRadius > 0 || isSegmented(object)) {
+      return createTubeGeometry({ ...object, radius, height, innerRadius });
     }
 
     // Solid cylinder: Three.js height is along y-axis, rotate to z-axis
@@ -49,16 +37,12 @@ const CylinderObject = React.forwardRef(({ object, isSelected, onClick, material
       // No rotation needed here - handled by parent TransformableObject
       onClick={(e) => {
         e.stopPropagation();
-        onClick();
+        onClick(e);
       }}
     >
       {/* Use the custom cylinder geometry that's pre-rotated */}
       <primitive object={createCylinderGeometry()} />
-      <meshStandardMaterial 
-        color={getMaterialColor(object.material, materials, DEFAULT_COLOR)} 
-        transparent={true}
-        opacity={0.7}
-      />
+      <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
       {isSelected && (
         <lineSegments>
           <primitive 
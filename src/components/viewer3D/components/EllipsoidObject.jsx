@@ -1,8 +1,6 @@
 import React, { useMemo } from 'react';
 import * as THREE from 'three';
-import { getMaterialColor } from '../utils/materialColorUtils';
-
-const DEFAULT_COLOR = 'rgba(200, 100, 255, 0.7)';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
 
 // Ellipsoid Object Component
 const EllipsoidObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
@@ -40,15 +38,11 @@ const EllipsoidObject = React.forwardRef(({ object, isSelected, onClick, materia
       position={position}
       onClick={(e) => {
         e.stopPropagation();
-        if (onClick) onClick();
+        if (onClick) onClick(e);
       }}
     >
       <primitive object={geometry} />
-      <meshStandardMaterial 
-        color={getMaterialColor(object.material, materials, DEFAULT_COLOR)} 
-        transparent={true}
-        opacity={0.7}
-      />
+      <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
       {isSelected && (
         <lineSegments>
           <edgesGeometry attach="geometry" args={[geometry]} />
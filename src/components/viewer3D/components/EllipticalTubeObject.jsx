@@ -0,0 +1,40 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+import { createEllipticalTubeGeometry } from '../utils/solidGeometries';
+
+// Elliptical Tube Object Component (G4EllipticalTube, axis along z)
+const EllipticalTubeObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
+  const position = object.position ? [
+    object.position.x, 
+    object.position.y, 
+    object.position.z
+  ] : [0, 0, 0];
+  
+  const { dx, dy, dz } = object;
+
+  // The rotation is already handled by the parent TransformableObject component
+  const geometry = useMemo(() => createEllipticalTubeGeometry({ dx, dy, dz }), [dx, dy, dz]);
+
+  return (
+    <mesh
+      ref={ref}
+      position={position}
+      onClick={(e) => {
+        e.stopPropagation();
+        if (onClick) onClick(e);
+      }}
+    >
+      <primitive object={geometry} />
+      <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
+      {isSelected && (
+        <lineSegments>
+          <edgesGeometry attach="geometry" args={[geometry]} />
+          <lineBasicMaterial attach="material" color="#ffff00" />
+        </lineSegments>
+      )}
+    </mesh>
+  );
+});
+
+export default EllipticalTubeObject;
@@ -0,0 +1,106 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+import { createGeometryForVolume } from '../utils/solidGeometries';
+import { geometryFromBuffers, nestBooleanComponents } from '../utils/manifoldCSG';
+import { getBooleanBuffers } from '../utils/booleanCache';
+
+// Fields that make up the shape; the rest is identity and pose
+const NON_SHAPE_FIELDS = new Set([
+  '_id', 'name', 'g4name', 'position', 'rotation', 'mother_volume', '_expressions',
+  '_placementIndex', '_instanceId', 'visible', 'hitsCollectionName', '_displayGroup',
+]);
+
+const shapeSignature = (volume) => JSON.stringify(
+  Object.keys(volume).sort().filter(key => !NON_SHAPE_FIELDS.has(key)).map(key => [key, volume[key]])
+);
+
+// Cached CSG result of a union's components; null for other volumes and
+// until the result is computed. The cache hands back the same arrays for
+// the same components, so edits elsewhere do not rebuild the geometry.
+function useUnionBuffers(prototype, volumes) {
+  const components = useMemo(
+    () => (prototype.type === 'union' ? nestBooleanComponents({ name: prototype.name }, volumes) : []),
+    [prototype.type, prototype.name, volumes]
+  );
+  const [buffers, setBuffers] = useState(null);
+
+  useEffect(() => {
+    if (components.length === 0) {
+      setBuffers(null);
+      return undefined;
+    }
+    let cancelled = false;
+    getBooleanBuffers(components)
+      .then(result => { if (!cancelled) setBuffers(result); })
+      .catch(err => { if (!cancelled) console.error(`InstancedVolumes ${prototype.name}: CSG failed:`, err); });
+    return () => { cancelled = true; };
+  }, [components, prototype.name]);
+
+  return buffers;
+}
+
+/**
+ * Placements of one volume definition drawn as a single InstancedMesh.
+ * Clicks report the placement that was hit; highlighted placements get
+ * the selection outline. A union is drawn once the CSG of its components
+ * is done (see booleanCache.js).
+ *
+ * @param {Object} props.prototype - One of the placements, for shape and material
+ * @param {Object[]} props.members - The placements, { key, name, matrix }
+ * @param {Set<string>} props.highlightedKeys - Placements to outline
+ * @param {Object} props.materials - Materials, for the colour
+ * @param {Object[]} props.volumes - All flat volumes, for the components of a union
+ * @param {Function} props.onSelect - (key, event) when a placement is clicked
+ */
+export default function InstancedVolumes({ prototype, members, highlightedKeys, materials, volumes, onSelect }) {
+  const meshRef = useRef();
+  const unionBuffers = useUnionBuffers(prototype, volumes);
+  // Rebuilt only when the shape changes, not on every move of a placement
+  const signature = prototype.type === 'union' ? null : shapeSignature(prototype);
+  const geometry = useMemo(() => {
+    if (signature) return createGeometryForVolume(Object.fromEntries(JSON.parse(signature)));
+    return unionBuffers ? geometryFromBuffers(unionBuffers) : null;
+  }, [signature, unionBuffers]);
+  const edges = useMemo(() => geometry && new THREE.EdgesGeometry(geometry), [geometry]);
+
+  useLayoutEffect(() => () => {
+    geometry?.dispose();
+    edges?.dispose();
+  }, [geometry, edges]);
+
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    members.forEach((member, i) => mesh.setMatrixAt(i, member.matrix));
+    mesh.instanceMatrix.needsUpdate = true;
+    // Bounds for culling and picking follow the placements
+    mesh.computeBoundingBox();
+    mesh.computeBoundingSphere();
+  }, [members, geometry]);
+
+  if (!geometry) return null;
+
+  return (
+    <>
+      <instancedMesh
+        // A new count needs a new mesh
+        key={members.length}
+        ref={meshRef}
+        args={[geometry, undefined, members.length]}
+        userData={{ volumeNames: members.map(member => member.name) }}
+        onClick={(e) => {
+          e.stopPropagation();
+          if (e.instanceId !== undefined) onSelect(members[e.instanceId].key, e);
+        }}
+      >
+        <meshStandardMaterial {...volumeMaterialProps(prototype, materials)} />
+      </instancedMesh>
+      {members.filter(member => highlightedKeys.has(member.key)).map(member => (
+        <lineSegments key={member.key} geometry={edges} matrix={member.matrix} matrixAutoUpdate={false}>
+          <lineBasicMaterial attach="material" color="#ffff00" />
+        </lineSegments>
+      ))}
+    </>
+  );
+}
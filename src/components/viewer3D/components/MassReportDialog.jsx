@@ -0,0 +1,169 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TableSortLabel,
+  Typography,
+  LinearProgress,
+  Alert
+} from '@mui/material';
+import { computeMassReport, massReportToCsv, MASS_REPORT_COLUMNS } from '../utils/massReport';
+import { handleDownload } from '../../json-viewer/utils/jsonHandlers';
+
+const TABLES = [
+  { key: 'volumes', label: 'Volumes' },
+  { key: 'materials', label: 'Materials' },
+  { key: 'groups', label: 'Groups' },
+];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value !== 'number') return value;
+  return Math.abs(value) >= 1e5 || (value !== 0 && Math.abs(value) < 1e-3)
+    ? value.toExponential(3)
+    : Number(value.toPrecision(4)).toString();
+};
+
+// Sort with empty cells last in either direction
+const compareRows = (column, direction) => (a, b) => {
+  const va = column.value(a);
+  const vb = column.value(b);
+  if (va === null || va === undefined) return 1;
+  if (vb === null || vb === undefined) return -1;
+  const order = column.numeric ? va - vb : String(va).localeCompare(String(vb));
+  return direction === 'asc' ? order : -order;
+};
+
+const formatCentre = (centre) => (centre
+  ? `(${formatValue(centre.x)}, ${formatValue(centre.y)}, ${formatValue(centre.z)}) mm`
+  : '—');
+
+/**
+ * Dialog with the mass, volume and centre-of-mass report of the flat
+ * geometry: sortable tables per volume, per material and per assembly or
+ * display group, the totals, and CSV export of the table on show.
+ *
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Object} props.geometries - Flat geometry { world, volumes }
+ * @param {Object} props.materials - Materials map
+ * @param {Function} props.onClose - Close the dialog
+ */
+const MassReportDialog = ({ open, geometries, materials, onClose }) => {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [tableIndex, setTableIndex] = useState(0);
+  const [sort, setSort] = useState({ id: 'mass', direction: 'desc' });
+
+  // Recompute whenever the dialog opens or the geometry changes under it
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setReport(null);
+    setError('');
+    computeMassReport(geometries, materials)
+      .then(result => { if (!cancelled) setReport(result); })
+      .catch(err => {
+        console.error('MassReportDialog:: Mass report failed:', err);
+        if (!cancelled) setError(`Mass report failed: ${err.message}`);
+      });
+    return () => { cancelled = true; };
+  }, [open, geometries, materials]);
+
+  const table = TABLES[tableIndex];
+  const columns = MASS_REPORT_COLUMNS[table.key];
+
+  const rows = useMemo(() => {
+    if (!report) return [];
+    const column = columns.find(c => c.id === sort.id);
+    const list = [...report[table.key]];
+    return column ? list.sort(compareRows(column, sort.direction)) : list;
+  }, [report, table.key, columns, sort]);
+
+  const handleSort = (id) => {
+    setSort(current => ({
+      id,
+      direction: current.id === id && current.direction === 'desc' ? 'asc' : 'desc',
+    }));
+  };
+
+  const exportCsv = () => {
+    handleDownload(massReportToCsv(rows, columns), `mass_report_${table.key}.csv`, 'text/csv');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Mass Report</DialogTitle>
+      <DialogContent dividers>
+        {!report && !error && <LinearProgress />}
+        {error && <Alert severity="error">{error}</Alert>}
+        {report && (
+          <>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              Total mass: <strong>{report.total.mass === null ? '—' : `${formatValue(report.total.mass)} kg`}</strong>
+              {' · '}Centre of mass: <strong>{formatCentre(report.total.centre)}</strong>
+              {' · '}{report.total.count} volumes
+            </Typography>
+            {(report.warnings.length > 0 || report.skipped.length > 0) && (
+              <Alert severity="warning" sx={{ mb: 1, maxHeight: 100, overflow: 'auto' }}>
+                {report.warnings.map((w, i) => <div key={i}>{w}</div>)}
+                {report.skipped.length > 0 && <div>Not weighed (unsupported shape): {report.skipped.join(', ')}</div>}
+              </Alert>
+            )}
+            <Tabs value={tableIndex} onChange={(e, value) => setTableIndex(value)} sx={{ mb: 1 }}>
+              {TABLES.map(t => <Tab key={t.key} label={`${t.label} (${report[t.key].length})`} />)}
+            </Tabs>
+            <TableContainer sx={{ maxHeight: 420 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    {columns.map(column => (
+                      <TableCell key={column.id} align={column.numeric ? 'right' : 'left'}>
+                        <TableSortLabel
+                          active={sort.id === column.id}
+                          direction={sort.id === column.id ? sort.direction : 'asc'}
+                          onClick={() => handleSort(column.id)}
+                        >
+                          {column.label}
+                        </TableSortLabel>
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rows.map((row, index) => (
+                    <TableRow key={row.key || `${row.kind || ''}${row.name}-${index}`} hover>
+                      {columns.map(column => (
+                        <TableCell key={column.id} align={column.numeric ? 'right' : 'left'}>
+                          {formatValue(column.value(row))}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={exportCsv} disabled={!report || rows.length === 0}>
+          Export CSV
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MassReportDialog;
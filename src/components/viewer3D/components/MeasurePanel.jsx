@@ -0,0 +1,139 @@
+import React from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
+  IconButton
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import UnitSelector from '../../geometry-editor/components/UnitSelector';
+import { measureDistance, measureAngle, formatLength, formatAngle } from '../utils/measureUtils';
+
+const HINTS = {
+  distance: 'Click two points. Points snap to vertices, face centres and volume origins.',
+  angle: 'Click three points; the angle is measured at the second.',
+  probe: 'Hover over a volume to read it; click to keep the reading here.',
+};
+
+const Row = ({ label, value }) => (
+  <Box sx={{ display: 'flex', gap: 1 }}>
+    <Typography variant="body2" color="text.secondary" sx={{ width: 90, flexShrink: 0 }}>{label}</Typography>
+    <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>{value}</Typography>
+  </Box>
+);
+
+/**
+ * Floating panel for the viewer's measure and probe modes: picks the mode
+ * and display units, and lists the picked points with their distance
+ * (in total and along each axis), angle or probe reading.
+ *
+ * @param {string} props.mode - 'distance', 'angle' or 'probe'
+ * @param {Function} props.onModeChange - Receives the new mode
+ * @param {Object[]} props.points - Picked points, { point, kind, path, material }
+ * @param {string} props.lengthUnit
+ * @param {Function} props.onLengthUnit
+ * @param {string} props.angleUnit
+ * @param {Function} props.onAngleUnit
+ * @param {Function} props.onClear - Drop the picked points
+ * @param {Function} props.onClose - Leave measure mode
+ */
+const MeasurePanel = ({
+  mode,
+  onModeChange,
+  points,
+  lengthUnit,
+  onLengthUnit,
+  angleUnit,
+  onAngleUnit,
+  onClear,
+  onClose,
+}) => {
+  const coordinates = (point) => `(${point.map(v => formatLength(v, lengthUnit)).join(', ')})`;
+
+  const distance = mode === 'distance' && points.length === 2 ? measureDistance(points[0].point, points[1].point) : null;
+  const angle = mode === 'angle' && points.length === 3
+    ? measureAngle(points[0].point, points[1].point, points[2].point)
+    : null;
+
+  return (
+    <Paper
+      elevation={3}
+      sx={{
+        position: 'absolute',
+        bottom: 50,
+        right: 10,
+        zIndex: 100,
+        width: 340,
+        maxHeight: '50%',
+        display: 'flex',
+        flexDirection: 'column',
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', px: 2, pt: 1 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          Measure
+        </Typography>
+        <IconButton size="small" onClick={onClose} aria-label="Close measure">
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', px: 2, py: 1 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={mode}
+          onChange={(_, value) => value && onModeChange(value)}
+        >
+          <ToggleButton value="distance">Distance</ToggleButton>
+          <ToggleButton value="angle">Angle</ToggleButton>
+          <ToggleButton value="probe">Probe</ToggleButton>
+        </ToggleButtonGroup>
+        <Box sx={{ flexGrow: 1 }} />
+        {mode === 'angle'
+          ? <UnitSelector type="angle" value={angleUnit} onChange={onAngleUnit} />
+          : <UnitSelector type="length" value={lengthUnit} onChange={onLengthUnit} />}
+      </Box>
+
+      <Box sx={{ overflow: 'auto', px: 2, pb: 1 }}>
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', pb: 1 }}>
+          {HINTS[mode]}
+        </Typography>
+
+        {mode !== 'probe' && points.map((p, i) => (
+          <Row key={i} label={`Point ${i + 1}`} value={`${coordinates(p.point)} on ${p.path}`} />
+        ))}
+        {distance && (
+          <Box sx={{ pt: 1 }}>
+            <Row label="Distance" value={formatLength(distance.distance, lengthUnit)} />
+            {['X', 'Y', 'Z'].map((axis, i) => (
+              <Row key={axis} label={`Along ${axis}`} value={formatLength(Math.abs(distance.delta[i]), lengthUnit)} />
+            ))}
+          </Box>
+        )}
+        {angle !== null && (
+          <Box sx={{ pt: 1 }}>
+            <Row label="Angle" value={formatAngle(angle, angleUnit)} />
+          </Box>
+        )}
+
+        {mode === 'probe' && points.length > 0 && (
+          <>
+            <Row label="Volume" value={points[0].path} />
+            <Row label="Material" value={points[0].material || 'No material'} />
+            <Row label="Position" value={coordinates(points[0].point)} />
+          </>
+        )}
+
+        {points.length > 0 && (
+          <Button size="small" onClick={onClear} sx={{ mt: 1 }}>Clear</Button>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default MeasurePanel;
@@ -0,0 +1,197 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Html, Line } from '@react-three/drei';
+import * as THREE from 'three';
+import { createFlatHierarchy } from '../utils/geometryUtils';
+import {
+  SNAP_FRACTION, snapCandidates, snapPoint, measureDistance, measureAngle, volumePath, formatLength, formatAngle,
+} from '../utils/measureUtils';
+
+// A press that moves further than this (px) is a camera drag, not a pick
+const CLICK_SLOP = 4;
+
+const MEASURE_COLOR = '#ff6d00';
+
+const labelStyle = {
+  padding: '3px 6px',
+  borderRadius: '4px',
+  background: 'rgba(0, 0, 0, 0.75)',
+  color: 'white',
+  fontSize: '12px',
+  fontFamily: 'Arial, sans-serif',
+  whiteSpace: 'nowrap',
+  userSelect: 'none',
+  pointerEvents: 'none'
+};
+
+const markerStyle = (color) => ({
+  width: '8px',
+  height: '8px',
+  borderRadius: '50%',
+  border: '2px solid white',
+  background: color,
+  pointerEvents: 'none'
+});
+
+const SNAP_LABELS = { vertex: 'Vertex', face: 'Face centre', origin: 'Origin' };
+
+// Name of the volume a hit was drawn for, or null when it is hidden, part
+// of a gizmo or not a volume at all. Instanced meshes name each instance.
+const hitVolumeName = (hit, root) => {
+  const names = hit.object.userData.volumeNames;
+  let name = names && hit.instanceId !== undefined ? names[hit.instanceId] : null;
+  for (let current = hit.object; current && current !== root; current = current.parent) {
+    if (!current.visible || current.isTransformControlsRoot) return null;
+    if (name === null && current.userData.volumeName !== undefined) name = current.userData.volumeName;
+  }
+  return name;
+};
+
+// Whether the hit lies in the part of the mesh a clip plane cuts away
+const isClippedAway = (hit) => {
+  const planes = hit.object.material?.clippingPlanes;
+  return Boolean(planes && planes.some(plane => plane.distanceToPoint(hit.point) < 0));
+};
+
+const toVector = (point) => new THREE.Vector3(...point);
+
+const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2, (a[2] + b[2]) / 2];
+
+/**
+ * Measure and probe modes in the scene. Under the cursor it finds the
+ * volume surface (skipping hidden and clipped-away parts), snaps to
+ * vertices, face centres and volume origins in the measure modes, and
+ * draws the picked points with their distance or angle. A click without
+ * dragging the camera picks the point.
+ *
+ * @param {Object} props.volumesRef - Ref to the group holding the volumes
+ * @param {Object} props.geometries - Flat geometry { world, volumes }
+ * @param {string} props.mode - 'distance', 'angle' or 'probe'
+ * @param {Object[]} props.points - Picked points, { point, kind }
+ * @param {string} props.lengthUnit - Unit for distances and coordinates
+ * @param {string} props.angleUnit - Unit for angles
+ * @param {Function} props.onPick - Receives { point, kind, name, path, material }
+ */
+export default function MeasureTool({ volumesRef, geometries, mode, points, lengthUnit, angleUnit, onPick }) {
+  const { camera, gl, pointer, raycaster } = useThree();
+  const [hover, setHover] = useState(null);
+  const hoverRef = useRef(null);
+  const onPickRef = useRef(onPick);
+  const lastPointer = useRef(new THREE.Vector2(NaN, NaN));
+  const hierarchy = useMemo(() => createFlatHierarchy(geometries.volumes || []), [geometries]);
+
+  useEffect(() => {
+    onPickRef.current = onPick;
+  }, [onPick]);
+
+  // Geometry or mode changed under a still cursor: look again
+  useEffect(() => {
+    lastPointer.current.set(NaN, NaN);
+  }, [geometries, mode]);
+
+  useFrame(() => {
+    const root = volumesRef.current;
+    if (!root || lastPointer.current.equals(pointer)) return;
+    lastPointer.current.copy(pointer);
+
+    raycaster.setFromCamera(pointer, camera);
+    let next = null;
+    for (const hit of raycaster.intersectObject(root, true)) {
+      if (!hit.object.isMesh || isClippedAway(hit)) continue;
+      const name = hitVolumeName(hit, root);
+      if (name === null) continue;
+      const volume = hierarchy.byName.get(name);
+      let picked = { point: hit.point.clone(), kind: 'surface' };
+      if (mode !== 'probe') {
+        const origin = volume ? new THREE.Vector3().setFromMatrixPosition(hierarchy.worldMatrix(volume)) : null;
+        const radius = camera.position.distanceTo(hit.point) * SNAP_FRACTION;
+        picked = snapPoint(hit.point, snapCandidates(hit.object, hit.faceIndex, origin, hit.instanceId), radius);
+      }
+      next = {
+        point: picked.point.toArray(),
+        kind: picked.kind,
+        name,
+        path: volume ? volumePath(volume, geometries.volumes, hierarchy) : name,
+        material: volume?.material || '',
+      };
+      break;
+    }
+    const previous = hoverRef.current;
+    if (previous === next || (previous && next && previous.kind === next.kind && previous.name === next.name &&
+        toVector(previous.point).equals(toVector(next.point)))) return;
+    hoverRef.current = next;
+    setHover(next);
+  });
+
+  // Clicks are read off the canvas so the volumes' own click handlers
+  // (selection) need not know about measuring
+  useEffect(() => {
+    const element = gl.domElement;
+    let down = null;
+    const handleDown = (e) => { down = { x: e.clientX, y: e.clientY }; };
+    const handleUp = (e) => {
+      if (!down || e.button !== 0) return;
+      const moved = Math.hypot(e.clientX - down.x, e.clientY - down.y);
+      down = null;
+      if (moved <= CLICK_SLOP && hoverRef.current) onPickRef.current(hoverRef.current);
+    };
+    element.addEventListener('pointerdown', handleDown);
+    element.addEventListener('pointerup', handleUp);
+    return () => {
+      element.removeEventListener('pointerdown', handleDown);
+      element.removeEventListener('pointerup', handleUp);
+    };
+  }, [gl]);
+
+  const picked = points.map(p => p.point);
+  const needed = mode === 'angle' ? 3 : 2;
+  const complete = mode !== 'probe' && picked.length === needed;
+  // Rubber band from the last point to the cursor while measuring
+  const path = !complete && mode !== 'probe' && hover && picked.length > 0 ? [...picked, hover.point] : picked;
+
+  let result = null;
+  if (complete && mode === 'distance') {
+    const { distance } = measureDistance(picked[0], picked[1]);
+    result = { position: midpoint(picked[0], picked[1]), text: formatLength(distance, lengthUnit) };
+  } else if (complete && mode === 'angle') {
+    result = { position: picked[1], text: formatAngle(measureAngle(picked[0], picked[1], picked[2]), angleUnit) };
+  }
+
+  return (
+    <>
+      {mode !== 'probe' && path.length > 1 && (
+        <Line points={path} color={MEASURE_COLOR} lineWidth={2} depthTest={false} renderOrder={1000} />
+      )}
+      {mode !== 'probe' && picked.map((point, i) => (
+        <Html key={`point-${i}`} position={point} center>
+          <div style={markerStyle(MEASURE_COLOR)} />
+        </Html>
+      ))}
+      {result && (
+        <Html position={result.position} center>
+          <div style={{ ...labelStyle, background: MEASURE_COLOR }}>{result.text}</div>
+        </Html>
+      )}
+
+      {hover && (
+        <Html position={hover.point} center>
+          <div style={markerStyle(mode === 'probe' ? '#1976d2' : '#ffffff')} />
+        </Html>
+      )}
+      {hover && mode === 'probe' && (
+        <Html position={hover.point} style={{ transform: 'translate(12px, 12px)' }}>
+          <div style={labelStyle}>
+            <div>{hover.path}</div>
+            <div>{hover.material || 'No material'}</div>
+            <div>({hover.point.map(v => formatLength(v, lengthUnit)).join(', ')})</div>
+          </div>
+        </Html>
+      )}
+      {hover && mode !== 'probe' && hover.kind !== 'surface' && (
+        <Html position={hover.point} style={{ transform: 'translate(10px, -24px)' }}>
+          <div style={labelStyle}>{SNAP_LABELS[hover.kind]}</div>
+        </Html>
+      )}
+    </>
+  );
+}
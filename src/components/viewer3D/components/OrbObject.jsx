@@ -0,0 +1,39 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+
+// Orb Object Component (G4Orb, a full solid sphere)
+const OrbObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
+  const position = object.position ? [
+    object.position.x, 
+    object.position.y, 
+    object.position.z
+  ] : [0, 0, 0];
+  
+  const radius = object.radius || 5;
+
+  // The rotation is already handled by the parent TransformableObject component
+  const geometry = useMemo(() => new THREE.SphereGeometry(radius, 32, 32), [radius]);
+
+  return (
+    <mesh
+      ref={ref}
+      position={position}
+      onClick={(e) => {
+        e.stopPropagation();
+        if (onClick) onClick(e);
+      }}
+    >
+      <primitive object={geometry} />
+      <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
+      {isSelected && (
+        <lineSegments>
+          <edgesGeometry attach="geometry" args={[geometry]} />
+          <lineBasicMaterial attach="material" color="#ffff00" />
+        </lineSegments>
+      )}
+    </mesh>
+  );
+});
+
+export default OrbObject;
@@ -0,0 +1,153 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  TextField,
+  List,
+  ListItemButton,
+  ListItemText,
+  LinearProgress,
+  IconButton
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import { checkOverlaps, DEFAULT_OVERLAP_TOLERANCE } from '../utils/overlapChecker';
+
+const formatNumber = (value) => Number(value.toPrecision(3)).toString();
+
+/**
+ * Floating panel that runs the overlap checker on the flat geometry and lists
+ * offending pairs. Clicking a result selects the first volume and asks the
+ * Scene to highlight both, together with the overlapping region.
+ *
+ * @param {Object} props.geometries - Flat geometry { world, volumes }
+ * @param {Function} props.onSelect - Select a volume by key
+ * @param {Function} props.onHighlight - Receives { keys, region } or null
+ * @param {Function} props.onClose - Close the panel
+ */
+const OverlapPanel = ({ geometries, onSelect, onHighlight, onClose }) => {
+  const [tolerance, setTolerance] = useState(DEFAULT_OVERLAP_TOLERANCE);
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [error, setError] = useState('');
+  // Geometry the current report was computed for
+  const checkedRef = useRef(null);
+
+  // Free region geometries when the report is replaced or the panel closes
+  useEffect(() => {
+    return () => {
+      if (report) report.results.forEach(r => r.region.dispose());
+    };
+  }, [report]);
+
+  // Clear the highlight when the panel goes away
+  useEffect(() => () => onHighlight(null), [onHighlight]);
+
+  const runCheck = async () => {
+    setRunning(true);
+    setError('');
+    setActiveIndex(-1);
+    onHighlight(null);
+    try {
+      const result = await checkOverlaps(geometries, { tolerance: Number(tolerance) || 0 });
+      checkedRef.current = geometries;
+      setReport(result);
+    } catch (err) {
+      console.error('OverlapPanel:: Overlap check failed:', err);
+      setError(`Overlap check failed: ${err.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleResultClick = (result, index) => {
+    setActiveIndex(index);
+    const [first, second] = result.keys;
+    onSelect(first === 'world' ? second : first);
+    onHighlight({ keys: result.keys.filter(k => k !== 'world'), region: result.region });
+  };
+
+  const isStale = report && checkedRef.current !== geometries;
+
+  return (
+    <Paper
+      elevation={3}
+      sx={{
+        position: 'absolute',
+        top: 10,
+        right: 10,
+        zIndex: 100,
+        width: 320,
+        maxHeight: '70%',
+        display: 'flex',
+        flexDirection: 'column',
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', px: 2, pt: 1 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          Overlap Check
+        </Typography>
+        <IconButton size="small" onClick={onClose} aria-label="Close overlap check">
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', px: 2, py: 1 }}>
+        <TextField
+          label="Tolerance (mm)"
+          type="number"
+          size="small"
+          value={tolerance}
+          onChange={(e) => setTolerance(e.target.value)}
+          inputProps={{ min: 0, step: 0.001 }}
+          sx={{ flexGrow: 1 }}
+        />
+        <Button variant="contained" size="small" onClick={runCheck} disabled={running}>
+          Run
+        </Button>
+      </Box>
+      {running && <LinearProgress />}
+
+      <Box sx={{ overflow: 'auto', px: 1, pb: 1 }}>
+        {error && (
+          <Typography variant="body2" color="error" sx={{ px: 1 }}>{error}</Typography>
+        )}
+        {isStale && (
+          <Typography variant="caption" color="text.secondary" sx={{ px: 1, display: 'block' }}>
+            The geometry changed since this check; run it again to update.
+          </Typography>
+        )}
+        {report && report.results.length === 0 && (
+          <Typography variant="body2" sx={{ px: 1 }}>No overlaps found.</Typography>
+        )}
+        {report && report.results.length > 0 && (
+          <List dense disablePadding>
+            {report.results.map((result, index) => (
+              <ListItemButton
+                key={`${result.keys.join('|')}-${index}`}
+                selected={index === activeIndex}
+                onClick={() => handleResultClick(result, index)}
+              >
+                <ListItemText
+                  primary={result.kind === 'protrusion'
+                    ? `${result.names[0]} protrudes from ${result.names[1]}`
+                    : `${result.names[0]} overlaps ${result.names[1]}`}
+                  secondary={`${formatNumber(result.volume)} mm³, depth ${formatNumber(result.depth)} mm`}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+        {report && report.skipped.length > 0 && (
+          <Typography variant="caption" color="text.secondary" sx={{ px: 1, display: 'block' }}>
+            Not checked (no CSG mesh): {report.skipped.join(', ')}
+          </Typography>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default OverlapPanel;
@@ -0,0 +1,325 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import * as THREE from 'three';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import { generatePattern, parsePositionsCsv, DEFAULT_NAME_TEMPLATE } from '../../../utils/placementPatterns';
+import { nextPlacementNumber } from '../../../utils/jsonOperations';
+import { placementMatrix } from '../../../utils/gdmlExport';
+import { toInternalUnit, fromInternalUnit, getAvailableUnits } from '../../geometry-editor/utils/UnitConverter';
+import { getManifoldLib, buildVolumeManifold, manifoldToGeometry } from '../utils/manifoldCSG';
+import { createFlatHierarchy } from '../utils/geometryUtils';
+
+const LAYOUTS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'grid', label: 'Rectangular grid' },
+  { value: 'circular', label: 'Circular' },
+  { value: 'hexagonal', label: 'Hexagonal packed' },
+  { value: 'csv', label: 'Positions from CSV' },
+];
+
+const FACING = [
+  { value: 'none', label: 'Keep rotation' },
+  { value: 'inward', label: 'Face the axis' },
+  { value: 'outward', label: 'Face away from the axis' },
+];
+
+const DEG = Math.PI / 180;
+
+const Row = ({ children }) => <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>{children}</Box>;
+
+const toDegrees = (rad) => String(Number(((rad || 0) / DEG).toPrecision(6)));
+
+/**
+ * Floating panel that generates a pattern of placements of one volume:
+ * linear, rectangular grid, circular, hexagonal-packed or CSV positions.
+ * The pattern is previewed in the viewer through onPreview and added to
+ * the volume's placements on Apply.
+ *
+ * @param {Object} props.volume - Flat volume the pattern places
+ * @param {Object} props.geometries - Flat geometry { world, volumes }
+ * @param {Object} props.jsonData - Project JSON, for the next placement number
+ * @param {Function} props.onPreview - Receives { geometry, matrices } or null
+ * @param {Function} props.onApply - Receives the generated placements
+ * @param {Function} props.onClose - Close the panel
+ */
+const PatternPanel = ({ volume, geometries, jsonData, onPreview, onApply, onClose }) => {
+  const jsonVol = jsonData?.volumes?.[volume._volumeIndex];
+  const baseName = (jsonVol?.g4name || jsonVol?.name || volume.name).replace(/_\d+$/, '');
+
+  // Text of every field, in the units on show
+  const [form, setForm] = useState(() => ({
+    layout: 'circular',
+    axis: 'z',
+    unit: 'mm',
+    originX: '0', originY: '0', originZ: '0',
+    count: '12',
+    stepX: '100', stepY: '0', stepZ: '0',
+    countU: '4', countV: '4', pitchU: '100', pitchV: '100',
+    radius: '500', startAngle: '0', sweep: '360',
+    pitch: '100',
+    csv: 'x, y, z\n',
+    facing: 'none',
+    rotX: toDegrees(volume.rotation?.x), rotY: toDegrees(volume.rotation?.y), rotZ: toDegrees(volume.rotation?.z),
+    exclusionRadius: '0',
+    nameTemplate: DEFAULT_NAME_TEMPLATE,
+    copyStart: String(nextPlacementNumber(jsonVol)),
+    copyStep: '1',
+  }));
+  const [shape, setShape] = useState(null);
+
+  const set = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.value }));
+
+  const changeUnit = (e) => {
+    const unit = e.target.value;
+    // Keep the lengths, not the numbers on show
+    const convert = (text) => String(Number(fromInternalUnit(toInternalUnit(Number(text) || 0, form.unit), unit).toPrecision(9)));
+    setForm(f => {
+      const next = { ...f, unit };
+      ['originX', 'originY', 'originZ', 'stepX', 'stepY', 'stepZ', 'pitchU', 'pitchV', 'radius', 'pitch', 'exclusionRadius']
+        .forEach(key => { next[key] = convert(f[key]); });
+      return next;
+    });
+  };
+
+  const { placements, errors } = useMemo(() => {
+    const num = (text) => Number(text) || 0;
+    const len = (text) => toInternalUnit(num(text), form.unit);
+    const csv = form.layout === 'csv'
+      ? parsePositionsCsv(form.csv, { lengthScale: toInternalUnit(1, form.unit), angleScale: DEG })
+      : { positions: [], errors: [] };
+    try {
+      const result = generatePattern({
+        layout: form.layout,
+        baseName,
+        axis: form.axis,
+        origin: { x: len(form.originX), y: len(form.originY), z: len(form.originZ) },
+        rotation: { x: num(form.rotX) * DEG, y: num(form.rotY) * DEG, z: num(form.rotZ) * DEG },
+        facing: form.facing,
+        exclusionRadius: len(form.exclusionRadius),
+        nameTemplate: form.nameTemplate,
+        copyStart: Math.round(num(form.copyStart)),
+        copyStep: Math.round(num(form.copyStep)),
+        count: Math.max(0, Math.round(num(form.count))),
+        step: { x: len(form.stepX), y: len(form.stepY), z: len(form.stepZ) },
+        countU: Math.max(0, Math.round(num(form.countU))),
+        countV: Math.max(0, Math.round(num(form.countV))),
+        pitchU: len(form.pitchU),
+        pitchV: len(form.pitchV),
+        radius: len(form.radius),
+        startAngle: num(form.startAngle) * DEG,
+        sweep: num(form.sweep) * DEG,
+        pitch: len(form.pitch),
+        positions: csv.positions,
+      });
+      return { placements: result, errors: csv.errors };
+    } catch (err) {
+      return { placements: [], errors: [err.message] };
+    }
+  }, [form, baseName]);
+
+  // Mesh of the volume for the preview; assemblies are shown as markers
+  useEffect(() => {
+    let cancelled = false;
+    let geometry = null;
+    getManifoldLib()
+      .then(lib => {
+        const manifold = buildVolumeManifold(volume, geometries.volumes, new THREE.Matrix4(), lib);
+        if (!manifold) return;
+        try {
+          geometry = manifoldToGeometry(manifold);
+        } finally {
+          manifold.delete();
+        }
+        if (cancelled) geometry.dispose();
+        else setShape(geometry);
+      })
+      .catch(err => console.error('PatternPanel:: Preview mesh failed:', err));
+    return () => {
+      cancelled = true;
+      if (geometry) geometry.dispose();
+    };
+  }, [volume, geometries.volumes]);
+
+  // Preview in the parent's frame
+  useEffect(() => {
+    const { byName, worldMatrix } = createFlatHierarchy(geometries.volumes || []);
+    const parent = byName.get(volume.mother_volume);
+    const parentMatrix = parent ? worldMatrix(parent) : new THREE.Matrix4();
+    onPreview({
+      geometry: shape,
+      matrices: placements.map(pl => parentMatrix.clone().multiply(placementMatrix(pl))),
+    });
+  }, [placements, shape, volume, geometries.volumes, onPreview]);
+
+  // Clear the preview when the panel goes away
+  useEffect(() => () => onPreview(null), [onPreview]);
+
+  const handleApply = () => {
+    onApply(placements);
+    onClose();
+  };
+
+  const field = (key, label, props = {}) => (
+    <TextField
+      label={label}
+      value={form[key]}
+      onChange={set(key)}
+      size="small"
+      type="number"
+      sx={{ flex: 1 }}
+      {...props}
+    />
+  );
+  const lengthLabel = (label) => `${label} (${form.unit})`;
+
+  return (
+    <Paper
+      elevation={3}
+      sx={{
+        position: 'absolute',
+        top: 50,
+        left: 10,
+        zIndex: 100,
+        width: 380,
+        maxHeight: '80%',
+        display: 'flex',
+        flexDirection: 'column',
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', px: 2, pt: 1 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }} noWrap>
+          Placement Pattern — {volume.name}
+        </Typography>
+        <IconButton size="small" onClick={onClose} aria-label="Close placement pattern">
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ overflow: 'auto', px: 2, py: 1 }}>
+        <Row>
+          <TextField select label="Layout" value={form.layout} onChange={set('layout')} size="small" sx={{ flex: 2 }}>
+            {LAYOUTS.map(l => <MenuItem key={l.value} value={l.value}>{l.label}</MenuItem>)}
+          </TextField>
+          <TextField select label="Axis" value={form.axis} onChange={set('axis')} size="small" sx={{ flex: 1 }}>
+            {['x', 'y', 'z'].map(a => <MenuItem key={a} value={a}>{a}</MenuItem>)}
+          </TextField>
+          <TextField select label="Unit" value={form.unit} onChange={changeUnit} size="small" sx={{ flex: 1 }}>
+            {getAvailableUnits('length').map(u => <MenuItem key={u} value={u}>{u}</MenuItem>)}
+          </TextField>
+        </Row>
+        <Row>
+          {field('originX', lengthLabel('Origin x'))}
+          {field('originY', lengthLabel('Origin y'))}
+          {field('originZ', lengthLabel('Origin z'))}
+        </Row>
+
+        {form.layout === 'linear' && (
+          <>
+            <Row>{field('count', 'Count', { inputProps: { min: 0, step: 1 } })}</Row>
+            <Row>
+              {field('stepX', lengthLabel('Step x'))}
+              {field('stepY', lengthLabel('Step y'))}
+              {field('stepZ', lengthLabel('Step z'))}
+            </Row>
+          </>
+        )}
+        {form.layout === 'grid' && (
+          <>
+            <Row>
+              {field('countU', 'Columns', { inputProps: { min: 0, step: 1 } })}
+              {field('countV', 'Rows', { inputProps: { min: 0, step: 1 } })}
+            </Row>
+            <Row>
+              {field('pitchU', lengthLabel('Column pitch'))}
+              {field('pitchV', lengthLabel('Row pitch'))}
+            </Row>
+          </>
+        )}
+        {form.layout === 'circular' && (
+          <>
+            <Row>
+              {field('count', 'Count', { inputProps: { min: 0, step: 1 } })}
+              {field('radius', lengthLabel('Radius'))}
+            </Row>
+            <Row>
+              {field('startAngle', 'Start angle (deg)')}
+              {field('sweep', 'Sweep (deg)')}
+            </Row>
+          </>
+        )}
+        {form.layout === 'hexagonal' && (
+          <Row>
+            {field('pitch', lengthLabel('Pitch'))}
+            {field('radius', lengthLabel('Fill radius'))}
+          </Row>
+        )}
+        {form.layout === 'csv' && (
+          <TextField
+            label={`Positions (x, y, z [, rx, ry, rz] in ${form.unit} and deg)`}
+            value={form.csv}
+            onChange={set('csv')}
+            multiline
+            minRows={4}
+            maxRows={10}
+            fullWidth
+            size="small"
+            sx={{ mb: 1 }}
+            inputProps={{ style: { fontFamily: 'monospace' } }}
+          />
+        )}
+
+        <Row>
+          <TextField select label="Orientation" value={form.facing} onChange={set('facing')} size="small" sx={{ flex: 2 }}>
+            {FACING.map(f => <MenuItem key={f.value} value={f.value}>{f.label}</MenuItem>)}
+          </TextField>
+          {field('exclusionRadius', lengthLabel('Exclusion radius'))}
+        </Row>
+        <Row>
+          {field('rotX', 'Rotation x (deg)')}
+          {field('rotY', 'Rotation y (deg)')}
+          {field('rotZ', 'Rotation z (deg)')}
+        </Row>
+        <Row>
+          {field('nameTemplate', 'Names', {
+            type: 'text',
+            sx: { flex: 2 },
+            helperText: '{name}, {n} copy no., {i}, {row}, {col}; {n:3} pads',
+          })}
+          {field('copyStart', 'First copy no.', { inputProps: { step: 1 } })}
+          {field('copyStep', 'Copy step', { inputProps: { step: 1 } })}
+        </Row>
+
+        {errors.map((message, index) => (
+          <Typography key={index} variant="body2" color="error">{message}</Typography>
+        ))}
+        <Typography variant="body2" color="text.secondary">
+          {placements.length === 0
+            ? 'The pattern is empty.'
+            : `${placements.length} placements: ${placements[0].name}${placements.length > 1 ? ` … ${placements[placements.length - 1].name}` : ''}`}
+        </Typography>
+      </Box>
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, px: 2, pb: 1 }}>
+        <Button size="small" onClick={onClose}>Cancel</Button>
+        <Button
+          size="small"
+          variant="contained"
+          onClick={handleApply}
+          disabled={placements.length === 0 || errors.length > 0}
+        >
+          Add {placements.length} placements
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default PatternPanel;
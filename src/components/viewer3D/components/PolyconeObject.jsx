@@ -1,8 +1,7 @@
 import React, { useMemo } from 'react';
 import * as THREE from 'three';
-import { getMaterialColor } from '../utils/materialColorUtils';
-
-const DEFAULT_COLOR = 'rgba(255, 100, 255, 0.7)';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+import { createPolyconeGeometry } from '../utils/solidGeometries';
 
 // Polycone Object Component
 const PolyconeObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
@@ -17,52 +16,23 @@ const PolyconeObject = React.forwardRef(({ object, isSelected, onClick, material
   // Note: No need to convert from degrees to radians as the values are already in radians
 
   // Create a custom polycone geometry with axis along z-direction
+  const { zSections, startPhi, deltaPhi } = object;
   const geometry = useMemo(() => {
-    // Extract z-sections from the object (default if missing)
-    const zSections = object.zSections || [
-      { z: -5, rMin: 0, rMax: 3 },
-      { z: 0, rMin: 0, rMax: 5 },
-      { z: 5, rMin: 0, rMax: 2 }
-    ];
-    // Sort sections by z-coordinate
-    const sortedSections = [...zSections].sort((a, b) => a.z - b.z);
-    
-    if (sortedSections.length < 2) {
+    if (zSections && zSections.length < 2) {
       console.error('Polycone needs at least 2 z-sections');
       return new THREE.BufferGeometry();
     }
-    
-    // Create points for the lathe geometry
-    // The points are in the x-z plane (y=0), with z being the height/axis
-    const points = [];
-    
-    // Add points for each z-section (outer radius)
-    sortedSections.forEach(section => {
-      points.push(new THREE.Vector2(section.rMax, section.z));
+    // Default sections if missing
+    return createPolyconeGeometry({
+      zSections: zSections || [
+        { z: -5, rMin: 0, rMax: 3 },
+        { z: 0, rMin: 0, rMax: 5 },
+        { z: 5, rMin: 0, rMax: 2 }
+      ],
+      startPhi,
+      deltaPhi,
     });
-    
-    // Add points for each z-section in reverse order (inner radius)
-    // Only if we have inner radii (hollow polycone)
-    if (sortedSections.some(section => section.rMin > 0)) {
-      for (let i = sortedSections.length - 1; i >= 0; i--) {
-        const section = sortedSections[i];
-        if (section.rMin > 0) {
-          points.push(new THREE.Vector2(section.rMin, section.z));
-        }
-      }
-    }
-    
-    // Create the lathe geometry
-    // The lathe geometry rotates points around the y-axis in Three.js
-    // So we need to rotate our final geometry to align with z-axis
-    const segments = 32;
-    const latheGeometry = new THREE.LatheGeometry(points, segments);
-    
-    // Rotate the geometry to make the axis along z-direction
-    latheGeometry.rotateX(Math.PI / 2);
-    
-    return latheGeometry;
-  }, [object.zSections]);
+  }, [zSections, startPhi, deltaPhi]);
 
   return (
     <mesh
@@ -70,16 +40,11 @@ const PolyconeObject = React.forwardRef(({ object, isSelected, onClick, material
       position={position}
       onClick={(e) => {
         e.stopPropagation();
-        if (onClick) onClick();
+        if (onClick) onClick(e);
       }}
     >
       <primitive object={geometry} />
-      <meshStandardMaterial 
-        color={getMaterialColor(object.material, materials, DEFAULT_COLOR)} 
-        transparent={true}
-        opacity={0.7}
-        side={THREE.DoubleSide}
-      />
+      <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
       {isSelected && (
         <lineSegments>
           <edgesGeometry attach="geometry" args={[geometry]} />
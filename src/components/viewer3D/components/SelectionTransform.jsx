@@ -0,0 +1,60 @@
+import React, { useRef, useState } from 'react';
+import { useThree } from '@react-three/fiber';
+import { TransformControls } from '@react-three/drei';
+import * as THREE from 'three';
+
+/**
+ * Gizmo that moves or rotates a multi-selection about its common pivot.
+ *
+ * The controls drive an empty group placed at the pivot. When a drag ends
+ * the group's change is handed over as one world-space matrix and the
+ * group goes back to rest; the volumes follow once the JSON is updated.
+ * Scaling a group is not supported, so 'scale' mode falls back to moving.
+ *
+ * @param {Object} props Component props
+ * @param {THREE.Vector3} props.pivot World position of the gizmo
+ * @param {string} props.transformMode 'translate', 'rotate' or 'scale'
+ * @param {Function} props.onTransform Receives the world-space THREE.Matrix4 of the drag
+ */
+export default function SelectionTransform({ pivot, transformMode, onTransform }) {
+  const { camera } = useThree();
+  const [group, setGroup] = useState(null);
+  const startRef = useRef(null);
+
+  const handleMouseDown = () => {
+    group.updateMatrixWorld();
+    startRef.current = group.matrixWorld.clone();
+  };
+
+  const handleMouseUp = () => {
+    const start = startRef.current;
+    startRef.current = null;
+    if (!start) return;
+    group.updateMatrixWorld();
+    const delta = group.matrixWorld.clone().multiply(start.clone().invert());
+
+    // Back to rest before the selection moves under it
+    group.position.copy(pivot);
+    group.quaternion.identity();
+    group.updateMatrixWorld();
+
+    if (!delta.equals(new THREE.Matrix4())) onTransform(delta);
+  };
+
+  return (
+    <>
+      <group ref={setGroup} position={[pivot.x, pivot.y, pivot.z]} />
+      {group && (
+        <TransformControls
+          object={group}
+          mode={transformMode === 'rotate' ? 'rotate' : 'translate'}
+          size={0.75}
+          camera={camera}
+          space="world"
+          onMouseDown={handleMouseDown}
+          onMouseUp={handleMouseUp}
+        />
+      )}
+    </>
+  );
+}
@@ -1,8 +1,7 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import * as THREE from 'three';
-import { getMaterialColor } from '../utils/materialColorUtils';
-
-const DEFAULT_COLOR = 'rgba(255, 255, 100, 0.7)';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+import { createSphereGeometry, isSegmented } from '../utils/solidGeometries';
 
 // Sphere Object Component
 const SphereObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
@@ -12,8 +11,16 @@ const SphereObject = React.forwardRef(({ object, isSelected, onClick, materials
     object.position.z
   ] : [0, 0, 0];
   
-  const radius = object.radius || 5;
-  
+  const { radius = 5, innerRadius, startPhi, deltaPhi, startTheta, deltaTheta } = object;
+
+  // Shells and segments are revolved from their (r, z) profile with capped
+  // cut faces; a full solid sphere stays a plain SphereGeometry
+  const geometry = useMemo(() => {
+    const solid = { type: 'sphere', radius: radius || 5, innerRadius, startPhi, deltaPhi, startTheta, deltaTheta };
+    if (innerRadius > 0 || isSegmented(solid)) return createSphereGeometry(solid);
+    return new THREE.SphereGeometry(solid.radius, 32, 32);
+  }, [radius, innerRadius, startPhi, deltaPhi, startTheta, deltaTheta]);
+
   // The rotation is already handled by the parent TransformableObject component
   // We don't need to apply any rotation here as the mesh is already properly oriented
   // Note: No need to convert from degrees to radians as the values are already in radians
@@ -25,18 +32,14 @@ const SphereObject = React.forwardRef(({ object, isSelected, onClick, materials
 
       onClick={(e) => {
         e.stopPropagation();
-        if (onClick) onClick();
+        if (onClick) onClick(e);
       }}
     >
-      <sphereGeometry args={[radius, 32, 32]} />
-      <meshStandardMaterial 
-        color={getMaterialColor(object.material, materials, DEFAULT_COLOR)} 
-        transparent={true}
-        opacity={0.7}
-      />
+      <primitive object={geometry} />
+      <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
       {isSelected && (
         <lineSegments>
-          <edgesGeometry attach="geometry" args={[new THREE.SphereGeometry(radius, 32, 32)]} />
+          <edgesGeometry attach="geometry" args={[geometry]} />
           <lineBasicMaterial attach="material" color="#ffff00" />
         </lineSegments>
       )}
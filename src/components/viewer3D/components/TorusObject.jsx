@@ -1,8 +1,7 @@
 import React, { useMemo } from 'react';
 import * as THREE from 'three';
-import { getMaterialColor } from '../utils/materialColorUtils';
-
-const DEFAULT_COLOR = 'rgba(100, 255, 255, 0.7)';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+import { createTorusGeometry, isSegmented } from '../utils/solidGeometries';
 
 // Torus Object Component
 const TorusObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
@@ -15,13 +14,17 @@ const TorusObject = React.forwardRef(({ object, isSelected, onClick, materials }
   // Extract dimensions from the object
   const majorRadius = object.majorRadius || 5;
   const minorRadius = object.minorRadius || 1;
+  const { startPhi, deltaPhi } = object;
   
   // The rotation is already handled by the parent TransformableObject component
   // We don't need to apply any rotation here as the mesh is already properly oriented
   // Note: No need to convert from degrees to radians as the values are already in radians
 
-  // Create a torus geometry
+  // Create a torus geometry; THREE's torus already lies around the z axis, but
+  // a phi segment needs the capped one from solidGeometries
   const geometry = useMemo(() => {
+    const solid = { majorRadius, minorRadius, startPhi, deltaPhi };
+    if (isSegmented(solid)) return createTorusGeometry(solid);
     return new THREE.TorusGeometry(
       majorRadius,
       minorRadius,
@@ -29,7 +32,7 @@ const TorusObject = React.forwardRef(({ object, isSelected, onClick, materials }
       32, // tubularSegments
       Math.PI * 2 // arc
     );
-  }, [majorRadius, minorRadius]);
+  }, [majorRadius, minorRadius, startPhi, deltaPhi]);
 
   return (
     <mesh
@@ -37,15 +40,11 @@ const TorusObject = React.forwardRef(({ object, isSelected, onClick, materials }
       position={position}
       onClick={(e) => {
         e.stopPropagation();
-        if (onClick) onClick();
+        if (onClick) onClick(e);
       }}
     >
       <primitive object={geometry} />
-      <meshStandardMaterial 
-        color={getMaterialColor(object.material, materials, DEFAULT_COLOR)} 
-        transparent={true}
-        opacity={0.7}
-      />
+      <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
       {isSelected && (
         <lineSegments>
           <edgesGeometry attach="geometry" args={[geometry]} />
@@ -22,6 +22,11 @@ import TrapezoidObject from './TrapezoidObject.jsx';
 import TorusObject from './TorusObject.jsx';
 import EllipsoidObject from './EllipsoidObject.jsx';
 import PolyconeObject from './PolyconeObject.jsx';
+import ConeObject from './ConeObject.jsx';
+import OrbObject from './OrbObject.jsx';
+import EllipticalTubeObject from './EllipticalTubeObject.jsx';
+import PolyhedraObject from './PolyhedraObject.jsx';
+import TessellatedObject from './TessellatedObject.jsx';
 import UnionObject from './UnionObject.jsx';
 import AssemblyObject from './AssemblyObject.jsx';
 
@@ -33,12 +38,15 @@ import AssemblyObject from './AssemblyObject.jsx';
  * @param {string} props.objectKey Unique identifier for the object
  * @param {string} props.transformMode The current transform mode ('translate', 'rotate', or 'scale')
  * @param {boolean} props.isSelected Whether this object is currently selected
+ * @param {boolean} props.isHighlighted Draw the selection outline without transform controls
  * @param {Function} props.onSelect Callback when the object is selected
  * @param {Function} props.onTransformEnd Callback when transformation ends, receives updated position and rotation
+ * @param {Function} props.onDraggingChanged Callback when a drag of the controls starts (true) or ends (false)
  * @param {Array} props.worldPosition World position coordinates [x, y, z] if applicable
  * @param {Array} props.worldRotation World rotation values [x, y, z] in radians if applicable
  * @param {boolean} props.isSourceObject Whether this is a source object that should trigger updates to other instances
  * @param {Array} props.volumes All volumes in the scene, needed for union and assembly objects
+ * @param {Set<string>} props.instancedNames Volumes the Scene draws instanced, left out of assemblies
  * @returns {JSX.Element} The rendered 3D object with transform controls when selected
  */
 export default function TransformableObject({ 
@@ -46,14 +54,17 @@ export default function TransformableObject({
   objectKey, 
   transformMode, 
   isSelected, 
+  isHighlighted = false,
   onSelect, 
   onTransformEnd,
+  onDraggingChanged,
   worldPosition,
   worldRotation,
   isSourceObject = false,
   isMotherVolume = false,
   materials = {},
-  volumes = []
+  volumes = [],
+  instancedNames = null
 }) {
   // Create a ref for the object
   const groupRef = useRef();
@@ -218,39 +229,58 @@ export default function TransformableObject({
       }
     };
 
+    // Bracket the drag's updates, so they become one undo step
+    const handleDraggingChanged = (e) => {
+      if (onDraggingChanged) onDraggingChanged(e.value);
+    };
+
     // Set up event listeners
     controls.addEventListener('objectChange', handleChange);
     controls.addEventListener('mouseDown', handleMouseDown);
     controls.addEventListener('mouseUp', handleMouseUp);
+    controls.addEventListener('dragging-changed', handleDraggingChanged);
 
     return () => {
       controls.removeEventListener('objectChange', handleChange);
       controls.removeEventListener('mouseDown', handleMouseDown);
       controls.removeEventListener('mouseUp', handleMouseUp);
+      controls.removeEventListener('dragging-changed', handleDraggingChanged);
     };
-  }, [gl, isSelected, object, onTransformEnd, isDragging, objectKey, isMotherVolume, isSourceObject]);
+  }, [gl, isSelected, object, onTransformEnd, onDraggingChanged, isDragging, objectKey, isMotherVolume, isSourceObject]);
 
   // Create a group for the transform controls
   const renderObject = () => {
     // Clone the object to avoid modifying the original
     const clonedObject = { ...object };
+    // Highlighted objects get the selection outline, but no transform controls
+    const showOutline = isSelected || isHighlighted;
     
     // Render the appropriate object type
     switch (object.type) {
       case 'box':
-        return <BoxObject ref={groupRef} object={clonedObject} isSelected={isSelected} onClick={onSelect} materials={materials} />;
+        return <BoxObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
       case 'cylinder':
-        return <CylinderObject ref={groupRef} object={clonedObject} isSelected={isSelected} onClick={onSelect} materials={materials} />;
+        return <CylinderObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
       case 'sphere':
-        return <SphereObject ref={groupRef} object={clonedObject} isSelected={isSelected} onClick={onSelect} materials={materials} />;
+        return <SphereObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
       case 'trapezoid':
-        return <TrapezoidObject ref={groupRef} object={clonedObject} isSelected={isSelected} onClick={onSelect} materials={materials} />;
+        return <TrapezoidObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
       case 'torus':
-        return <TorusObject ref={groupRef} object={clonedObject} isSelected={isSelected} onClick={onSelect} materials={materials} />;
+        return <TorusObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
       case 'ellipsoid':
-        return <EllipsoidObject ref={groupRef} object={clonedObject} isSelected={isSelected} onClick={onSelect} materials={materials} />;
+        return <EllipsoidObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
       case 'polycone':
-        return <PolyconeObject ref={groupRef} object={clonedObject} isSelected={isSelected} onClick={onSelect} materials={materials} />;
+        return <PolyconeObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
+      case 'cone':
+        return <ConeObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
+      case 'orb':
+        return <OrbObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
+      case 'elliptical_tube':
+        return <EllipticalTubeObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
+      case 'polyhedra':
+        return <PolyhedraObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
+      case 'tessellated':
+        return <TessellatedObject ref={groupRef} object={clonedObject} isSelected={showOutline} onClick={onSelect} materials={materials} />;
       case 'union':
         // For union objects, we need to be careful about how we pass props to avoid reference issues
         return (
@@ -258,14 +288,14 @@ export default function TransformableObject({
             ref={groupRef} 
             object={clonedObject} 
             volumes={volumes} 
-            isSelected={isSelected} 
+            isSelected={showOutline} 
             onClick={onSelect} 
             materials={materials} 
             key={`union-${clonedObject.name}`}
           />
         );
       case 'assembly':
-        return <AssemblyObject ref={groupRef} object={clonedObject} volumes={volumes} isSelected={isSelected} onClick={onSelect} materials={materials} />;
+        return <AssemblyObject ref={groupRef} object={clonedObject} volumes={volumes} instancedNames={instancedNames} isSelected={showOutline} onClick={onSelect} materials={materials} />;
       default:
         console.error(`Unknown object type: ${object.type}`);
         return null;
@@ -1,8 +1,6 @@
 import React, { useMemo } from 'react';
-import * as THREE from 'three';
-import { getMaterialColor } from '../utils/materialColorUtils';
-
-const DEFAULT_COLOR = 'rgba(255, 180, 100, 0.7)';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+import { createTrapezoidGeometry } from '../utils/solidGeometries';
 
 // Trapezoid Object Component
 const TrapezoidObject = React.forwardRef(({ object, isSelected, onClick, materials }, ref) => {
@@ -12,70 +10,17 @@ const TrapezoidObject = React.forwardRef(({ object, isSelected, onClick, materia
     object.position.z
   ] : [0, 0, 0];
   
-  // Extract dimensions from the object
-  const dx1 = object.dx1 || 5; // Half-length in x at -z/2
-  const dx2 = object.dx2 || 5; // Half-length in x at +z/2
-  const dy1 = object.dy1 || 5; // Half-length in y at -z/2
-  const dy2 = object.dy2 || 5; // Half-length in y at +z/2
-  const dz = object.dz || 5;   // Half-length in z
-  
+  // Half-lengths in x and y at -dz (1) and +dz (2), and half-length in z
+  const { dx1, dx2, dy1, dy2, dz } = object;
+
   // The rotation is already handled by the parent TransformableObject component
   // We don't need to apply any rotation here as the mesh is already properly oriented
   // Note: No need to convert from degrees to radians as the values are already in radians
 
-  // Create a custom trapezoid geometry
-  const geometry = useMemo(() => {
-    // Create a BufferGeometry for the trapezoid
-    const geometry = new THREE.BufferGeometry();
-    
-    // Define the vertices of the trapezoid
-    const vertices = [
-      // Bottom face (at -z/2)
-      -dx1, -dy1, -dz,
-      dx1, -dy1, -dz,
-      dx1, dy1, -dz,
-      -dx1, dy1, -dz,
-      
-      // Top face (at +z/2)
-      -dx2, -dy2, dz,
-      dx2, -dy2, dz,
-      dx2, dy2, dz,
-      -dx2, dy2, dz
-    ];
-    
-    // Define the faces (triangles) using indices
-    const indices = [
-      // Bottom face
-      0, 1, 2,
-      0, 2, 3,
-      
-      // Top face
-      4, 7, 6,
-      4, 6, 5,
-      
-      // Side faces
-      0, 4, 5,
-      0, 5, 1,
-      
-      1, 5, 6,
-      1, 6, 2,
-      
-      2, 6, 7,
-      2, 7, 3,
-      
-      3, 7, 4,
-      3, 4, 0
-    ];
-    
-    // Set the vertices and indices
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    geometry.setIndex(indices);
-    
-    // Compute vertex normals for proper lighting
-    geometry.computeVertexNormals();
-    
-    return geometry;
-  }, [dx1, dx2, dy1, dy2, dz]);
+  const geometry = useMemo(
+    () => createTrapezoidGeometry({ dx1, dx2, dy1, dy2, dz }),
+    [dx1, dx2, dy1, dy2, dz]
+  );
 
   return (
     <mesh
@@ -83,15 +28,11 @@ const TrapezoidObject = React.forwardRef(({ object, isSelected, onClick, materia
       position={position}
       onClick={(e) => {
         e.stopPropagation();
-        if (onClick) onClick();
+        if (onClick) onClick(e);
       }}
     >
       <primitive object={geometry} />
-      <meshStandardMaterial 
-        color={getMaterialColor(object.material, materials, DEFAULT_COLOR)} 
-        transparent={true}
-        opacity={0.7}
-      />
+      <meshStandardMaterial {...volumeMaterialProps(object, materials)} />
       {isSelected && (
         <lineSegments>
           <edgesGeometry attach="geometry" args={[geometry]} />
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { QUERY_FIELDS } from '../utils/volumeQuery';
+
+const buttonStyle = {
+  padding: '2px 8px',
+  backgroundColor: '#f1f1f1',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+/**
+ * Search box above the geometry tree: the query, its match count or error,
+ * "Select all" for the matches, and the project's saved queries.
+ *
+ * @param {string} props.query Current query text
+ * @param {Function} props.onQueryChange Receives the new query text
+ * @param {string[]|null} props.matches Keys of the matching volumes, null without a query
+ * @param {string|null} props.error Why the query could not be parsed
+ * @param {Function} props.onSelectAll Select every match
+ * @param {Object} props.savedQueries Name → query text
+ * @param {Function} props.onUpdateSavedQueries Receives the new name → query map
+ */
+export default function TreeSearchBar({ query, onQueryChange, matches, error, onSelectAll, savedQueries = {}, onUpdateSavedQueries }) {
+  // Name being typed for "Save", or null when not saving
+  const [saveName, setSaveName] = useState(null);
+
+  const handleSave = () => {
+    const name = saveName.trim();
+    if (!name) return;
+    onUpdateSavedQueries({ ...savedQueries, [name]: query.trim() });
+    setSaveName(null);
+  };
+
+  const handleDelete = (name) => {
+    const rest = { ...savedQueries };
+    delete rest[name];
+    onUpdateSavedQueries(rest);
+  };
+
+  return (
+    <div style={{ marginBottom: '8px', fontSize: '12px' }}>
+      <div style={{ display: 'flex', gap: '4px' }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') onQueryChange('');
+          }}
+          placeholder="Search, e.g. name:PMT* material:SS304LSteel"
+          title={`Terms must all match. Bare words search names; fields: ${QUERY_FIELDS.join(', ')}. `
+            + 'Use * and ? as wildcards, a,b for alternatives, -field:value to exclude, quotes for spaces.'}
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: '4px 6px',
+            border: `1px solid ${error ? '#f44336' : '#ccc'}`,
+            borderRadius: '4px'
+          }}
+        />
+        {query.trim() && !error && saveName === null && (
+          <button onClick={() => setSaveName('')} style={buttonStyle} title="Save this query with the project">
+            Save
+          </button>
+        )}
+      </div>
+
+      {saveName !== null && (
+        <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+          <input
+            autoFocus
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSave();
+              if (e.key === 'Escape') setSaveName(null);
+            }}
+            placeholder="Query name"
+            style={{ flex: 1, minWidth: 0, padding: '2px 6px', border: '1px solid #ccc', borderRadius: '4px' }}
+          />
+          <button onClick={handleSave} disabled={!saveName.trim()} style={buttonStyle}>OK</button>
+          <button onClick={() => setSaveName(null)} style={buttonStyle}>Cancel</button>
+        </div>
+      )}
+
+      {error && <div style={{ color: '#f44336', marginTop: '4px' }}>{error}</div>}
+      {matches && !error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px', color: '#555' }}>
+          <span>{matches.length} match{matches.length === 1 ? '' : 'es'}</span>
+          {matches.length > 0 && (
+            <button onClick={onSelectAll} style={buttonStyle}>Select all</button>
+          )}
+        </div>
+      )}
+
+      {Object.keys(savedQueries).length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px' }}>
+          {Object.entries(savedQueries).map(([name, savedQuery]) => (
+            <span
+              key={name}
+              onClick={() => onQueryChange(savedQuery)}
+              title={savedQuery}
+              style={{
+                display: 'inline-flex',
+                alignItems: 'center',
+                gap: '4px',
+                padding: '1px 6px',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                backgroundColor: query.trim() === savedQuery ? '#1976d2' : '#e0e0e0',
+                color: query.trim() === savedQuery ? '#fff' : '#333'
+              }}
+            >
+              {name}
+              <span
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleDelete(name);
+                }}
+                title="Delete saved query"
+                style={{ opacity: 0.7 }}
+              >
+                ×
+              </span>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,86 +1,84 @@
-// UnionObject.jsx — render a boolean compound (union/subtract) as a single mesh.
+// UnionObject.jsx — render a boolean compound (union/subtract/intersect) as a single mesh.
 //
 // Uses manifold-3d (WASM) for true CSG. Generic across all supported solids;
-// handles arbitrary numbers of subtractions without browser hangs.
+// handles arbitrary numbers of subtractions without browser hangs. The CSG
+// runs in a Web Worker and is cached (see utils/booleanCache.js); until it
+// is done the previous result is drawn faded with a "Computing…" label.
 
 import React, { useRef, useMemo, useEffect, useState } from 'react';
 import * as THREE from 'three';
-import { computeBooleanGeometry } from '../utils/manifoldCSG';
+import { Html } from '@react-three/drei';
+import { geometryFromBuffers, nestBooleanComponents } from '../utils/manifoldCSG';
+import { getBooleanBuffers, hasBooleanBuffers } from '../utils/booleanCache';
+import { volumeMaterialProps } from '../utils/materialColorUtils';
+
+const pendingLabelStyle = {
+  padding: '3px 6px',
+  borderRadius: '4px',
+  background: 'rgba(0, 0, 0, 0.75)',
+  color: 'white',
+  fontSize: '12px',
+  fontFamily: 'Arial, sans-serif',
+  whiteSpace: 'nowrap',
+  userSelect: 'none',
+  pointerEvents: 'none',
+};
 
 const UnionObject = React.forwardRef(({ object, volumes, isSelected, onClick, materials }, ref) => {
   const groupRef = useRef();
   const [resultGeometry, setResultGeometry] = useState(null);
+  const [pending, setPending] = useState(false);
 
   React.useImperativeHandle(ref, () => groupRef.current);
 
-  // Boolean components belonging to this compound
+  // Boolean components belonging to this compound, with those of nested unions
   const componentVolumes = useMemo(() => {
     if (!volumes || !object.name) return [];
-    return volumes.filter(
-      vol => vol._is_boolean_component === true && vol._boolean_parent === object.name
-    );
+    return nestBooleanComponents({ name: object.name }, volumes);
   }, [volumes, object.name]);
 
-  // Material colour resolution
+  // Material colour resolution, shared with instanced placements of the union
   const unionMaterial = useMemo(() => {
-    const materialName = object.material || 'default';
-    let color = '#3399ff';
-    if (materials && typeof materials === 'object' && materials[materialName]) {
-      const c = materials[materialName].color;
-      if (typeof c === 'string') {
-        color = c;
-      } else if (Array.isArray(c)) {
-        const [r, g, b] = c;
-        color = '#' + new THREE.Color(r, g, b).getHexString();
-      }
-    }
-    if (isSelected) color = '#ff9900';
-
-    return new THREE.MeshStandardMaterial({
-      color,
-      opacity: 0.8,
-      transparent: true,
-      side: THREE.DoubleSide,
-    });
-  }, [isSelected, object.material, materials, object.name]);
+    const props = volumeMaterialProps({ type: 'union', material: object.material, wireframe: object.wireframe }, materials);
+    if (isSelected) props.color = '#ff9900';
+    // Faded while a new result is on its way
+    if (pending) props.opacity = 0.3;
+    return new THREE.MeshStandardMaterial(props);
+  }, [isSelected, object.material, object.wireframe, materials, pending]);
 
   // Compute the boolean geometry whenever the component set or its definitions change.
-  // computeBooleanGeometry is async (lazily inits the WASM module on first call).
+  // getBooleanBuffers resolves from the cache or once the worker is done.
   useEffect(() => {
     let cancelled = false;
-    let producedGeom = null;
 
     if (componentVolumes.length === 0) {
-      setResultGeometry(prev => {
-        if (prev) prev.dispose();
-        return null;
-      });
+      setPending(false);
+      setResultGeometry(null);
       return;
     }
 
+    // Cached results arrive on the next tick; no need to flash the label
+    setPending(!hasBooleanBuffers(componentVolumes));
     (async () => {
       try {
-        const geom = await computeBooleanGeometry(componentVolumes);
-        if (cancelled) {
-          geom?.dispose();
-          return;
-        }
-        producedGeom = geom;
-        setResultGeometry(prev => {
-          if (prev && prev !== geom) prev.dispose();
-          return geom;
-        });
+        const buffers = await getBooleanBuffers(componentVolumes);
+        if (cancelled) return;
+        setResultGeometry(buffers ? geometryFromBuffers(buffers) : null);
       } catch (err) {
-        console.error(`UnionObject ${object.name}: CSG failed:`, err);
+        if (!cancelled) console.error(`UnionObject ${object.name}: CSG failed:`, err);
+      } finally {
+        if (!cancelled) setPending(false);
       }
     })();
 
     return () => {
       cancelled = true;
-      producedGeom?.dispose();
     };
   }, [componentVolumes, object.name]);
 
+  // Free the GPU copy once the result is replaced; the cached arrays stay
+  useEffect(() => () => resultGeometry?.dispose(), [resultGeometry]);
+
   // Free GPU material on unmount or replacement
   useEffect(() => () => { unionMaterial.dispose(); }, [unionMaterial]);
 
@@ -91,7 +89,7 @@ const UnionObject = React.forwardRef(({ object, volumes, isSelected, onClick, ma
       rotation={[0, 0, 0]}
       onClick={(e) => {
         e.stopPropagation();
-        onClick && onClick();
+        onClick && onClick(e);
       }}
     >
       {resultGeometry && (
@@ -100,10 +98,15 @@ const UnionObject = React.forwardRef(({ object, volumes, isSelected, onClick, ma
           material={unionMaterial}
           onClick={(e) => {
             e.stopPropagation();
-            onClick && onClick();
+            onClick && onClick(e);
           }}
         />
       )}
+      {pending && (
+        <Html position={resultGeometry?.boundingSphere?.center || [0, 0, 0]} center>
+          <div style={pendingLabelStyle}>Computing…</div>
+        </Html>
+      )}
     </group>
   );
 });
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi } from 'vitest';
+import { booleanCacheKey, createBooleanCache } from '../booleanCache';
+import { expandToFlat } from '../../../../utils/expandToFlat';
+
+const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 1000, y: 1000, z: 1000 } };
+
+const flange = (holeRadius) => ({
+  name: 'Flange', type: 'union', material: 'G4_Fe',
+  components: [
+    { name: 'plate', type: 'box', boolean_operation: 'union', dimensions: { x: 100, y: 100, z: 10 }, placements: [{ x: 0 }] },
+    { name: 'hole', type: 'cylinder', boolean_operation: 'subtract', dimensions: { radius: holeRadius, height: 20 }, placements: [{ x: 30 }] },
+  ],
+  placements: [{ name: 'Flange_0', parent: 'World' }, { name: 'Flange_1', x: 200, parent: 'World' }],
+});
+
+// Components of each placement of the flange, keyed by placement index
+const componentsByPlacement = (holeRadius) => {
+  const { volumes } = expandToFlat({ world, volumes: [flange(holeRadius)] });
+  const byPlacement = [[], []];
+  volumes.filter(v => v._is_boolean_component).forEach(v => byPlacement[v._placementIndex].push(v));
+  return byPlacement;
+};
+
+const buffers = () => ({ position: new Float32Array(9), normal: new Float32Array(9), index: new Uint32Array([0, 1, 2]) });
+
+describe('booleanCache', () => {
+  it('keys placements of the same union alike and changed shapes apart', () => {
+    const [first, second] = componentsByPlacement(5);
+    expect(first[0].name).not.toBe(second[0].name);
+    expect(booleanCacheKey(first)).toBe(booleanCacheKey(second));
+    expect(booleanCacheKey(componentsByPlacement(6)[0])).not.toBe(booleanCacheKey(first));
+    // Evaluation order is part of the shape
+    expect(booleanCacheKey([...first].reverse())).not.toBe(booleanCacheKey(first));
+  });
+
+  it('computes identical unions once and sends only their shape', async () => {
+    const compute = vi.fn(async () => buffers());
+    const cache = createBooleanCache({ compute });
+    const [first, second] = componentsByPlacement(5);
+
+    const [a, b] = await Promise.all([cache.get(first), cache.get(second)]);
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(a).toBe(b);
+    expect(cache.has(second)).toBe(true);
+    const sent = compute.mock.calls[0][0];
+    expect(sent[1]).toMatchObject({ type: 'cylinder', boolean_operation: 'subtract', radius: 5 });
+    expect(sent[1].name).toBeUndefined();
+    expect(sent[1]._boolean_parent).toBeUndefined();
+  });
+
+  it('retries after a failure', async () => {
+    const compute = vi.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce(buffers());
+    const cache = createBooleanCache({ compute });
+    const [components] = componentsByPlacement(5);
+
+    await expect(cache.get(components)).rejects.toThrow('boom');
+    expect(cache.has(components)).toBe(false);
+    await expect(cache.get(components)).resolves.not.toBeNull();
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops the least recently used results', async () => {
+    const compute = vi.fn(async () => buffers());
+    const cache = createBooleanCache({ compute, maxEntries: 2 });
+    const [r4, r5, r6] = [4, 5, 6].map(radius => componentsByPlacement(radius)[0]);
+
+    await cache.get(r4);
+    await cache.get(r5);
+    await cache.get(r4);
+    await cache.get(r6);
+    expect(cache.has(r4)).toBe(true);
+    expect(cache.has(r5)).toBe(false);
+    expect(cache.has(r6)).toBe(true);
+  });
+});
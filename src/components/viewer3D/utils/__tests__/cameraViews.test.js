@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { captureCameraView, applyCameraView } from '../cameraViews';
+import { createClipPlane } from '../clipping';
+
+describe('cameraViews', () => {
+  it('restores the camera pose and hands back the clipping setup', () => {
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(100, -200, 50);
+    camera.up.set(0, 0, 1);
+    const controls = { target: new THREE.Vector3(10, 0, 0), update() {} };
+    const clipping = { planes: [{ ...createClipPlane('p1', 'z'), offset: 25 }], showCaps: true, subtrees: null };
+
+    const view = captureCameraView(camera, controls, clipping);
+    expect(JSON.parse(JSON.stringify(view))).toEqual(view);
+    clipping.planes[0].offset = 0;
+    expect(view.clipping.planes[0].offset).toBe(25);
+
+    const other = new THREE.PerspectiveCamera();
+    const otherControls = { target: new THREE.Vector3(), update() {} };
+    applyCameraView(view, other, otherControls);
+    expect(other.position.toArray()).toEqual([100, -200, 50]);
+    expect(other.up.toArray()).toEqual([0, 0, 1]);
+    expect(otherControls.target.toArray()).toEqual([10, 0, 0]);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  createClipPlane, clipPlaneToThree, clipPlaneFrame, clipPlaneFromFrame, subtreeNames, buildSectionCaps,
+} from '../clipping';
+import { expandToFlat } from '../../../../utils/expandToFlat';
+import lib from './manifoldLib';
+
+const box = (name, size, parent, z = 0, material = 'G4_AIR') => ({
+  name, type: 'box', material,
+  dimensions: { x: size, y: size, z: size },
+  placements: [{ name: `${name}_000`, x: 0, y: 0, z, parent }],
+});
+
+const area = (geometry) => {
+  const position = geometry.attributes.position;
+  const index = geometry.index.array;
+  const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  let total = 0;
+  for (let i = 0; i < index.length; i += 3) {
+    a.fromBufferAttribute(position, index[i]);
+    b.fromBufferAttribute(position, index[i + 1]);
+    c.fromBufferAttribute(position, index[i + 2]);
+    total += new THREE.Triangle(a, b, c).getArea();
+  }
+  return total;
+};
+
+describe('clipping', () => {
+  it('keeps the side the normal points to unless flipped', () => {
+    const spec = { ...createClipPlane('p1', 'x'), offset: 10 };
+    const point = new THREE.Vector3(20, 0, 0);
+    expect(clipPlaneToThree(spec).distanceToPoint(point)).toBeCloseTo(10);
+    expect(clipPlaneToThree({ ...spec, flipped: true }).distanceToPoint(point)).toBeCloseTo(-10);
+  });
+
+  it('reads a plane back from its moved frame', () => {
+    const custom = { ...createClipPlane('p1', 'custom'), offset: 5 };
+    const moved = new THREE.Matrix4().makeRotationY(Math.PI / 2).premultiply(new THREE.Matrix4().makeTranslation(30, 0, 7));
+    const { normal, offset } = clipPlaneFromFrame(custom, moved);
+    expect(normal[0]).toBeCloseTo(1);
+    expect(offset).toBeCloseTo(30);
+
+    // Axis planes only slide along their axis
+    const axis = createClipPlane('p2', 'y');
+    const slid = clipPlaneFrame(axis).premultiply(new THREE.Matrix4().makeTranslation(4, 12, 0));
+    expect(clipPlaneFromFrame(axis, slid)).toEqual({ normal: [0, 1, 0], offset: 12 });
+  });
+
+  it('collects the volumes under the given roots', () => {
+    const { volumes } = expandToFlat({
+      world: { name: 'World', type: 'box', dimensions: { x: 1000, y: 1000, z: 1000 } },
+      volumes: [box('Outer', 300, 'World'), box('Inner', 200, 'Outer_000'), box('Core', 100, 'Inner_000'), box('Other', 10, 'World')],
+    });
+    expect([...subtreeNames(volumes, ['Inner_000'])]).toEqual(['Inner_000', 'Core_000']);
+  });
+
+  it('caps each cut volume with its section minus its daughters', async () => {
+    const geometries = expandToFlat({
+      world: { name: 'World', type: 'box', dimensions: { x: 1000, y: 1000, z: 1000 } },
+      volumes: [
+        box('Cryostat', 100, 'World', 0, 'G4_STAINLESS-STEEL'),
+        box('LXe', 20, 'Cryostat_000', 0, 'LXe'),
+        box('Far', 10, 'World', 300),
+      ],
+    });
+    const caps = await buildSectionCaps(geometries, [createClipPlane('p1', 'z')], { lib });
+
+    expect(caps.map(cap => cap.material)).toEqual(['G4_STAINLESS-STEEL', 'LXe']);
+    expect(area(caps[0].geometry)).toBeCloseTo(100 * 100 - 20 * 20);
+    expect(area(caps[1].geometry)).toBeCloseTo(20 * 20);
+    caps[0].geometry.computeBoundingBox();
+    expect(caps[0].geometry.boundingBox.max.z).toBeCloseTo(0);
+    caps.forEach(cap => cap.geometry.dispose());
+
+    const scoped = await buildSectionCaps(geometries, [createClipPlane('p1', 'z')], { lib, names: new Set(['LXe_000']) });
+    expect(scoped.map(cap => cap.material)).toEqual(['LXe']);
+    scoped.forEach(cap => cap.geometry.dispose());
+  });
+});
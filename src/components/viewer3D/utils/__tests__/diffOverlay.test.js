@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { buildDiffOverlay, compareOverlayLayers, mergeOverlayLayers, DIFF_COLORS } from '../diffOverlay';
+import { diffProjects, mergeProjects } from '../../../../utils/projectDiff';
+import lib from './manifoldLib';
+
+const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 1000, y: 1000, z: 1000 } };
+const box = (name, size, x = 0) => ({
+  name, type: 'box', material: 'G4_AIR',
+  dimensions: { x: size, y: size, z: size },
+  placements: [{ g4name: `${name}_000`, x, y: 0, z: 0, parent: 'World' }],
+});
+
+const bounds = (geometry) => {
+  geometry.computeBoundingBox();
+  return geometry.boundingBox;
+};
+
+describe('diffOverlay', () => {
+  it('colours added, removed and changed volumes from the project they exist in', async () => {
+    const before = { world, volumes: [box('A', 10), box('B', 10, 100)] };
+    const after = { world, volumes: [box('A', 20), box('C', 10, -100)] };
+    const meshes = await buildDiffOverlay(compareOverlayLayers(before, after, diffProjects(before, after)), { lib });
+
+    expect(meshes.map(m => m.color)).toEqual([DIFF_COLORS.added, DIFF_COLORS.removed, DIFF_COLORS.changed]);
+    expect(bounds(meshes[0].geometry).min.x).toBeCloseTo(-105);
+    expect(bounds(meshes[1].geometry).max.x).toBeCloseTo(105);
+    expect(bounds(meshes[2].geometry).max.x).toBeCloseTo(10);
+    meshes.forEach(m => m.geometry.dispose());
+  });
+
+  it('marks merge entries by the side they come from', () => {
+    const base = { world, volumes: [box('A', 10), box('B', 10)] };
+    const ours = { world, volumes: [box('A', 20), box('B', 30)] };
+    const theirs = { world, volumes: [box('A', 10), box('B', 40), box('C', 5)] };
+    const layers = mergeOverlayLayers(mergeProjects(base, ours, theirs), ours, theirs);
+    expect(layers.map(l => [...l.names])).toEqual([['A'], ['C'], ['B'], []]);
+    expect(layers[2].project).toBe(ours);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { localPoseUnderParent } from '../geometryUtils';
+import { expandToFlat } from '../../../../utils/expandToFlat';
+
+const box = (name, parent, x, rz = 0) => ({
+  name, type: 'box', material: 'G4_AIR', dimensions: { x: 10, y: 10, z: 10 },
+  placements: [{ name: `${name}_000`, x, y: 0, z: 0, rotation: { x: 0, y: 0, z: rz }, parent }],
+});
+
+describe('localPoseUnderParent', () => {
+  const geometries = expandToFlat({
+    world: { name: 'World', type: 'box', dimensions: { x: 1000, y: 1000, z: 1000 } },
+    volumes: [box('Tank', 'World', 100, Math.PI / 2), box('Pipe', 'World', 300), box('Cap', 'Pipe_000', 5)],
+  });
+  const volumeNameToIndex = Object.fromEntries(geometries.volumes.map((v, i) => [v.name, i]));
+  const cap = geometries.volumes[volumeNameToIndex.Cap_000];
+
+  it('gives the world pose for a move to World', () => {
+    const pose = localPoseUnderParent(cap, 'World', geometries, volumeNameToIndex);
+    expect(pose.position).toEqual({ x: 305, y: 0, z: 0 });
+  });
+
+  it('expresses the world pose in a rotated parent frame', () => {
+    const pose = localPoseUnderParent(cap, 'Tank_000', geometries, volumeNameToIndex);
+    expect(pose.position.x).toBeCloseTo(0);
+    expect(pose.position.y).toBeCloseTo(-205);
+    expect(pose.rotation.z).toBeCloseTo(-Math.PI / 2);
+  });
+});
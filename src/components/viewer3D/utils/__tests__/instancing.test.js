@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { planInstancing, definitionKey, poseMatrix } from '../instancing';
+import { expandToFlat } from '../../../../utils/expandToFlat';
+
+const world = { name: 'World', type: 'box', dimensions: { x: 5000, y: 5000, z: 5000 } };
+
+const placements = (prefix, count, parent = 'World', extra = {}) =>
+  Array.from({ length: count }, (_, i) => ({ name: `${prefix}_${i}`, x: i * 100, y: 0, z: 0, parent, ...extra }));
+
+describe('instancing', () => {
+  it('groups placements of one definition from the threshold on', () => {
+    const { volumes } = expandToFlat({
+      world,
+      volumes: [
+        { name: 'Leg', type: 'cylinder', material: 'G4_Fe', dimensions: { radius: 10, height: 500 }, placements: placements('Leg', 6) },
+        { name: 'Plate', type: 'box', material: 'G4_Fe', dimensions: { x: 10, y: 10, z: 1 }, placements: placements('Plate', 3) },
+      ],
+    });
+    const plan = planInstancing(volumes);
+    expect(plan.groups.map(g => [g.key, g.members.length])).toEqual([['vol-0', 6]]);
+    expect(plan.keys.has('vol-0-pl-5')).toBe(true);
+    expect(plan.names.has('Plate_0')).toBe(false);
+  });
+
+  it('leaves out excluded and hidden placements', () => {
+    const legs = placements('Leg', 6);
+    legs[2].visible = false;
+    const { volumes } = expandToFlat({
+      world,
+      volumes: [{ name: 'Leg', type: 'box', dimensions: { x: 10, y: 10, z: 10 }, placements: legs }],
+    });
+    const plan = planInstancing(volumes, { exclude: (v) => v._id === 'vol-0-pl-0' });
+    expect(plan.groups[0].members.map(v => v.name)).toEqual(['Leg_1', 'Leg_3', 'Leg_4', 'Leg_5']);
+
+    expect(planInstancing(volumes, { exclude: (v) => ['Leg_0', 'Leg_1'].includes(v.name) }).groups).toEqual([]);
+  });
+
+  it('groups the components of an assembly placed many times', () => {
+    const { volumes } = expandToFlat({
+      world,
+      volumes: [{
+        name: 'PMT', type: 'assembly',
+        placements: placements('PMT', 5),
+        components: [
+          { name: 'Body_0', type: 'cylinder', material: 'G4_Pyrex_Glass', dimensions: { radius: 38, height: 100 }, placements: [{ x: 0, y: 0, z: 0 }] },
+          { name: 'Window_0', type: 'cylinder', material: 'Quartz', dimensions: { radius: 35, height: 2 }, placements: [{ x: 0, y: 0, z: 51 }] },
+        ],
+      }],
+    });
+    const plan = planInstancing(volumes);
+    expect(plan.groups.map(g => [g.key, g.members.length])).toEqual([['vol-0-c-0', 5], ['vol-0-c-1', 5]]);
+    expect(definitionKey(plan.groups[1].members[3])).toBe('vol-0-c-1');
+    // The assembly headers themselves are never instanced
+    expect(plan.keys.has('vol-0-pl-0')).toBe(false);
+  });
+
+  it('groups placements of a union but not its components', () => {
+    const { volumes } = expandToFlat({
+      world,
+      volumes: [{
+        name: 'Flange', type: 'union', material: 'G4_Fe',
+        placements: placements('Flange', 5),
+        components: [
+          { name: 'disc', type: 'cylinder', boolean_operation: 'union', dimensions: { radius: 50, height: 10 }, placements: [{ x: 0, y: 0, z: 0 }] },
+          { name: 'bore', type: 'cylinder', boolean_operation: 'subtract', dimensions: { radius: 10, height: 12 }, placements: [{ x: 0, y: 0, z: 0 }] },
+        ],
+      }],
+    });
+    const plan = planInstancing(volumes);
+    expect(plan.groups.map(g => [g.key, g.prototype.type, g.members.length])).toEqual([['vol-0', 'union', 5]]);
+  });
+
+  it('skips assembly contents below a hidden volume', () => {
+    const { volumes } = expandToFlat({
+      world,
+      volumes: [{
+        name: 'Module', type: 'assembly',
+        placements: placements('Module', 4),
+        components: [
+          { name: 'Frame_0', type: 'box', dimensions: { x: 50, y: 50, z: 50 }, visible: false, placements: [{ x: 0, y: 0, z: 0 }] },
+          { name: 'Crystal_0', type: 'box', dimensions: { x: 10, y: 10, z: 10 }, placements: [{ x: 0, y: 0, z: 0, parent: 'Frame_0' }] },
+        ],
+      }],
+    });
+    expect(planInstancing(volumes).groups).toEqual([]);
+  });
+
+  it('builds instance matrices from world poses', () => {
+    const matrix = poseMatrix([10, 20, 30], [0, 0, Math.PI / 2]);
+    const point = new THREE.Vector3(1, 0, 0).applyMatrix4(matrix);
+    expect(point.x).toBeCloseTo(10);
+    expect(point.y).toBeCloseTo(21);
+    expect(point.z).toBeCloseTo(30);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { buildVolumeManifold } from '../manifoldCSG';
+import { expandToFlat } from '../../../../utils/expandToFlat';
+import lib from './manifoldLib';
+
+const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 1000, y: 1000, z: 1000 } };
+
+const component = (name, operation, size, x = 0) => ({
+  name, type: 'box', boolean_operation: operation,
+  dimensions: { x: size, y: size, z: size },
+  placements: [{ x }],
+});
+
+// Volume of the union built from `components`, in array order
+const unionVolume = (components) => {
+  const { volumes } = expandToFlat({
+    world,
+    volumes: [{ name: 'U', type: 'union', material: 'G4_AIR', components, placements: [{ name: 'U', parent: 'World' }] }],
+  });
+  const manifold = buildVolumeManifold(volumes[0], volumes, new THREE.Matrix4(), lib);
+  if (!manifold) return null;
+  try {
+    return manifold.volume();
+  } finally {
+    manifold.delete();
+  }
+};
+
+describe('buildVolumeManifold booleans', () => {
+  it('intersects with the result so far', () => {
+    // Two 10 mm cubes offset by 6 mm share a 4 × 10 × 10 slab
+    expect(unionVolume([component('a', 'union', 10), component('b', 'intersect', 10, 6)])).toBeCloseTo(400);
+  });
+
+  it('applies every addition before the subtractions without an intersection', () => {
+    // The hole also removes the plug listed after it, as GeometryParser.cc builds it
+    const cutThenAdd = unionVolume([
+      component('base', 'union', 10),
+      component('hole', 'subtract', 4),
+      component('plug', 'union', 2),
+    ]);
+    expect(cutThenAdd).toBeCloseTo(1000 - 64);
+    expect(unionVolume([component('hole', 'subtract', 4), component('base', 'add', 10)])).toBeCloseTo(1000 - 64);
+    expect(unionVolume([component('hole', 'subtract', 4)])).toBeNull();
+  });
+
+  it('applies components in array order once one intersects', () => {
+    // A clip larger than everything leaves the chain's result unchanged
+    const clip = component('clip', 'intersect', 20);
+    // Cut, then add: the added cube fills part of the hole again
+    const cutThenAdd = unionVolume([
+      component('base', 'union', 10),
+      component('hole', 'subtract', 4),
+      component('plug', 'union', 2),
+      clip,
+    ]);
+    expect(cutThenAdd).toBeCloseTo(1000 - 64 + 8);
+    // Add, then cut: the hole removes the plug as well
+    const addThenCut = unionVolume([
+      component('base', 'union', 10),
+      component('plug', 'union', 2),
+      component('hole', 'subtract', 4),
+      clip,
+    ]);
+    expect(addThenCut).toBeCloseTo(1000 - 64);
+  });
+
+  it('skips components before the first additive one when in array order', () => {
+    expect(unionVolume([component('hole', 'subtract', 4), component('base', 'add', 10), component('clip', 'intersect', 20)]))
+      .toBeCloseTo(1000);
+  });
+});
+
+describe('buildVolumeManifold nested unions', () => {
+  it('combines a union inside a union first, at its own pose', () => {
+    // A 4 mm cube with a 2 mm cube against it, moved inside the base and
+    // cut out of it: the base loses both cubes
+    const peg = {
+      name: 'peg', type: 'union', boolean_operation: 'subtract', placements: [{ x: 3 }],
+      components: [component('shank', 'union', 4), component('head', 'union', 2, 3)],
+    };
+    expect(unionVolume([component('base', 'union', 20), peg])).toBeCloseTo(8000 - 64 - 8);
+  });
+});
+
+describe('buildVolumeManifold tessellated solids', () => {
+  // Corner tetrahedron with 10 mm legs: volume 1000 / 6
+  const vertices = [[0, 0, 0], [10, 0, 0], [0, 10, 0], [0, 0, 10]];
+  const facets = [[0, 2, 1], [0, 1, 3], [0, 3, 2], [1, 2, 3]];
+
+  const tessellatedVolume = (dimensions) => {
+    const { volumes } = expandToFlat({
+      world,
+      volumes: [{ name: 'T', type: 'tessellated', material: 'G4_AIR', dimensions, placements: [{ name: 'T', parent: 'World' }] }],
+    });
+    const manifold = buildVolumeManifold(volumes[0], volumes, new THREE.Matrix4(), lib);
+    if (!manifold) return null;
+    try {
+      return manifold.volume();
+    } finally {
+      manifold.delete();
+    }
+  };
+
+  it('meshes a closed facet list', () => {
+    expect(tessellatedVolume({ vertices, facets })).toBeCloseTo(1000 / 6);
+  });
+
+  it('skips a mesh that is not closed', () => {
+    expect(tessellatedVolume({ vertices, facets: facets.slice(1) })).toBeNull();
+  });
+
+  it('subtracts from a union like any primitive', () => {
+    const wedge = { name: 'wedge', type: 'tessellated', boolean_operation: 'subtract', dimensions: { vertices, facets }, placements: [{ x: 0 }] };
+    expect(unionVolume([component('base', 'union', 20), wedge])).toBeCloseTo(8000 - 1000 / 6);
+    // An open mesh cuts nothing
+    const open = { ...wedge, dimensions: { vertices, facets: facets.slice(1) } };
+    expect(unionVolume([component('base', 'union', 20), open])).toBeCloseTo(8000);
+  });
+});
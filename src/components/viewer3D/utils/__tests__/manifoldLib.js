@@ -0,0 +1,9 @@
+import Module from 'manifold-3d';
+
+// The app loads the WASM through a Vite asset URL; in node the module
+// finds it next to its own script.
+const lib = await Module();
+lib.setup();
+
+/** The manifold-3d module, loaded once for the tests that build meshes. */
+export default lib;
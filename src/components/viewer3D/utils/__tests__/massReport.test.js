@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import { computeMassReport, primitiveVolume, massReportToCsv, MASS_REPORT_COLUMNS } from '../massReport';
+import { expandToFlat } from '../../../../utils/expandToFlat';
+import lib from './manifoldLib';
+
+const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 1000, y: 1000, z: 1000 } };
+
+const materials = {
+  G4_WATER: { type: 'nist', density: 1.0, density_unit: 'g/cm3' },
+  Lead: { type: 'element_based', density: 11350, density_unit: 'kg/m3', composition: { Pb: 1 } },
+  Mystery: { type: 'nist' },
+};
+
+const box = (name, size, material, placement) => ({
+  name, type: 'box', material,
+  dimensions: { x: size, y: size, z: size },
+  placements: [{ name, parent: 'World', ...placement }],
+});
+
+const report = (volumes) => computeMassReport(expandToFlat({ world, volumes }), materials, { lib });
+
+describe('primitiveVolume', () => {
+  it('computes analytic volumes for each primitive', () => {
+    expect(primitiveVolume({ type: 'box', size: { x: 1, y: 2, z: 3 } }).volume).toBeCloseTo(6);
+    expect(primitiveVolume({ type: 'cylinder', radius: 2, innerRadius: 1, height: 10 }).volume).toBeCloseTo(30 * Math.PI);
+    expect(primitiveVolume({ type: 'sphere', radius: 3 }).volume).toBeCloseTo(36 * Math.PI);
+    expect(primitiveVolume({ type: 'ellipsoid', xRadius: 1, yRadius: 2, zRadius: 3 }).volume).toBeCloseTo(8 * Math.PI);
+    expect(primitiveVolume({ type: 'torus', majorRadius: 10, minorRadius: 1 }).volume).toBeCloseTo(20 * Math.PI * Math.PI);
+    expect(primitiveVolume({ type: 'trapezoid', dx1: 1, dx2: 1, dy1: 2, dy2: 2, dz: 3 }).volume).toBeCloseTo(48);
+    // Hexagon with apothem 1 has area 6·tan(30°)
+    expect(primitiveVolume({ type: 'polyhedra', zSections: [{ z: 0, rMin: 0, rMax: 1 }, { z: 2, rMin: 0, rMax: 1 }] }).volume)
+      .toBeCloseTo(12 * Math.tan(Math.PI / 6));
+    expect(primitiveVolume({ type: 'orb', radius: 3 }).volume).toBeCloseTo(36 * Math.PI);
+    expect(primitiveVolume({ type: 'elliptical_tube', dx: 1, dy: 2, dz: 3 }).volume).toBeCloseTo(12 * Math.PI);
+    // Hollow cone frustum: (π h / 3)(R1² + R1 R2 + R2²) minus the bore
+    expect(primitiveVolume({ type: 'cone', radiusBottom: 2, radiusTop: 1, innerRadiusBottom: 0.5, innerRadiusTop: 0.5, height: 3 }).volume)
+      .toBeCloseTo(7 * Math.PI - 0.75 * Math.PI);
+    expect(primitiveVolume({ type: 'mystery' })).toBeNull();
+  });
+
+  it('places the centroid of tapered and cut shapes off the origin', () => {
+    // Cone of radius 3 from z = 0 to z = 4: V = 12π, centroid a quarter up from the base
+    const cone = primitiveVolume({ type: 'polycone', zSections: [{ z: 4, rMin: 0, rMax: 0 }, { z: 0, rMin: 0, rMax: 3 }] });
+    expect(cone.volume).toBeCloseTo(12 * Math.PI);
+    expect(cone.centroid[2]).toBeCloseTo(1);
+    // Upper half of a unit sphere as an ellipsoid: centroid at 3/8
+    const dome = primitiveVolume({ type: 'ellipsoid', xRadius: 1, yRadius: 1, zRadius: 1, zcut1: 0, zcut2: 1 });
+    expect(dome.volume).toBeCloseTo((2 / 3) * Math.PI);
+    expect(dome.centroid[2]).toBeCloseTo(3 / 8);
+    // Pyramid frustum tapering to a point at +dz
+    const pyramid = primitiveVolume({ type: 'trapezoid', dx1: 1, dx2: 0, dy1: 1, dy2: 0, dz: 2 });
+    expect(pyramid.volume).toBeCloseTo(16 / 3);
+    expect(pyramid.centroid[2]).toBeCloseTo(-1);
+  });
+
+  it('scales segmented solids and moves their centroid into the segment', () => {
+    // Half disc centroid sits 4r/3π from the axis
+    const half = primitiveVolume({ type: 'cylinder', radius: 3, height: 2, startPhi: 0, deltaPhi: Math.PI });
+    expect(half.volume).toBeCloseTo(9 * Math.PI);
+    expect(half.centroid[0]).toBeCloseTo(0);
+    expect(half.centroid[1]).toBeCloseTo(4 / Math.PI);
+    // Upper hemisphere through theta: centroid at 3r/8
+    const dome = primitiveVolume({ type: 'sphere', radius: 1, deltaTheta: Math.PI / 2 });
+    expect(dome.volume).toBeCloseTo((2 / 3) * Math.PI);
+    expect(dome.centroid[2]).toBeCloseTo(3 / 8);
+    // Half a hexagonal prism keeps half the volume
+    const prism = { type: 'polyhedra', zSections: [{ z: 0, rMin: 0, rMax: 1 }, { z: 2, rMin: 0, rMax: 1 }] };
+    expect(primitiveVolume({ ...prism, numSides: 3, deltaPhi: Math.PI }).volume)
+      .toBeCloseTo(primitiveVolume({ ...prism, numSides: 6 }).volume / 2);
+  });
+});
+
+describe('computeMassReport', () => {
+  it('multiplies volumes by density in each unit', async () => {
+    const { volumes, total } = await report([
+      box('Water', 100, 'G4_WATER', { x: -200 }),
+      box('Brick', 10, 'Lead', { x: 200 }),
+    ]);
+    expect(volumes.map(v => v.mass)).toEqual([expect.closeTo(1, 6), expect.closeTo(0.01135, 6)]);
+    expect(total.mass).toBeCloseTo(1.01135);
+    expect(total.centre.x).toBeCloseTo((-200 * 1 + 200 * 0.01135) / 1.01135);
+  });
+
+  it('subtracts daughters from their mother and shifts its centre of mass', async () => {
+    const { volumes } = await report([
+      box('Tank', 100, 'G4_WATER', {}),
+      { ...box('Block', 20, 'Lead', {}), placements: [{ name: 'Block', x: 30, parent: 'Tank' }] },
+    ]);
+    const tank = volumes.find(v => v.name === 'Tank');
+    expect(tank.solidVolume).toBeCloseTo(1e6);
+    expect(tank.netVolume).toBeCloseTo(1e6 - 8000);
+    expect(tank.centre.x).toBeCloseTo(-30 * 8000 / (1e6 - 8000));
+    expect(volumes.find(v => v.name === 'Block').centre.x).toBeCloseTo(30);
+  });
+
+  it('weighs unions with subtractions through their mesh', async () => {
+    const { volumes } = await report([{
+      name: 'Plate', type: 'union', material: 'G4_WATER',
+      components: [
+        { name: 'base', type: 'box', boolean_operation: 'union', dimensions: { x: 10, y: 10, z: 10 }, placements: [{ x: 0 }] },
+        { name: 'cut', type: 'box', boolean_operation: 'subtract', dimensions: { x: 5, y: 10, z: 10 }, placements: [{ x: 2.5 }] },
+      ],
+      placements: [{ name: 'Plate', x: 100, parent: 'World' }],
+    }]);
+    expect(volumes).toHaveLength(1);
+    expect(volumes[0].solidVolume).toBeCloseTo(500);
+    expect(volumes[0].centre.x).toBeCloseTo(97.5);
+  });
+
+  it('weighs tessellated solids through their mesh', async () => {
+    // Cube of 10 mm from quadrangles, corner at the placement
+    const vertices = [[0, 0, 0], [10, 0, 0], [10, 10, 0], [0, 10, 0], [0, 0, 10], [10, 0, 10], [10, 10, 10], [0, 10, 10]];
+    const facets = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]];
+    const { volumes } = await report([{
+      name: 'Mesh', type: 'tessellated', material: 'G4_WATER', dimensions: { vertices, facets },
+      placements: [{ name: 'Mesh', x: 100, parent: 'World' }],
+    }]);
+    expect(volumes[0].solidVolume).toBeCloseTo(1000);
+    expect(volumes[0].mass).toBeCloseTo(1e-3);
+    expect(volumes[0].centre.x).toBeCloseTo(105);
+  });
+
+  it('groups volumes by assembly instance and display group, and by material', async () => {
+    const stack = {
+      name: 'Stack', type: 'assembly',
+      components: [
+        { name: 'Plate_0', type: 'box', material: 'G4_WATER', dimensions: { x: 10, y: 10, z: 10 }, placements: [{ parent: '' }] },
+      ],
+      placements: [{ name: 'Stack_0', x: -50, parent: 'World' }, { name: 'Stack_1', x: 50, parent: 'World' }],
+    };
+    const shield = { ...box('Shield', 10, 'Lead', { y: 100 }), _displayGroup: 'Shielding' };
+    const { groups, materials: byMaterial } = await report([stack, shield]);
+
+    expect(groups.map(g => [g.name, g.kind, g.count])).toEqual([
+      ['Stack_0', 'assembly', 1],
+      ['Stack_1', 'assembly', 1],
+      ['Shielding', 'displayGroup', 1],
+    ]);
+    expect(groups[1].centre.x).toBeCloseTo(50);
+    const water = byMaterial.find(m => m.name === 'G4_WATER');
+    expect(water.count).toBe(2);
+    expect(water.mass).toBeCloseTo(0.002);
+  });
+
+  it('leaves mass empty and warns when a material has no density', async () => {
+    const { volumes, total, warnings } = await report([box('Thing', 10, 'Mystery', {})]);
+    expect(volumes[0].mass).toBeNull();
+    expect(total.mass).toBeNull();
+    expect(warnings[0]).toMatch(/Mystery/);
+  });
+});
+
+describe('massReportToCsv', () => {
+  it('writes a header row and quotes awkward cells', () => {
+    const rows = [{ name: 'A, "the" box', count: 1, netVolume: 2000, mass: 0.002, centre: null }];
+    const csv = massReportToCsv(rows, MASS_REPORT_COLUMNS.materials);
+    expect(csv).toBe(
+      'Material,Volumes,Volume (cm³),Mass (kg),CoM x (mm),CoM y (mm),CoM z (mm)\n'
+      + '"A, ""the"" box",1,2,0.002,,,\n'
+    );
+  });
+});
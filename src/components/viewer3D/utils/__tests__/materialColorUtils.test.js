@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { getMaterialColor } from '../materialColorUtils';
+import * as THREE from 'three';
+import { getMaterialColor, volumeMaterialProps } from '../materialColorUtils';
 
 describe('getMaterialColor', () => {
   const DEFAULT = 'rgba(180, 180, 180, 0.7)';
@@ -62,3 +63,25 @@ describe('getMaterialColor', () => {
     expect(getMaterialColor('black', materials)).toBe('rgba(0, 0, 0, 0)');
   });
 });
+
+describe('volumeMaterialProps', () => {
+  it('uses the type colour when the material has none', () => {
+    expect(volumeMaterialProps({ type: 'sphere', material: 'G4_AIR' }, {})).toEqual({
+      color: 'rgba(255, 255, 100, 0.7)', transparent: true, opacity: 0.7, wireframe: false, side: THREE.DoubleSide,
+    });
+    expect(volumeMaterialProps({ type: 'box' }, {}).side).toBe(THREE.FrontSide);
+  });
+
+  it('uses the material colour and the volume wireframe flag', () => {
+    const props = volumeMaterialProps({ type: 'box', material: 'white', wireframe: true }, { white: { color: [1, 1, 1, 1] } });
+    expect(props.color).toBe('rgba(255, 255, 255, 1)');
+    expect(props.wireframe).toBe(true);
+  });
+
+  it('draws unions double-sided in their material colour without its alpha', () => {
+    expect(volumeMaterialProps({ type: 'union', material: 'red' }, { red: { color: [1, 0, 0, 0.2] } })).toEqual({
+      color: '#ff0000', transparent: true, opacity: 0.8, wireframe: false, side: THREE.DoubleSide,
+    });
+    expect(volumeMaterialProps({ type: 'union' }, {}).color).toBe('#3399ff');
+  });
+});
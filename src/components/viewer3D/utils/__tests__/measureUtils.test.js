@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  faceCentre, snapCandidates, snapPoint, measureDistance, measureAngle, volumePath, formatLength, formatAngle,
+} from '../measureUtils';
+
+describe('measureUtils', () => {
+  it('finds the centre of the flat face a triangle belongs to', () => {
+    const box = new THREE.BoxGeometry(40, 20, 10);
+    // Triangles 0 and 1 make up the +x face
+    const centre = faceCentre(box, 1);
+    expect(centre.toArray().map(v => Number(v.toFixed(6)))).toEqual([20, 0, 0]);
+  });
+
+  it('finds the faces again when the vertices change', () => {
+    const box = new THREE.BoxGeometry(40, 20, 10);
+    expect(faceCentre(box, 1).x).toBeCloseTo(20);
+    box.scale(2, 1, 1);
+    expect(faceCentre(box, 1).x).toBeCloseTo(40);
+    // The result is a copy; changing it leaves the face alone
+    faceCentre(box, 1).set(0, 0, 0);
+    expect(faceCentre(box, 0).x).toBeCloseTo(40);
+  });
+
+  it('snaps to nearby vertices, face centres and origins', () => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(40, 20, 10));
+    mesh.position.set(100, 0, 0);
+    mesh.updateMatrixWorld();
+    const candidates = snapCandidates(mesh, 0, new THREE.Vector3(100, 0, 0));
+    expect(candidates.map(c => c.kind)).toEqual(['vertex', 'vertex', 'vertex', 'face', 'origin']);
+
+    const nearCentre = snapPoint(new THREE.Vector3(120, 1, 0.5), candidates, 2);
+    expect(nearCentre.kind).toBe('face');
+    expect(nearCentre.point.x).toBeCloseTo(120);
+    expect(nearCentre.point.y).toBeCloseTo(0);
+
+    const nearCorner = snapPoint(new THREE.Vector3(120, 9.5, 4.5), candidates, 2);
+    expect(nearCorner).toMatchObject({ kind: 'vertex' });
+    expect(nearCorner.point.toArray()).toEqual([120, 10, 5]);
+
+    const free = snapPoint(new THREE.Vector3(120, 5, 2), candidates, 2);
+    expect(free.kind).toBe('surface');
+    expect(free.point.toArray()).toEqual([120, 5, 2]);
+  });
+
+  it('measures distances and angles', () => {
+    expect(measureDistance([0, 0, 0], [3, -4, 12])).toEqual({ distance: 13, delta: [3, -4, 12] });
+    expect(measureAngle([10, 0, 0], [0, 0, 0], [0, 5, 0])).toBeCloseTo(Math.PI / 2);
+    expect(measureAngle([0, 0, 0], [0, 0, 0], [0, 5, 0])).toBe(0);
+  });
+
+  it('builds the Geant4 path without assemblies', () => {
+    const volumes = [
+      { _id: 'a', name: 'Cryostat_000', g4name: 'Cryostat', type: 'box', mother_volume: 'World' },
+      { _id: 'b', name: 'PMTArray', type: 'assembly', mother_volume: 'Cryostat_000' },
+      { _id: 'c', name: 'PMT_003', g4name: 'PMT', type: 'cylinder', mother_volume: 'PMTArray' },
+    ];
+    expect(volumePath(volumes[2], volumes)).toBe('World/Cryostat/PMT');
+  });
+
+  it('formats values in the requested unit', () => {
+    expect(formatLength(25.4, 'in')).toBe('1 in');
+    expect(formatLength(1234.5, 'cm')).toBe('123.45 cm');
+    expect(formatAngle(Math.PI / 4, 'deg')).toBe('45 deg');
+  });
+});
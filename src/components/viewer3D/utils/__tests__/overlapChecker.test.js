@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { checkOverlaps } from '../overlapChecker';
+import { expandToFlat } from '../../../../utils/expandToFlat';
+import lib from './manifoldLib';
+
+const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 1000, y: 1000, z: 1000 } };
+
+const box = (name, size, placement) => ({
+  name, type: 'box', material: 'G4_AIR',
+  dimensions: { x: size, y: size, z: size },
+  placements: [{ name, parent: 'World', ...placement }],
+});
+
+const check = (volumes, options = {}) => checkOverlaps(expandToFlat({ world, volumes }), { lib, ...options });
+
+describe('checkOverlaps', () => {
+  it('reports intersecting siblings with the overlap volume', async () => {
+    const { results } = await check([
+      box('A', 10, { x: 0 }),
+      box('B', 10, { x: 6 }),
+    ]);
+    expect(results).toHaveLength(1);
+    expect(results[0].kind).toBe('overlap');
+    expect(results[0].names).toEqual(['A', 'B']);
+    expect(results[0].keys).toEqual(['vol-0-pl-0', 'vol-1-pl-0']);
+    expect(results[0].volume).toBeCloseTo(4 * 10 * 10);
+    expect(results[0].depth).toBeCloseTo(4);
+    expect(results[0].region.attributes.position.count).toBeGreaterThan(0);
+  });
+
+  it('ignores touching faces and regions thinner than the tolerance', async () => {
+    expect((await check([box('A', 10, { x: 0 }), box('B', 10, { x: 10 })])).results).toEqual([]);
+    const thin = [box('A', 10, { x: 0 }), box('B', 10, { x: 9.5 })];
+    expect((await check(thin)).results).toHaveLength(1);
+    expect((await check(thin, { tolerance: 1 })).results).toEqual([]);
+  });
+
+  it('meshes volumes at their rotated world pose', async () => {
+    const straight = [box('A', 10, {}), box('B', 10, { x: 11 })];
+    expect((await check(straight)).results).toEqual([]);
+    // Rotated 45° the corner of A reaches x = 5·√2 ≈ 7.07, into B (x ≥ 6)
+    const rotated = [box('A', 10, { rotation: { x: 0, y: 0, z: Math.PI / 4 } }), box('B', 10, { x: 11 })];
+    const { results } = await check(rotated);
+    expect(results).toHaveLength(1);
+    expect(results[0].depth).toBeCloseTo(5 * Math.SQRT2 - 6);
+  });
+
+  it('reports daughters protruding from their mother and the world', async () => {
+    const { results } = await check([
+      box('Mother', 20, { x: 0 }),
+      { ...box('Daughter', 4, { x: 9 }), placements: [{ name: 'Daughter', x: 9, parent: 'Mother' }] },
+      box('Edge', 10, { x: 498 }),
+    ]);
+    const byName = Object.fromEntries(results.map(r => [r.names[0], r]));
+    expect(byName.Daughter.kind).toBe('protrusion');
+    expect(byName.Daughter.names[1]).toBe('Mother');
+    expect(byName.Daughter.volume).toBeCloseTo(1 * 4 * 4);
+    expect(byName.Edge.keys[1]).toBe('world');
+    expect(byName.Edge.volume).toBeCloseTo(3 * 10 * 10);
+  });
+
+  it('does not compare volumes with different mothers', async () => {
+    const { results } = await check([
+      box('Tank', 100, { x: 0 }),
+      { ...box('Inner', 10, {}), placements: [{ name: 'Inner', parent: 'Tank' }] },
+    ]);
+    expect(results).toEqual([]);
+  });
+
+  it('treats assembly components as daughters of the assembly mother', async () => {
+    const { results } = await check([
+      {
+        name: 'Stack', type: 'assembly',
+        components: [
+          { name: 'Plate_0', type: 'box', material: 'G4_AIR', dimensions: { x: 10, y: 10, z: 10 }, placements: [{ x: 0, parent: '' }] },
+        ],
+        placements: [{ name: 'Stack', x: 20, parent: 'World' }],
+      },
+      box('Block', 10, { x: 25 }),
+    ]);
+    expect(results).toHaveLength(1);
+    expect(results[0].names.sort()).toEqual(['Block', 'Plate_0']);
+    expect(results[0].volume).toBeCloseTo(500);
+  });
+
+  it('lists volumes it cannot mesh as skipped', async () => {
+    const { results, skipped } = await check([{
+      name: 'Hyperbolic', type: 'hype', material: 'G4_AIR',
+      dimensions: { rmin: 0, rmax: 2, z: 2 },
+      placements: [{ name: 'Hyperbolic', parent: 'World' }],
+    }]);
+    expect(results).toEqual([]);
+    expect(skipped).toEqual(['Hyperbolic']);
+  });
+});
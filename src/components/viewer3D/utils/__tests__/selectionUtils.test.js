@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { selectionRoots, selectionPivot, transformSelection, volumesInScreenRect } from '../selectionUtils';
+import { expandToFlat } from '../../../../utils/expandToFlat';
+
+const box = (name, parent, x, y = 0) => ({
+  name, type: 'box', material: 'G4_AIR', dimensions: { x: 10, y: 10, z: 10 },
+  placements: [{ name: `${name}_000`, x, y, z: 0, rotation: { x: 0, y: 0, z: 0 }, parent }],
+});
+
+const geometries = expandToFlat({
+  world: { name: 'World', type: 'box', dimensions: { x: 1000, y: 1000, z: 1000 } },
+  volumes: [box('A', 'World', 100), box('B', 'World', -100), box('C', 'A_000', 0, 50)],
+});
+const keyOf = (name) => geometries.volumes.find(v => v.name === name)._id;
+
+describe('selectionUtils', () => {
+  it('leaves out volumes whose mother is also selected', () => {
+    const keys = [keyOf('A_000'), keyOf('B_000'), keyOf('C_000')];
+    expect(selectionRoots(keys, geometries.volumes)).toEqual([keyOf('A_000'), keyOf('B_000')]);
+  });
+
+  it('pivots about the centre of the selection', () => {
+    const pivot = selectionPivot([keyOf('A_000'), keyOf('C_000')], geometries);
+    expect(pivot.toArray()).toEqual([100, 25, 0]);
+    expect(selectionPivot(['vol-99-pl-0'], geometries)).toBeNull();
+  });
+
+  it('rotates the selection about a common pivot', () => {
+    // Quarter turn about z through the origin, between A and B
+    const delta = new THREE.Matrix4().makeRotationZ(Math.PI / 2);
+    const updates = transformSelection([keyOf('A_000'), keyOf('B_000'), keyOf('C_000')], delta, geometries);
+
+    expect(updates.map(u => u.id)).toEqual([keyOf('A_000'), keyOf('B_000')]);
+    expect(updates[0].position.x).toBeCloseTo(0);
+    expect(updates[0].position.y).toBeCloseTo(100);
+    expect(updates[0].rotation.z).toBeCloseTo(Math.PI / 2);
+    expect(updates[1].position.y).toBeCloseTo(-100);
+  });
+
+  it('keeps daughters in their mother frame when only they move', () => {
+    const delta = new THREE.Matrix4().makeTranslation(0, 0, 30);
+    const [update] = transformSelection([keyOf('C_000')], delta, geometries);
+    expect(update.position).toEqual({ x: 0, y: 50, z: 30 });
+  });
+
+  it('finds the volumes inside a screen rectangle', () => {
+    const camera = new THREE.OrthographicCamera(-200, 200, 200, -200, 1, 2000);
+    camera.position.set(0, 0, 1000);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+
+    // Right half of the screen: A (x = 100) and its daughter C
+    const keys = volumesInScreenRect(geometries, camera, { left: 0, right: 1, bottom: -1, top: 1 });
+    expect(keys).toEqual([keyOf('A_000'), keyOf('C_000')]);
+  });
+});
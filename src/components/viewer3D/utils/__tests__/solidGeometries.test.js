@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { buildVolumeManifold } from '../manifoldCSG';
+import { primitiveVolume } from '../massReport';
+import lib from './manifoldLib';
+
+// Mesh the solid through the CSG path and compare with the analytic volume
+const meshedVolume = (solid) => {
+  const manifold = buildVolumeManifold(solid, [], new THREE.Matrix4(), lib);
+  try {
+    return { volume: manifold.volume(), bbox: manifold.boundingBox() };
+  } finally {
+    manifold.delete();
+  }
+};
+
+describe('solid geometries in CSG', () => {
+  it.each([
+    ['hollow cone', { type: 'cone', radiusBottom: 20, radiusTop: 10, innerRadiusBottom: 5, innerRadiusTop: 5, height: 30 }],
+    ['pointed cone', { type: 'cone', radiusBottom: 20, radiusTop: 0, height: 30 }],
+    ['orb', { type: 'orb', radius: 10 }],
+    ['elliptical tube', { type: 'elliptical_tube', dx: 20, dy: 10, dz: 15 }],
+    ['hollow polyhedra', { type: 'polyhedra', numSides: 6, zSections: [{ z: -10, rMin: 5, rMax: 20 }, { z: 10, rMin: 5, rMax: 10 }] }],
+    ['half tube', { type: 'cylinder', radius: 10, innerRadius: 4, height: 20, startPhi: 0, deltaPhi: Math.PI }],
+    ['sphere shell octant', { type: 'sphere', radius: 10, innerRadius: 6, deltaPhi: Math.PI / 2, deltaTheta: Math.PI / 2 }],
+    ['theta band', { type: 'sphere', radius: 10, startTheta: Math.PI / 4, deltaTheta: Math.PI / 2 }],
+    ['torus segment', { type: 'torus', majorRadius: 20, minorRadius: 4, startPhi: 1, deltaPhi: 4 }],
+    ['cone segment', { type: 'cone', radiusBottom: 20, radiusTop: 10, height: 30, startPhi: -0.5, deltaPhi: 1 }],
+    ['hollow cylinder', { type: 'cylinder', radius: 10, innerRadius: 8, height: 5 }],
+    ['trapezoid', { type: 'trapezoid', dx1: 10, dx2: 5, dy1: 4, dy2: 8, dz: 6 }],
+    ['pyramid', { type: 'trapezoid', dx1: 10, dx2: 0, dy1: 10, dy2: 0, dz: 6 }],
+    ['hollow polycone', { type: 'polycone', zSections: [{ z: -5, rMin: 2, rMax: 8 }, { z: 0, rMin: 2, rMax: 4 }, { z: 5, rMin: 0, rMax: 6 }] }],
+    ['polycone segment', { type: 'polycone', deltaPhi: 3 * Math.PI / 2, zSections: [{ z: -5, rMin: 2, rMax: 8 }, { z: 5, rMin: 0, rMax: 4 }] }],
+    ['polyhedra segment', { type: 'polyhedra', numSides: 3, deltaPhi: Math.PI, zSections: [{ z: 0, rMin: 2, rMax: 10 }, { z: 4, rMin: 2, rMax: 10 }] }],
+  ])('meshes a closed, outward-facing %s', (label, solid) => {
+    const { volume } = meshedVolume(solid);
+    // Curved solids are faceted, so the mesh is slightly smaller
+    expect(volume).toBeGreaterThan(0.97 * primitiveVolume(solid).volume);
+    expect(volume).toBeLessThanOrEqual(primitiveVolume(solid).volume * (1 + 1e-6));
+  });
+
+  it('puts the cone bottom radius at -z and a polyhedra corner on +x', () => {
+    const cone = meshedVolume({ type: 'cone', radiusBottom: 20, radiusTop: 0, height: 30 }).bbox;
+    expect(cone.min[2]).toBeCloseTo(-15);
+    expect(cone.max[0]).toBeCloseTo(20);
+
+    // Square with apothem 10: flat sides at ±10 once rotated, corners at 10·√2 on the axes
+    const square = meshedVolume({ type: 'polyhedra', numSides: 4, zSections: [{ z: 0, rMin: 0, rMax: 10 }, { z: 1, rMin: 0, rMax: 10 }] });
+    expect(square.bbox.max[0]).toBeCloseTo(10 * Math.SQRT2);
+    expect(square.volume).toBeCloseTo(400);
+  });
+
+  it('tapers a trapezoid from dx1/dy1 at -dz to dx2/dy2 at +dz', () => {
+    const { bbox } = meshedVolume({ type: 'trapezoid', dx1: 10, dx2: 5, dy1: 4, dy2: 8, dz: 6 });
+    expect(bbox.min).toEqual([expect.closeTo(-10), expect.closeTo(-8), expect.closeTo(-6)]);
+    expect(bbox.max).toEqual([expect.closeTo(10), expect.closeTo(8), expect.closeTo(6)]);
+  });
+
+  it('cuts phi segments counter-clockwise from startPhi', () => {
+    // Upper half of a tube: nothing below y = 0
+    const half = meshedVolume({ type: 'cylinder', radius: 10, height: 2, startPhi: 0, deltaPhi: Math.PI }).bbox;
+    expect(half.min[1]).toBeCloseTo(0);
+    expect(half.max[1]).toBeCloseTo(10);
+    // Quarter from 90° to 180°: only the -x, +y quadrant, with flat cut faces
+    const quarter = meshedVolume({ type: 'torus', majorRadius: 20, minorRadius: 2, startPhi: Math.PI / 2, deltaPhi: Math.PI / 2 }).bbox;
+    expect(quarter.max[0]).toBeCloseTo(0);
+    expect(quarter.min[1]).toBeCloseTo(0);
+    expect(quarter.min[0]).toBeCloseTo(-22);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, searchVolumes } from '../volumeQuery';
+
+const geometries = {
+  world: { name: 'World' },
+  volumes: [
+    { _id: 'vol-0-pl-0', name: 'Water', g4name: 'Water', type: 'box', material: 'G4_WATER', mother_volume: 'World' },
+    { _id: 'vol-1-pl-0', name: 'PMT_000', g4name: 'PMT', type: 'assembly', mother_volume: 'Water', _displayGroup: 'Top Array' },
+    { _id: 'vol-1-pl-0-c-0', name: 'Body', type: 'tube', material: 'SS304LSteel', mother_volume: 'PMT_000' },
+    { _id: 'vol-1-pl-0-c-1', name: 'Photocathode', type: 'tube', material: 'Quartz', mother_volume: 'PMT_000', hitsCollectionName: 'PMTHits' },
+    { _id: 'vol-2-pl-0', name: 'Frame', type: 'union', material: 'SS304LSteel', mother_volume: 'Water', visible: false },
+  ],
+};
+const namesOf = (query) => {
+  const { keys, error } = searchVolumes(query, geometries);
+  expect(error).toBeNull();
+  return keys.map(key => geometries.volumes.find(v => v._id === key).name);
+};
+
+describe('volumeQuery', () => {
+  it('matches bare words anywhere in the name, ignoring case', () => {
+    expect(namesOf('photo')).toEqual(['Photocathode']);
+    expect(namesOf('pmt')).toEqual(['PMT_000']);
+  });
+
+  it('combines field terms, alternatives and wildcards', () => {
+    expect(namesOf('material:ss304lsteel type:union')).toEqual(['Frame']);
+    expect(namesOf('type:box,union')).toEqual(['Water', 'Frame']);
+    expect(namesOf('name:P*')).toEqual(['PMT_000', 'Photocathode']);
+    expect(namesOf('name:PMT')).toEqual(['PMT_000']);
+  });
+
+  it('matches parents by internal or Geant4 name', () => {
+    expect(namesOf('parent:Water')).toEqual(['PMT_000', 'Frame']);
+    expect(namesOf('parent:PMT type:tube')).toEqual(['Body', 'Photocathode']);
+    expect(namesOf('parent:World')).toEqual(['Water']);
+  });
+
+  it('handles flags, negation, groups and quoted values', () => {
+    expect(namesOf('sensitive:true')).toEqual(['Photocathode']);
+    expect(namesOf('visible:no')).toEqual(['Frame']);
+    expect(namesOf('-material:SS304LSteel parent:PMT_000')).toEqual(['Photocathode']);
+    expect(namesOf('group:"top array"')).toEqual(['PMT_000']);
+  });
+
+  it('reports malformed queries', () => {
+    expect(parseQuery('colour:red').error).toMatch(/^Unknown field "colour"/);
+    expect(parseQuery('sensitive:maybe').error).toBe('sensitive: expects true or false');
+    expect(parseQuery('material:').error).toBe('material: needs a value');
+    expect(searchVolumes('name:"PMT', geometries)).toEqual({ keys: [], error: 'Missing closing quote' });
+  });
+});
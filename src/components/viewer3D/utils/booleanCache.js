@@ -0,0 +1,160 @@
+// booleanCache.js — boolean CSG results for UnionObject, computed in a
+// Web Worker (csgWorker.js) and cached.
+//
+// manifold-3d can take seconds on a flange with many subtracted holes, so
+// the main thread only builds geometry from the returned arrays. Results
+// are keyed by a hash of the component definitions without their names and
+// placement bookkeeping: every placement of the same union, and any union
+// built from identical components, is computed once.
+
+import { computeBooleanBuffers } from './manifoldCSG';
+
+// Results kept once no union is waiting for them
+export const MAX_CACHED_RESULTS = 64;
+
+// Fields that name or place the component in the tree rather than shape it
+const IDENTITY_FIELDS = new Set([
+  '_id', 'name', 'g4name', 'material', 'mother_volume', 'visible', '_expressions',
+  '_is_boolean_component', '_boolean_parent', '_compoundId', '_componentId', '_instanceId',
+  '_volumeIndex', '_placementIndex', '_componentIndex', '_subComponentIndex', '_componentPath',
+  'hitsCollectionName', '_displayGroup',
+]);
+
+// Component as sent to the worker: shape, pose and operation only, and
+// the same for the components of a nested union
+const stripIdentity = (component) => Object.fromEntries(
+  Object.keys(component).sort()
+    .filter(key => !IDENTITY_FIELDS.has(key) && component[key] !== undefined)
+    .map(key => [key, key === 'components' ? component[key].map(stripIdentity) : component[key]])
+);
+
+// 53-bit string hash (cyrb53)
+const hashString = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+/**
+ * Cache key for a union: the same for components that differ only in their
+ * names and placement in the tree.
+ * @param {Object[]} componentVolumes - Flat components in evaluation order
+ * @returns {string}
+ */
+export function booleanCacheKey(componentVolumes) {
+  return hashString(JSON.stringify(componentVolumes.map(stripIdentity)));
+}
+
+/**
+ * Cache over a CSG function. Requests for a key already computed or in
+ * flight share its result; failed requests are forgotten so they can be
+ * retried.
+ * @param {Object} options
+ * @param {Function} options.compute - (components) => Promise of buffers or null
+ * @param {number} [options.maxEntries]
+ * @returns {{ get: Function, has: Function, clear: Function }}
+ *   get(components) resolves to { position, normal, index } or null;
+ *   has(components) tells whether get would resolve without computing
+ */
+export function createBooleanCache({ compute, maxEntries = MAX_CACHED_RESULTS }) {
+  // Insertion order doubles as recency order
+  const entries = new Map();
+  const settled = new Set();
+
+  const get = (componentVolumes) => {
+    const key = booleanCacheKey(componentVolumes);
+    if (entries.has(key)) {
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    }
+    const entry = compute(componentVolumes.map(stripIdentity)).then(
+      (buffers) => {
+        settled.add(key);
+        return buffers;
+      },
+      (err) => {
+        if (entries.get(key) === entry) entries.delete(key);
+        throw err;
+      }
+    );
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      const oldest = entries.keys().next().value;
+      entries.delete(oldest);
+      settled.delete(oldest);
+    }
+    return entry;
+  };
+
+  return {
+    get,
+    has: (componentVolumes) => {
+      const key = booleanCacheKey(componentVolumes);
+      return entries.has(key) && settled.has(key);
+    },
+    clear: () => {
+      entries.clear();
+      settled.clear();
+    },
+  };
+}
+
+let worker = null;
+let nextJobId = 0;
+const jobs = new Map();
+
+// Run one CSG job in the shared worker, or on this thread where workers
+// are unavailable (tests, old browsers)
+const computeInWorker = (components) => {
+  if (!worker && typeof Worker !== 'undefined') {
+    try {
+      worker = new Worker(new URL('./csgWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = ({ data: { id, buffers, error } }) => {
+        const job = jobs.get(id);
+        if (!job) return;
+        jobs.delete(id);
+        if (error) job.reject(new Error(error));
+        else job.resolve(buffers);
+      };
+      worker.onerror = (event) => {
+        console.error('booleanCache:: CSG worker failed:', event.message);
+        jobs.forEach(job => job.reject(new Error('CSG worker failed')));
+        jobs.clear();
+        worker.terminate();
+        worker = null;
+      };
+    } catch (err) {
+      console.warn('booleanCache:: No CSG worker, computing on the main thread:', err);
+    }
+  }
+  if (!worker) return computeBooleanBuffers(components);
+
+  const id = nextJobId++;
+  return new Promise((resolve, reject) => {
+    jobs.set(id, { resolve, reject });
+    worker.postMessage({ id, components });
+  });
+};
+
+const sharedCache = createBooleanCache({ compute: computeInWorker });
+
+/**
+ * Boolean result of a union's components, computed off the main thread and
+ * shared between identical unions. The arrays are shared too: build
+ * geometry over them with geometryFromBuffers and never modify them.
+ * @param {Object[]} componentVolumes - Flat components in evaluation order
+ * @returns {Promise<{ position: Float32Array, normal: Float32Array, index: Uint32Array }|null>}
+ */
+export const getBooleanBuffers = (componentVolumes) => sharedCache.get(componentVolumes);
+
+/** Whether getBooleanBuffers has the result ready for these components. */
+export const hasBooleanBuffers = (componentVolumes) => sharedCache.has(componentVolumes);
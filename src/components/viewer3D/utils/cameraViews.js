@@ -0,0 +1,39 @@
+// cameraViews.js — named camera views saved with the project. A view keeps
+// the camera pose and the clipping setup that goes with it.
+
+/**
+ * Snapshot of the camera and clipping, as plain JSON.
+ * @param {THREE.Camera} camera
+ * @param {Object} [controls] - OrbitControls; its target is the point looked at
+ * @param {Object} clipping - { planes, showCaps, subtrees }
+ * @returns {{ camera: { position: number[], up: number[], target: number[] }, clipping: Object }}
+ */
+export function captureCameraView(camera, controls, clipping) {
+  return {
+    camera: {
+      position: camera.position.toArray(),
+      up: camera.up.toArray(),
+      target: controls?.target ? controls.target.toArray() : [0, 0, 0],
+    },
+    clipping: structuredClone(clipping),
+  };
+}
+
+/**
+ * Move the camera to a saved view. The caller restores view.clipping.
+ * @param {Object} view - From captureCameraView
+ * @param {THREE.Camera} camera
+ * @param {Object} [controls] - OrbitControls
+ */
+export function applyCameraView(view, camera, controls) {
+  const { position, up, target } = view.camera;
+  camera.position.fromArray(position);
+  camera.up.fromArray(up);
+  if (controls?.target) {
+    controls.target.fromArray(target);
+    controls.update();
+  } else {
+    camera.lookAt(...target);
+  }
+  camera.updateProjectionMatrix();
+}
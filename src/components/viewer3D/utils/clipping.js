@@ -0,0 +1,205 @@
+// clipping.js — section planes for the viewer: plane setup as plain data
+// (saved with camera views), its three.js form, and the cap meshes that
+// close the cut faces.
+//
+// A plane spec is { id, enabled, axis: 'x'|'y'|'z'|'custom', normal: [x, y, z],
+// offset, flipped }. The plane passes through normal * offset (mm) and
+// keeps the side the normal points to; flipped keeps the other side.
+
+import * as THREE from 'three';
+import { getManifoldLib, buildVolumeManifold } from './manifoldCSG';
+import { createFlatHierarchy } from './geometryUtils';
+
+export const MAX_CLIP_PLANES = 3;
+
+export const AXIS_NORMALS = {
+  x: [1, 0, 0],
+  y: [0, 1, 0],
+  z: [0, 0, 1],
+};
+
+// Volumes meshed between yields to the browser while building caps
+const CAP_BATCH = 25;
+
+/**
+ * A new plane through the origin.
+ * @param {string} id
+ * @param {string} [axis] - 'x', 'y', 'z' or 'custom' (starts along z)
+ * @returns {Object} Plane spec
+ */
+export function createClipPlane(id, axis = 'x') {
+  return {
+    id,
+    enabled: true,
+    axis,
+    normal: [...(AXIS_NORMALS[axis] || AXIS_NORMALS.z)],
+    offset: 0,
+    flipped: false,
+  };
+}
+
+const unitNormal = (spec) => {
+  const normal = new THREE.Vector3(...spec.normal);
+  return normal.lengthSq() > 0 ? normal.normalize() : new THREE.Vector3(0, 0, 1);
+};
+
+/**
+ * Set a THREE.Plane from a spec. three.js discards what lies on the
+ * negative side, so the plane normal is the side that is kept.
+ * @param {Object} spec
+ * @param {THREE.Plane} [target]
+ * @returns {THREE.Plane}
+ */
+export function clipPlaneToThree(spec, target = new THREE.Plane()) {
+  const normal = unitNormal(spec);
+  target.set(normal, -spec.offset);
+  if (spec.flipped) target.negate();
+  return target;
+}
+
+/**
+ * Frame of a plane: local z along its (unflipped) normal and the origin at
+ * normal * offset, so the plane is local z = 0.
+ * @param {Object} spec
+ * @returns {THREE.Matrix4} Local to world
+ */
+export function clipPlaneFrame(spec) {
+  const normal = unitNormal(spec);
+  return new THREE.Matrix4().compose(
+    normal.clone().multiplyScalar(spec.offset),
+    new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal),
+    new THREE.Vector3(1, 1, 1)
+  );
+}
+
+/**
+ * Read a plane back from a moved frame (see clipPlaneFrame). Axis planes
+ * keep their normal and only take the offset.
+ * @param {Object} spec
+ * @param {THREE.Matrix4} matrix - Local to world
+ * @returns {{ normal: number[], offset: number }}
+ */
+export function clipPlaneFromFrame(spec, matrix) {
+  const position = new THREE.Vector3().setFromMatrixPosition(matrix);
+  const normal = spec.axis === 'custom'
+    ? new THREE.Vector3(0, 0, 1).transformDirection(matrix)
+    : unitNormal(spec);
+  return { normal: normal.toArray(), offset: normal.dot(position) };
+}
+
+/**
+ * Names of the volumes in the subtrees under the given volumes.
+ * @param {Array} volumes - Flat volumes
+ * @param {string[]} rootNames
+ * @returns {Set<string>}
+ */
+export function subtreeNames(volumes, rootNames) {
+  const children = new Map();
+  volumes.forEach(volume => {
+    if (!children.has(volume.mother_volume)) children.set(volume.mother_volume, []);
+    children.get(volume.mother_volume).push(volume.name);
+  });
+  const names = new Set();
+  const queue = [...rootNames];
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (names.has(name)) continue;
+    names.add(name);
+    queue.push(...(children.get(name) || []));
+  }
+  return names;
+}
+
+const capGeometry = (crossSection, frame, lib) => {
+  const polygons = crossSection.toPolygons();
+  const triangles = lib.triangulate(polygons);
+  if (triangles.length === 0) return null;
+  const points = polygons.flat();
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(points.flatMap(([x, y]) => [x, y, 0])), 3));
+  geometry.setIndex(triangles.flat());
+  geometry.applyMatrix4(frame);
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+/**
+ * Meshes that cover the faces a plane cuts through the volumes. Each cap
+ * is the volume's cross-section minus its daughters', so nested volumes
+ * show their own material. Hidden volumes, assemblies and boolean parts
+ * get no cap.
+ *
+ * @param {Object} geometries - Flat geometry { world, volumes }
+ * @param {Object[]} specs - Enabled plane specs
+ * @param {Object} [options]
+ * @param {Set<string>} [options.names] - Only cap these volumes (clip scope)
+ * @param {Object} [options.lib] - manifold-3d module (defaults to getManifoldLib())
+ * @param {Function} [options.isCancelled] - Checked between batches; stops early when true
+ * @returns {Promise<Array<{ geometry: THREE.BufferGeometry, material: string, planeIndex: number }>>}
+ *   The caller owns the geometries and must dispose() them
+ */
+export async function buildSectionCaps(geometries, specs, { names = null, lib, isCancelled = () => false } = {}) {
+  const manifoldLib = lib || await getManifoldLib();
+  const volumes = geometries.volumes || [];
+  const { worldMatrix, motherOf } = createFlatHierarchy(volumes);
+  const capped = volumes.filter(volume =>
+    volume.visible !== false &&
+    volume.type !== 'assembly' &&
+    volume._is_boolean_component !== true &&
+    (!names || names.has(volume.name))
+  );
+
+  const caps = [];
+  for (let planeIndex = 0; planeIndex < specs.length; planeIndex++) {
+    const frame = clipPlaneFrame(specs[planeIndex]);
+    const toPlane = frame.clone().invert();
+
+    // Cross-section of every volume the plane passes through
+    const sections = new Map();
+    for (let i = 0; i < capped.length; i++) {
+      if (i % CAP_BATCH === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (isCancelled()) {
+          sections.forEach(section => section.delete());
+          caps.forEach(cap => cap.geometry.dispose());
+          return [];
+        }
+      }
+      const volume = capped[i];
+      const manifold = buildVolumeManifold(volume, volumes, toPlane.clone().multiply(worldMatrix(volume)), manifoldLib);
+      if (!manifold) continue;
+      try {
+        const { min, max } = manifold.boundingBox();
+        if (min[2] > 0 || max[2] < 0) continue;
+        const section = manifold.slice(0);
+        if (section.isEmpty()) section.delete();
+        else sections.set(volume, section);
+      } finally {
+        manifold.delete();
+      }
+    }
+
+    // Daughters displace their mother's material
+    const daughters = new Map();
+    sections.forEach((section, volume) => {
+      const mother = motherOf(volume);
+      if (!mother || !sections.has(mother)) return;
+      if (!daughters.has(mother)) daughters.set(mother, []);
+      daughters.get(mother).push(section);
+    });
+
+    sections.forEach((section, volume) => {
+      let cap = section;
+      if (daughters.has(volume)) {
+        const inner = manifoldLib.CrossSection.union(daughters.get(volume));
+        cap = section.subtract(inner);
+        inner.delete();
+      }
+      const geometry = capGeometry(cap, frame, manifoldLib);
+      if (cap !== section) cap.delete();
+      if (geometry) caps.push({ geometry, material: volume.material, planeIndex });
+    });
+    sections.forEach(section => section.delete());
+  }
+  return caps;
+}
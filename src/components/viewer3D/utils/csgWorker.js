@@ -0,0 +1,17 @@
+// csgWorker.js — runs boolean CSG off the main thread.
+//
+// Receives { id, components } (see computeBooleanGeometry) and answers
+// { id, buffers } with the result arrays transferred, or { id, error }.
+// Loaded by booleanCache.js; the WASM module is set up on the first job.
+
+import { computeBooleanBuffers } from './manifoldCSG';
+
+self.onmessage = async ({ data: { id, components } }) => {
+  try {
+    const buffers = await computeBooleanBuffers(components);
+    const transfer = buffers ? [buffers.position.buffer, buffers.normal.buffer, buffers.index.buffer] : [];
+    self.postMessage({ id, buffers }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
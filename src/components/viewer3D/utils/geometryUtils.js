@@ -372,6 +372,25 @@ export const worldToLocalCoordinates = (volume, worldPos, worldRot, geometries,
   };
 };
 
+// Function to get the local position/rotation that keeps a volume at its
+// current world pose once it is placed under newParentName (or 'World')
+export const localPoseUnderParent = (volume, newParentName, geometries, volumeNameToIndex) => {
+  const world = calculateWorldPosition(volume, new Set(), geometries, volumeNameToIndex);
+  const [px, py, pz] = world.position;
+  const [rx, ry, rz] = world.rotation;
+  const local = worldToLocalCoordinates(
+    { ...volume, mother_volume: newParentName },
+    { x: px, y: py, z: pz },
+    { x: rx, y: ry, z: rz },
+    geometries,
+    volumeNameToIndex
+  );
+  return {
+    position: { x: local.position.x, y: local.position.y, z: local.position.z },
+    rotation: { x: local.rotation.x, y: local.rotation.y, z: local.rotation.z }
+  };
+};
+
 // Function to get the parent key for a volume
 // When `volumes` is provided the returned key uses the stable `_id` field;
 // otherwise falls back to the legacy `volume-${index}` format.
@@ -422,3 +441,46 @@ export const groupVolumesByParent = (geometries, volumeNameToIndex) => {
   
   return volumesByParent;
 };
+
+// Lookups over a flat volume list shared by the analysis tools (overlap
+// check, mass report):
+//   byName      - first volume with each name
+//   worldMatrix - local pose composed along mother_volume (cycles end at the world)
+//   motherOf    - Geant4 mother, skipping assemblies; null for the world
+export const createFlatHierarchy = (volumes) => {
+  const byName = new Map();
+  volumes.forEach(v => { if (v.name && !byName.has(v.name)) byName.set(v.name, v); });
+
+  const localMatrix = (volume) => {
+    const p = volume.position || {};
+    const r = volume.rotation || {};
+    return new THREE.Matrix4().compose(
+      new THREE.Vector3(p.x || 0, p.y || 0, p.z || 0),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(r.x || 0, r.y || 0, r.z || 0, 'XYZ')),
+      new THREE.Vector3(1, 1, 1)
+    );
+  };
+
+  const matrices = new Map();
+  const worldMatrix = (volume, stack = new Set()) => {
+    if (matrices.has(volume._id)) return matrices.get(volume._id);
+    stack.add(volume._id);
+    const parent = byName.get(volume.mother_volume);
+    const base = parent && !stack.has(parent._id) ? worldMatrix(parent, stack) : new THREE.Matrix4();
+    const matrix = base.clone().multiply(localMatrix(volume));
+    matrices.set(volume._id, matrix);
+    return matrix;
+  };
+
+  const motherOf = (volume) => {
+    let mother = byName.get(volume.mother_volume);
+    const seen = new Set();
+    while (mother && mother.type === 'assembly' && !seen.has(mother._id)) {
+      seen.add(mother._id);
+      mother = byName.get(mother.mother_volume);
+    }
+    return mother && mother.type !== 'assembly' ? mother : null;
+  };
+
+  return { byName, worldMatrix, motherOf };
+};
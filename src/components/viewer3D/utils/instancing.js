@@ -0,0 +1,95 @@
+// instancing.js — which volumes the Scene draws as THREE.InstancedMesh.
+//
+// Placements of one volume definition, and the components of an assembly
+// placed many times, share their shape and material. Drawing each as its
+// own mesh makes large arrays (PMTs, support legs) slow, so repeated ones
+// are grouped and drawn as one instanced mesh per definition. Unions are
+// grouped too; their shape is the cached result of their components.
+
+import * as THREE from 'three';
+import { CSG_SOLID_TYPES } from './manifoldCSG';
+import { componentPath } from '../../../utils/expandToFlat';
+
+// Fewer repeats than this are drawn as individual meshes
+export const MIN_INSTANCES = 4;
+
+/**
+ * Key shared by every placement of the same definition: the JSON volume,
+ * or the component (at any depth) of an assembly whatever placement of the
+ * assembly it belongs to.
+ * @param {Object} volume - Flat volume
+ * @returns {string}
+ */
+export function definitionKey(volume) {
+  return componentPath(volume).reduce(
+    (key, index, depth) => `${key}${depth === 0 ? '-c-' : '-sc-'}${index}`,
+    `vol-${volume._volumeIndex}`
+  );
+}
+
+// Whether the volume is drawn at all, by the Scene or by its assembly.
+// AssemblyObject stops at hidden volumes and at nested compounds, so the
+// chain up to the assembly must be visible plain solids.
+const isDrawn = (volume, byName) => {
+  if (volume.visible === false || volume._is_boolean_component === true) return false;
+  const seen = new Set([volume.name]);
+  let blocked = false;
+  for (let mother = byName.get(volume.mother_volume); mother; mother = byName.get(mother.mother_volume)) {
+    if (seen.has(mother.name)) return false;
+    seen.add(mother.name);
+    if (mother.type === 'assembly') return !blocked;
+    if (mother.type === 'union' || mother.visible === false) blocked = true;
+  }
+  // Not inside an assembly: the Scene draws it whatever its mothers
+  return true;
+};
+
+/**
+ * Group the repeated volumes to draw instanced.
+ * @param {Array} volumes - Flat volumes
+ * @param {Object} [options]
+ * @param {Function} [options.exclude] - (volume) => true to draw it on its own (selected, out of scope)
+ * @param {number} [options.minInstances]
+ * @returns {{ groups: Array<{ key: string, prototype: Object, members: Object[] }>, keys: Set<string>, names: Set<string> }}
+ *   keys and names of every instanced volume
+ */
+export function planInstancing(volumes, { exclude = () => false, minInstances = MIN_INSTANCES } = {}) {
+  const byName = new Map();
+  volumes.forEach(v => { if (v.name && !byName.has(v.name)) byName.set(v.name, v); });
+
+  const byDefinition = new Map();
+  volumes.forEach(volume => {
+    const drawable = CSG_SOLID_TYPES.has(volume.type) || volume.type === 'union';
+    if (!drawable || !isDrawn(volume, byName) || exclude(volume)) return;
+    const key = definitionKey(volume);
+    if (!byDefinition.has(key)) byDefinition.set(key, []);
+    byDefinition.get(key).push(volume);
+  });
+
+  const groups = [];
+  const keys = new Set();
+  const names = new Set();
+  byDefinition.forEach((members, key) => {
+    if (members.length < minInstances) return;
+    groups.push({ key, prototype: members[0], members });
+    members.forEach(member => {
+      keys.add(member._id);
+      names.add(member.name);
+    });
+  });
+  return { groups, keys, names };
+}
+
+/**
+ * Instance matrix from a world pose as the Scene computes it.
+ * @param {number[]} position - [x, y, z]
+ * @param {number[]} rotation - XYZ Euler angles (rad)
+ * @returns {THREE.Matrix4}
+ */
+export function poseMatrix(position, rotation) {
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(...position),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation[0], rotation[1], rotation[2], 'XYZ')),
+    new THREE.Vector3(1, 1, 1)
+  );
+}
@@ -1,7 +1,7 @@
 // manifoldCSG.js — boolean CSG via manifold-3d (WASM)
 //
 // Drops three-csg-ts entirely. Single generic path for any base + any
-// combination of unions/subtractions. No shape-specific fallbacks.
+// sequence of unions, subtractions and intersections. No shape-specific fallbacks.
 //
 // All transform composition happens on the THREE side first (geometry baked
 // at the right pose), then geometry → manifold → boolean → geometry.
@@ -10,6 +10,19 @@ import * as THREE from 'three';
 import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import Module from 'manifold-3d';
 import wasmUrl from 'manifold-3d/manifold.wasm?url';
+import {
+  createConeGeometry,
+  createEllipticalTubeGeometry,
+  createPolyconeGeometry,
+  createPolyhedraGeometry,
+  createSphereGeometry,
+  createTessellatedGeometry,
+  createTorusGeometry,
+  createTrapezoidGeometry,
+  createTubeGeometry,
+  isSegmented,
+} from './solidGeometries';
+import { booleanSequence } from '../../../utils/booleanOperations';
 
 let _lib = null;
 let _initPromise = null;
@@ -31,14 +44,10 @@ export async function getManifoldLib() {
   return _initPromise;
 }
 
-/**
- * Build a transformed THREE.BufferGeometry for a boolean component.
- * Position + rotation (radians, XYZ Euler) are baked into the geometry so
- * the resulting manifold sits at the right pose in compound-local space.
- */
-function buildComponentGeometry(component) {
-  const geom = createGeometryForComponent(component);
-  const matrix = new THREE.Matrix4().compose(
+// Pose of a component in compound-local space: position + rotation
+// (radians, XYZ Euler)
+function componentMatrix(component) {
+  return new THREE.Matrix4().compose(
     new THREE.Vector3(
       component.position?.x || 0,
       component.position?.y || 0,
@@ -52,7 +61,16 @@ function buildComponentGeometry(component) {
     )),
     new THREE.Vector3(1, 1, 1)
   );
-  geom.applyMatrix4(matrix);
+}
+
+/**
+ * Build a transformed THREE.BufferGeometry for a boolean component.
+ * The pose is baked into the geometry so the resulting manifold sits at
+ * the right pose in compound-local space.
+ */
+function buildComponentGeometry(component) {
+  const geom = createGeometryForComponent(component);
+  geom.applyMatrix4(componentMatrix(component));
   return geom;
 }
 
@@ -70,10 +88,25 @@ function createGeometryForComponent(solid) {
         solid.size?.z || 1
       );
     case 'sphere':
+    case 'orb':
+      if (solid.type === 'sphere' && (solid.innerRadius > 0 || isSegmented(solid))) {
+        return createSphereGeometry(solid);
+      }
       return new THREE.SphereGeometry(solid.radius || 1, 32, 16);
+    case 'cone':
+      return createConeGeometry(solid);
+    case 'elliptical_tube':
+      return createEllipticalTubeGeometry(solid);
+    case 'polyhedra':
+      return createPolyhedraGeometry(solid);
+    case 'tessellated':
+      return createTessellatedGeometry(solid);
     case 'cylinder':
     case 'tube':
     case 'tubs': {
+      if (solid.innerRadius > 0 || isSegmented(solid)) {
+        return createTubeGeometry({ ...solid, height: solid.height || solid.z });
+      }
       const g = new THREE.CylinderGeometry(
         solid.radius || 1,
         solid.radius || 1,
@@ -85,12 +118,11 @@ function createGeometryForComponent(solid) {
     }
     case 'trapezoid':
     case 'trd':
-      return new THREE.BoxGeometry(
-        (solid.dx1 || solid.x1 || 1) + (solid.dx2 || solid.x2 || 1),
-        (solid.dy1 || solid.y1 || 1) + (solid.dy2 || solid.y2 || 1),
-        solid.dz || solid.height || 1
-      );
+      return createTrapezoidGeometry(solid);
+    case 'polycone':
+      return createPolyconeGeometry(solid);
     case 'torus':
+      if (isSegmented(solid)) return createTorusGeometry(solid);
       return new THREE.TorusGeometry(
         solid.majorRadius || solid.torus_radius || 5,
         solid.minorRadius || solid.tube_radius || 1,
@@ -145,7 +177,7 @@ function geometryToManifold(geom, lib) {
  * Convert a Manifold into a THREE.BufferGeometry ready for rendering.
  * Recomputes vertex normals so MeshStandardMaterial shades correctly.
  */
-function manifoldToGeometry(manifold) {
+export function manifoldToGeometry(manifold) {
   const mesh = manifold.getMesh();
   const geom = new THREE.BufferGeometry();
   geom.setAttribute(
@@ -157,53 +189,152 @@ function manifoldToGeometry(manifold) {
   return geom;
 }
 
+/**
+ * Combine component definitions into one Manifold, applying each to the
+ * running result in the order of utils/booleanOperations.js. A component
+ * that is a union itself, with its own `components` (see
+ * nestBooleanComponents), is combined first and posed as one solid.
+ * Returns null if there is no additive component. The caller owns the
+ * result and must delete() it.
+ */
+function booleanManifold(componentVolumes, lib) {
+  const sequence = booleanSequence(componentVolumes);
+  if (!sequence) return null;
+
+  const toManifold = (comp) => {
+    if (comp.type === 'union' && Array.isArray(comp.components)) {
+      const inner = booleanManifold(comp.components, lib);
+      if (!inner) return null;
+      const posed = inner.transform(Array.from(componentMatrix(comp).elements));
+      inner.delete();
+      return posed;
+    }
+    const geom = buildComponentGeometry(comp);
+    try {
+      return geometryToManifold(geom, lib);
+    } catch (err) {
+      // An open imported mesh encloses nothing to add or remove
+      if (comp.type === 'tessellated') return null;
+      throw err;
+    } finally {
+      geom.dispose();
+    }
+  };
+
+  let result = toManifold(sequence.base);
+  if (!result) return null;
+  for (const { op, component } of sequence.steps) {
+    const operand = toManifold(component);
+    // A nested union without an additive component, or an open mesh, adds
+    // or removes nothing
+    if (!operand) continue;
+    let next;
+    if (op === 'subtract') next = result.subtract(operand);
+    else if (op === 'intersect') next = result.intersect(operand);
+    else next = result.add(operand);
+    result.delete();
+    operand.delete();
+    result = next;
+  }
+  return result;
+}
+
 /**
  * Compute the boolean result for an array of component definitions.
  * Returns a THREE.BufferGeometry, or null if there are no usable components.
  *
  * componentVolumes: [{ type, position, rotation, boolean_operation, ... }]
- *   boolean_operation === 'subtract' → subtractor; anything else (incl.
- *   'union' or undefined) → unioner.
+ *   in array order; boolean_operation is 'union' (or 'add'), 'subtract'
+ *   or 'intersect'.
  */
 export async function computeBooleanGeometry(componentVolumes) {
   if (!componentVolumes || componentVolumes.length === 0) return null;
 
   const lib = await getManifoldLib();
-  const { Manifold } = lib;
-
-  const unioners = [];
-  const subtractors = [];
-  const builtGeoms = [];
-
-  try {
-    for (const comp of componentVolumes) {
-      const geom = buildComponentGeometry(comp);
-      builtGeoms.push(geom);
-      const m = geometryToManifold(geom, lib);
-      if (comp.boolean_operation === 'subtract') subtractors.push(m);
-      else unioners.push(m);
-    }
+  const result = booleanManifold(componentVolumes, lib);
+  if (!result) return null;
 
-    if (unioners.length === 0) return null;
+  const out = manifoldToGeometry(result);
+  result.delete();
+  return out;
+}
 
-    let result = unioners.length === 1 ? unioners[0] : Manifold.union(unioners);
-    if (unioners.length > 1) unioners.forEach(m => m.delete());
+/**
+ * Like computeBooleanGeometry, but returns the raw vertex arrays
+ * { position, normal, index } so they can cross a worker boundary.
+ * Returns null if there are no usable components.
+ */
+export async function computeBooleanBuffers(componentVolumes) {
+  const geom = await computeBooleanGeometry(componentVolumes);
+  if (!geom) return null;
+  const buffers = {
+    position: geom.attributes.position.array,
+    normal: geom.attributes.normal.array,
+    index: geom.index.array,
+  };
+  geom.dispose();
+  return buffers;
+}
 
-    if (subtractors.length > 0) {
-      const subAggregate = subtractors.length === 1
-        ? subtractors[0]
-        : Manifold.union(subtractors);
-      if (subtractors.length > 1) subtractors.forEach(m => m.delete());
-      const next = Manifold.difference(result, subAggregate);
-      result.delete();
-      subAggregate.delete();
-      result = next;
-    }
+/** THREE.BufferGeometry over arrays from computeBooleanBuffers (not copied). */
+export function geometryFromBuffers({ position, normal, index }) {
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(position, 3));
+  geom.setAttribute('normal', new THREE.BufferAttribute(normal, 3));
+  geom.setIndex(new THREE.BufferAttribute(index, 1));
+  geom.computeBoundingSphere();
+  return geom;
+}
 
-    const out = manifoldToGeometry(result);
-    result.delete();
-    return out;
-  } finally {
-    builtGeoms.forEach(g => g.dispose());
+// Primitive types createGeometryForComponent can mesh (anything else would
+// silently become a unit box, so callers skip it instead)
+export const CSG_SOLID_TYPES = new Set([
+  'box', 'sphere', 'orb', 'cylinder', 'cone', 'elliptical_tube', 'trapezoid', 'torus', 'ellipsoid', 'polycone',
+  'polyhedra', 'tessellated',
+]);
+
+/**
+ * Boolean components of a flat union in array order. A component that
+ * is a union itself gets its own components under `components`, at any
+ * depth, so booleanManifold can combine it first.
+ * @param {Object} union - Flat union volume
+ * @param {Object[]} volumes - All flat volumes
+ * @returns {Object[]}
+ */
+export function nestBooleanComponents(union, volumes, seen = new Set([union.name])) {
+  return (volumes || [])
+    .filter(v => v._is_boolean_component === true && v._boolean_parent === union.name)
+    .map(component => {
+      if (component.type !== 'union' || seen.has(component.name)) return component;
+      return { ...component, components: nestBooleanComponents(component, volumes, new Set([...seen, component.name])) };
+    });
+}
+
+/**
+ * Build the Manifold of one flat volume, posed by `matrix` (THREE.Matrix4).
+ * A union is combined from its boolean components in `volumes`.
+ * Returns null for types without a CSG mesh and for tessellated solids
+ * that are not closed. The caller owns the result and must delete() it.
+ */
+export function buildVolumeManifold(volume, volumes, matrix, lib) {
+  let local = null;
+  if (volume.type === 'union') {
+    local = booleanManifold(nestBooleanComponents(volume, volumes), lib);
+  } else if (CSG_SOLID_TYPES.has(volume.type)) {
+    const geom = createGeometryForComponent(volume);
+    try {
+      local = geometryToManifold(geom, lib);
+    } catch (err) {
+      // Only an imported mesh can be open
+      if (volume.type !== 'tessellated') throw err;
+    } finally {
+      geom.dispose();
+    }
   }
+  if (!local) return null;
+
+  // THREE matrices are column-major, as manifold's Mat4 expects
+  const posed = local.transform(Array.from(matrix.elements));
+  local.delete();
+  return posed;
 }
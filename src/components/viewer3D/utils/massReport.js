@@ -0,0 +1,439 @@
+// massReport.js — volumes, masses and centres of mass, as Geant4 would weigh them.
+//
+// Works on the flat volume list from expandToFlat. For every real Geant4
+// volume (not assemblies, not boolean components):
+//   solid volume — analytic for primitives; unions and tessellated solids
+//                  through their manifold mesh
+//   net volume   — solid volume minus the solid volumes of the daughters,
+//                  which is what G4LogicalVolume::GetMass fills with material
+//   mass         — net volume × density from the materials map
+// Centres of mass are in world coordinates and account for the material
+// removed by daughters. Lengths are mm, volumes mm³ and masses kg.
+
+import * as THREE from 'three';
+import { getManifoldLib, buildVolumeManifold } from './manifoldCSG';
+import { createFlatHierarchy } from './geometryUtils';
+import { debugLog } from '../../../utils/logger.js';
+
+const TWO_PI = 2 * Math.PI;
+
+// kg per mm³ for one unit of each density_unit
+const DENSITY_SCALE = {
+  'g/cm3': 1e-6,
+  'mg/cm3': 1e-9,
+  'kg/m3': 1e-9,
+};
+
+// ∫f dz over stacked z sections with linearly interpolated radii, where
+// f(rMin, rMax, z) is at most cubic in z so Simpson's rule is exact.
+function integrateSections(zSections, f) {
+  let total = 0;
+  for (let i = 0; i + 1 < zSections.length; i++) {
+    const a = zSections[i];
+    const b = zSections[i + 1];
+    const z0 = a.z || 0;
+    const z1 = b.z || 0;
+    const at = (t) => {
+      const lerp = (from, to) => (from || 0) + ((to || 0) - (from || 0)) * t;
+      return f(lerp(a.rMin, b.rMin), lerp(a.rMax, b.rMax), z0 + (z1 - z0) * t);
+    };
+    total += ((z1 - z0) / 6) * (at(0) + 4 * at(0.5) + at(1));
+  }
+  return total;
+}
+
+// Sections listed from +z down integrate to negative values; flip them all
+function sectionMoments(zSections, moments) {
+  const values = moments.map(f => integrateSections(zSections, f));
+  return values[0] < 0 ? values.map(v => -v) : values;
+}
+
+/**
+ * Volume and centroid of a solid of revolution over a phi segment, from the
+ * profile integrals per radian: area = ∬r dA, zMoment = ∬r·z dA and
+ * rMoment = ∬r² dA over the (r, z) profile.
+ */
+function revolved({ area, zMoment, rMoment }, solid) {
+  const start = solid.startPhi || 0;
+  const delta = solid.deltaPhi > 0 && solid.deltaPhi < TWO_PI ? solid.deltaPhi : TWO_PI;
+  const volume = delta * area;
+  if (!(area > 0)) return { volume: 0, centroid: [0, 0, 0] };
+  const radial = rMoment / (delta * area);
+  return {
+    volume,
+    centroid: [
+      radial * (Math.sin(start + delta) - Math.sin(start)),
+      radial * (Math.cos(start) - Math.cos(start + delta)),
+      zMoment / area,
+    ],
+  };
+}
+
+/**
+ * Analytic volume and local centroid of a flat primitive, including phi and
+ * theta segments.
+ *
+ * @param {Object} volume - Flat volume entry
+ * @returns {{ volume: number, centroid: number[] }|null} mm³ and mm, or null
+ *   when the type has no analytic formula
+ */
+export function primitiveVolume(volume) {
+  switch (volume.type) {
+    case 'box': {
+      const s = volume.size || {};
+      return { volume: (s.x || 0) * (s.y || 0) * (s.z || 0), centroid: [0, 0, 0] };
+    }
+    case 'cylinder': {
+      const r = volume.radius || 0;
+      const ri = volume.innerRadius || 0;
+      const h = volume.height || 0;
+      return revolved({ area: (h * (r * r - ri * ri)) / 2, zMoment: 0, rMoment: (h * (r ** 3 - ri ** 3)) / 3 }, volume);
+    }
+    case 'sphere':
+    case 'orb': {
+      // Profile is the annular sector ri < ρ < r, θ0 < θ < θ1 with r = ρ·sinθ, z = ρ·cosθ
+      const r = volume.radius || 0;
+      const ri = volume.type === 'sphere' ? volume.innerRadius || 0 : 0;
+      const t0 = Math.min(Math.max(volume.startTheta || 0, 0), Math.PI);
+      const t1 = volume.deltaTheta > 0 ? Math.min(t0 + volume.deltaTheta, Math.PI) : Math.PI;
+      const cube = (r ** 3 - ri ** 3) / 3;
+      const quart = (r ** 4 - ri ** 4) / 4;
+      return revolved({
+        area: cube * (Math.cos(t0) - Math.cos(t1)),
+        zMoment: (quart * (Math.sin(t1) ** 2 - Math.sin(t0) ** 2)) / 2,
+        rMoment: quart * ((t1 - t0) / 2 - (Math.sin(2 * t1) - Math.sin(2 * t0)) / 4),
+      }, volume.type === 'sphere' ? volume : {});
+    }
+    case 'cone':
+    case 'polycone': {
+      const sections = volume.type === 'cone'
+        ? [
+          { z: -(volume.height || 0) / 2, rMin: volume.innerRadiusBottom, rMax: volume.radiusBottom },
+          { z: (volume.height || 0) / 2, rMin: volume.innerRadiusTop, rMax: volume.radiusTop },
+        ]
+        : volume.zSections || [];
+      const [area, zMoment, rMoment] = sectionMoments(sections, [
+        (rMin, rMax) => (rMax * rMax - rMin * rMin) / 2,
+        (rMin, rMax, z) => (z * (rMax * rMax - rMin * rMin)) / 2,
+        (rMin, rMax) => (rMax ** 3 - rMin ** 3) / 3,
+      ]);
+      return revolved({ area, zMoment, rMoment }, volume);
+    }
+    case 'elliptical_tube':
+      return { volume: 2 * Math.PI * (volume.dx || 0) * (volume.dy || 0) * (volume.dz || 0), centroid: [0, 0, 0] };
+    case 'ellipsoid': {
+      const a = volume.xRadius || 0;
+      const b = volume.yRadius || 0;
+      const c = volume.zRadius || 0;
+      if (c <= 0) return { volume: 0, centroid: [0, 0, 0] };
+      // Zero cuts mean "no cut", as in the editor and the exporters
+      let z1 = volume.zcut1 ?? -c;
+      let z2 = volume.zcut2 ?? c;
+      if (z1 === 0 && z2 === 0) {
+        z1 = -c;
+        z2 = c;
+      }
+      z1 = Math.max(z1, -c);
+      z2 = Math.min(z2, c);
+      if (z2 <= z1) return { volume: 0, centroid: [0, 0, 0] };
+      const k = Math.PI * a * b;
+      const v = k * ((z2 - z1) - (z2 ** 3 - z1 ** 3) / (3 * c * c));
+      const m = k * ((z2 ** 2 - z1 ** 2) / 2 - (z2 ** 4 - z1 ** 4) / (4 * c * c));
+      return { volume: v, centroid: [0, 0, v > 0 ? m / v : 0] };
+    }
+    case 'torus': {
+      // Profile is a disc of radius r centred at (R, 0)
+      const R = volume.majorRadius || 0;
+      const disc = Math.PI * (volume.minorRadius || 0) ** 2;
+      return revolved({ area: R * disc, zMoment: 0, rMoment: disc * (R * R + (volume.minorRadius || 0) ** 2 / 4) }, volume);
+    }
+    case 'trapezoid': {
+      // Half-lengths dx/dy vary linearly from -dz to +dz
+      const dz = volume.dz || 0;
+      const sections = [{ z: -dz, rMin: volume.dx1, rMax: volume.dy1 }, { z: dz, rMin: volume.dx2, rMax: volume.dy2 }];
+      const [v, m] = sectionMoments(sections, [(dx, dy) => 4 * dx * dy, (dx, dy, z) => 4 * dx * dy * z]);
+      return { volume: v, centroid: [0, 0, v > 0 ? m / v : 0] };
+    }
+    case 'polyhedra': {
+      // Each side is a wedge of half-angle α/2 whose radii are distances to the side
+      const start = volume.startPhi || 0;
+      const delta = volume.deltaPhi > 0 && volume.deltaPhi < TWO_PI ? volume.deltaPhi : TWO_PI;
+      const sides = volume.numSides || 6;
+      const half = Math.tan(delta / sides / 2);
+      const [area, zMoment, rMoment] = sectionMoments(volume.zSections || [], [
+        (rMin, rMax) => half * (rMax * rMax - rMin * rMin),
+        (rMin, rMax, z) => half * z * (rMax * rMax - rMin * rMin),
+        (rMin, rMax) => (2 / 3) * half * (rMax ** 3 - rMin ** 3),
+      ]);
+      const v = sides * area;
+      if (!(v > 0)) return { volume: 0, centroid: [0, 0, 0] };
+      // Sum of the unit bisectors of all sides
+      let bx = 0;
+      let by = 0;
+      for (let k = 0; k < sides; k++) {
+        const phi = start + ((k + 0.5) * delta) / sides;
+        bx += Math.cos(phi);
+        by += Math.sin(phi);
+      }
+      return { volume: v, centroid: [(rMoment * bx) / v, (rMoment * by) / v, zMoment / area] };
+    }
+    default:
+      return null;
+  }
+}
+
+// Volume and centroid of a closed triangle mesh (sum of signed tetrahedra)
+function meshVolume(manifold) {
+  const mesh = manifold.getMesh();
+  const p = mesh.vertProperties;
+  const n = mesh.numProp;
+  const t = mesh.triVerts;
+  let volume = 0;
+  const moment = [0, 0, 0];
+  for (let i = 0; i < t.length; i += 3) {
+    const a = t[i] * n;
+    const b = t[i + 1] * n;
+    const c = t[i + 2] * n;
+    const det = p[a] * (p[b + 1] * p[c + 2] - p[b + 2] * p[c + 1])
+      - p[a + 1] * (p[b] * p[c + 2] - p[b + 2] * p[c])
+      + p[a + 2] * (p[b] * p[c + 1] - p[b + 1] * p[c]);
+    volume += det / 6;
+    for (let k = 0; k < 3; k++) moment[k] += (det / 24) * (p[a + k] + p[b + k] + p[c + k]);
+  }
+  return { volume, centroid: volume > 0 ? moment.map(m => m / volume) : [0, 0, 0] };
+}
+
+function densityOf(material) {
+  if (!material || material.density == null) return null;
+  const scale = DENSITY_SCALE[material.density_unit || 'g/cm3'];
+  return scale === undefined ? null : Number(material.density) * scale;
+}
+
+// Mass-weighted centre of rows with { mass, centre }
+function centreOfMass(rows) {
+  let mass = 0;
+  const sum = [0, 0, 0];
+  rows.forEach(row => {
+    if (!row.mass) return;
+    mass += row.mass;
+    sum[0] += row.mass * row.centre.x;
+    sum[1] += row.mass * row.centre.y;
+    sum[2] += row.mass * row.centre.z;
+  });
+  if (mass <= 0) return null;
+  return { x: sum[0] / mass, y: sum[1] / mass, z: sum[2] / mass };
+}
+
+function summarise(rows) {
+  const withMass = rows.filter(r => r.mass !== null);
+  return {
+    count: rows.length,
+    netVolume: rows.reduce((sum, r) => sum + r.netVolume, 0),
+    mass: withMass.length === rows.length ? withMass.reduce((sum, r) => sum + r.mass, 0) : null,
+    centre: centreOfMass(withMass),
+  };
+}
+
+/**
+ * Compute the mass report of the flat geometry.
+ *
+ * @param {Object} geometries - Flat geometry { world, volumes } from expandToFlat
+ * @param {Object} materials - Materials map { name: { density, density_unit } }
+ * @param {Object} [options]
+ * @param {Object} [options.lib] - manifold-3d module (defaults to getManifoldLib(),
+ *   only loaded when the geometry has unions or tessellated solids)
+ * @returns {Promise<Object>} {
+ *   volumes:   [{ key, name, type, material, group, solidVolume, netVolume, density, mass, centre }],
+ *   materials: [{ name, count, netVolume, mass, centre }],
+ *   groups:    [{ name, kind: 'assembly'|'displayGroup', count, netVolume, mass, centre }],
+ *   total:     { count, netVolume, mass, centre },
+ *   skipped:   string[], warnings: string[] }
+ *   density is kg/mm³; mass is null when the material has no density.
+ */
+export async function computeMassReport(geometries, materials = {}, { lib } = {}) {
+  const volumes = (geometries && geometries.volumes) || [];
+  const { byName, worldMatrix, motherOf } = createFlatHierarchy(volumes);
+  const solids = volumes.filter(v => v._is_boolean_component !== true && v.type !== 'assembly');
+  const meshed = (volume) => volume.type === 'union' || volume.type === 'tessellated';
+  const manifoldLib = lib || (solids.some(meshed) ? await getManifoldLib() : null);
+
+  const skipped = [];
+  const warnings = [];
+
+  // Solid volume and world-frame centroid of every weighable volume
+  const shapes = new Map();
+  const identity = new THREE.Matrix4();
+  solids.forEach(volume => {
+    let shape = null;
+    if (meshed(volume)) {
+      const manifold = buildVolumeManifold(volume, volumes, identity, manifoldLib);
+      if (manifold) {
+        shape = meshVolume(manifold);
+        manifold.delete();
+      }
+    } else {
+      shape = primitiveVolume(volume);
+    }
+    if (!shape) {
+      skipped.push(volume.name);
+      return;
+    }
+    const centroid = new THREE.Vector3(...shape.centroid).applyMatrix4(worldMatrix(volume));
+    shapes.set(volume._id, { volume: shape.volume, centroid });
+  });
+
+  // Daughters displace their mother's material
+  const displaced = new Map();   // mother _id → { volume, moment: Vector3 }
+  solids.forEach(volume => {
+    const shape = shapes.get(volume._id);
+    const mother = motherOf(volume);
+    if (!shape || !mother) return;
+    if (!displaced.has(mother._id)) displaced.set(mother._id, { volume: 0, moment: new THREE.Vector3() });
+    const entry = displaced.get(mother._id);
+    entry.volume += shape.volume;
+    entry.moment.addScaledVector(shape.centroid, shape.volume);
+  });
+
+  // Nearest enclosing assembly instance, otherwise the display group
+  const groupOf = (volume) => {
+    let parent = byName.get(volume.mother_volume);
+    const seen = new Set();
+    while (parent && !seen.has(parent._id)) {
+      if (parent.type === 'assembly') return { name: parent.name, kind: 'assembly' };
+      seen.add(parent._id);
+      parent = byName.get(parent.mother_volume);
+    }
+    return volume._displayGroup ? { name: volume._displayGroup, kind: 'displayGroup' } : null;
+  };
+
+  const missingDensity = new Set();
+  const rows = [];
+  solids.forEach(volume => {
+    const shape = shapes.get(volume._id);
+    if (!shape) return;
+    const removed = displaced.get(volume._id) || { volume: 0, moment: new THREE.Vector3() };
+    let netVolume = shape.volume - removed.volume;
+    let centre = shape.centroid.clone();
+    if (netVolume > 0) {
+      centre = shape.centroid.clone().multiplyScalar(shape.volume).sub(removed.moment).divideScalar(netVolume);
+    } else if (removed.volume > 0) {
+      warnings.push(`Daughters of ${volume.name} fill more than its own volume`);
+      netVolume = 0;
+    }
+
+    const density = densityOf(materials[volume.material]);
+    if (density === null && !missingDensity.has(volume.material)) {
+      missingDensity.add(volume.material);
+      warnings.push(`No density for material ${volume.material || '(none)'}; its volumes have no mass`);
+    }
+
+    const group = groupOf(volume);
+    rows.push({
+      key: volume._id,
+      name: volume.name,
+      type: volume.type,
+      material: volume.material || '',
+      group: group ? group.name : '',
+      groupKind: group ? group.kind : null,
+      solidVolume: shape.volume,
+      netVolume,
+      density,
+      mass: density === null ? null : netVolume * density,
+      centre: { x: centre.x, y: centre.y, z: centre.z },
+    });
+  });
+
+  const collect = (keyOf) => {
+    const buckets = new Map();
+    rows.forEach(row => {
+      const key = keyOf(row);
+      if (key === null) return;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(row);
+    });
+    return buckets;
+  };
+
+  const materialRows = [];
+  collect(row => row.material).forEach((members, name) => {
+    materialRows.push({ name, ...summarise(members) });
+  });
+  const groupRows = [];
+  collect(row => (row.groupKind ? `${row.groupKind}:${row.group}` : null)).forEach(members => {
+    groupRows.push({ name: members[0].group, kind: members[0].groupKind, ...summarise(members) });
+  });
+
+  debugLog(`computeMassReport:: ${rows.length} volumes, ${skipped.length} skipped`);
+  return {
+    volumes: rows,
+    materials: materialRows,
+    groups: groupRows,
+    total: summarise(rows),
+    skipped,
+    warnings,
+  };
+}
+
+// ───────────────────────────────────────────────────
+// Table columns and CSV
+// ───────────────────────────────────────────────────
+
+const MM3_PER_CM3 = 1000;
+const KG_PER_MM3_PER_G_CM3 = 1e-6;
+
+const centreColumns = ['x', 'y', 'z'].map(axis => ({
+  id: `centre_${axis}`,
+  label: `CoM ${axis} (mm)`,
+  numeric: true,
+  value: row => (row.centre ? row.centre[axis] : null),
+}));
+
+const summaryColumns = [
+  { id: 'count', label: 'Volumes', numeric: true, value: row => row.count },
+  { id: 'netVolume', label: 'Volume (cm³)', numeric: true, value: row => row.netVolume / MM3_PER_CM3 },
+  { id: 'mass', label: 'Mass (kg)', numeric: true, value: row => row.mass },
+  ...centreColumns,
+];
+
+/** Column definitions of each report table, shared by the dialog and the CSV export. */
+export const MASS_REPORT_COLUMNS = {
+  volumes: [
+    { id: 'name', label: 'Name', value: row => row.name },
+    { id: 'type', label: 'Type', value: row => row.type },
+    { id: 'material', label: 'Material', value: row => row.material },
+    { id: 'group', label: 'Group', value: row => row.group },
+    { id: 'solidVolume', label: 'Solid volume (cm³)', numeric: true, value: row => row.solidVolume / MM3_PER_CM3 },
+    { id: 'netVolume', label: 'Net volume (cm³)', numeric: true, value: row => row.netVolume / MM3_PER_CM3 },
+    { id: 'density', label: 'Density (g/cm³)', numeric: true, value: row => (row.density === null ? null : row.density / KG_PER_MM3_PER_G_CM3) },
+    { id: 'mass', label: 'Mass (kg)', numeric: true, value: row => row.mass },
+    ...centreColumns,
+  ],
+  materials: [
+    { id: 'name', label: 'Material', value: row => row.name },
+    ...summaryColumns,
+  ],
+  groups: [
+    { id: 'name', label: 'Group', value: row => row.name },
+    { id: 'kind', label: 'Kind', value: row => (row.kind === 'assembly' ? 'Assembly' : 'Display group') },
+    ...summaryColumns,
+  ],
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write one report table as CSV, with a header row.
+ *
+ * @param {Object[]} rows - Rows of the table
+ * @param {Object[]} columns - Column definitions from MASS_REPORT_COLUMNS
+ * @returns {string} CSV text
+ */
+export function massReportToCsv(rows, columns) {
+  const lines = [columns.map(c => csvCell(c.label)).join(',')];
+  rows.forEach(row => lines.push(columns.map(c => csvCell(c.value(row))).join(',')));
+  return `${lines.join('\n')}\n`;
+}
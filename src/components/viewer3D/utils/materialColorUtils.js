@@ -1,3 +1,5 @@
+import * as THREE from 'three';
+
 /**
  * Shared utility for resolving material colors in 3D shape components.
  *
@@ -19,3 +21,56 @@ export const getMaterialColor = (materialName, materials, defaultColor = 'rgba(1
 
   return defaultColor;
 };
+
+// Colour of a volume whose material has none, by volume type
+const TYPE_COLORS = {
+  box: 'rgba(100, 100, 255, 0.7)',
+  cone: 'rgba(255, 140, 180, 0.7)',
+  cylinder: 'rgba(100, 255, 100, 0.7)',
+  ellipsoid: 'rgba(200, 100, 255, 0.7)',
+  elliptical_tube: 'rgba(150, 220, 120, 0.7)',
+  orb: 'rgba(255, 220, 150, 0.7)',
+  polycone: 'rgba(255, 100, 255, 0.7)',
+  polyhedra: 'rgba(220, 120, 220, 0.7)',
+  sphere: 'rgba(255, 255, 100, 0.7)',
+  tessellated: 'rgba(170, 170, 190, 0.7)',
+  torus: 'rgba(100, 255, 255, 0.7)',
+  trapezoid: 'rgba(255, 180, 100, 0.7)',
+};
+
+// Types whose meshes can be open (segments, bores, imported meshes) and show their inside
+const DOUBLE_SIDED_TYPES = new Set([
+  'cone', 'cylinder', 'elliptical_tube', 'orb', 'polycone', 'polyhedra', 'sphere', 'tessellated',
+]);
+
+// Colour of a union: its material's colour (a CSS string or RGB, without
+// the alpha), or blue
+const unionColor = (materialName, materials) => {
+  const color = materials?.[materialName || 'default']?.color;
+  if (typeof color === 'string') return color;
+  if (Array.isArray(color)) return '#' + new THREE.Color(color[0], color[1], color[2]).getHexString();
+  return '#3399ff';
+};
+
+/**
+ * meshStandardMaterial props of a volume in the 3D view. The shape
+ * components, UnionObject and the instanced placements all use them, so a
+ * volume looks the same however it is drawn.
+ *
+ * @param {Object} volume - Flat volume ({ type, material, wireframe, ... })
+ * @param {Object} materials - Materials dictionary
+ * @returns {{ color: string, transparent: boolean, opacity: number, wireframe: boolean, side: number }}
+ */
+export const volumeMaterialProps = (volume, materials) => {
+  const wireframe = volume.wireframe === true;
+  if (volume.type === 'union') {
+    return { color: unionColor(volume.material, materials), transparent: true, opacity: 0.8, wireframe, side: THREE.DoubleSide };
+  }
+  return {
+    color: getMaterialColor(volume.material, materials, TYPE_COLORS[volume.type] || TYPE_COLORS.box),
+    transparent: true,
+    opacity: 0.7,
+    wireframe,
+    side: DOUBLE_SIDED_TYPES.has(volume.type) ? THREE.DoubleSide : THREE.FrontSide,
+  };
+};
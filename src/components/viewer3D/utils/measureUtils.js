@@ -0,0 +1,204 @@
+// measureUtils.js — geometry behind the viewer's measure and probe tools:
+// snapping a cursor hit to nearby features, the measurements themselves,
+// and the Geant4 path of a volume.
+
+import * as THREE from 'three';
+import { createFlatHierarchy } from './geometryUtils';
+import { fromInternalUnit } from '../../geometry-editor/utils/UnitConverter';
+
+// Snap radius as a fraction of the camera distance to the hit
+export const SNAP_FRACTION = 0.03;
+
+// Steps the plane of a triangle is rounded to (normal, distance in mm);
+// triangles of one flat face round to the same plane
+const PLANE_NORMAL_STEP = 1e-3;
+const PLANE_DISTANCE_STEP = 1e-2;
+
+const triangleVertices = (geometry, faceIndex) => {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  return [0, 1, 2].map(corner => {
+    const i = index ? index.getX(faceIndex * 3 + corner) : faceIndex * 3 + corner;
+    return new THREE.Vector3().fromBufferAttribute(position, i);
+  });
+};
+
+const triangleCount = (geometry) => (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+
+const planeKey = (normal, distance) => [
+  ...normal.toArray().map(v => Math.round(v / PLANE_NORMAL_STEP)),
+  Math.round(distance / PLANE_DISTANCE_STEP),
+].join(',');
+
+// Flat faces of a geometry, found once and kept until its vertices change:
+// { version, index, faceOf: triangle → face (-1 for degenerate), centres }
+const flatFacesCache = new WeakMap();
+
+function flatFaces(geometry) {
+  const position = geometry.attributes.position;
+  const cached = flatFacesCache.get(geometry);
+  if (cached && cached.version === position.version && cached.index === geometry.index) return cached;
+
+  const count = triangleCount(geometry);
+  const faceOf = new Int32Array(count).fill(-1);
+  const faceByPlane = new Map();
+  const sums = [];
+  const triangle = new THREE.Triangle();
+  const normal = new THREE.Vector3();
+  const midpoint = new THREE.Vector3();
+  for (let i = 0; i < count; i++) {
+    [0, 1, 2].forEach(corner => {
+      const vertex = geometry.index ? geometry.index.getX(i * 3 + corner) : i * 3 + corner;
+      [triangle.a, triangle.b, triangle.c][corner].fromBufferAttribute(position, vertex);
+    });
+    const area = triangle.getArea();
+    if (area === 0) continue;
+    const key = planeKey(triangle.getNormal(normal), normal.dot(triangle.a));
+    if (!faceByPlane.has(key)) {
+      faceByPlane.set(key, sums.length);
+      sums.push({ centre: new THREE.Vector3(), area: 0 });
+    }
+    const face = faceByPlane.get(key);
+    sums[face].centre.addScaledVector(triangle.getMidpoint(midpoint), area);
+    sums[face].area += area;
+    faceOf[i] = face;
+  }
+
+  const faces = {
+    version: position.version,
+    index: geometry.index,
+    faceOf,
+    centres: sums.map(sum => sum.centre.divideScalar(sum.area)),
+  };
+  flatFacesCache.set(geometry, faces);
+  return faces;
+}
+
+/**
+ * Centre of the flat face a triangle belongs to: the area-weighted centroid
+ * of all triangles of the mesh in the same plane. On a box this is the
+ * middle of the face, on a tube the centre of the end cap. The faces of a
+ * geometry are found on first use, so hovering costs no scan of the mesh.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {number} faceIndex - Triangle index
+ * @returns {THREE.Vector3} In the geometry's local frame
+ */
+export function faceCentre(geometry, faceIndex) {
+  const { faceOf, centres } = flatFaces(geometry);
+  const face = faceOf[faceIndex];
+  if (face >= 0) return centres[face].clone();
+  return new THREE.Triangle(...triangleVertices(geometry, faceIndex)).getMidpoint(new THREE.Vector3());
+}
+
+/**
+ * Points a hit can snap to: the corners of the triangle under the cursor,
+ * the centre of its face and the origin of the volume.
+ * @param {THREE.Mesh} mesh - Mesh that was hit
+ * @param {number} faceIndex - Triangle that was hit
+ * @param {THREE.Vector3} [origin] - Volume origin, in world coordinates
+ * @param {number} [instanceId] - Instance that was hit, for an InstancedMesh
+ * @returns {Array<{ point: THREE.Vector3, kind: 'vertex'|'face'|'origin' }>} World coordinates
+ */
+export function snapCandidates(mesh, faceIndex, origin, instanceId) {
+  const candidates = [];
+  const geometry = mesh.geometry;
+  const matrix = mesh.matrixWorld.clone();
+  if (mesh.isInstancedMesh && instanceId !== undefined) {
+    const instance = new THREE.Matrix4();
+    mesh.getMatrixAt(instanceId, instance);
+    matrix.multiply(instance);
+  }
+  if (geometry?.attributes?.position && faceIndex !== undefined && faceIndex !== null) {
+    triangleVertices(geometry, faceIndex).forEach(vertex => {
+      candidates.push({ point: vertex.applyMatrix4(matrix), kind: 'vertex' });
+    });
+    candidates.push({ point: faceCentre(geometry, faceIndex).applyMatrix4(matrix), kind: 'face' });
+  }
+  if (origin) candidates.push({ point: origin.clone(), kind: 'origin' });
+  return candidates;
+}
+
+/**
+ * The candidate closest to the hit if it is within the radius, otherwise
+ * the hit itself.
+ * @param {THREE.Vector3} point - Hit point
+ * @param {Array} candidates - From snapCandidates
+ * @param {number} radius - Snap radius (mm)
+ * @returns {{ point: THREE.Vector3, kind: string }} kind is 'surface' when nothing snapped
+ */
+export function snapPoint(point, candidates, radius) {
+  let best = null;
+  let bestDistance = radius;
+  candidates.forEach(candidate => {
+    const distance = candidate.point.distanceTo(point);
+    if (distance <= bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best ? { point: best.point.clone(), kind: best.kind } : { point: point.clone(), kind: 'surface' };
+}
+
+/**
+ * Distance between two points, in total and along each axis.
+ * @param {number[]} a - [x, y, z] (mm)
+ * @param {number[]} b - [x, y, z] (mm)
+ * @returns {{ distance: number, delta: number[] }} delta is b - a
+ */
+export function measureDistance(a, b) {
+  const delta = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  return { distance: Math.hypot(...delta), delta };
+}
+
+/**
+ * Angle at the middle point between the two others.
+ * @param {number[]} a
+ * @param {number[]} vertex
+ * @param {number[]} b
+ * @returns {number} Radians, 0 when a leg has no length
+ */
+export function measureAngle(a, vertex, b) {
+  const u = new THREE.Vector3(...a).sub(new THREE.Vector3(...vertex));
+  const v = new THREE.Vector3(...b).sub(new THREE.Vector3(...vertex));
+  if (u.lengthSq() === 0 || v.lengthSq() === 0) return 0;
+  return u.angleTo(v);
+}
+
+/**
+ * Geant4 path of a volume, e.g. "World/Cryostat/LXe". Assemblies are left
+ * out as they are in Geant4, where only their imprints exist.
+ * @param {Object} volume - Flat volume
+ * @param {Array} volumes - Flat volumes
+ * @param {Object} [hierarchy] - createFlatHierarchy(volumes), when the caller has one
+ * @returns {string}
+ */
+export function volumePath(volume, volumes, hierarchy = createFlatHierarchy(volumes)) {
+  const { motherOf } = hierarchy;
+  const names = [];
+  const seen = new Set();
+  for (let current = volume; current && !seen.has(current); current = motherOf(current)) {
+    seen.add(current);
+    if (current.type !== 'assembly') names.unshift(current.g4name || current.name);
+  }
+  return ['World', ...names].join('/');
+}
+
+/**
+ * A length for display.
+ * @param {number} value - mm
+ * @param {string} unit - Length unit from UnitConverter
+ * @returns {string}
+ */
+export function formatLength(value, unit) {
+  return `${Number(fromInternalUnit(value, unit, 'length').toPrecision(6))} ${unit}`;
+}
+
+/**
+ * An angle for display.
+ * @param {number} value - rad
+ * @param {string} unit - Angle unit from UnitConverter
+ * @returns {string}
+ */
+export function formatAngle(value, unit) {
+  return `${Number(fromInternalUnit(value, unit, 'angle').toPrecision(6))} ${unit}`;
+}
@@ -0,0 +1,118 @@
+// overlapChecker.js — find what Geant4's CheckOverlaps would complain about.
+//
+// Works on the flat volume list from expandToFlat. Every real Geant4 volume
+// (not assemblies, not boolean components) is meshed with manifold-3d at its
+// world pose, then:
+//   protrusion — daughter minus mother (the world box for top-level volumes)
+//   overlap    — intersection of two volumes with the same mother
+// Assemblies are transparent, as in Geant4: their components are daughters
+// of the assembly's own mother.
+//
+// A region is only reported when it is thicker than the tolerance (mm) along
+// its thinnest bounding-box axis, so touching faces and slivers are ignored.
+
+import { getManifoldLib, buildVolumeManifold, manifoldToGeometry } from './manifoldCSG';
+import { createFlatHierarchy } from './geometryUtils';
+import { debugLog } from '../../../utils/logger.js';
+
+export const DEFAULT_OVERLAP_TOLERANCE = 0.001;
+
+// Thinnest extent of a manifold's bounding box
+function thickness(manifold) {
+  const { min, max } = manifold.boundingBox();
+  return Math.min(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+}
+
+function boxesOverlap(a, b, tolerance) {
+  for (let i = 0; i < 3; i++) {
+    if (Math.min(a.max[i], b.max[i]) - Math.max(a.min[i], b.min[i]) <= tolerance) return false;
+  }
+  return true;
+}
+
+/**
+ * Check the flat geometry for protruding daughters and overlapping siblings.
+ *
+ * @param {Object} geometries - Flat geometry { world, volumes } from expandToFlat
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Minimum reported thickness in mm
+ * @param {Object} [options.lib] - manifold-3d module (defaults to getManifoldLib())
+ * @returns {Promise<{ results: Array, skipped: string[] }>} Results, largest
+ *   overlap volume first: { kind, keys: [a, b], names: [a, b], volume, depth, region }
+ *   where keys are flat _ids ('world' for the world box) and region is a
+ *   THREE.BufferGeometry of the offending region in world coordinates.
+ */
+export async function checkOverlaps(geometries, { tolerance = DEFAULT_OVERLAP_TOLERANCE, lib } = {}) {
+  const manifoldLib = lib || await getManifoldLib();
+  const volumes = (geometries && geometries.volumes) || [];
+  const { worldMatrix, motherOf } = createFlatHierarchy(volumes);
+
+  const solids = new Map();   // _id → { volume, manifold, bbox }
+  const skipped = [];
+  const results = [];
+  const size = (geometries && geometries.world && geometries.world.size) || { x: 2000, y: 2000, z: 2000 };
+  const world = manifoldLib.Manifold.cube([size.x || 0, size.y || 0, size.z || 0], true);
+
+  // Report a region if it is thick enough; always deletes it
+  const report = (region, kind, a, b) => {
+    try {
+      if (region.isEmpty()) return;
+      const depth = thickness(region);
+      if (depth <= tolerance) return;
+      results.push({
+        kind,
+        keys: [a._id, b ? b._id : 'world'],
+        names: [a.name, b ? b.name : 'World'],
+        volume: region.volume(),
+        depth,
+        region: manifoldToGeometry(region),
+      });
+    } finally {
+      region.delete();
+    }
+  };
+
+  try {
+    volumes.forEach(volume => {
+      if (volume._is_boolean_component === true || volume.type === 'assembly') return;
+      const manifold = buildVolumeManifold(volume, volumes, worldMatrix(volume), manifoldLib);
+      if (!manifold) {
+        skipped.push(volume.name);
+        return;
+      }
+      solids.set(volume._id, { volume, manifold, bbox: manifold.boundingBox() });
+    });
+
+    // Daughters protruding from their mother
+    const siblings = new Map();   // mother _id → solids
+    solids.forEach(entry => {
+      const mother = motherOf(entry.volume);
+      const motherKey = mother ? mother._id : 'world';
+      if (!siblings.has(motherKey)) siblings.set(motherKey, []);
+      siblings.get(motherKey).push(entry);
+
+      const motherManifold = mother ? solids.get(mother._id)?.manifold : world;
+      if (!motherManifold) return;
+      report(manifoldLib.Manifold.difference(entry.manifold, motherManifold), 'protrusion', entry.volume, mother);
+    });
+
+    // Siblings intersecting each other
+    siblings.forEach(group => {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          const a = group[i];
+          const b = group[j];
+          if (!boxesOverlap(a.bbox, b.bbox, tolerance)) continue;
+          report(manifoldLib.Manifold.intersection(a.manifold, b.manifold), 'overlap', a.volume, b.volume);
+        }
+      }
+    });
+  } finally {
+    world.delete();
+    solids.forEach(entry => entry.manifold.delete());
+  }
+
+  results.sort((a, b) => b.volume - a.volume);
+  debugLog(`checkOverlaps:: ${solids.size} solids, ${results.length} results, ${skipped.length} skipped`);
+  return { results, skipped };
+}
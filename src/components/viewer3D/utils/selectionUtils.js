@@ -0,0 +1,119 @@
+// selectionUtils.js — working with several selected volumes at once:
+// which of them move as a unit, their common pivot, their placements after
+// a group transform, and which volumes lie inside a box drawn on screen.
+
+import * as THREE from 'three';
+import { calculateWorldPosition, worldToLocalCoordinates } from './geometryUtils';
+
+const nameToIndex = (volumes) => Object.fromEntries(volumes.map((v, i) => [v.name, i]));
+
+const worldMatrix = (volume, geometries, volumeNameToIndex) => {
+  const world = calculateWorldPosition(volume, new Set(), geometries, volumeNameToIndex);
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(...world.position),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(...world.rotation, 'XYZ')),
+    new THREE.Vector3(1, 1, 1)
+  );
+};
+
+/**
+ * Keys of the selected volumes with no selected ancestor. The others ride
+ * along with their mother when the selection is moved.
+ * @param {string[]} keys
+ * @param {Array} volumes - Flat volumes
+ * @returns {string[]}
+ */
+export function selectionRoots(keys, volumes) {
+  const byName = new Map(volumes.map(v => [v.name, v]));
+  const byKey = new Map(volumes.map(v => [v._id, v]));
+  const selectedNames = new Set(keys.map(key => byKey.get(key)?.name).filter(Boolean));
+  return keys.filter(key => {
+    const volume = byKey.get(key);
+    if (!volume) return false;
+    const seen = new Set();
+    for (let parent = byName.get(volume.mother_volume); parent && !seen.has(parent); parent = byName.get(parent.mother_volume)) {
+      if (selectedNames.has(parent.name)) return false;
+      seen.add(parent);
+    }
+    return true;
+  });
+}
+
+/**
+ * World-space centre of the selected volumes' origins.
+ * @param {string[]} keys
+ * @param {Object} geometries - { world, volumes }
+ * @returns {THREE.Vector3|null} null when no key matches a volume
+ */
+export function selectionPivot(keys, geometries) {
+  const volumeNameToIndex = nameToIndex(geometries.volumes);
+  const byKey = new Map(geometries.volumes.map(v => [v._id, v]));
+  const center = new THREE.Vector3();
+  let count = 0;
+  keys.forEach(key => {
+    const volume = byKey.get(key);
+    if (!volume) return;
+    center.add(new THREE.Vector3().setFromMatrixPosition(worldMatrix(volume, geometries, volumeNameToIndex)));
+    count++;
+  });
+  return count > 0 ? center.divideScalar(count) : null;
+}
+
+/**
+ * Local placements of the selection after a world-space transform is
+ * applied to all of it. Only selection roots get an update.
+ * @param {string[]} keys
+ * @param {THREE.Matrix4} delta - Transform applied in world space
+ * @param {Object} geometries - { world, volumes }
+ * @returns {Array<{ id: string, position: {x, y, z}, rotation: {x, y, z} }>}
+ *   Position and rotation relative to each volume's own mother
+ */
+export function transformSelection(keys, delta, geometries) {
+  const volumeNameToIndex = nameToIndex(geometries.volumes);
+  const byKey = new Map(geometries.volumes.map(v => [v._id, v]));
+  return selectionRoots(keys, geometries.volumes).map(key => {
+    const volume = byKey.get(key);
+    const matrix = worldMatrix(volume, geometries, volumeNameToIndex).premultiply(delta);
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    matrix.decompose(position, quaternion, new THREE.Vector3());
+    const euler = new THREE.Euler().setFromQuaternion(quaternion, 'XYZ');
+    const local = worldToLocalCoordinates(
+      volume,
+      { x: position.x, y: position.y, z: position.z },
+      { x: euler.x, y: euler.y, z: euler.z },
+      geometries,
+      volumeNameToIndex
+    );
+    return {
+      id: key,
+      position: { x: local.position.x, y: local.position.y, z: local.position.z },
+      rotation: { x: local.rotation.x, y: local.rotation.y, z: local.rotation.z },
+    };
+  });
+}
+
+/**
+ * Keys of the volumes whose origin projects inside a rectangle on screen.
+ * Hidden volumes and boolean parts (drawn as part of their union) are
+ * left out, as are volumes behind the camera.
+ * @param {Object} geometries - { world, volumes }
+ * @param {THREE.Camera} camera - With up-to-date matrices
+ * @param {{ left: number, right: number, bottom: number, top: number }} rect
+ *   In normalized device coordinates (-1..1, y up)
+ * @returns {string[]}
+ */
+export function volumesInScreenRect(geometries, camera, rect) {
+  const volumeNameToIndex = nameToIndex(geometries.volumes);
+  return geometries.volumes
+    .filter(volume => volume.visible !== false && volume._is_boolean_component !== true)
+    .filter(volume => {
+      const point = new THREE.Vector3()
+        .setFromMatrixPosition(worldMatrix(volume, geometries, volumeNameToIndex))
+        .project(camera);
+      return point.z >= -1 && point.z <= 1 &&
+        point.x >= rect.left && point.x <= rect.right &&
+        point.y >= rect.bottom && point.y <= rect.top;
+    })
+    .map(volume => volume._id);
+}
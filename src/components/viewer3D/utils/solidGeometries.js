@@ -0,0 +1,296 @@
+// solidGeometries.js — THREE geometries for Geant4 solids THREE has no primitive for.
+//
+// Shared by the shape components, AssemblyObject and manifoldCSG so the
+// drawn mesh and the CSG mesh are the same. All solids follow the Geant4
+// convention of an axis along z, centred on the origin, with phi measured
+// from +x towards +y. They are closed (phi segments get capped cut faces)
+// so manifold-3d accepts them once welded.
+
+import * as THREE from 'three';
+
+const SEGMENTS = 32;
+const TWO_PI = 2 * Math.PI;
+const EPSILON = 1e-9;
+
+/** Phi segment of a flat solid: { start, delta } in rad, delta clamped to (0, 2π]. */
+export function phiRange(solid) {
+  const delta = solid.deltaPhi ?? TWO_PI;
+  return {
+    start: solid.startPhi || 0,
+    delta: delta > 0 && delta < TWO_PI ? delta : TWO_PI,
+  };
+}
+
+/** Theta segment of a flat sphere: { start, delta } in rad within [0, π]. */
+export function thetaRange(solid) {
+  const start = Math.min(Math.max(solid.startTheta || 0, 0), Math.PI);
+  const delta = solid.deltaTheta ?? Math.PI;
+  return { start, delta: delta > 0 ? Math.min(delta, Math.PI - start) : Math.PI - start };
+}
+
+/** True when the solid is cut in phi (or, for spheres, in theta). */
+export function isSegmented(solid) {
+  if (phiRange(solid).delta < TWO_PI - EPSILON) return true;
+  if (solid.type !== 'sphere') return false;
+  const theta = thetaRange(solid);
+  return theta.start > EPSILON || theta.delta < Math.PI - EPSILON;
+}
+
+// Steps for an arc of `angle`, at the resolution of a full circle of SEGMENTS
+const arcSteps = (angle, full = SEGMENTS) => Math.max(2, Math.ceil(full * angle / TWO_PI));
+
+const signedArea = (points) => points.reduce((sum, [r, z], i) => {
+  const [r2, z2] = points[(i + 1) % points.length];
+  return sum + (r * z2 - r2 * z);
+}, 0) / 2;
+
+/**
+ * Revolve a closed (r, z) profile around the z axis over [phiStart,
+ * phiStart + phiLength]. Each profile edge gets its own strip of vertices so
+ * corners stay sharp while the walls shade smoothly around phi. A partial
+ * revolution is closed with the profile itself at both ends.
+ */
+function revolveProfile(profile, segments, phiStart = 0, phiLength = TWO_PI) {
+  // Drop repeated points and orient the profile counter-clockwise in (r, z)
+  let contour = profile.filter(([r, z], i) => {
+    const [r0, z0] = profile[(i + profile.length - 1) % profile.length];
+    return Math.abs(r - r0) > EPSILON || Math.abs(z - z0) > EPSILON;
+  });
+  if (contour.length < 3) return new THREE.BufferGeometry();
+  if (signedArea(contour) < 0) contour = contour.reverse();
+
+  const closed = phiLength >= TWO_PI - EPSILON;
+  const positions = [];
+  const indices = [];
+  const vertex = ([r, z], phi) => {
+    positions.push(r * Math.cos(phi), r * Math.sin(phi), z);
+    return positions.length / 3 - 1;
+  };
+  const angleAt = (j) => phiStart + (phiLength * j) / segments;
+
+  // Walls: quads between consecutive phi steps, facing away from the profile
+  contour.forEach((p, k) => {
+    const q = contour[(k + 1) % contour.length];
+    const base = positions.length / 3;
+    const rings = closed ? segments : segments + 1;
+    for (let j = 0; j < rings; j++) {
+      vertex(p, angleAt(j));
+      vertex(q, angleAt(j));
+    }
+    for (let j = 0; j < segments; j++) {
+      const next = closed ? (j + 1) % segments : j + 1;
+      const a = base + 2 * j;
+      const d = a + 1;
+      const b = base + 2 * next;
+      const c = b + 1;
+      indices.push(a, b, c, a, c, d);
+    }
+  });
+
+  // Caps: a counter-clockwise profile faces -phi, so the end cap is flipped
+  if (!closed) {
+    const triangles = THREE.ShapeUtils.triangulateShape(contour.map(([r, z]) => new THREE.Vector2(r, z)), []);
+    [[phiStart, false], [phiStart + phiLength, true]].forEach(([phi, flip]) => {
+      const base = positions.length / 3;
+      contour.forEach(p => vertex(p, phi));
+      triangles.forEach(([i, j, k]) => {
+        const ccw = signedArea([contour[i], contour[j], contour[k]]) > 0;
+        indices.push(base + i, ...(ccw !== flip ? [base + j, base + k] : [base + k, base + j]));
+      });
+    });
+  }
+
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geom.setIndex(indices);
+  geom.computeVertexNormals();
+  return geom;
+}
+
+// Profile of stacked z sections: outer radii upwards, inner radii back down
+function sectionsProfile(zSections, scale = 1) {
+  const sections = [...(zSections || [])].sort((a, b) => a.z - b.z);
+  if (sections.length < 2) return [];
+  return [
+    ...sections.map(s => [(s.rMax || 0) * scale, s.z]),
+    ...[...sections].reverse().map(s => [(s.rMin || 0) * scale, s.z]),
+  ];
+}
+
+/** G4Tubs: radius, innerRadius, full height and phi segment. */
+export function createTubeGeometry(solid) {
+  const h = (solid.height || 10) / 2;
+  const r = solid.radius || 5;
+  const ri = solid.innerRadius || 0;
+  const phi = phiRange(solid);
+  return revolveProfile([[ri, -h], [r, -h], [r, h], [ri, h]], arcSteps(phi.delta), phi.start, phi.delta);
+}
+
+/** G4Sphere: radius, innerRadius, phi and theta segments (theta from +z). */
+export function createSphereGeometry(solid) {
+  const r = solid.radius || 5;
+  const ri = solid.innerRadius || 0;
+  const phi = phiRange(solid);
+  const theta = thetaRange(solid);
+  const steps = arcSteps(theta.delta);
+  const arc = (radius, from, to) => Array.from({ length: steps + 1 }, (_, i) => {
+    const t = from + ((to - from) * i) / steps;
+    return [radius * Math.sin(t), radius * Math.cos(t)];
+  });
+  const end = theta.start + theta.delta;
+  const profile = [
+    ...arc(r, end, theta.start),
+    ...(ri > 0 ? arc(ri, theta.start, end) : [[0, 0]]),
+  ];
+  return revolveProfile(profile, arcSteps(phi.delta), phi.start, phi.delta);
+}
+
+/** G4Torus: majorRadius, minorRadius and phi segment. */
+export function createTorusGeometry(solid) {
+  const R = solid.majorRadius || 5;
+  const r = solid.minorRadius || 1;
+  const profile = Array.from({ length: 24 }, (_, i) => {
+    const t = (TWO_PI * i) / 24;
+    return [R + r * Math.cos(t), r * Math.sin(t)];
+  });
+  const phi = phiRange(solid);
+  return revolveProfile(profile, arcSteps(phi.delta, 48), phi.start, phi.delta);
+}
+
+/** G4Polycone: zSections and phi segment. */
+export function createPolyconeGeometry(solid) {
+  const phi = phiRange(solid);
+  return revolveProfile(sectionsProfile(solid.zSections), arcSteps(phi.delta), phi.start, phi.delta);
+}
+
+/** G4Cons: radii at -height/2 (bottom) and +height/2 (top), and phi segment. */
+export function createConeGeometry(solid) {
+  const h = (solid.height || 100) / 2;
+  const phi = phiRange(solid);
+  return revolveProfile([
+    [solid.innerRadiusBottom || 0, -h],
+    [solid.radiusBottom ?? 50, -h],
+    [solid.radiusTop ?? 0, h],
+    [solid.innerRadiusTop || 0, h],
+  ], arcSteps(phi.delta), phi.start, phi.delta);
+}
+
+/** G4Trd: half-lengths dx1/dy1 at -dz and dx2/dy2 at +dz, flat-shaded. */
+export function createTrapezoidGeometry(solid) {
+  const dz = solid.dz ?? 5;
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+  const bottom = corners.map(([sx, sy]) => [sx * (solid.dx1 ?? 5), sy * (solid.dy1 ?? 5), -dz]);
+  const top = corners.map(([sx, sy]) => [sx * (solid.dx2 ?? 5), sy * (solid.dy2 ?? 5), dz]);
+  // Quads counter-clockwise seen from outside
+  const faces = [
+    [bottom[3], bottom[2], bottom[1], bottom[0]],
+    [top[0], top[1], top[2], top[3]],
+    ...corners.map((_, i) => {
+      const j = (i + 1) % 4;
+      return [bottom[i], bottom[j], top[j], top[i]];
+    }),
+  ];
+  const positions = faces.flatMap(([a, b, c, d]) => [a, b, c, a, c, d].flat());
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geom.computeVertexNormals();
+  return geom;
+}
+
+/** G4EllipticalTube: semi-axes dx, dy and half-length dz. */
+export function createEllipticalTubeGeometry(solid) {
+  const geom = new THREE.CylinderGeometry(1, 1, 2 * (solid.dz || 50), SEGMENTS);
+  geom.rotateX(Math.PI / 2);
+  geom.scale(solid.dx || 50, solid.dy || 30, 1);
+  return geom;
+}
+
+/**
+ * G4Polyhedra: numSides flat sides spread over the phi segment, with radii
+ * measured to the sides and a corner at startPhi, as in Geant4.
+ */
+export function createPolyhedraGeometry(solid) {
+  const phi = phiRange(solid);
+  const sides = Math.max(phi.delta < TWO_PI ? 1 : 3, Math.round(solid.numSides || 6));
+  // Revolution corners sit at the circumradius of each side
+  const toCorner = 1 / Math.cos(phi.delta / sides / 2);
+  return revolveProfile(sectionsProfile(solid.zSections, toCorner), sides, phi.start, phi.delta);
+}
+
+/**
+ * G4TessellatedSolid: triangles and quadrangles over shared vertices,
+ * counter-clockwise seen from outside; quadrangles are split along their
+ * first diagonal. Facets are not smoothed into each other, as in CAD.
+ */
+export function createTessellatedGeometry(solid) {
+  const vertices = solid.vertices || [];
+  const positions = [];
+  (solid.facets || []).forEach(facet => {
+    for (let k = 1; k < facet.length - 1; k++) {
+      [facet[0], facet[k], facet[k + 1]].forEach(i => positions.push(...(vertices[i] || [0, 0, 0])));
+    }
+  });
+  if (positions.length === 0) return new THREE.BoxGeometry(10, 10, 10);
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geom.computeVertexNormals();
+  return geom;
+}
+
+/**
+ * Geometry of a flat volume as the viewer draws it, for any solid type
+ * except the compounds (unions and assemblies). Shared by AssemblyObject
+ * and the instanced placements in the Scene.
+ */
+export function createGeometryForVolume(vol) {
+  switch (vol.type) {
+    case 'box': {
+      const sx = vol.size?.x || 10;
+      const sy = vol.size?.y || 10;
+      const sz = vol.size?.z || 10;
+      return new THREE.BoxGeometry(sx, sy, sz);
+    }
+    case 'cylinder': {
+      const r = vol.radius || 5;
+      const h = vol.height || 10;
+      if (vol.innerRadius > 0 || isSegmented(vol)) return createTubeGeometry(vol);
+      const geom = new THREE.CylinderGeometry(r, r, h, 32);
+      geom.rotateX(Math.PI / 2);          // Geant4 convention: height along z
+      return geom;
+    }
+    case 'sphere':
+    case 'orb': {
+      const r = vol.radius || 5;
+      if (vol.type === 'sphere' && (vol.innerRadius > 0 || isSegmented(vol))) return createSphereGeometry(vol);
+      return new THREE.SphereGeometry(r, 32, 32);
+    }
+    case 'trapezoid':
+      return createTrapezoidGeometry(vol);
+    case 'torus': {
+      const R = vol.majorRadius || 50;
+      const r = vol.minorRadius || 10;
+      if (isSegmented(vol)) return createTorusGeometry(vol);
+      return new THREE.TorusGeometry(R, r, 16, 48);
+    }
+    case 'ellipsoid': {
+      const geom = new THREE.SphereGeometry(1, 32, 16);
+      geom.scale(vol.xRadius || 50, vol.yRadius || 30, vol.zRadius || 40);
+      return geom;
+    }
+    case 'polycone': {
+      const sections = vol.zSections;
+      if (sections && sections.length >= 2) return createPolyconeGeometry(vol);
+      return new THREE.CylinderGeometry(30, 50, 100, 32);
+    }
+    case 'cone':
+      return createConeGeometry(vol);
+    case 'elliptical_tube':
+      return createEllipticalTubeGeometry(vol);
+    case 'polyhedra':
+      return createPolyhedraGeometry(vol);
+    case 'tessellated':
+      return createTessellatedGeometry(vol);
+    default:
+      return new THREE.BoxGeometry(10, 10, 10);
+  }
+}
@@ -0,0 +1,142 @@
+// volumeQuery.js — the geometry tree's search syntax.
+//
+// A query is a list of terms that must all match:
+//   PMT                   name contains "PMT"
+//   name:PMT*             name matches the pattern (* and ? wildcards)
+//   material:SS304LSteel  field equals the value (case-insensitive)
+//   type:box,cylinder     any of several values
+//   -material:G4_AIR      negated term
+//   sensitive:true        flag (true/false, yes/no)
+//   parent:"Top Array"    quotes for values with spaces
+// Names match both the internal name and the Geant4 name.
+
+// Values a field can match, per flat volume
+const FIELDS = {
+  name: (volume) => [volume.name, volume.g4name],
+  material: (volume) => [volume.material],
+  type: (volume) => [volume.type],
+  parent: (volume, context) => {
+    const motherName = volume.mother_volume || context.worldName;
+    return [motherName, context.byName.get(motherName)?.g4name];
+  },
+  hits: (volume) => [volume.hitsCollectionName],
+  group: (volume) => [volume._displayGroup],
+};
+
+const FLAGS = {
+  sensitive: (volume) => Boolean(volume.hitsCollectionName),
+  visible: (volume) => volume.visible !== false,
+};
+
+const FLAG_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+export const QUERY_FIELDS = [...Object.keys(FIELDS), ...Object.keys(FLAGS)];
+
+const globToRegExp = (glob) => new RegExp(
+  `^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`,
+  'i'
+);
+
+// Whitespace-separated tokens; double quotes keep spaces inside a token
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+    let token = '';
+    while (i < text.length && !/\s/.test(text[i])) {
+      if (text[i] === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end < 0) return { error: 'Missing closing quote' };
+        token += text.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        token += text[i++];
+      }
+    }
+    tokens.push(token);
+  }
+  return { tokens };
+};
+
+/**
+ * Parse a search query.
+ * @param {string} text
+ * @returns {{ terms: Array<{ field: string, negate: boolean, patterns?: RegExp[], flag?: boolean }>, error: string|null }}
+ *   Bare words become name terms matching anywhere in the name
+ */
+export function parseQuery(text) {
+  const { tokens, error } = tokenize(text || '');
+  if (error) return { terms: [], error };
+
+  const terms = [];
+  for (const token of tokens) {
+    const negate = token.startsWith('-') && token.length > 1;
+    const body = negate ? token.slice(1) : token;
+    const colon = body.indexOf(':');
+    const field = colon > 0 ? body.slice(0, colon).toLowerCase() : null;
+    const value = colon > 0 ? body.slice(colon + 1) : body;
+
+    if (field === null) {
+      terms.push({ field: 'name', negate, patterns: [globToRegExp(/[*?]/.test(value) ? value : `*${value}*`)] });
+      continue;
+    }
+    if (!QUERY_FIELDS.includes(field)) {
+      return { terms: [], error: `Unknown field "${field}" (use ${QUERY_FIELDS.join(', ')})` };
+    }
+    if (value === '') {
+      return { terms: [], error: `${field}: needs a value` };
+    }
+    if (field in FLAGS) {
+      const flag = FLAG_VALUES[value.toLowerCase()];
+      if (flag === undefined) return { terms: [], error: `${field}: expects true or false` };
+      terms.push({ field, negate, flag });
+      continue;
+    }
+    terms.push({ field, negate, patterns: value.split(',').filter(Boolean).map(globToRegExp) });
+  }
+  return { terms, error: null };
+}
+
+const termMatches = (term, volume, context) => {
+  let matched;
+  if ('flag' in term) {
+    matched = FLAGS[term.field](volume) === term.flag;
+  } else {
+    const values = FIELDS[term.field](volume, context).filter(v => v !== undefined && v !== null && v !== '').map(String);
+    matched = term.patterns.some(pattern => values.some(v => pattern.test(v)));
+  }
+  return term.negate ? !matched : matched;
+};
+
+/**
+ * Keys of the flat volumes that match every term, in volume order.
+ * @param {Array} terms - From parseQuery
+ * @param {Object} geometries - { world, volumes }
+ * @returns {string[]}
+ */
+export function matchVolumes(terms, geometries) {
+  const volumes = geometries.volumes || [];
+  const context = {
+    worldName: geometries.world?.name || 'World',
+    byName: new Map(volumes.map(v => [v.name, v])),
+  };
+  return volumes
+    .filter(volume => terms.every(term => termMatches(term, volume, context)))
+    .map(volume => volume._id);
+}
+
+/**
+ * Parse and run a query.
+ * @param {string} text
+ * @param {Object} geometries - { world, volumes }
+ * @returns {{ keys: string[], error: string|null }} No keys when the query has an error
+ */
+export function searchVolumes(text, geometries) {
+  const { terms, error } = parseQuery(text);
+  if (error) return { keys: [], error };
+  return { keys: matchVolumes(terms, geometries), error: null };
+}
@@ -50,6 +50,8 @@ vi.mock('../../utils/expandToFlat', () => ({
   })),
   isVolumeKey: vi.fn((key) => typeof key === 'string' && key.startsWith('vol-')),
   findFlatIndex: vi.fn((volumes, key) => volumes.findIndex(v => v._id === key)),
+  componentPath: vi.fn((v) => v._componentPath || (v._componentIndex === undefined ? [] : [v._componentIndex])),
+  componentAt: vi.fn((volume, path) => path.reduce((def, index) => def?.components?.[index], volume)),
 }));
 
 // Mock jsonOperations — pass-through clones
@@ -66,11 +68,13 @@ vi.mock('../../utils/jsonOperations', () => ({
 }));
 
 // useState call order in useAppState (geometries is now useMemo, not useState):
-// 0: tabValue, 1: materials, 2: selectedGeometry, 3: hitCollections, 4: updateDialogOpen, 5: jsonData
-const MAT = 1, SEL = 2, HITS = 3, JSONDATA = 5;
+// 0: tabValue, 1: materials, 2: selectedGeometry, 3: hitCollections, 4: updateDialogOpen, 5: jsonData,
+// 6: history, 7: selectedGeometries
+const MAT = 1, SEL = 2, HITS = 3, JSONDATA = 5, MULTI = 7;
 
 // Import the hook — path relative to test file
 import { useAppState } from '../useAppState';
+import { createMaterialHandlers } from '../../components/material-editor/utils/materialHandlers';
 
 describe('useAppState', () => {
   beforeEach(() => {
@@ -206,6 +210,127 @@ describe('useAppState', () => {
     });
   });
 
+  describe('handleApplyMergedProject', () => {
+    it('splits materials and hit collections out of the merged project', () => {
+      useAppState().handleApplyMergedProject({
+        world: { name: 'World' },
+        volumes: [{ name: 'A' }],
+        materials: { Lead: { density: 11.3 } },
+        hitCollections: ['Veto'],
+      });
+      // Stored with a stable id on the volume
+      expect(stateValues[JSONDATA]).toEqual({ world: { name: 'World' }, volumes: [{ name: 'A', _uid: expect.any(String) }] });
+      expect(stateSetters[MAT]).toHaveBeenCalledWith({ Lead: { density: 11.3 } });
+      expect(stateSetters[HITS]).toHaveBeenCalledWith(['Veto']);
+      expect(stateSetters[SEL]).toHaveBeenCalledWith(null);
+    });
+  });
+
+  describe('material edits', () => {
+    // Each call is a fresh render of the hook, as the material editor sees it
+    const useRerender = () => {
+      callIndex = 0;
+      const state = useAppState();
+      return { state, handlers: createMaterialHandlers({ materials: state.materials, onUpdateMaterials: state.handleUpdateMaterials }) };
+    };
+
+    it('undoes property and colour edits', () => {
+      stateValues[MAT] = { Lead: { density: 11.35, color: [0.5, 0.5, 0.5, 1], composition: { Pb: 1 } } };
+
+      useRerender().handlers.handleUpdateMaterial('density', 12, 'Lead');
+      useRerender().handlers.handleUpdateMaterial('composition.Pb', 2, 'Lead');
+      useRerender().handlers.handleUpdateColor('Lead', [1, 0, 0, 1]);
+      expect(stateValues[MAT].Lead).toEqual({ density: 12, color: [1, 0, 0, 1], composition: { Pb: 2 } });
+
+      useRerender().state.undo();
+      expect(stateValues[MAT].Lead.color).toEqual([0.5, 0.5, 0.5, 1]);
+      useRerender().state.undo();
+      expect(stateValues[MAT].Lead.composition).toEqual({ Pb: 1 });
+      useRerender().state.undo();
+      expect(stateValues[MAT].Lead).toEqual({ density: 11.35, color: [0.5, 0.5, 0.5, 1], composition: { Pb: 1 } });
+    });
+  });
+
+  describe('handleUpdateParameters', () => {
+    it('stores the table in the JSON and drops it when empty', () => {
+      stateValues[JSONDATA] = { world: { name: 'World' }, volumes: [], parameters: { A: '1' } };
+      useAppState().handleUpdateParameters({ A: '2*cm', B: 'A + 1' });
+      expect(stateValues[JSONDATA].parameters).toEqual({ A: '2*cm', B: 'A + 1' });
+
+      callIndex = 0;
+      useAppState().handleUpdateParameters({});
+      expect(stateValues[JSONDATA]).not.toHaveProperty('parameters');
+      expect(stateValues[JSONDATA].volumes).toEqual([]);
+    });
+  });
+
+  describe('handleUpdateSavedQueries', () => {
+    it('stores named queries in the JSON and drops them when empty', () => {
+      stateValues[JSONDATA] = { world: { name: 'World' }, volumes: [] };
+      useAppState().handleUpdateSavedQueries({ 'Steel parts': 'material:SS304LSteel' });
+      expect(stateValues[JSONDATA].savedQueries).toEqual({ 'Steel parts': 'material:SS304LSteel' });
+
+      callIndex = 0;
+      useAppState().handleUpdateSavedQueries({});
+      expect(stateValues[JSONDATA]).not.toHaveProperty('savedQueries');
+    });
+  });
+
+  describe('handleUpdateSavedViews', () => {
+    it('stores named views in the JSON and drops them when empty', () => {
+      const view = { camera: { position: [0, -100, 0], up: [0, 0, 1], target: [0, 0, 0] }, clipping: { planes: [], showCaps: true, subtrees: null } };
+      stateValues[JSONDATA] = { world: { name: 'World' }, volumes: [] };
+      useAppState().handleUpdateSavedViews({ Front: view });
+      expect(stateValues[JSONDATA].savedViews).toEqual({ Front: view });
+
+      callIndex = 0;
+      useAppState().handleUpdateSavedViews({});
+      expect(stateValues[JSONDATA]).not.toHaveProperty('savedViews');
+    });
+  });
+
+  describe('selection', () => {
+    const volumes = [{ _id: 'vol-0-pl-0', name: 'A' }, { _id: 'vol-1-pl-0', name: 'B' }, { _id: 'vol-2-pl-0', name: 'C' }];
+    // Each call is a fresh render of the hook
+    const useRerender = () => {
+      callIndex = 0;
+      return useAppState();
+    };
+
+    beforeEach(() => {
+      stateValues[JSONDATA] = { world: { name: 'World' }, volumes };
+    });
+
+    it('toggles volumes in and out, moving the primary', () => {
+      useRerender().setSelectedGeometry('vol-0-pl-0');
+      useRerender().toggleSelection('vol-1-pl-0');
+      expect(useRerender().selectedGeometries).toEqual(['vol-0-pl-0', 'vol-1-pl-0']);
+      expect(stateValues[SEL]).toBe('vol-1-pl-0');
+
+      useRerender().toggleSelection('vol-1-pl-0');
+      expect(useRerender().selectedGeometries).toEqual(['vol-0-pl-0']);
+      expect(stateValues[SEL]).toBe('vol-0-pl-0');
+    });
+
+    it('collapses to the primary when it leaves the multi-selection', () => {
+      useRerender().setSelection(['vol-0-pl-0', 'vol-2-pl-0']);
+      expect(useRerender().selectedGeometries).toEqual(['vol-0-pl-0', 'vol-2-pl-0']);
+
+      stateValues[SEL] = 'vol-1-pl-0';
+      expect(useRerender().selectedGeometries).toEqual(['vol-1-pl-0']);
+
+      useRerender().setSelectedGeometry('vol-2-pl-0');
+      expect(stateValues[MULTI]).toEqual([]);
+      expect(useRerender().selectedGeometries).toEqual(['vol-2-pl-0']);
+    });
+
+    it('keeps the world out of a multi-selection', () => {
+      useRerender().setSelectedGeometry('world');
+      useRerender().toggleSelection('vol-0-pl-0');
+      expect(useRerender().selectedGeometries).toEqual(['vol-0-pl-0']);
+    });
+  });
+
   describe('returned shape', () => {
     it('returns all expected keys', () => {
       const result = useAppState();
@@ -218,7 +343,11 @@ describe('useAppState', () => {
         'updateDialogOpen', 'setUpdateDialogOpen',
         'handleUpdateGeometry', 'handleAddGeometry', 'handleRemoveGeometry',
         'handleImportGeometries', 'handleImportMaterials',
-        'handleUpdateMaterials', 'handleAppendJsonVolumes', 'handleLoadProject',
+        'handleUpdateMaterials', 'handleUpdateParameters', 'handleAppendJsonVolumes', 'handleLoadProject',
+        'handleApplyMergedProject', 'handleReparentVolume',
+        'selectedGeometries', 'setSelection', 'toggleSelection',
+        'handleBulkUpdate', 'handleTransformSelection', 'handleUpdateSavedQueries',
+        'handleUpdateSavedViews',
       ];
       for (const key of expectedKeys) {
         expect(result).toHaveProperty(key);
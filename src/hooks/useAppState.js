@@ -1,7 +1,7 @@
 import { useState, useMemo, useRef, useEffect } from 'react';
 import { defaultGeometry, defaultMaterials } from '../utils/defaults';
 import { propagateCompoundIdToDescendants } from '../components/geometry-editor/utils/compoundIdPropagator';
-import { expandToFlat, isVolumeKey, findFlatIndex } from '../utils/expandToFlat';
+import { expandToFlat, isVolumeKey, findFlatIndex, componentAt, componentPath } from '../utils/expandToFlat';
 import {
   applyUpdateToJson,
   applyWorldUpdateToJson,
@@ -9,12 +9,27 @@ import {
   applyRemoveFromJson,
   applyAddPlacementToJson,
   applyDuplicateVolumeToJson,
+  applyReparentToJson,
+  getReparentError,
+  applyBulkUpdateToJson,
   mergeJsonVolumes,
   replaceJsonVolumeDefinition,
   restructureCompounds,
   findMatchingVolume,
 } from '../utils/jsonOperations';
+import {
+  createHistory,
+  pushHistory,
+  undoHistory,
+  redoHistory,
+  getUndoLabel,
+  getRedoLabel,
+  beginHistoryGroup,
+  endHistoryGroup,
+} from '../utils/undoHistory';
 import { debugLog } from '../utils/logger';
+import { assignStableIds } from '../utils/stableIds';
+import { localPoseUnderParent } from '../components/viewer3D/utils/geometryUtils';
 
 const cloneData = (data) => structuredClone(data);
 
@@ -29,12 +44,24 @@ export const useAppState = () => {
   const [hitCollections, setHitCollections] = useState(['MyHitsCollection']);
   const [updateDialogOpen, setUpdateDialogOpen] = useState(false);
   // JSON-primary state: the hierarchical JSON is the source of truth
-  const [jsonData, setJsonData] = useState(null);
+  const [jsonData, setJsonDataState] = useState(null);
+  // Undo/redo stacks over jsonData, materials and hitCollections
+  const [history, setHistory] = useState(createHistory());
+  // Volumes selected together with selectedGeometry (the primary, which
+  // the property editor and the single-volume gizmo follow)
+  const [selectedGeometries, setSelectedGeometries] = useState([]);
+
+  // Every JSON stored gets ids for the volumes, placements and components
+  // that lack them, so flat keys survive removals and reorderings
+  const setJsonData = (json) => setJsonDataState(assignStableIds(json));
+
+  // Expansion of each JSON volume object, reused while it is unchanged
+  const flatCacheRef = useRef(new WeakMap());
 
   // Flat view derived automatically from JSON via useMemo (no manual sync)
   const geometries = useMemo(() => {
     if (!jsonData) return defaultGeometry;
-    const flat = expandToFlat(jsonData);
+    const flat = expandToFlat(jsonData, { cache: flatCacheRef.current });
     let updatedVolumes = [...flat.volumes];
     flat.volumes.forEach((volume, index) => {
       if (['assembly', 'union'].includes(volume.type)) {
@@ -45,9 +72,20 @@ export const useAppState = () => {
         updatedVolumes = propagateCompoundIdToDescendants(volume.name, compoundId, updatedVolumes);
       }
     });
-    return { world: flat.world, volumes: updatedVolumes };
+    return { ...flat, volumes: updatedVolumes };
   }, [jsonData]);
 
+  // The effective selection. Anything that moves the primary outside the
+  // multi-selection (undo, a newly added volume, ...) collapses it to the
+  // primary alone, and keys that no longer exist drop out.
+  const selection = useMemo(() => {
+    if (!selectedGeometry) return [];
+    if (selectedGeometry === 'world' || !selectedGeometries.includes(selectedGeometry)) {
+      return [selectedGeometry];
+    }
+    return selectedGeometries.filter(key => findFlatIndex(geometries.volumes, key) >= 0);
+  }, [selectedGeometry, selectedGeometries, geometries]);
+
   // Post-mutation selection: handlers store a finder function here;
   // the effect runs it after geometries recomputes.
   const pendingSelectionRef = useRef(null);
@@ -60,6 +98,90 @@ export const useAppState = () => {
     }
   }, [geometries]);
 
+  // ─── History: record the slices an edit is about to change ──
+  // `slices` names which of jsonData / materials / hitCollections the edit
+  // touches; only those are restored on undo. Pass a coalesceKey to merge a
+  // run of rapid edits inside an undo group (e.g. a gizmo drag) into a
+  // single undo step.
+  const recordHistory = (label, slices = ['jsonData'], options = {}) => {
+    const current = { jsonData, materials, hitCollections };
+    const state = {};
+    // Edits replace the objects they change (the materials editor copies the
+    // edited material too), so each slice is kept by reference.
+    for (const key of slices) {
+      state[key] = current[key];
+    }
+    setHistory(prev => pushHistory(
+      prev,
+      { label, state, selectedGeometry },
+      { coalesceKey: options.coalesceKey }
+    ));
+  };
+
+  // A gizmo drag opens an undo group when it starts and closes it when it ends
+  const beginUndoGroup = () => setHistory(prev => beginHistoryGroup(prev));
+  const endUndoGroup = () => setHistory(prev => endHistoryGroup(prev));
+
+  const applyHistoryState = (state, selection) => {
+    if ('jsonData' in state) setJsonData(state.jsonData);
+    if ('materials' in state) setMaterials(state.materials);
+    if ('hitCollections' in state) setHitCollections(state.hitCollections);
+    setSelectedGeometry(selection ?? null);
+  };
+
+  // ─── UNDO / REDO ──────────────────────────────────────────
+  const undo = () => {
+    const result = undoHistory(history, { jsonData, materials, hitCollections, selectedGeometry });
+    if (!result) return;
+    debugLog(`undo:: ${result.label}`);
+    setHistory(result.history);
+    applyHistoryState(result.state, result.selectedGeometry);
+  };
+
+  const redo = () => {
+    const result = redoHistory(history, { jsonData, materials, hitCollections, selectedGeometry });
+    if (!result) return;
+    debugLog(`redo:: ${result.label}`);
+    setHistory(result.history);
+    applyHistoryState(result.state, result.selectedGeometry);
+  };
+
+  // ─── SELECTION ────────────────────────────────────────────
+  // Plain selection of one volume (or 'world', or null)
+  const selectGeometry = (key) => {
+    setSelectedGeometries([]);
+    setSelectedGeometry(key);
+  };
+
+  // Select several volumes; the primary defaults to the last key.
+  // The world cannot be part of a multi-selection.
+  const setSelection = (keys, primary = keys[keys.length - 1] ?? null) => {
+    setSelectedGeometries(keys.filter(key => key !== 'world'));
+    setSelectedGeometry(primary);
+  };
+
+  // Ctrl-click: add a volume to the selection (making it the primary)
+  // or take it out
+  const toggleSelection = (key) => {
+    if (key === 'world') {
+      selectGeometry(key);
+      return;
+    }
+    const current = selection.filter(k => k !== 'world');
+    if (!current.includes(key)) {
+      setSelection([...current, key], key);
+      return;
+    }
+    const rest = current.filter(k => k !== key);
+    setSelection(rest, selectedGeometry === key ? rest[rest.length - 1] ?? null : selectedGeometry);
+  };
+
+  // Hit collections are edited directly by HitCollectionsDialog
+  const handleUpdateHitCollections = (updatedCollections) => {
+    recordHistory('Edit hit collections', ['hitCollections']);
+    setHitCollections(updatedCollections);
+  };
+
   // ─── Helper: get current JSON (or default if not loaded yet) ──
   const getOrInitJson = () => {
     if (jsonData) return jsonData;
@@ -78,23 +200,30 @@ export const useAppState = () => {
   const refreshView = () => {
     if (jsonData) {
       const fixed = restructureCompounds(structuredClone(jsonData));
+      recordHistory('Update view');
       setJsonData(fixed);
     }
   };
 
   // ─── EDIT: update a volume or the world ───────────────────
-  const handleUpdateGeometry = (id, updatedObject, keepSelected = true) => {
+  // historyOptions: { label, coalesceKey } — some callers pass `false` here
+  const handleUpdateGeometry = (id, updatedObject, keepSelected = true, historyOptions = {}) => {
     const currentJson = getOrInitJson();
+    const { label, coalesceKey } = historyOptions || {};
     let newJson;
+    let targetName;
 
     if (id === 'world') {
       newJson = applyWorldUpdateToJson(currentJson, geometries.world, updatedObject);
+      targetName = geometries.world?.name || 'World';
     } else {
       const flatIndex = findFlatIndex(geometries.volumes, id);
       if (flatIndex < 0) return;
       newJson = applyUpdateToJson(currentJson, geometries.volumes, flatIndex, updatedObject);
+      targetName = geometries.volumes[flatIndex]?.name;
     }
 
+    recordHistory(label || `Edit ${targetName}`, ['jsonData'], { coalesceKey });
     setJsonData(newJson);
 
     if (keepSelected) {
@@ -114,6 +243,7 @@ export const useAppState = () => {
     }
 
     const newJson = applyAddToJson(currentJson, newGeometry);
+    recordHistory(`Add ${newGeometry.name}`);
     setJsonData(newJson);
 
     // Select the newly added volume after geometries recompute
@@ -133,25 +263,15 @@ export const useAppState = () => {
     const flatIndex = findFlatIndex(geometries.volumes, id);
     if (flatIndex < 0) return;
 
-    // Remember selected volume name before removal
-    let selectedName = null;
-    if (selectedGeometry && selectedGeometry !== 'world' && selectedGeometry !== id) {
-      const selIdx = findFlatIndex(geometries.volumes, selectedGeometry);
-      if (selIdx >= 0) selectedName = geometries.volumes[selIdx]?.name;
-    }
-
     const newJson = applyRemoveFromJson(currentJson, geometries.volumes, flatIndex);
+    recordHistory(`Remove ${geometries.volumes[flatIndex]?.name}`);
     setJsonData(newJson);
 
-    // Re-select by name if possible, otherwise deselect
-    if (selectedName) {
-      pendingSelectionRef.current = (volumes) => {
-        const found = volumes.find(v => v.name === selectedName);
-        return found?._id || null;
-      };
-    } else {
-      setSelectedGeometry(null);
-    }
+    // Keys of the other volumes are stable: keep the selection unless it
+    // went with the removed volume
+    if (selectedGeometry === 'world') return;
+    const selected = selectedGeometry;
+    pendingSelectionRef.current = (volumes) => (volumes.some(v => v._id === selected) ? selected : null);
   };
 
   // ─── EDIT: add a new placement of an existing volume ──────
@@ -165,6 +285,7 @@ export const useAppState = () => {
     const flatVol = geometries.volumes[flatIndex];
     const vi = flatVol._volumeIndex;
     const newJson = applyAddPlacementToJson(currentJson, geometries.volumes, flatIndex);
+    recordHistory(`Add placement of ${flatVol.name}`);
     setJsonData(newJson);
 
     // Select the newly added placement after geometries recompute
@@ -174,6 +295,20 @@ export const useAppState = () => {
     };
   };
 
+  // ─── EDIT: add a pattern of placements of an existing volume ─
+  const handleAddPlacementPattern = (id, placements) => {
+    if (id === 'world' || !placements?.length) return;
+    const currentJson = getOrInitJson();
+
+    const flatIndex = findFlatIndex(geometries.volumes, id);
+    if (flatIndex < 0) return;
+
+    const flatVol = geometries.volumes[flatIndex];
+    const newJson = applyAddPlacementToJson(currentJson, geometries.volumes, flatIndex, placements);
+    recordHistory(`Add ${placements.length} placements of ${flatVol.name}`);
+    setJsonData(newJson);
+  };
+
   // ─── EDIT: duplicate a volume definition (independent copy) ─
   const handleDuplicateVolume = (id) => {
     if (id === 'world') return;
@@ -183,6 +318,7 @@ export const useAppState = () => {
     if (flatIndex < 0) return;
 
     const newJson = applyDuplicateVolumeToJson(currentJson, geometries.volumes, flatIndex);
+    recordHistory(`Duplicate ${geometries.volumes[flatIndex]?.name}`);
     setJsonData(newJson);
 
     // Select the newly created volume (last in the list)
@@ -192,12 +328,82 @@ export const useAppState = () => {
     };
   };
 
+  // ─── EDIT: move a volume under another parent ─────────────
+  // parentId is 'world' or a volume key. With keepWorldPose the local
+  // position/rotation is recomputed so the volume stays where it is.
+  const handleReparentVolume = (id, parentId, { keepWorldPose = false } = {}) => {
+    const flatIndex = findFlatIndex(geometries.volumes, id);
+    if (flatIndex < 0) return { success: false, message: 'Volume not found' };
+    const parentIndex = parentId === 'world' ? null : findFlatIndex(geometries.volumes, parentId);
+    if (parentIndex !== null && parentIndex < 0) return { success: false, message: 'Parent volume not found' };
+
+    const currentJson = getOrInitJson();
+    const error = getReparentError(currentJson, geometries.volumes, flatIndex, parentIndex);
+    if (error) return { success: false, message: error };
+
+    const flatVol = geometries.volumes[flatIndex];
+    const worldName = geometries.world?.name || 'World';
+    const parentName = parentIndex === null ? worldName : geometries.volumes[parentIndex].name;
+    if ((flatVol.mother_volume || worldName) === parentName) return { success: true, message: 'Already there' };
+
+    let pose;
+    if (keepWorldPose) {
+      const volumeNameToIndex = {};
+      geometries.volumes.forEach((vol, index) => { volumeNameToIndex[vol.name] = index; });
+      pose = localPoseUnderParent(flatVol, parentName, geometries, volumeNameToIndex);
+    }
+
+    const newJson = applyReparentToJson(currentJson, geometries.volumes, flatIndex, parentIndex, pose);
+    recordHistory(`Move ${flatVol.name} to ${parentName}`);
+    setJsonData(newJson);
+
+    // Keys change when a volume moves into or out of a compound; re-select by name then
+    const movedName = flatVol.name;
+    pendingSelectionRef.current = (volumes) => (volumes.some(v => v._id === id)
+      ? id
+      : volumes.find(v => v.name === movedName)?._id || null);
+    return { success: true, message: `Moved ${movedName} to ${parentName}` };
+  };
+
+  // ─── BULK: the same property change on several volumes ────
+  // patch: any of { material, visible, hitsCollectionName, _displayGroup }
+  const handleBulkUpdate = (ids, patch) => {
+    const flatIndices = ids.map(id => findFlatIndex(geometries.volumes, id)).filter(index => index >= 0);
+    if (flatIndices.length === 0) return;
+    const newJson = applyBulkUpdateToJson(getOrInitJson(), geometries.volumes, flatIndices, patch);
+    recordHistory(flatIndices.length === 1 ? `Edit ${geometries.volumes[flatIndices[0]].name}` : `Edit ${flatIndices.length} volumes`);
+    setJsonData(newJson);
+  };
+
+  // ─── BULK: move several volumes as one undo step ──────────
+  // updates: array of { id, position, rotation } relative to each mother
+  const handleTransformSelection = (updates, label = `Move ${updates.length} volumes`) => {
+    let newJson = getOrInitJson();
+    let changed = false;
+    for (const { id, position, rotation } of updates) {
+      const flatIndex = findFlatIndex(geometries.volumes, id);
+      if (flatIndex < 0) continue;
+      const flatVol = geometries.volumes[flatIndex];
+      newJson = applyUpdateToJson(newJson, geometries.volumes, flatIndex, {
+        ...flatVol,
+        position: { ...flatVol.position, ...position },
+        rotation: { ...flatVol.rotation, ...rotation },
+      });
+      changed = true;
+    }
+    if (!changed) return;
+    recordHistory(label);
+    setJsonData(newJson);
+  };
+
   // ─── BATCH: set visibility on multiple volumes at once ─────
   // updates: array of { id: 'vol-...', visible: boolean }
   const handleBatchSetVisibility = (updates) => {
     if (!updates || updates.length === 0) return;
     const currentJson = getOrInitJson();
-    const newJson = structuredClone(currentJson);
+    // Only the volumes toggled are copied; the others keep their expansion
+    const newJson = { ...currentJson, volumes: [...currentJson.volumes] };
+    const copied = new Set();
 
     for (const { id, visible } of updates) {
       const flatIndex = findFlatIndex(geometries.volumes, id);
@@ -206,11 +412,16 @@ export const useAppState = () => {
       if (!flatVol || flatVol._volumeIndex === undefined) continue;
 
       const vi = flatVol._volumeIndex;
-      const ci = flatVol._componentIndex;
+      if (!copied.has(vi) && newJson.volumes[vi]) {
+        newJson.volumes[vi] = structuredClone(newJson.volumes[vi]);
+        copied.add(vi);
+      }
+      const path = componentPath(flatVol);
+      const component = path.length > 0 ? componentAt(newJson.volumes[vi], path) : null;
       const pi = flatVol._placementIndex;
 
-      if (ci !== undefined && newJson.volumes[vi]?.components?.[ci]) {
-        newJson.volumes[vi].components[ci].visible = visible;
+      if (component) {
+        component.visible = visible;
       } else if (pi !== undefined && newJson.volumes[vi]?.placements?.[pi]) {
         // Store visibility on the individual placement so each instance
         // can be toggled independently.
@@ -220,6 +431,7 @@ export const useAppState = () => {
       }
     }
 
+    recordHistory(updates.length === 1 ? 'Toggle visibility' : `Toggle visibility of ${updates.length} volumes`);
     setJsonData(newJson);
   };
 
@@ -233,6 +445,7 @@ export const useAppState = () => {
     }
 
     const jsonCopy = cloneData(importData);
+    recordHistory('Import geometry');
     setJsonData(jsonCopy);
     return { success: true, message: 'Geometries imported successfully' };
   };
@@ -246,6 +459,7 @@ export const useAppState = () => {
     }
 
     const materialsCopy = cloneData(importedMaterials);
+    recordHistory('Import materials', ['materials']);
     setMaterials(materialsCopy);
     return { success: true, message: 'Materials imported successfully' };
   };
@@ -274,6 +488,7 @@ export const useAppState = () => {
     });
 
     const merged = mergeJsonVolumes(currentJson, processedVolumes);
+    recordHistory(jsonVolumes.length === 1 ? `Import ${jsonVolumes[0].name}` : `Import ${jsonVolumes.length} volumes`);
     setJsonData(merged);
   };
 
@@ -296,14 +511,56 @@ export const useAppState = () => {
       current = mergeJsonVolumes(current, newVolumes);
     }
 
+    recordHistory('Replace volume definitions');
     setJsonData(current);
   };
 
+  // ─── EDIT: replace the parameter table ────────────────────
+  // Volumes using a parameter follow it when geometries recompute.
+  const handleUpdateParameters = (parameters) => {
+    const newJson = { ...getOrInitJson() };
+    if (parameters && Object.keys(parameters).length > 0) newJson.parameters = parameters;
+    else delete newJson.parameters;
+    recordHistory('Edit parameters');
+    setJsonData(newJson);
+  };
+
+  // Named geometry tree queries (name → query text), saved with the project
+  const handleUpdateSavedQueries = (savedQueries) => {
+    const newJson = { ...getOrInitJson() };
+    if (savedQueries && Object.keys(savedQueries).length > 0) newJson.savedQueries = savedQueries;
+    else delete newJson.savedQueries;
+    recordHistory('Edit saved queries');
+    setJsonData(newJson);
+  };
+
+  // Named camera views (camera pose + clipping planes), kept with the project
+  const handleUpdateSavedViews = (savedViews) => {
+    const newJson = { ...getOrInitJson() };
+    if (savedViews && Object.keys(savedViews).length > 0) newJson.savedViews = savedViews;
+    else delete newJson.savedViews;
+    recordHistory('Edit saved views');
+    setJsonData(newJson);
+  };
+
   const handleUpdateMaterials = (updatedMaterials) => {
+    recordHistory('Edit materials', ['materials']);
     setMaterials(updatedMaterials);
   };
 
+  // ─── MERGE: replace everything with a merged project, undoably ──
+  // The merged JSON carries materials and hitCollections like a saved project.
+  const handleApplyMergedProject = (mergedProject) => {
+    const { materials: mergedMaterials, hitCollections: mergedHitCollections, ...mergedJson } = cloneData(mergedProject);
+    recordHistory('Merge projects', ['jsonData', 'materials', 'hitCollections']);
+    setJsonData(mergedJson);
+    setMaterials(mergedMaterials || {});
+    setHitCollections(mergedHitCollections || []);
+    setSelectedGeometry(null);
+  };
+
   // ─── LOAD PROJECT: replace everything from JSON ───────────
+  // Loading starts a fresh history: undo never crosses project boundaries.
   const handleLoadProject = (loadedJsonData, loadedMaterials, loadedHitCollections) => {
     const jsonCopy = cloneData(loadedJsonData);
     setJsonData(jsonCopy);
@@ -314,6 +571,7 @@ export const useAppState = () => {
     }
 
     setSelectedGeometry(null);
+    setHistory(createHistory());
   };
 
   return {
@@ -324,23 +582,42 @@ export const useAppState = () => {
     jsonData,
     setJsonData,
     selectedGeometry,
-    setSelectedGeometry,
+    setSelectedGeometry: selectGeometry,
+    selectedGeometries: selection,
+    setSelection,
+    toggleSelection,
     hitCollections,
-    setHitCollections,
+    setHitCollections: handleUpdateHitCollections,
     updateDialogOpen,
     setUpdateDialogOpen,
     handleUpdateGeometry,
     handleAddGeometry,
     handleRemoveGeometry,
     handleAddPlacement,
+    handleAddPlacementPattern,
     handleDuplicateVolume,
+    handleReparentVolume,
     handleBatchSetVisibility,
+    handleBulkUpdate,
+    handleTransformSelection,
     refreshView,
     handleImportGeometries,
     handleImportMaterials,
     handleUpdateMaterials,
+    handleUpdateParameters,
+    handleUpdateSavedQueries,
+    handleUpdateSavedViews,
     handleAppendJsonVolumes,
     handleReplaceJsonVolumes,
-    handleLoadProject
+    handleLoadProject,
+    handleApplyMergedProject,
+    undo,
+    redo,
+    beginUndoGroup,
+    endUndoGroup,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoLabel: getUndoLabel(history),
+    redoLabel: getRedoLabel(history),
   };
 };
@@ -0,0 +1,97 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import indexedDBManager from '../utils/IndexedDBManager';
+import { AUTOSAVE_INTERVAL_MS, MAX_AUTOSAVES, hasUnsavedWork } from '../utils/autosave';
+import { debugLog, debugWarn } from '../utils/logger.js';
+
+/**
+ * Periodically store the working project in IndexedDB and, on startup,
+ * offer to restore a session that was not saved.
+ *
+ * Nothing is stored until the recovery offer is answered, so a reload does
+ * not push the unsaved session out of the kept snapshots.
+ *
+ * @param {Object} state
+ * @param {Object|null} state.jsonData - Hierarchical project JSON
+ * @param {Object} state.materials - Materials map
+ * @param {string[]} state.hitCollections - Hit collection names
+ * @param {Function} state.onRestore - (jsonData, materials, hitCollections) => void
+ * @returns {{ recovery: Object|null, restore: Function, discard: Function, dismiss: Function }}
+ *   recovery is { snapshots, baseline } while the offer is open
+ */
+export const useAutosave = ({ jsonData, materials, hitCollections, onRestore }) => {
+  const [recovery, setRecovery] = useState(null);
+  const [ready, setReady] = useState(false);
+  // State the last snapshot was taken of; state is immutable, so identity tells changes
+  const storedRef = useRef({ jsonData, materials, hitCollections });
+  const currentRef = useRef({ jsonData, materials, hitCollections });
+
+  useEffect(() => {
+    currentRef.current = { jsonData, materials, hitCollections };
+  }, [jsonData, materials, hitCollections]);
+
+  // Look for an unsaved session once
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([indexedDBManager.listAutosaves(), indexedDBManager.getAutosaveBaseline()])
+      .then(([snapshots, baseline]) => {
+        if (cancelled) return;
+        if (snapshots.length > 0 && hasUnsavedWork(snapshots[0], baseline)) {
+          setRecovery({ snapshots, baseline });
+        } else {
+          setReady(true);
+        }
+      })
+      .catch(err => {
+        debugWarn('useAutosave:: IndexedDB unavailable, autosave disabled:', err);
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  const store = useCallback(async () => {
+    const current = currentRef.current;
+    const stored = storedRef.current;
+    if (!current.jsonData) return;
+    if (current.jsonData === stored.jsonData && current.materials === stored.materials
+        && current.hitCollections === stored.hitCollections) return;
+    storedRef.current = current;
+    await indexedDBManager.saveAutosave(current, MAX_AUTOSAVES);
+    debugLog('useAutosave:: Snapshot stored');
+  }, []);
+
+  // Store on a timer and when the page is hidden or closed
+  useEffect(() => {
+    if (!ready) return undefined;
+    const timer = setInterval(store, AUTOSAVE_INTERVAL_MS);
+    const handleHide = () => {
+      if (document.visibilityState === 'hidden') store();
+    };
+    document.addEventListener('visibilitychange', handleHide);
+    window.addEventListener('pagehide', store);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleHide);
+      window.removeEventListener('pagehide', store);
+    };
+  }, [ready, store]);
+
+  const restore = (snapshot) => {
+    onRestore(snapshot.jsonData, snapshot.materials, snapshot.hitCollections);
+    setRecovery(null);
+    setReady(true);
+  };
+
+  // Drop the unsaved session for good
+  const discard = async () => {
+    await indexedDBManager.clearAutosaves();
+    setRecovery(null);
+    setReady(true);
+  };
+
+  // Decide later: keep the snapshots but stop asking for this session
+  const dismiss = () => {
+    setRecovery(null);
+    setReady(true);
+  };
+
+  return { recovery, restore, discard, dismiss };
+};
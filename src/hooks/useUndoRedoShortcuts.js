@@ -0,0 +1,40 @@
+import { useEffect } from 'react';
+
+/**
+ * Returns true when the keyboard event originates from a text field, where
+ * Ctrl+Z should keep its native text-undo behaviour.
+ */
+const isTextInput = (target) => {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+};
+
+/**
+ * Bind Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) and Ctrl+Y to the app-level
+ * undo/redo handlers.
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.undo - Called on Ctrl+Z
+ * @param {Function} handlers.redo - Called on Ctrl+Shift+Z or Ctrl+Y
+ */
+export const useUndoRedoShortcuts = ({ undo, redo }) => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (isTextInput(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+};
@@ -4,6 +4,7 @@
  */
 
 import { debugLog, debugWarn } from './logger.js';
+import { revisionsToPrune } from './revisionHistory.js';
 
 // Default base directory structure
 const DEFAULT_STRUCTURE = {
@@ -142,13 +143,16 @@ class FileSystemManager {
   }
 
   /**
-   * Save a project to the file system
+   * Save a project to the file system. The previous version is kept: every
+   * save also writes revisions/<id>.json and lists it in revisions.json,
+   * which keeps the newest MAX_REVISIONS (see revisionHistory.js).
    * @param {string} name - Project name
    * @param {Object} geometry - Geometry data
    * @param {Object} metadata - Project metadata
+   * @param {Object} revision - Revision details { message, author }
    * @returns {Promise<boolean>} Whether the save was successful
    */
-  async saveProject(name, geometry, metadata = {}) {
+  async saveProject(name, geometry, metadata = {}, revision = {}) {
     if (!this.initialized) {
       throw new Error('FileSystemManager not initialized');
     }
@@ -157,14 +161,15 @@ class FileSystemManager {
       // Create project directory
       const projectsDir = await this.baseDirectory.getDirectoryHandle('projects', { create: true });
       const projectDir = await projectsDir.getDirectoryHandle(name, { create: true });
+      const now = new Date();
 
       // Save metadata
       const metadataFile = await projectDir.getFileHandle('metadata.json', { create: true });
       const metadataWriter = await metadataFile.createWritable();
       await metadataWriter.write(JSON.stringify({
         name,
-        createdAt: metadata.createdAt || new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
+        createdAt: metadata.createdAt || now.toISOString(),
+        updatedAt: now.toISOString(),
         description: metadata.description || '',
         ...metadata
       }, null, 2));
@@ -176,6 +181,29 @@ class FileSystemManager {
       await geometryWriter.write(JSON.stringify(geometry, null, 2));
       await geometryWriter.close();
 
+      // Save the revision, then list it
+      const entry = {
+        id: now.getTime(),
+        createdAt: now.toISOString(),
+        message: revision.message || '',
+        author: revision.author || ''
+      };
+      const revisionsDir = await projectDir.getDirectoryHandle('revisions', { create: true });
+      const revisionFile = await revisionsDir.getFileHandle(`${entry.id}.json`, { create: true });
+      const revisionWriter = await revisionFile.createWritable();
+      await revisionWriter.write(JSON.stringify(geometry, null, 2));
+      await revisionWriter.close();
+
+      const revisions = [entry, ...await this.listRevisions(name)];
+      const pruned = revisionsToPrune(revisions);
+      const indexFile = await projectDir.getFileHandle('revisions.json', { create: true });
+      const indexWriter = await indexFile.createWritable();
+      await indexWriter.write(JSON.stringify(revisions.slice(0, revisions.length - pruned.length), null, 2));
+      await indexWriter.close();
+      for (const old of pruned) {
+        await revisionsDir.removeEntry(`${old.id}.json`).catch(err => debugWarn(`Could not remove revision ${old.id}:`, err));
+      }
+
       return true;
     } catch (error) {
       console.error('Failed to save project:', error);
@@ -183,6 +211,55 @@ class FileSystemManager {
     }
   }
 
+  /**
+   * List the saved revisions of a project
+   * @param {string} name - Project name
+   * @returns {Promise<Array>} Revisions, newest first, as { id, createdAt, message, author }
+   */
+  async listRevisions(name) {
+    if (!this.initialized) {
+      throw new Error('FileSystemManager not initialized');
+    }
+
+    try {
+      const projectsDir = await this.baseDirectory.getDirectoryHandle('projects');
+      const projectDir = await projectsDir.getDirectoryHandle(name);
+      const indexFile = await projectDir.getFileHandle('revisions.json');
+      return JSON.parse(await (await indexFile.getFile()).text());
+    } catch {
+      // Projects saved before revisions were kept have no history
+      return [];
+    }
+  }
+
+  /**
+   * Load one revision of a project
+   * @param {string} name - Project name
+   * @param {number} id - Revision id from listRevisions
+   * @returns {Promise<Object|null>} { revision, geometry } or null if not found
+   */
+  async loadRevision(name, id) {
+    if (!this.initialized) {
+      throw new Error('FileSystemManager not initialized');
+    }
+
+    try {
+      const revision = (await this.listRevisions(name)).find(r => r.id === id);
+      if (!revision) return null;
+
+      const projectsDir = await this.baseDirectory.getDirectoryHandle('projects');
+      const projectDir = await projectsDir.getDirectoryHandle(name);
+      const revisionsDir = await projectDir.getDirectoryHandle('revisions');
+      const revisionFile = await revisionsDir.getFileHandle(`${id}.json`);
+      const geometry = JSON.parse(await (await revisionFile.getFile()).text());
+
+      return { revision, geometry };
+    } catch (error) {
+      console.error(`Failed to load revision ${id} of ${name}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Load a project from the file system
    * @param {string} name - Project name
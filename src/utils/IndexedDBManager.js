@@ -2,86 +2,142 @@
  * IndexedDBManager.js
  * Fallback storage manager using IndexedDB for browsers that don't support the File System Access API
  * (Firefox, Safari, older browsers, etc.)
+ *
+ * It also holds the crash-recovery autosaves, in every browser: those only
+ * need a database connection, not the project storage to be initialized.
  */
 
 import { debugLog } from './logger.js';
+import { revisionsToPrune } from './revisionHistory.js';
 
 const DB_NAME = 'geant4-geometry-editor';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 
 // Store names
 const STORES = {
   PROJECTS: 'projects',
   OBJECTS: 'objects',
   CATEGORIES: 'categories',
-  METADATA: 'metadata'
+  METADATA: 'metadata',
+  AUTOSAVES: 'autosaves',
+  REVISIONS: 'revisions'
 };
 
+// Metadata key of the last explicitly saved or loaded project
+const AUTOSAVE_BASELINE_KEY = 'autosaveBaseline';
+
 class IndexedDBManager {
   constructor() {
     this.db = null;
+    this.connecting = null; // Pending connect(), shared by concurrent callers
     this.initialized = false;
     this.baseDirectory = null; // For compatibility with FileSystemManager API
   }
 
   /**
-   * Initialize the IndexedDB storage
-   * @returns {Promise<boolean>} Whether initialization was successful
+   * Open the database, creating or upgrading its stores as needed.
+   * The connection is shared by project storage and autosave, and callers
+   * arriving while it opens wait for the same request.
+   * @returns {Promise<IDBDatabase>} The open database
    */
-  async initialize() {
-    return new Promise((resolve, reject) => {
-      try {
-        debugLog('Initializing IndexedDB Manager...');
-        
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-        
-        request.onerror = (event) => {
-          console.error('IndexedDB error:', event.target.error);
-          this.initialized = false;
-          reject(new Error('Failed to open IndexedDB: ' + event.target.error?.message));
-        };
-        
-        request.onsuccess = (event) => {
-          this.db = event.target.result;
-          this.initialized = true;
-          this.baseDirectory = { name: 'IndexedDB Storage' }; // For compatibility
-          debugLog('IndexedDB initialized successfully');
-          resolve(true);
-        };
-        
-        request.onupgradeneeded = (event) => {
-          debugLog('IndexedDB upgrade needed, creating stores...');
-          const db = event.target.result;
-          
-          // Create projects store
-          if (!db.objectStoreNames.contains(STORES.PROJECTS)) {
-            const projectsStore = db.createObjectStore(STORES.PROJECTS, { keyPath: 'name' });
-            projectsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
-          }
-          
-          // Create objects store
-          if (!db.objectStoreNames.contains(STORES.OBJECTS)) {
-            const objectsStore = db.createObjectStore(STORES.OBJECTS, { keyPath: 'id' });
-            objectsStore.createIndex('category', 'category', { unique: false });
-            objectsStore.createIndex('name', 'name', { unique: false });
-          }
-          
-          // Create categories store
-          if (!db.objectStoreNames.contains(STORES.CATEGORIES)) {
-            db.createObjectStore(STORES.CATEGORIES, { keyPath: 'name' });
-          }
-          
-          // Create metadata store
-          if (!db.objectStoreNames.contains(STORES.METADATA)) {
-            db.createObjectStore(STORES.METADATA, { keyPath: 'key' });
+  async connect() {
+    if (this.db) return this.db;
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      const fail = (error) => {
+        this.connecting = null;
+        reject(error);
+      };
+
+      request.onerror = (event) => {
+        console.error('IndexedDB error:', event.target.error);
+        fail(new Error('Failed to open IndexedDB: ' + event.target.error?.message));
+      };
+
+      // Another tab still has the older version open and does not close it
+      request.onblocked = () => {
+        console.warn('IndexedDB upgrade blocked by another open tab');
+        fail(new Error('The project storage is in use by another tab of the editor; close it and reload this page'));
+      };
+
+      request.onsuccess = (event) => {
+        const db = event.target.result;
+        // Let a newer version opened in another tab upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          if (this.db === db) {
+            this.db = null;
+            this.initialized = false;
           }
+          console.warn('IndexedDB was upgraded by another tab; reload this page to keep saving');
         };
-      } catch (error) {
-        console.error('Failed to initialize IndexedDB:', error);
-        this.initialized = false;
-        reject(error);
-      }
+        this.db = db;
+        this.connecting = null;
+        resolve(db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        debugLog('IndexedDB upgrade needed, creating stores...');
+        const db = event.target.result;
+
+        // Create projects store
+        if (!db.objectStoreNames.contains(STORES.PROJECTS)) {
+          const projectsStore = db.createObjectStore(STORES.PROJECTS, { keyPath: 'name' });
+          projectsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+        }
+
+        // Create objects store
+        if (!db.objectStoreNames.contains(STORES.OBJECTS)) {
+          const objectsStore = db.createObjectStore(STORES.OBJECTS, { keyPath: 'id' });
+          objectsStore.createIndex('category', 'category', { unique: false });
+          objectsStore.createIndex('name', 'name', { unique: false });
+        }
+
+        // Create categories store
+        if (!db.objectStoreNames.contains(STORES.CATEGORIES)) {
+          db.createObjectStore(STORES.CATEGORIES, { keyPath: 'name' });
+        }
+
+        // Create metadata store
+        if (!db.objectStoreNames.contains(STORES.METADATA)) {
+          db.createObjectStore(STORES.METADATA, { keyPath: 'key' });
+        }
+
+        // Create autosaves store (added in version 2), oldest key first
+        if (!db.objectStoreNames.contains(STORES.AUTOSAVES)) {
+          db.createObjectStore(STORES.AUTOSAVES, { keyPath: 'id', autoIncrement: true });
+        }
+
+        // Create revisions store (added in version 3), one record per project save
+        if (!db.objectStoreNames.contains(STORES.REVISIONS)) {
+          const revisionsStore = db.createObjectStore(STORES.REVISIONS, { keyPath: 'id', autoIncrement: true });
+          revisionsStore.createIndex('project', 'project', { unique: false });
+        }
+      };
     });
+    return this.connecting;
+  }
+
+  /**
+   * Initialize the IndexedDB storage
+   * @returns {Promise<boolean>} Whether initialization was successful
+   */
+  async initialize() {
+    try {
+      debugLog('Initializing IndexedDB Manager...');
+      await this.connect();
+      this.initialized = true;
+      this.baseDirectory = { name: 'IndexedDB Storage' }; // For compatibility
+      debugLog('IndexedDB initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize IndexedDB:', error);
+      this.initialized = false;
+      throw error;
+    }
   }
 
   /**
@@ -109,43 +165,67 @@ class IndexedDBManager {
   }
 
   /**
-   * Save a project to IndexedDB
+   * Save a project to IndexedDB. The previous version is kept: every save
+   * also adds a revision to the project's history, which keeps the newest
+   * MAX_REVISIONS (see revisionHistory.js).
    * @param {string} name - Project name
    * @param {Object} geometry - Geometry data
    * @param {Object} metadata - Project metadata
+   * @param {Object} revision - Revision details { message, author }
    * @returns {Promise<boolean>} Whether the save was successful
    */
-  async saveProject(name, geometry, metadata = {}) {
+  async saveProject(name, geometry, metadata = {}, revision = {}) {
     if (!this.initialized) {
       throw new Error('IndexedDBManager not initialized');
     }
 
     return new Promise((resolve) => {
       try {
-        const transaction = this.db.transaction([STORES.PROJECTS], 'readwrite');
+        const transaction = this.db.transaction([STORES.PROJECTS, STORES.REVISIONS], 'readwrite');
         const store = transaction.objectStore(STORES.PROJECTS);
+        const now = new Date().toISOString();
         
         const projectData = {
           name,
           geometry,
           metadata: {
             name,
-            createdAt: metadata.createdAt || new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
+            createdAt: metadata.createdAt || now,
+            updatedAt: now,
             description: metadata.description || '',
             ...metadata
           },
-          updatedAt: new Date().toISOString()
+          updatedAt: now
         };
         
-        const request = store.put(projectData);
+        store.put(projectData);
+        const revisions = transaction.objectStore(STORES.REVISIONS);
+        revisions.add({
+          project: name,
+          createdAt: now,
+          message: revision.message || '',
+          author: revision.author || '',
+          geometry
+        });
+
+        // Requests run in order, so the cursor already sees the new revision
+        const ids = [];
+        revisions.index('project').openKeyCursor(name, 'prev').onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            ids.push(cursor.primaryKey);
+            cursor.continue();
+            return;
+          }
+          revisionsToPrune(ids).forEach(id => revisions.delete(id));
+        };
         
-        request.onsuccess = () => {
+        transaction.oncomplete = () => {
           debugLog(`Project "${name}" saved successfully`);
           resolve(true);
         };
         
-        request.onerror = (event) => {
+        transaction.onerror = (event) => {
           console.error('Failed to save project:', event.target.error);
           resolve(false);
         };
@@ -230,7 +310,7 @@ class IndexedDBManager {
   }
 
   /**
-   * Delete a project
+   * Delete a project and its revision history
    * @param {string} name - Project name
    * @returns {Promise<boolean>} Whether the deletion was successful
    */
@@ -241,16 +321,21 @@ class IndexedDBManager {
 
     return new Promise((resolve) => {
       try {
-        const transaction = this.db.transaction([STORES.PROJECTS], 'readwrite');
-        const store = transaction.objectStore(STORES.PROJECTS);
-        const request = store.delete(name);
+        const transaction = this.db.transaction([STORES.PROJECTS, STORES.REVISIONS], 'readwrite');
+        transaction.objectStore(STORES.PROJECTS).delete(name);
+        transaction.objectStore(STORES.REVISIONS).index('project').openKeyCursor(name).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          transaction.objectStore(STORES.REVISIONS).delete(cursor.primaryKey);
+          cursor.continue();
+        };
         
-        request.onsuccess = () => {
+        transaction.oncomplete = () => {
           debugLog(`Project "${name}" deleted successfully`);
           resolve(true);
         };
         
-        request.onerror = (event) => {
+        transaction.onerror = (event) => {
           console.error('Failed to delete project:', event.target.error);
           resolve(false);
         };
@@ -261,6 +346,78 @@ class IndexedDBManager {
     });
   }
 
+  /**
+   * List the saved revisions of a project
+   * @param {string} name - Project name
+   * @returns {Promise<Array>} Revisions, newest first, as { id, createdAt, message, author }
+   */
+  async listRevisions(name) {
+    if (!this.initialized) {
+      throw new Error('IndexedDBManager not initialized');
+    }
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = this.db.transaction([STORES.REVISIONS], 'readonly');
+        const revisions = [];
+        // Walk the index rather than getAll() so the geometries are not all held at once
+        transaction.objectStore(STORES.REVISIONS).index('project').openCursor(name).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          const { id, createdAt, message, author } = cursor.value;
+          revisions.push({ id, createdAt, message, author });
+          cursor.continue();
+        };
+        
+        transaction.oncomplete = () => resolve(revisions.reverse());
+        transaction.onerror = (event) => {
+          console.error(`Failed to list revisions of ${name}:`, event.target.error);
+          resolve([]);
+        };
+      } catch (error) {
+        console.error(`Failed to list revisions of ${name}:`, error);
+        resolve([]);
+      }
+    });
+  }
+
+  /**
+   * Load one revision of a project
+   * @param {string} name - Project name
+   * @param {number} id - Revision id from listRevisions
+   * @returns {Promise<Object|null>} { revision, geometry } or null if not found
+   */
+  async loadRevision(name, id) {
+    if (!this.initialized) {
+      throw new Error('IndexedDBManager not initialized');
+    }
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = this.db.transaction([STORES.REVISIONS], 'readonly');
+        const request = transaction.objectStore(STORES.REVISIONS).get(id);
+        
+        request.onsuccess = (event) => {
+          const result = event.target.result;
+          if (result && result.project === name) {
+            const { geometry, ...revision } = result;
+            resolve({ revision, geometry });
+          } else {
+            resolve(null);
+          }
+        };
+        
+        request.onerror = (event) => {
+          console.error(`Failed to load revision ${id} of ${name}:`, event.target.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.error(`Failed to load revision ${id} of ${name}:`, error);
+        resolve(null);
+      }
+    });
+  }
+
   /**
    * Save an object to IndexedDB
    * @param {string} name - Object name
@@ -628,7 +785,7 @@ class IndexedDBManager {
       // Import projects
       if (data.projects && Array.isArray(data.projects)) {
         for (const project of data.projects) {
-          await this.saveProject(project.name, project.geometry, project.metadata);
+          await this.saveProject(project.name, project.geometry, project.metadata, { message: 'Imported' });
         }
       }
       
@@ -646,6 +803,151 @@ class IndexedDBManager {
     }
   }
 
+  /**
+   * Store a crash-recovery snapshot and drop all but the newest `keep`
+   * @param {Object} snapshot - { jsonData, materials, hitCollections }
+   * @param {number} keep - Number of snapshots to keep
+   * @returns {Promise<boolean>} Whether the snapshot was stored
+   */
+  async saveAutosave(snapshot, keep = 10) {
+    const db = await this.connect();
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction([STORES.AUTOSAVES], 'readwrite');
+        const store = transaction.objectStore(STORES.AUTOSAVES);
+        store.add({ ...snapshot, savedAt: new Date().toISOString() });
+
+        // Requests run in order, so the cursor already sees the new snapshot
+        let seen = 0;
+        store.openCursor(null, 'prev').onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          seen += 1;
+          if (seen > keep) cursor.delete();
+          cursor.continue();
+        };
+
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = (event) => {
+          console.error('Failed to store autosave:', event.target.error);
+          resolve(false);
+        };
+      } catch (error) {
+        console.error('Failed to store autosave:', error);
+        resolve(false);
+      }
+    });
+  }
+
+  /**
+   * List the stored autosave snapshots
+   * @returns {Promise<Array>} Snapshots, newest first, as
+   *   { id, savedAt, jsonData, materials, hitCollections }
+   */
+  async listAutosaves() {
+    const db = await this.connect();
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction([STORES.AUTOSAVES], 'readonly');
+        const request = transaction.objectStore(STORES.AUTOSAVES).getAll();
+
+        request.onsuccess = (event) => {
+          resolve((event.target.result || []).reverse());
+        };
+
+        request.onerror = (event) => {
+          console.error('Failed to list autosaves:', event.target.error);
+          resolve([]);
+        };
+      } catch (error) {
+        console.error('Failed to list autosaves:', error);
+        resolve([]);
+      }
+    });
+  }
+
+  /**
+   * Delete every autosave snapshot
+   * @returns {Promise<boolean>} Whether the snapshots were deleted
+   */
+  async clearAutosaves() {
+    const db = await this.connect();
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction([STORES.AUTOSAVES], 'readwrite');
+        const request = transaction.objectStore(STORES.AUTOSAVES).clear();
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = (event) => {
+          console.error('Failed to clear autosaves:', event.target.error);
+          resolve(false);
+        };
+      } catch (error) {
+        console.error('Failed to clear autosaves:', error);
+        resolve(false);
+      }
+    });
+  }
+
+  /**
+   * Remember the project that was last explicitly saved or loaded, which
+   * autosaves are compared against on startup
+   * @param {string} name - Project name
+   * @param {Object} data - { jsonData, materials, hitCollections }
+   * @returns {Promise<boolean>} Whether the baseline was stored
+   */
+  async setAutosaveBaseline(name, data) {
+    const db = await this.connect();
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction([STORES.METADATA], 'readwrite');
+        const request = transaction.objectStore(STORES.METADATA).put({
+          key: AUTOSAVE_BASELINE_KEY,
+          name,
+          savedAt: new Date().toISOString(),
+          ...data
+        });
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = (event) => {
+          console.error('Failed to store autosave baseline:', event.target.error);
+          resolve(false);
+        };
+      } catch (error) {
+        console.error('Failed to store autosave baseline:', error);
+        resolve(false);
+      }
+    });
+  }
+
+  /**
+   * Get the last explicitly saved or loaded project
+   * @returns {Promise<Object|null>} { name, savedAt, jsonData, materials, hitCollections } or null
+   */
+  async getAutosaveBaseline() {
+    const db = await this.connect();
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction([STORES.METADATA], 'readonly');
+        const request = transaction.objectStore(STORES.METADATA).get(AUTOSAVE_BASELINE_KEY);
+
+        request.onsuccess = (event) => resolve(event.target.result || null);
+        request.onerror = (event) => {
+          console.error('Failed to read autosave baseline:', event.target.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.error('Failed to read autosave baseline:', error);
+        resolve(null);
+      }
+    });
+  }
+
   /**
    * Read a JSON file (compatibility method - uses file input)
    * @returns {Promise<Object>} The parsed JSON content
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { describeProjectChanges, hasUnsavedWork } from '../autosave';
+import { assignStableIds } from '../stableIds';
+
+const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } };
+const box = (name, x = 10) => ({ name, type: 'box', dimensions: { x, y: 10, z: 10 }, placements: [] });
+
+const saved = {
+  savedAt: '2026-01-01T10:00:00.000Z',
+  jsonData: { world, volumes: [box('A'), box('B'), box('C')] },
+  materials: { Steel: { density: 7.9 } },
+  hitCollections: ['MyHitsCollection'],
+};
+
+describe('describeProjectChanges', () => {
+  it('lists added, removed and changed volumes, materials and settings', () => {
+    const current = {
+      jsonData: { world: { ...world, material: 'G4_Galactic' }, volumes: [box('A'), box('B', 20), box('D')], parameters: { R: 5 } },
+      materials: { Steel: { density: 8 }, Lead: { density: 11.3 } },
+      hitCollections: ['MyHitsCollection', 'Veto'],
+    };
+    expect(describeProjectChanges(current, saved)).toEqual([
+      'Changed the world volume',
+      'Added volumes: D',
+      'Removed volumes: C',
+      'Changed volumes: B',
+      'Changed parameters',
+      'Added materials: Lead',
+      'Changed materials: Steel',
+      'Changed hit collections',
+    ]);
+  });
+
+  it('is empty for the same project and shortens long lists', () => {
+    expect(describeProjectChanges(saved, saved)).toEqual([]);
+    const many = { ...saved, jsonData: { world, volumes: 'ABCDEFGH'.split('').map(n => box(n)) } };
+    expect(describeProjectChanges(many, saved)).toEqual(['Added volumes: D, E, F, G, H']);
+    const more = { ...saved, jsonData: { world, volumes: 'ABCDEFGHIJ'.split('').map(n => box(n)) } };
+    expect(describeProjectChanges(more, saved)[0]).toBe('Added volumes: D, E, F, G, H and 2 more');
+  });
+
+  it('lists the volumes of a project that was never saved', () => {
+    expect(describeProjectChanges({ jsonData: { world, volumes: [box('A')] } }, null)).toEqual(['Added volumes: A']);
+  });
+});
+
+describe('hasUnsavedWork', () => {
+  const later = (changes) => ({ ...saved, savedAt: '2026-01-01T11:00:00.000Z', ...changes });
+
+  it('needs a snapshot that is newer than the last save and differs from it', () => {
+    expect(hasUnsavedWork(later({ jsonData: { world, volumes: [box('A')] } }), saved)).toBe(true);
+    expect(hasUnsavedWork(later({}), saved)).toBe(false);
+    expect(hasUnsavedWork({ ...saved, savedAt: '2026-01-01T09:00:00.000Z', jsonData: { world, volumes: [] } }, saved))
+      .toBe(false);
+  });
+
+  it('ignores the ids given to a project loaded without them', () => {
+    const compound = {
+      name: 'Stack', type: 'assembly', placements: [{ name: 'Stack_0', parent: 'World' }],
+      components: [{ name: 'Plate', type: 'box', dimensions: { x: 1, y: 1, z: 1 }, placements: [{ parent: '' }] }],
+    };
+    const loaded = { ...saved, jsonData: { world, volumes: [box('A'), compound] } };
+    const live = later({ jsonData: assignStableIds(loaded.jsonData) });
+    expect(live.jsonData.volumes[1].components[0]._uid).toBeTruthy();
+    expect(hasUnsavedWork(live, loaded)).toBe(false);
+  });
+
+  it('without a saved project, needs at least one volume', () => {
+    expect(hasUnsavedWork(later({ jsonData: { world, volumes: [] } }), null)).toBe(false);
+    expect(hasUnsavedWork(later({}), null)).toBe(true);
+    expect(hasUnsavedWork({ savedAt: saved.savedAt, jsonData: null }, null)).toBe(false);
+  });
+});
@@ -0,0 +1,256 @@
+import { describe, it, expect } from 'vitest';
+import { exportToCpp } from '../cppExport';
+
+// ───────────────────────────────────────────────────
+// Fixtures
+// ───────────────────────────────────────────────────
+
+const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } };
+
+const materials = {
+  G4_WATER: { type: 'nist', density: 1.0, density_unit: 'g/cm3' },
+  LXe: {
+    type: 'element_based', density: 2.862, density_unit: 'g/cm3',
+    state: 'liquid', temperature: 177, composition: { Xe: 1 },
+  },
+  Mix: { type: 'compound', density: 2, composition: { Fe: 1, G4_WATER: 1 } },
+};
+
+const place = [{ name: 'p', parent: 'World' }];
+
+// ───────────────────────────────────────────────────
+// Materials
+// ───────────────────────────────────────────────────
+
+describe('exportToCpp materials', () => {
+  it('looks up NIST materials and builds custom ones from elements', () => {
+    const { source } = exportToCpp({ world, volumes: [] }, materials);
+    expect(source).toContain('G4Element* el_Xe = nist->FindOrBuildElement("Xe");');
+    expect(source).toContain('new G4Material("LXe", 2.862*g/cm3, 1, kStateLiquid, 177*kelvin);');
+    expect(source).toContain('mat_LXe->AddElement(el_Xe, 1);');
+    expect(source).toContain('G4Material* mat_G4_AIR = nist->FindOrBuildMaterial("G4_AIR");');
+  });
+
+  it('writes normalised fractions as doubles and defines referenced materials first', () => {
+    const { source } = exportToCpp({ world, volumes: [] }, materials);
+    expect(source).toContain('mat_Mix->AddElement(el_Fe, 0.5);');
+    expect(source).toContain('mat_Mix->AddMaterial(mat_G4_WATER, 0.5);');
+    expect(source.indexOf('mat_G4_WATER =')).toBeLessThan(source.indexOf('mat_Mix ='));
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Solids
+// ───────────────────────────────────────────────────
+
+describe('exportToCpp solids', () => {
+  it('maps each primitive type to Geant4 half-lengths', () => {
+    const json = {
+      world,
+      volumes: [
+        { name: 'B', type: 'box', material: 'G4_AIR', dimensions: { x: 10, y: 20, z: 30 }, placements: place },
+        { name: 'C', type: 'cylinder', material: 'G4_AIR', dimensions: { radius: 5, height: 10, inner_radius: 2, deltaPhi: Math.PI }, placements: place },
+        { name: 'S', type: 'sphere', material: 'G4_AIR', dimensions: { radius: 4 }, placements: place },
+        { name: 'E', type: 'ellipsoid', material: 'G4_AIR', dimensions: { x_radius: 1, y_radius: 2, z_radius: 3 }, placements: place },
+        { name: 'T', type: 'torus', material: 'G4_AIR', dimensions: { major_radius: 10, minor_radius: 2 }, placements: place },
+        { name: 'Z', type: 'trapezoid', material: 'G4_AIR', dimensions: { dx1: 1, dx2: 2, dy1: 3, dy2: 4, dz: 5 }, placements: place },
+        { name: 'H', type: 'polyhedra', material: 'G4_AIR', dimensions: { z: [-1, 1], rmin: [0, 0], rmax: [2, 2], numSides: 8 }, placements: place },
+        { name: 'K', type: 'cone', material: 'G4_AIR', dimensions: { rmin1: 0, rmax1: 2, rmin2: 1, rmax2: 3, height: 8 }, placements: place },
+        { name: 'O', type: 'orb', material: 'G4_AIR', dimensions: { radius: 6 }, placements: place },
+        { name: 'L', type: 'elliptical_tube', material: 'G4_AIR', dimensions: { dx: 1, dy: 2, dz: 3 }, placements: place },
+      ],
+    };
+    const { source, warnings } = exportToCpp(json, {});
+    expect(warnings).toEqual([]);
+    expect(source).toContain('new G4Box("B_solid", 5*mm, 10*mm, 15*mm);');
+    expect(source).toContain('new G4Tubs("C_solid", 2*mm, 5*mm, 5*mm, 0., pi);');
+    expect(source).toContain('new G4Sphere("S_solid", 0*mm, 4*mm, 0., twopi, 0., pi);');
+    expect(source).toContain('new G4Ellipsoid("E_solid", 1*mm, 2*mm, 3*mm);');
+    expect(source).toContain('new G4Torus("T_solid", 0., 2*mm, 10*mm, 0., twopi);');
+    // Trapezoid dimensions are already G4Trd half-lengths
+    expect(source).toContain('new G4Trd("Z_solid", 1*mm, 2*mm, 3*mm, 4*mm, 5*mm);');
+    expect(source).toContain('const G4double solid_H_solid_rmax[] = {2*mm, 2*mm};');
+    expect(source).toMatch(/new G4Polyhedra\("H_solid", 0\., twopi, 8, 2, /);
+    expect(source).toContain('new G4Cons("K_solid", 0*mm, 2*mm, 1*mm, 3*mm, 4*mm, 0., twopi);');
+    expect(source).toContain('new G4Orb("O_solid", 6*mm);');
+    expect(source).toContain('new G4EllipticalTube("L_solid", 1*mm, 2*mm, 3*mm);');
+    expect(source).toContain('#include "G4Polyhedra.hh"');
+    expect(source).not.toContain('#include "G4Polycone.hh"');
+  });
+
+  it('warns about and skips unsupported types', () => {
+    const json = { world, volumes: [{ name: 'X', type: 'mystery', material: 'G4_AIR', placements: place }] };
+    const { source, warnings } = exportToCpp(json, {});
+    expect(warnings[0]).toMatch(/mystery/);
+    expect(source).not.toContain('"X"');
+  });
+
+  it('builds tessellated solids from facets over a vertex array', () => {
+    const dimensions = {
+      vertices: [[0, 0, 0], [10, 0, 0], [0, 10, 0], [0, 0, 10]],
+      facets: [[0, 2, 1], [0, 1, 3], [0, 3, 2], [1, 2, 3]],
+    };
+    const json = { world, volumes: [{ name: 'Tet', type: 'tessellated', material: 'G4_AIR', dimensions, placements: place }] };
+    const { source, warnings } = exportToCpp(json, {});
+    expect(warnings).toEqual([]);
+    expect(source).toContain('#include "G4TessellatedSolid.hh"');
+    expect(source).toContain('#include "G4TriangularFacet.hh"');
+    expect(source).toContain('G4ThreeVector(10*mm, 0*mm, 0*mm),');
+    expect(source).toContain('auto* solid_Tet_solid = new G4TessellatedSolid("Tet_solid");');
+    expect(source).toContain('solid_Tet_solid->AddFacet(new G4TriangularFacet(solid_Tet_solid_vertices[0], solid_Tet_solid_vertices[2], solid_Tet_solid_vertices[1], ABSOLUTE));');
+    expect(source).toContain('solid_Tet_solid->SetSolidClosed(true);');
+  });
+
+  it('chains boolean components in array order', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'Plate', type: 'union', material: 'G4_AIR',
+        components: [
+          { name: 'base', type: 'box', boolean_operation: 'add', dimensions: { x: 10, y: 10, z: 2 }, placements: [{ x: 0 }] },
+          { name: 'tab', type: 'box', dimensions: { x: 2, y: 2, z: 2 }, placements: [{ x: 6 }] },
+          { name: 'hole', type: 'cylinder', boolean_operation: 'subtract', dimensions: { radius: 1, height: 5 }, placements: [{ x: 3, rotation: { x: 0, y: 0.5, z: 0 } }] },
+          { name: 'clip', type: 'sphere', boolean_operation: 'intersect', dimensions: { radius: 8 }, placements: [{ x: 0 }] },
+        ],
+        placements: [{ name: 'Plate', parent: 'World' }],
+      }],
+    };
+    const { source } = exportToCpp(json, {});
+    const unionAt = source.indexOf('new G4UnionSolid("Plate_union_1", solid_Plate_base_solid, solid_Plate_tab_solid, nullptr, G4ThreeVector(6*mm, 0*mm, 0*mm));');
+    const subAt = source.indexOf('new G4SubtractionSolid("Plate_subtraction_2", solid_Plate_union_1, solid_Plate_hole_solid, rot_Plate_subtraction_2,');
+    const intersectAt = source.indexOf('new G4IntersectionSolid("Plate_solid", solid_Plate_subtraction_2, solid_Plate_clip_solid, nullptr,');
+    expect(unionAt).toBeGreaterThan(-1);
+    expect(subAt).toBeGreaterThan(unionAt);
+    expect(intersectAt).toBeGreaterThan(subAt);
+    expect(source).toContain('rot_Plate_subtraction_2->rotateY(-0.5*rad);');
+    expect(source).toContain('#include "G4IntersectionSolid.hh"');
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Structure
+// ───────────────────────────────────────────────────
+
+describe('exportToCpp structure', () => {
+  it('writes one G4PVPlacement per placement with the negated editor rotation', () => {
+    const json = {
+      world,
+      volumes: [
+        { name: 'Tank', type: 'box', material: 'G4_WATER', dimensions: { x: 100, y: 100, z: 100 },
+          placements: [{ name: 'Tank', parent: 'World' }] },
+        { name: 'Rod', type: 'cylinder', material: 'G4_AIR', dimensions: { radius: 1, height: 10 },
+          placements: [
+            { name: 'Rod_1', x: 10, parent: 'Tank' },
+            { name: 'Rod_2', x: -10, parent: 'Tank', rotation: { x: 0.5, y: 0, z: 0 } },
+          ] },
+      ],
+    };
+    const { source } = exportToCpp(json, materials);
+    expect(source).toContain('new G4PVPlacement(nullptr, G4ThreeVector(), logic_Tank, "Tank", logic_World, false, 0, fCheckOverlaps);');
+    expect(source).toContain('new G4PVPlacement(nullptr, G4ThreeVector(10*mm, 0*mm, 0*mm), logic_Rod, "Rod_1", logic_Tank, false, 0, fCheckOverlaps);');
+    expect(source).toContain('rot_Rod_2->rotateX(-0.5*rad);');
+    expect(source).toContain('new G4PVPlacement(rot_Rod_2, G4ThreeVector(-10*mm, 0*mm, 0*mm), logic_Rod, "Rod_2", logic_Tank, false, 1, fCheckOverlaps);');
+    expect(source).toContain('return physWorld;');
+  });
+
+  it('builds assemblies before imprinting them with object transforms', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'PMT', type: 'assembly',
+        components: [
+          { name: 'Body_0', type: 'cylinder', material: 'G4_AIR', dimensions: { radius: 5, height: 10 }, placements: [{ parent: '' }] },
+          { name: 'Window_0', type: 'box', material: 'G4_AIR', dimensions: { x: 1, y: 1, z: 1 }, placements: [{ z: 2, parent: 'Body_0' }] },
+        ],
+        placements: [{ name: 'PMT_0', z: 50, parent: 'World' }, { name: 'PMT_1', z: -50, parent: 'World', rotation: { x: 0, y: 0, z: 1 } }],
+      }],
+    };
+    const { source } = exportToCpp(json, {});
+    const addAt = source.indexOf('assembly_PMT->AddPlacedVolume(logic_Body_0, transform_Body_0);');
+    expect(addAt).toBeGreaterThan(-1);
+    expect(source).not.toContain('AddPlacedVolume(logic_Window_0');
+    expect(source).toContain('new G4PVPlacement(nullptr, G4ThreeVector(0*mm, 0*mm, 2*mm), logic_Window_0, "Window_0", logic_Body_0, false, 0, fCheckOverlaps);');
+    expect(source).toContain('G4Transform3D transform_PMT_1(rotm_PMT_1.inverse(), G4ThreeVector(0*mm, 0*mm, -50*mm));');
+    expect(source.indexOf('assembly_PMT->MakeImprint(logic_World, transform_PMT_0, 0);')).toBeGreaterThan(addAt);
+    expect(source).toContain('assembly_PMT->MakeImprint(logic_World, transform_PMT_1, 1);');
+  });
+
+  it('adds nested assemblies to the assembly around them', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'Detector', type: 'assembly',
+        components: [{
+          name: 'Module_0', type: 'assembly', placements: [{ x: 10, parent: '' }],
+          components: [{ name: 'Cell_0', type: 'box', material: 'G4_AIR', dimensions: { x: 1, y: 1, z: 1 }, placements: [{ parent: '' }] }],
+        }],
+        placements: [{ name: 'Detector_0', parent: 'World' }],
+      }],
+    };
+    const { source } = exportToCpp(json, {});
+    const fillAt = source.indexOf('assembly_Module_0->AddPlacedVolume(logic_Cell_0, transform_Cell_0);');
+    const nestAt = source.indexOf('assembly_Detector->AddPlacedAssembly(assembly_Module_0, transform_Module_0);');
+    expect(fillAt).toBeGreaterThan(-1);
+    expect(nestAt).toBeGreaterThan(fillAt);
+    expect(source).toContain('G4Transform3D transform_Module_0(G4RotationMatrix(), G4ThreeVector(10*mm, 0*mm, 0*mm));');
+    expect(source.indexOf('assembly_Detector->MakeImprint(logic_World, transform_Detector_0, 0);')).toBeGreaterThan(nestAt);
+    expect(source).not.toContain('MakeImprint(logic_World, transform_Module_0');
+  });
+
+  it('falls back to the world for unknown parents', () => {
+    const json = {
+      world,
+      volumes: [{ name: 'Lost', type: 'box', material: 'G4_AIR', dimensions: { x: 1, y: 1, z: 1 },
+        placements: [{ name: 'Lost', parent: 'Nowhere' }] }],
+    };
+    const { source, warnings } = exportToCpp(json, {});
+    expect(warnings[0]).toMatch(/Nowhere/);
+    expect(source).toContain('logic_Lost, "Lost", logic_World,');
+  });
+
+  it('registers one sensitive detector per hits collection', () => {
+    const json = {
+      world,
+      volumes: [
+        { name: 'DetA', type: 'box', material: 'G4_AIR', hitsCollectionName: 'DetHits',
+          dimensions: { x: 1, y: 1, z: 1 }, placements: [{ name: 'DetA', parent: 'World' }] },
+        { name: 'DetB', type: 'box', material: 'G4_AIR', hitsCollectionName: 'DetHits',
+          dimensions: { x: 1, y: 1, z: 1 }, placements: [{ name: 'DetB', parent: 'World', x: 5 }] },
+      ],
+    };
+    const { source } = exportToCpp(json, {});
+    const sd = source.slice(source.indexOf('ConstructSDandField()'));
+    expect(sd.match(/new G4MultiFunctionalDetector\("DetHits"\)/g)).toHaveLength(1);
+    expect(sd).toContain('SetSensitiveDetector("DetA", sd_DetHits);');
+    expect(sd).toContain('SetSensitiveDetector("DetB", sd_DetHits);');
+  });
+
+  it('declares Construct and ConstructSDandField in the header', () => {
+    const { header } = exportToCpp({ world, volumes: [] }, {});
+    expect(header).toContain('class DetectorConstruction : public G4VUserDetectorConstruction');
+    expect(header).toContain('G4VPhysicalVolume* Construct() override;');
+    expect(header).toContain('void ConstructSDandField() override;');
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Parameters
+// ───────────────────────────────────────────────────
+
+describe('exportToCpp parameters', () => {
+  it('declares parameters as constants and uses them in solids', () => {
+    const { source } = exportToCpp({
+      parameters: { Width: '5*cm', Half: 'sqrt(Width)' },
+      world,
+      volumes: [{
+        name: 'Crate', type: 'box', material: 'G4_WATER', dimensions: { x: 'Width + 1', y: 'Width', z: 10 },
+        placements: place,
+      }],
+    }, materials);
+    expect(source).toContain('const G4double Width = 5.*cm;');
+    expect(source).toContain('const G4double Half = std::sqrt(Width);');
+    expect(source).toContain('#include <cmath>');
+    expect(source).toMatch(/new G4Box\("Crate_solid", \(Width \+ 1\.\)\/2, Width\/2, 5\*mm\)/);
+  });
+});
+
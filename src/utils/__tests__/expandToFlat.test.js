@@ -4,7 +4,9 @@ import {
   buildVolumeKey,
   isVolumeKey,
   findFlatIndex,
-  deriveComponentName
+  deriveComponentName,
+  componentAt,
+  componentPath
 } from '../expandToFlat';
 
 // ───────────────────────────────────────────────────
@@ -24,6 +26,10 @@ describe('buildVolumeKey', () => {
   it('appends sub-component index', () => {
     expect(buildVolumeKey(1, 0, 2, 3)).toBe('vol-1-pl-0-c-2-sc-3');
   });
+
+  it('appends one part per level of nesting', () => {
+    expect(buildVolumeKey(1, 0, 2, 3, 4)).toBe('vol-1-pl-0-c-2-sc-3-sc-4');
+  });
 });
 
 describe('isVolumeKey', () => {
@@ -238,6 +244,39 @@ describe('expandToFlat', () => {
     expect(vol.zcut2).toBe(5);
   });
 
+  it('maps cone, orb, elliptical tube and polyhedra dimensions correctly', () => {
+    const place = [{ name: 'P', x: 0, y: 0, z: 0, parent: 'World' }];
+    const json = {
+      volumes: [
+        { name: 'Cone', type: 'cone', dimensions: { rmin1: 1, rmax1: 5, rmin2: 2, rmax2: 3, height: 10 }, placements: place },
+        { name: 'Orb', type: 'orb', dimensions: { radius: 7 }, placements: place },
+        { name: 'Tube', type: 'elliptical_tube', dimensions: { dx: 4, dy: 2, dz: 6 }, placements: place },
+        { name: 'Hex', type: 'polyhedra', dimensions: { z: [0, 10], rmin: [0, 0], rmax: [5, 5], numSides: 8 }, placements: place },
+      ]
+    };
+    const [cone, orb, tube, hex] = expandToFlat(json).volumes;
+    expect(cone).toMatchObject({ innerRadiusBottom: 1, radiusBottom: 5, innerRadiusTop: 2, radiusTop: 3, height: 10 });
+    expect(orb.radius).toBe(7);
+    expect(tube).toMatchObject({ dx: 4, dy: 2, dz: 6 });
+    expect(hex.numSides).toBe(8);
+    expect(hex.zSections).toHaveLength(2);
+  });
+
+  it('copies phi segments, and theta segments for spheres only', () => {
+    const place = [{ name: 'P', x: 0, y: 0, z: 0, parent: 'World' }];
+    const json = {
+      volumes: [
+        { name: 'Shell', type: 'sphere', dimensions: { radius: 10, inner_radius: 8, startPhi: 1, deltaPhi: 2, startTheta: 0.5, deltaTheta: 1 }, placements: place },
+        { name: 'Ring', type: 'torus', dimensions: { major_radius: 20, minor_radius: 2, deltaPhi: 3, deltaTheta: 1 }, placements: place },
+      ]
+    };
+    const [shell, ring] = expandToFlat(json).volumes;
+    expect(shell).toMatchObject({ radius: 10, innerRadius: 8, startPhi: 1, deltaPhi: 2, startTheta: 0.5, deltaTheta: 1 });
+    expect(ring.deltaPhi).toBe(3);
+    expect(ring.startPhi).toBeUndefined();
+    expect(ring.deltaTheta).toBeUndefined();
+  });
+
   // ──── Optional fields ────
 
   it('copies optional fields: visible, wireframe, hitsCollectionName, _displayGroup', () => {
@@ -411,4 +450,141 @@ describe('expandToFlat', () => {
     };
     expect(expandToFlat(json).volumes[0]._compoundId).toBe('myCompound');
   });
+
+  it('resolves parameter expressions and records them by flat path', () => {
+    const json = {
+      parameters: { Width: '5*cm', Lift: 20 },
+      world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: '40*Width', y: 2000, z: 2000 } },
+      volumes: [
+        {
+          name: 'Crate', type: 'box', material: 'M', dimensions: { x: 'Width', y: 10, z: 10 },
+          placements: [{ name: 'Crate', x: 0, y: 0, z: 'Lift', rotation: { x: 0, y: 0, z: '90*deg' }, parent: 'World' }]
+        },
+        {
+          name: 'Cup', type: 'polycone', material: 'M', dimensions: { z: [0, 10], rmin: [0, 0], rmax: [5, 'Width'] },
+          placements: [{ name: 'Cup', x: 0, y: 0, z: 0, parent: 'World' }]
+        },
+      ]
+    };
+    const result = expandToFlat(json);
+    expect(result.parameters).toEqual({ Width: 50, Lift: 20 });
+    expect(result.expressionErrors).toEqual([]);
+    expect(result.world.size.x).toBe(2000);
+    expect(result.world._expressions).toEqual({ 'size.x': '40*Width' });
+
+    const [crate, cup] = result.volumes;
+    expect(crate.size.x).toBe(50);
+    expect(crate.position.z).toBe(20);
+    expect(crate._expressions).toEqual({ 'size.x': 'Width', 'position.z': 'Lift', 'rotation.z': '90*deg' });
+    expect(cup.zSections[1].rMax).toBe(50);
+    expect(cup._expressions).toEqual({ 'zSections.1.rMax': 'Width' });
+  });
+});
+
+describe('expandToFlat — stable ids and caching', () => {
+  const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 1000, y: 1000, z: 1000 } };
+  const json = {
+    parameters: { W: 10 },
+    world,
+    volumes: [
+      { _uid: 'ua', name: 'A', type: 'box', dimensions: { x: 1, y: 1, z: 1 }, placements: [{ _uid: 'ua0', name: 'A', parent: 'World' }] },
+      {
+        _uid: 'ub', name: 'B', type: 'assembly',
+        placements: [{ _uid: 'ub0', name: 'B', parent: 'World' }],
+        components: [{ _uid: 'ubc', name: 'Part_0', type: 'box', dimensions: { x: 'W', y: 1, z: 1 }, placements: [{ x: 0 }] }],
+      },
+    ],
+  };
+
+  it('builds keys from the stored ids', () => {
+    expect(expandToFlat(json).volumes.map(v => v._id)).toEqual(['vol-ua-pl-ua0', 'vol-ub-pl-ub0', 'vol-ub-pl-ub0-c-ubc']);
+  });
+
+  it('reuses the expansion of unchanged volumes and keeps keys after a removal', () => {
+    const cache = new WeakMap();
+    const first = expandToFlat(json, { cache });
+    const edited = { ...json, volumes: [{ ...json.volumes[0], dimensions: { x: 2, y: 1, z: 1 } }, json.volumes[1]] };
+    const second = expandToFlat(edited, { cache });
+    expect(second.volumes[0]).not.toBe(first.volumes[0]);
+    expect(second.volumes[0].size.x).toBe(2);
+    expect(second.volumes[1]).toBe(first.volumes[1]);
+
+    const removed = expandToFlat({ ...json, volumes: [json.volumes[1]] }, { cache });
+    expect(removed.volumes.map(v => v._id)).toEqual(['vol-ub-pl-ub0', 'vol-ub-pl-ub0-c-ubc']);
+    expect(removed.volumes.map(v => v._volumeIndex)).toEqual([0, 0]);
+  });
+
+  it('expands again when the parameters change', () => {
+    const cache = new WeakMap();
+    expandToFlat(json, { cache });
+    const result = expandToFlat({ ...json, parameters: { W: 20 } }, { cache });
+    expect(result.volumes[2].size.x).toBe(20);
+  });
+});
+
+describe('expandToFlat — nested compounds', () => {
+  const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 1000, y: 1000, z: 1000 } };
+  const box = (name, parent = '', extra = {}) => ({
+    name, type: 'box', dimensions: { x: 1, y: 1, z: 1 }, placements: [{ x: 1, parent }], ...extra,
+  });
+
+  it('expands assemblies inside assemblies inside assemblies', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'Detector', type: 'assembly',
+        placements: [{ name: 'Detector_0', parent: 'World' }, { name: 'Detector_1', x: 100, parent: 'World' }],
+        components: [{
+          name: 'Module_0', type: 'assembly', placements: [{ x: 10, parent: '' }],
+          components: [{
+            name: 'Cell_0', type: 'assembly', placements: [{ x: 20, parent: '' }],
+            components: [box('Crystal_0'), box('Sensor_0', 'Crystal_0')],
+          }],
+        }],
+      }],
+    };
+    const { volumes } = expandToFlat(json);
+    const byName = Object.fromEntries(volumes.map(v => [v.name, v]));
+
+    expect(byName.Crystal_0._id).toBe('vol-0-pl-0-c-0-sc-0-sc-0');
+    expect(byName.Crystal_0._componentPath).toEqual([0, 0, 0]);
+    expect(byName.Crystal_0).toMatchObject({ _componentIndex: 0, _subComponentIndex: 0 });
+    expect(byName.Sensor_0._componentPath).toEqual([0, 0, 1]);
+    expect(byName.Cell_0._componentPath).toEqual([0, 0]);
+    // Names derive per placement of the top-level assembly at every depth
+    expect(['Crystal_0', 'Cell_0', 'Module_0', 'Detector_0'].map(name => byName[name].mother_volume))
+      .toEqual(['Cell_0', 'Module_0', 'Detector_0', 'World']);
+    expect(['Sensor_1', 'Crystal_1', 'Cell_1', 'Module_1'].map(name => byName[name].mother_volume))
+      .toEqual(['Crystal_1', 'Cell_1', 'Module_1', 'Detector_1']);
+    expect(byName.Sensor_1._id).toBe('vol-0-pl-1-c-0-sc-0-sc-1');
+  });
+
+  it('expands unions inside unions as boolean components of their own union', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'Flange', type: 'union', placements: [{ name: 'Flange', parent: 'World' }],
+        components: [
+          box('plate', '', { boolean_operation: 'union' }),
+          {
+            name: 'bolt', type: 'union', boolean_operation: 'subtract', placements: [{ x: 5, parent: '' }],
+            components: [box('shank', '', { boolean_operation: 'union' }), box('head', '', { boolean_operation: 'union' })],
+          },
+        ],
+      }],
+    };
+    const { volumes } = expandToFlat(json);
+    expect(volumes.map(v => [v.name, v._boolean_parent])).toEqual([
+      ['Flange', undefined], ['plate', 'Flange'], ['bolt', 'Flange'], ['shank', 'bolt'], ['head', 'bolt'],
+    ]);
+    expect(volumes[4]._componentPath).toEqual([1, 1]);
+    expect(volumes[4]._is_boolean_component).toBe(true);
+  });
+
+  it('finds the JSON definition of a flat component at any depth', () => {
+    const volume = { name: 'A', components: [{ name: 'B', components: [{ name: 'C' }, { name: 'D' }] }] };
+    expect(componentAt(volume, componentPath({ _componentPath: [0, 1] })).name).toBe('D');
+    expect(componentAt(volume, componentPath({ _componentIndex: 0, _subComponentIndex: 0 })).name).toBe('C');
+    expect(componentAt(volume, componentPath({}))).toBe(volume);
+  });
 });
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateExpression } from '../expressionEvaluator';
+
+describe('evaluateExpression', () => {
+  it('passes numbers through and parses numeric strings', () => {
+    expect(evaluateExpression(4)).toBe(4);
+    expect(evaluateExpression('2.5e2')).toBe(250);
+    expect(evaluateExpression('.5')).toBe(0.5);
+  });
+
+  it('honours precedence, parentheses and unary minus', () => {
+    expect(evaluateExpression('1 + 2 * 3')).toBe(7);
+    expect(evaluateExpression('(1 + 2) * 3')).toBe(9);
+    expect(evaluateExpression('-2 * -3')).toBe(6);
+    expect(evaluateExpression('10 - 4 - 3')).toBe(3);
+    expect(evaluateExpression('12 / 3 / 2')).toBe(2);
+  });
+
+  it('supports right-associative powers with ^ and **', () => {
+    expect(evaluateExpression('2^3^2')).toBe(512);
+    expect(evaluateExpression('2**3')).toBe(8);
+    expect(evaluateExpression('-2^2')).toBe(-4);
+  });
+
+  it('resolves variables and functions', () => {
+    const vars = { radius: 10, mm: 1, cm: 10 };
+    expect(evaluateExpression('radius - 5*mm', vars)).toBe(5);
+    expect(evaluateExpression('2*cm', vars)).toBe(20);
+    expect(evaluateExpression('sqrt(3^2 + 4^2)')).toBe(5);
+    expect(evaluateExpression('max(1, radius, 3)', vars)).toBe(10);
+  });
+
+  it('throws on unknown identifiers and syntax errors', () => {
+    expect(() => evaluateExpression('foo + 1')).toThrow(/Unknown identifier "foo"/);
+    expect(() => evaluateExpression('bar(1)')).toThrow(/Unknown function/);
+    expect(() => evaluateExpression('1 +')).toThrow();
+    expect(() => evaluateExpression('(1 + 2')).toThrow(/Expected "\)"/);
+    expect(() => evaluateExpression('1 2')).toThrow(/Unexpected/);
+    expect(() => evaluateExpression('1 $ 2')).toThrow(/Unexpected character/);
+    expect(() => evaluateExpression('')).toThrow(/Empty/);
+    expect(() => evaluateExpression('1/0')).toThrow(/finite/);
+  });
+
+  it('does not take inherited object properties for functions', () => {
+    expect(() => evaluateExpression('constructor(1)')).toThrow(/Unknown function "constructor"/);
+    expect(() => evaluateExpression('toString(1)')).toThrow(/Unknown function "toString"/);
+  });
+});
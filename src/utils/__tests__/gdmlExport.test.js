@@ -0,0 +1,320 @@
+import { describe, it, expect } from 'vitest';
+import { exportToGdml } from '../gdmlExport';
+
+// ───────────────────────────────────────────────────
+// Fixtures
+// ───────────────────────────────────────────────────
+
+const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } };
+
+const materials = {
+  G4_WATER: { type: 'nist', density: 1.0, density_unit: 'g/cm3' },
+  LXe: {
+    type: 'element_based', density: 2.862, density_unit: 'g/cm3',
+    state: 'liquid', temperature: 177, composition: { Xe: 1 },
+  },
+  Steel: { type: 'compound', density: 7.99, composition: { Fe: 0.7, Cr: 0.3 } },
+};
+
+const section = (gdml, tag) => {
+  const match = gdml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : '';
+};
+
+// ───────────────────────────────────────────────────
+// Materials
+// ───────────────────────────────────────────────────
+
+describe('exportToGdml materials', () => {
+  it('references NIST materials and defines custom ones', () => {
+    const { gdml } = exportToGdml({ world, volumes: [] }, materials);
+    const mats = section(gdml, 'materials');
+    expect(mats).not.toContain('G4_WATER');
+    expect(mats).toContain('<material name="LXe" state="liquid">');
+    expect(mats).toContain('<T unit="K" value="177"/>');
+    expect(mats).toContain('<composite n="1" ref="Xe"/>');
+  });
+
+  it('writes normalised fractions for compounds', () => {
+    const { gdml } = exportToGdml({ world, volumes: [] }, materials);
+    expect(gdml).toContain('<fraction n="0.7" ref="Fe"/>');
+    expect(gdml).toContain('<fraction n="0.3" ref="Cr"/>');
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Solids
+// ───────────────────────────────────────────────────
+
+describe('exportToGdml solids', () => {
+  const place = [{ name: 'p', x: 0, y: 0, z: 0, parent: 'World' }];
+
+  it('maps each primitive type', () => {
+    const json = {
+      world,
+      volumes: [
+        { name: 'B', type: 'box', material: 'G4_AIR', dimensions: { x: 10, y: 20, z: 30 }, placements: place },
+        { name: 'C', type: 'cylinder', material: 'G4_AIR', dimensions: { radius: 5, height: 10, inner_radius: 2 }, placements: place },
+        { name: 'S', type: 'sphere', material: 'G4_AIR', dimensions: { radius: 4 }, placements: place },
+        { name: 'E', type: 'ellipsoid', material: 'G4_AIR', dimensions: { x_radius: 1, y_radius: 2, z_radius: 3 }, placements: place },
+        { name: 'T', type: 'torus', material: 'G4_AIR', dimensions: { major_radius: 10, minor_radius: 2 }, placements: place },
+        { name: 'Z', type: 'trapezoid', material: 'G4_AIR', dimensions: { dx1: 1, dx2: 2, dy1: 3, dy2: 4, dz: 5 }, placements: place },
+        { name: 'P', type: 'polycone', material: 'G4_AIR', dimensions: { z: [-1, 1], rmin: [0, 0], rmax: [2, 3] }, placements: place },
+        { name: 'H', type: 'polyhedra', material: 'G4_AIR', dimensions: { z: [-1, 1], rmin: [0, 0], rmax: [2, 2], numSides: 8 }, placements: place },
+        { name: 'K', type: 'cone', material: 'G4_AIR', dimensions: { rmin1: 0, rmax1: 2, rmin2: 1, rmax2: 3, height: 8 }, placements: place },
+        { name: 'O', type: 'orb', material: 'G4_AIR', dimensions: { radius: 6 }, placements: place },
+        { name: 'L', type: 'elliptical_tube', material: 'G4_AIR', dimensions: { dx: 1, dy: 2, dz: 3 }, placements: place },
+      ],
+    };
+    const { gdml, warnings } = exportToGdml(json, {});
+    const solids = section(gdml, 'solids');
+    expect(warnings).toEqual([]);
+    expect(solids).toContain('<box name="B_solid" x="10" y="20" z="30" lunit="mm"/>');
+    expect(solids).toMatch(/<tube name="C_solid" rmin="2" rmax="5" z="10"/);
+    expect(solids).toMatch(/<sphere name="S_solid" rmin="0" rmax="4"/);
+    expect(solids).toContain('<ellipsoid name="E_solid" ax="1" by="2" cz="3" lunit="mm"/>');
+    expect(solids).toMatch(/<torus name="T_solid" rmin="0" rmax="2" rtor="10"/);
+    // Half-lengths are doubled for <trd>
+    expect(solids).toContain('<trd name="Z_solid" x1="2" x2="4" y1="6" y2="8" z="10" lunit="mm"/>');
+    expect(solids).toContain('<zplane z="1" rmin="0" rmax="3"/>');
+    expect(solids).toMatch(/<polyhedra name="H_solid"[^>]*numsides="8"/);
+    expect(solids).toMatch(/<cone name="K_solid" rmin1="0" rmax1="2" rmin2="1" rmax2="3" z="8"/);
+    expect(solids).toContain('<orb name="O_solid" r="6" lunit="mm"/>');
+    expect(solids).toContain('<eltube name="L_solid" dx="1" dy="2" dz="3" lunit="mm"/>');
+  });
+
+  it('warns about and skips unsupported types', () => {
+    const json = { world, volumes: [{ name: 'X', type: 'mystery', material: 'G4_AIR', placements: place }] };
+    const { gdml, warnings } = exportToGdml(json, {});
+    expect(warnings[0]).toMatch(/mystery/);
+    expect(gdml).not.toContain('name="X"');
+  });
+
+  it('writes tessellated solids over position defines', () => {
+    const dimensions = {
+      vertices: [[0, 0, 0], [10, 0, 0], [10, 10, 0], [0, 10, 0], [5, 5, 8]],
+      facets: [[0, 3, 2, 1], [0, 1, 4], [1, 2, 4], [2, 3, 4], [3, 0, 4]],
+    };
+    const json = {
+      world,
+      volumes: [
+        { name: 'Pyramid', type: 'tessellated', material: 'G4_AIR', dimensions, placements: place },
+        { name: 'Empty', type: 'tessellated', material: 'G4_AIR', dimensions: { vertices: [], facets: [] }, placements: place },
+      ],
+    };
+    const { gdml, warnings } = exportToGdml(json, {});
+    expect(section(gdml, 'define')).toContain('<position name="Pyramid_solid_v4" unit="mm" x="5" y="5" z="8"/>');
+    const solids = section(gdml, 'solids');
+    expect(solids).toContain('<tessellated name="Pyramid_solid" lunit="mm">');
+    expect(solids).toContain('<quadrangular vertex1="Pyramid_solid_v0" vertex2="Pyramid_solid_v3" vertex3="Pyramid_solid_v2" vertex4="Pyramid_solid_v1" type="ABSOLUTE"/>');
+    expect(solids.match(/<triangular /g)).toHaveLength(4);
+    expect(warnings).toEqual(['Tessellated solid "Empty" has no facets and was skipped']);
+  });
+
+  it('chains boolean components in array order', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'Plate', type: 'union', material: 'G4_AIR',
+        components: [
+          { name: 'base', type: 'box', boolean_operation: 'add', dimensions: { x: 10, y: 10, z: 2 }, placements: [{ x: 0 }] },
+          { name: 'hole', type: 'cylinder', boolean_operation: 'subtract', dimensions: { radius: 1, height: 5 }, placements: [{ x: 3 }] },
+          { name: 'tab', type: 'box', dimensions: { x: 2, y: 2, z: 2 }, placements: [{ x: 6 }] },
+          { name: 'clip', type: 'sphere', boolean_operation: 'intersect', dimensions: { radius: 8 }, placements: [{ x: 0 }] },
+        ],
+        placements: [{ name: 'Plate', parent: 'World' }],
+      }],
+    };
+    const { gdml, warnings } = exportToGdml(json, {});
+    const solids = section(gdml, 'solids');
+    const subAt = solids.indexOf('<subtraction name="Plate_subtraction_1">');
+    const unionAt = solids.indexOf('<union name="Plate_union_2">');
+    const intersectAt = solids.indexOf('<intersection name="Plate_solid">');
+    expect(subAt).toBeGreaterThan(-1);
+    expect(unionAt).toBeGreaterThan(subAt);
+    expect(intersectAt).toBeGreaterThan(unionAt);
+    expect(solids).toContain('<first ref="Plate_base_solid"/>');
+    expect(solids).toContain('<first ref="Plate_union_2"/>');
+    expect(solids).toContain('<position name="Plate_union_2_pos" unit="mm" x="6" y="0" z="0"/>');
+    expect(warnings).toEqual([]);
+  });
+
+  it('skips components before the first additive one with a warning', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'Plate', type: 'union', material: 'G4_AIR',
+        components: [
+          { name: 'hole', type: 'cylinder', boolean_operation: 'subtract', dimensions: { radius: 1, height: 5 }, placements: [{ x: 3 }] },
+          { name: 'base', type: 'box', boolean_operation: 'add', dimensions: { x: 10, y: 10, z: 2 }, placements: [{ x: 0 }] },
+          { name: 'clip', type: 'sphere', boolean_operation: 'intersect', dimensions: { radius: 8 }, placements: [{ x: 0 }] },
+        ],
+        placements: [{ name: 'Plate', parent: 'World' }],
+      }],
+    };
+    const { gdml, warnings } = exportToGdml(json, {});
+    expect(section(gdml, 'solids')).not.toContain('<subtraction');
+    expect(warnings[0]).toMatch(/Plate/);
+  });
+
+  it('adds before subtracting in a union without an intersection', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'Plate', type: 'union', material: 'G4_AIR',
+        components: [
+          { name: 'hole', type: 'cylinder', boolean_operation: 'subtract', dimensions: { radius: 1, height: 5 }, placements: [{ x: 3 }] },
+          { name: 'base', type: 'box', boolean_operation: 'add', dimensions: { x: 10, y: 10, z: 2 }, placements: [{ x: 0 }] },
+          { name: 'tab', type: 'box', dimensions: { x: 2, y: 2, z: 2 }, placements: [{ x: 6 }] },
+        ],
+        placements: [{ name: 'Plate', parent: 'World' }],
+      }],
+    };
+    const { gdml, warnings } = exportToGdml(json, {});
+    const solids = section(gdml, 'solids');
+    expect(solids.indexOf('<union name="Plate_union_1">')).toBeGreaterThan(-1);
+    expect(solids.indexOf('<subtraction name="Plate_solid">')).toBeGreaterThan(solids.indexOf('<union name="Plate_union_1">'));
+    expect(warnings).toEqual([]);
+  });
+
+  it('moves an offset base component into the physvol placement', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'Leg', type: 'union', material: 'G4_AIR',
+        components: [
+          { name: 'outer', type: 'box', boolean_operation: 'add', dimensions: { x: 4, y: 4, z: 4 }, placements: [{ x: 5 }] },
+          { name: 'inner', type: 'box', boolean_operation: 'subtract', dimensions: { x: 2, y: 2, z: 4 }, placements: [{ x: 5 }] },
+        ],
+        placements: [{ name: 'Leg_1', x: 100, parent: 'World' }],
+      }],
+    };
+    const { gdml } = exportToGdml(json, {});
+    // Inner is at the same spot as the base, so no relative offset
+    expect(section(gdml, 'solids')).not.toContain('<position');
+    expect(gdml).toContain('<position name="Leg_1_pos" unit="mm" x="105" y="0" z="0"/>');
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Structure
+// ───────────────────────────────────────────────────
+
+describe('exportToGdml structure', () => {
+  it('writes one physvol per placement into the parent logical volume', () => {
+    const json = {
+      world,
+      volumes: [
+        { name: 'Tank', type: 'box', material: 'G4_WATER', dimensions: { x: 100, y: 100, z: 100 },
+          placements: [{ name: 'Tank', parent: 'World' }] },
+        { name: 'Rod', type: 'cylinder', material: 'G4_AIR', dimensions: { radius: 1, height: 10 },
+          placements: [
+            { name: 'Rod_1', x: 10, parent: 'Tank' },
+            { name: 'Rod_2', x: -10, parent: 'Tank', rotation: { x: 0.5, y: 0, z: 0 } },
+          ] },
+      ],
+    };
+    const { gdml } = exportToGdml(json, materials);
+    const structure = section(gdml, 'structure');
+    // Daughters are defined before their mothers
+    expect(structure.indexOf('<volume name="Rod">')).toBeLessThan(structure.indexOf('<volume name="Tank">'));
+    expect(structure.indexOf('<volume name="Tank">')).toBeLessThan(structure.indexOf('<volume name="World">'));
+    expect(structure.match(/<volumeref ref="Rod"\/>/g)).toHaveLength(2);
+    expect(gdml).toContain('<physvol name="Rod_2" copynumber="1">');
+    // Rotation is the negated editor angle
+    expect(gdml).toContain('<rotation name="Rod_2_rot" unit="rad" x="-0.5" y="0" z="0"/>');
+    expect(gdml).toContain('<world ref="World"/>');
+  });
+
+  it('exports assemblies with nested components and imprints', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'PMT', type: 'assembly',
+        components: [
+          { name: 'Body_0', type: 'cylinder', material: 'G4_AIR', dimensions: { radius: 5, height: 10 }, placements: [{ parent: '' }] },
+          { name: 'Window_0', type: 'box', material: 'G4_AIR', dimensions: { x: 1, y: 1, z: 1 }, placements: [{ z: 2, parent: 'Body_0' }] },
+        ],
+        placements: [{ name: 'PMT_0', z: 50, parent: 'World' }, { name: 'PMT_1', z: -50, parent: 'World' }],
+      }],
+    };
+    const structure = section(exportToGdml(json, {}).gdml, 'structure');
+    const assembly = structure.match(/<assembly name="PMT">([\s\S]*?)<\/assembly>/)[1];
+    expect(assembly).toContain('<volumeref ref="Body_0"/>');
+    expect(assembly).not.toContain('Window_0');
+    expect(structure).toMatch(/<volume name="Body_0">[\s\S]*<volumeref ref="Window_0"\/>[\s\S]*<\/volume>/);
+    expect(structure.match(/<volumeref ref="PMT"\/>/g)).toHaveLength(2);
+  });
+
+  it('exports assemblies inside assemblies', () => {
+    const json = {
+      world,
+      volumes: [{
+        name: 'Detector', type: 'assembly',
+        components: [{
+          name: 'Module_0', type: 'assembly', placements: [{ x: 10, parent: '' }],
+          components: [{ name: 'Cell_0', type: 'box', material: 'G4_AIR', dimensions: { x: 1, y: 1, z: 1 }, placements: [{ parent: '' }] }],
+        }],
+        placements: [{ name: 'Detector_0', parent: 'World' }],
+      }],
+    };
+    const structure = section(exportToGdml(json, {}).gdml, 'structure');
+    expect(structure).toMatch(/<assembly name="Module_0">[\s\S]*<volumeref ref="Cell_0"\/>[\s\S]*<\/assembly>/);
+    expect(structure).toMatch(/<assembly name="Detector">[\s\S]*<volumeref ref="Module_0"\/>[\s\S]*<\/assembly>/);
+    // Inner definitions come first
+    expect(structure.indexOf('<assembly name="Module_0">')).toBeLessThan(structure.indexOf('<assembly name="Detector">'));
+  });
+
+  it('falls back to the world for unknown parents', () => {
+    const json = {
+      world,
+      volumes: [{ name: 'Lost', type: 'box', material: 'G4_AIR', dimensions: { x: 1, y: 1, z: 1 },
+        placements: [{ name: 'Lost', parent: 'Nowhere' }] }],
+    };
+    const { gdml, warnings } = exportToGdml(json, {});
+    expect(warnings[0]).toMatch(/Nowhere/);
+    expect(section(gdml, 'structure')).toMatch(/<volume name="World">[\s\S]*<volumeref ref="Lost"\/>/);
+  });
+
+  it('writes hits collections as SensDet auxiliaries', () => {
+    const json = {
+      world,
+      volumes: [{ name: 'Det', type: 'box', material: 'G4_AIR', hitsCollectionName: 'DetHits',
+        dimensions: { x: 1, y: 1, z: 1 }, placements: [{ name: 'Det', parent: 'World' }] }],
+    };
+    expect(exportToGdml(json, {}).gdml).toContain('<auxiliary auxtype="SensDet" auxvalue="DetHits"/>');
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Parameters
+// ───────────────────────────────────────────────────
+
+describe('exportToGdml parameters', () => {
+  const json = {
+    parameters: { Width: '5*cm', Depth: 'Width^2/100' },
+    world,
+    volumes: [{
+      name: 'Crate', type: 'box', material: 'G4_WATER', dimensions: { x: '2*Width', y: 'Depth', z: 10 },
+      placements: [{ name: 'Crate', x: 'Width', y: 0, z: 0, parent: 'World' }],
+    }],
+  };
+
+  it('defines parameters as variables and keeps dimensions symbolic', () => {
+    const { gdml, warnings } = exportToGdml(json, materials);
+    const define = section(gdml, 'define');
+    expect(warnings).toEqual([]);
+    expect(define).toContain('<variable name="Width" value="5*cm"/>');
+    expect(define).toContain('<variable name="Depth" value="Width^2/100"/>');
+    expect(define.indexOf('"Width"')).toBeLessThan(define.indexOf('"Depth"'));
+    expect(section(gdml, 'solids')).toMatch(/<box name="Crate_solid"[^>]*x="2\*Width" y="Depth" z="10"/);
+    expect(gdml).toMatch(/<position [^>]*x="Width"/);
+  });
+
+  it('warns about expressions that cannot be evaluated', () => {
+    const broken = { ...json, parameters: { Width: 'Missing' } };
+    const { warnings } = exportToGdml(broken, materials);
+    expect(warnings.some(w => w.includes('Width'))).toBe(true);
+  });
+});
+
@@ -0,0 +1,352 @@
+import { describe, it, expect } from 'vitest';
+import { importGdml } from '../gdmlImport';
+import { exportToGdml } from '../gdmlExport';
+import { expandToFlat } from '../expandToFlat';
+
+// ───────────────────────────────────────────────────
+// Fixtures
+// ───────────────────────────────────────────────────
+
+const wrap = ({ define = '', materials = '', solids = '', structure = '' }) => `<?xml version="1.0"?>
+<!-- test document -->
+<gdml>
+  <define>${define}</define>
+  <materials>${materials}</materials>
+  <solids>
+    <box name="WorldBox" x="2" y="2" z="2" lunit="m"/>
+    ${solids}
+  </solids>
+  <structure>
+    ${structure}
+  </structure>
+  <setup name="Default" version="1.0"><world ref="World0x1234"/></setup>
+</gdml>`;
+
+const worldVolume = (physvols) => `
+    <volume name="World0x1234">
+      <materialref ref="G4_AIR"/>
+      <solidref ref="WorldBox"/>
+      ${physvols}
+    </volume>`;
+
+// ───────────────────────────────────────────────────
+// Parsing basics
+// ───────────────────────────────────────────────────
+
+describe('importGdml basics', () => {
+  it('rejects malformed or non-GDML documents', () => {
+    expect(() => importGdml('<gdml><solids></gdml>')).toThrow(/Malformed/);
+    expect(() => importGdml('<foo/>')).toThrow(/Not a GDML document/);
+    expect(() => importGdml('<gdml><setup/></gdml>')).toThrow(/world/);
+  });
+
+  it('imports the world box in mm with pointer suffixes stripped', () => {
+    const { json, report } = importGdml(wrap({ structure: worldVolume('') }));
+    expect(json.world).toMatchObject({
+      name: 'World', g4name: 'World', type: 'box', material: 'G4_AIR',
+      dimensions: { x: 2000, y: 2000, z: 2000 },
+    });
+    expect(json.volumes).toEqual([]);
+    expect(report).toEqual([]);
+  });
+
+  it('evaluates defines with expressions and units', () => {
+    const { json } = importGdml(wrap({
+      define: `
+        <constant name="R" value="5"/>
+        <variable name="H" value="R*2"/>
+        <quantity name="T" value="1" unit="cm"/>
+        <expression name="RR">R + T</expression>
+        <position name="p1" x="1" y="0" z="H" unit="cm"/>
+        <rotation name="r1" x="90" unit="deg"/>`,
+      solids: '<tube name="Tube" rmin="0" rmax="RR" z="H" deltaphi="360" aunit="deg" lunit="mm"/>',
+      structure: `
+        <volume name="TubeLV"><materialref ref="G4_WATER"/><solidref ref="Tube"/></volume>
+        ${worldVolume('<physvol name="TubePV"><volumeref ref="TubeLV"/><positionref ref="p1"/><rotationref ref="r1"/></physvol>')}`,
+    }));
+    const tube = json.volumes[0];
+    expect(tube).toMatchObject({ name: 'TubeLV', type: 'cylinder', material: 'G4_WATER' });
+    expect(tube.dimensions).toEqual({ radius: 15, height: 10 });
+    expect(tube.placements[0]).toMatchObject({ name: 'TubePV', x: 10, y: 0, z: 100, parent: 'World' });
+    // GDML rotations are negated into the editor convention
+    expect(tube.placements[0].rotation.x).toBeCloseTo(-Math.PI / 2);
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Materials
+// ───────────────────────────────────────────────────
+
+describe('importGdml materials', () => {
+  it('maps composite, fraction and single-element materials', () => {
+    const { json } = importGdml(wrap({
+      materials: `
+        <element name="Xenon" formula="Xe" Z="54"><atom value="131.29"/></element>
+        <material name="LXe" state="liquid"><T value="177"/><D value="2.862"/><composite n="1" ref="Xenon"/></material>
+        <material name="Steel"><D value="7990" unit="kg/m3"/><fraction n="0.7" ref="Fe"/><fraction n="0.3" ref="Cr"/></material>
+        <material name="Mix"><D value="1"/><fraction n="0.5" ref="Steel"/><fraction n="0.5" ref="G4_WATER"/></material>
+        <material name="Al" Z="13"><D value="2.7"/><atom value="26.98"/></material>`,
+      structure: worldVolume(''),
+    }));
+    expect(json.materials.LXe).toMatchObject({
+      type: 'element_based', density: 2.862, state: 'liquid', temperature: 177, composition: { Xe: 1 },
+    });
+    expect(json.materials.Steel.density).toBeCloseTo(7.99);
+    expect(json.materials.Steel.composition).toEqual({ Fe: 0.7, Cr: 0.3 });
+    expect(json.materials.Mix).toMatchObject({ type: 'compound', composition: { Steel: 0.5, G4_WATER: 0.5 } });
+    expect(json.materials.Al.composition).toEqual({ Al: 1 });
+  });
+
+  it('reports undefined non-NIST materials', () => {
+    const { report } = importGdml(wrap({
+      solids: '<box name="B" x="1" y="1" z="1"/>',
+      structure: `
+        <volume name="BL"><materialref ref="Unobtainium"/><solidref ref="B"/></volume>
+        ${worldVolume('<physvol><volumeref ref="BL"/></physvol>')}`,
+    }));
+    expect(report.some(r => r.message.includes('Unobtainium'))).toBe(true);
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Solids
+// ───────────────────────────────────────────────────
+
+describe('importGdml solids', () => {
+  const place = (solid) => wrap({
+    solids: solid,
+    structure: `
+      <volume name="LV"><materialref ref="G4_AIR"/><solidref ref="S"/></volume>
+      ${worldVolume('<physvol name="PV"><volumeref ref="LV"/></physvol>')}`,
+  });
+
+  it.each([
+    ['<trd name="S" x1="2" x2="4" y1="6" y2="8" z="10"/>', 'trapezoid', { dx1: 1, dx2: 2, dy1: 3, dy2: 4, dz: 5 }],
+    ['<orb name="S" r="3"/>', 'orb', { radius: 3 }],
+    ['<eltube name="S" dx="1" dy="2" dz="3"/>', 'elliptical_tube', { dx: 1, dy: 2, dz: 3 }],
+    ['<torus name="S" rmin="0" rmax="1" rtor="5" deltaphi="6.283185307179586"/>', 'torus', { major_radius: 5, minor_radius: 1 }],
+    ['<ellipsoid name="S" ax="1" by="2" cz="3" zcut2="2"/>', 'ellipsoid', { x_radius: 1, y_radius: 2, z_radius: 3, zcut2: 2 }],
+    ['<cone name="S" rmin1="0" rmax1="2" rmin2="0" rmax2="4" z="10" deltaphi="360" aunit="deg"/>', 'cone', { rmin1: 0, rmax1: 2, rmin2: 0, rmax2: 4, height: 10 }],
+    ['<polyhedra name="S" numsides="6" deltaphi="360" aunit="deg"><zplane z="-1" rmin="0" rmax="2"/><zplane z="1" rmin="0" rmax="2"/></polyhedra>',
+      'polyhedra', { z: [-1, 1], rmin: [0, 0], rmax: [2, 2], numSides: 6 }],
+  ])('maps %s', (xml, type, dimensions) => {
+    const { json } = importGdml(place(xml));
+    expect(json.volumes[0].type).toBe(type);
+    expect(json.volumes[0].dimensions).toEqual(dimensions);
+  });
+
+  it('keeps phi and theta segments', () => {
+    const { json, report } = importGdml(place('<tube name="S" rmax="5" z="10" startphi="0" deltaphi="180" aunit="deg"/>'));
+    expect(json.volumes[0].dimensions.deltaPhi).toBeCloseTo(Math.PI);
+    expect(report).toEqual([]);
+    const sphere = importGdml(place('<sphere name="S" rmin="1" rmax="5" deltaphi="90" starttheta="0" deltatheta="90" aunit="deg"/>'));
+    expect(sphere.json.volumes[0].dimensions).toMatchObject({
+      inner_radius: 1, startPhi: 0, deltaPhi: expect.closeTo(Math.PI / 2), deltaTheta: expect.closeTo(Math.PI / 2),
+    });
+  });
+
+  it('maps tessellated solids to shared vertices and facets', () => {
+    const { json, report } = importGdml(wrap({
+      define: `
+        <position name="v0" x="0" y="0" z="0"/>
+        <position name="v1" x="1" y="0" z="0" unit="cm"/>
+        <position name="v2" x="0" y="10" z="0"/>
+        <position name="up" x="0" y="0" z="10"/>`,
+      solids: `
+        <tessellated name="S">
+          <triangular vertex1="v0" vertex2="v2" vertex3="v1"/>
+          <triangular vertex1="v0" vertex2="v1" vertex3="up"/>
+          <triangular vertex1="v0" vertex2="up" vertex3="v2"/>
+          <triangular vertex1="v1" vertex2="v2" vertex3="up" type="RELATIVE"/>
+          <triangular vertex1="v0" vertex2="v1" vertex3="nowhere"/>
+        </tessellated>`,
+      structure: `
+        <volume name="LV"><materialref ref="G4_AIR"/><solidref ref="S"/></volume>
+        ${worldVolume('<physvol name="PV"><volumeref ref="LV"/></physvol>')}`,
+    }));
+    expect(json.volumes[0].type).toBe('tessellated');
+    // The relative facet ends at v1 + v2 and v1 + up
+    expect(json.volumes[0].dimensions).toEqual({
+      vertices: [[0, 0, 0], [0, 10, 0], [10, 0, 0], [0, 0, 10], [10, 10, 0], [10, 0, 10]],
+      facets: [[0, 1, 2], [0, 2, 3], [0, 3, 1], [2, 4, 5]],
+    });
+    expect(report).toEqual([expect.objectContaining({ construct: 'triangular', name: 'S', message: expect.stringContaining('nowhere') })]);
+  });
+
+  it('reports unsupported solid types', () => {
+    const { json, report } = importGdml(place('<hype name="S" rmin="1" rmax="2" inst="0" outst="0" z="3"/>'));
+    expect(json.volumes).toEqual([]);
+    expect(report[0]).toMatchObject({ construct: 'hype', name: 'S' });
+  });
+
+  it('flattens boolean trees into union components, adds before subtracts', () => {
+    const { json, report } = importGdml(place(`
+      <box name="Plate" x="10" y="10" z="2"/>
+      <tube name="Hole" rmax="1" z="4" deltaphi="6.283185307179586"/>
+      <box name="Tab" x="2" y="2" z="2"/>
+      <union name="U"><first ref="Plate"/><second ref="Tab"/><position name="up" x="6"/></union>
+      <subtraction name="S"><first ref="U"/><second ref="Hole"/><position name="hp" x="3"/><rotation name="hr" z="90" unit="deg"/></subtraction>`));
+    const vol = json.volumes[0];
+    expect(vol.type).toBe('union');
+    expect(vol.components.map(c => [c.name, c.boolean_operation])).toEqual([
+      ['Plate', 'add'], ['Tab', 'add'], ['Hole', 'subtract'],
+    ]);
+    expect(vol.components[1].placements[0].x).toBe(6);
+    expect(vol.components[2].placements[0].rotation.z).toBeCloseTo(-Math.PI / 2);
+    expect(report).toEqual([]);
+  });
+
+  it('maps intersections to intersect components in tree order', () => {
+    const { json, report } = importGdml(place(`
+      <box name="A" x="1" y="1" z="1"/><box name="B" x="2" y="2" z="2"/><box name="C" x="3" y="3" z="3"/>
+      <subtraction name="AC"><first ref="A"/><second ref="C"/></subtraction>
+      <intersection name="S"><first ref="AC"/><second ref="B"/><position name="bp" z="1"/></intersection>`));
+    const vol = json.volumes[0];
+    expect(vol.components.map(c => [c.name, c.boolean_operation])).toEqual([
+      ['A', 'add'], ['C', 'subtract'], ['B', 'intersect'],
+    ]);
+    expect(vol.components[2].placements[0].z).toBe(1);
+    expect(report).toEqual([]);
+  });
+
+  it('reports a union after a subtraction, which the editor applies first', () => {
+    const { json, report } = importGdml(place(`
+      <box name="A" x="10" y="10" z="10"/><box name="B" x="4" y="4" z="4"/><box name="C" x="2" y="2" z="2"/>
+      <subtraction name="AB"><first ref="A"/><second ref="B"/></subtraction>
+      <union name="S"><first ref="AB"/><second ref="C"/></union>`));
+    expect(json.volumes[0].components.map(c => c.boolean_operation)).toEqual(['add', 'subtract', 'add']);
+    expect(report).toHaveLength(1);
+    expect(report[0]).toMatchObject({ construct: 'union', name: 'S' });
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Structure
+// ───────────────────────────────────────────────────
+
+describe('importGdml structure', () => {
+  const solids = `
+    <box name="TankBox" x="100" y="100" z="100"/>
+    <box name="CellBox" x="10" y="10" z="10"/>
+    <box name="DetBox" x="1" y="1" z="1"/>`;
+
+  it('expands daughters once per mother copy with unique names', () => {
+    const { json, report } = importGdml(wrap({
+      solids,
+      structure: `
+        <volume name="Det"><materialref ref="G4_AIR"/><solidref ref="DetBox"/>
+          <auxiliary auxtype="SensDet" auxvalue="DetHits"/></volume>
+        <volume name="Cell"><materialref ref="G4_AIR"/><solidref ref="CellBox"/>
+          <physvol name="DetPV"><volumeref ref="Det"/></physvol></volume>
+        <volume name="Tank"><materialref ref="G4_WATER"/><solidref ref="TankBox"/>
+          <physvol name="Cell_a"><volumeref ref="Cell"/><position name="a" x="-20"/></physvol>
+          <physvol name="Cell_b"><volumeref ref="Cell"/><position name="b" x="20"/></physvol></volume>
+        ${worldVolume('<physvol name="TankPV"><volumeref ref="Tank"/></physvol>')}`,
+    }));
+    const byName = Object.fromEntries(json.volumes.map(v => [v.name, v]));
+    expect(byName.Cell.placements.map(p => [p.name, p.parent])).toEqual([['Cell_a', 'TankPV'], ['Cell_b', 'TankPV']]);
+    expect(byName.Det.placements.map(p => [p.name, p.parent])).toEqual([['DetPV', 'Cell_a'], ['DetPV_1', 'Cell_b']]);
+    expect(byName.Det.hitsCollectionName).toBe('DetHits');
+    expect(report.some(r => r.name === 'Cell' && /expanded/.test(r.message))).toBe(true);
+
+    const flat = expandToFlat(json);
+    expect(flat.volumes).toHaveLength(5);
+  });
+
+  it('imports assemblies as components with nested parents', () => {
+    const { json } = importGdml(wrap({
+      solids,
+      structure: `
+        <volume name="Det"><materialref ref="G4_AIR"/><solidref ref="DetBox"/></volume>
+        <volume name="Cell"><materialref ref="G4_AIR"/><solidref ref="CellBox"/>
+          <physvol name="DetPV"><volumeref ref="Det"/><position name="dp" z="2"/></physvol></volume>
+        <assembly name="Inner"><physvol name="CellIn"><volumeref ref="Cell"/><position name="ip" x="5"/></physvol></assembly>
+        <assembly name="Module">
+          <physvol name="CellPV"><volumeref ref="Cell"/></physvol>
+          <physvol name="InnerPV"><volumeref ref="Inner"/><position name="np" y="30"/></physvol>
+        </assembly>
+        ${worldVolume(`
+          <physvol name="Mod_0"><volumeref ref="Module"/><position name="m0" z="-50"/></physvol>
+          <physvol name="Mod_1"><volumeref ref="Module"/><position name="m1" z="50"/></physvol>`)}`,
+    }));
+    expect(json.volumes).toHaveLength(1);
+    const mod = json.volumes[0];
+    expect(mod.type).toBe('assembly');
+    expect(mod.placements.map(p => p.z)).toEqual([-50, 50]);
+    expect(mod.components.map(c => [c.name, c.placements[0].parent])).toEqual([
+      ['CellPV', ''], ['DetPV', 'CellPV'], ['CellIn', ''], ['DetPV_1', 'CellIn'],
+    ]);
+    // Nested assembly transforms are composed into the outer one
+    expect(mod.components[2].placements[0]).toMatchObject({ x: 5, y: 30, z: 0 });
+  });
+
+  it('reports replicas and unplaced volumes', () => {
+    const { report } = importGdml(wrap({
+      solids,
+      structure: `
+        <volume name="Orphan"><materialref ref="G4_AIR"/><solidref ref="DetBox"/></volume>
+        <volume name="Tank"><materialref ref="G4_AIR"/><solidref ref="TankBox"/>
+          <replicavol number="4"><volumeref ref="Orphan"/></replicavol></volume>
+        ${worldVolume('<physvol><volumeref ref="Tank"/></physvol>')}
+        <skinsurface name="skin" surfaceproperty="opt"><volumeref ref="Tank"/></skinsurface>`,
+    }));
+    const constructs = report.map(r => r.construct);
+    expect(constructs).toContain('replicavol');
+    expect(constructs).toContain('skinsurface');
+    expect(report.find(r => r.name === 'Orphan').message).toMatch(/Not placed/);
+  });
+});
+
+// ───────────────────────────────────────────────────
+// Round trip with the exporter
+// ───────────────────────────────────────────────────
+
+describe('importGdml round trip', () => {
+  it('re-imports an exported project', () => {
+    const json = {
+      world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } },
+      volumes: [
+        { name: 'Tank', type: 'cylinder', material: 'LXe', dimensions: { radius: 500, height: 800 },
+          placements: [{ name: 'Tank', x: 0, y: 0, z: 10, rotation: { x: 0.3, y: 0.2, z: 0.1 }, parent: 'World' }] },
+        { name: 'Leg', type: 'union', material: 'G4_Cu', components: [
+          { name: 'outer', type: 'box', boolean_operation: 'add', dimensions: { x: 10, y: 10, z: 100 }, placements: [{ x: 0, y: 0, z: 0 }] },
+          { name: 'inner', type: 'box', boolean_operation: 'subtract', dimensions: { x: 8, y: 8, z: 100 }, placements: [{ x: 1, y: 0, z: 0 }] },
+        ], placements: [{ name: 'Leg_1', x: 100, y: 0, z: 0, parent: 'Tank' }] },
+      ],
+    };
+    const materials = { LXe: { type: 'element_based', density: 2.862, density_unit: 'g/cm3', composition: { Xe: 1 } } };
+    const { gdml } = exportToGdml(json, materials);
+    const { json: back, report } = importGdml(gdml);
+
+    expect(report).toEqual([]);
+    expect(back.materials.LXe.composition).toEqual({ Xe: 1 });
+    const tank = back.volumes.find(v => v.name === 'Tank');
+    expect(tank.dimensions).toEqual({ radius: 500, height: 800 });
+    expect(tank.placements[0].z).toBe(10);
+    expect(tank.placements[0].rotation.x).toBeCloseTo(0.3);
+    expect(tank.placements[0].rotation.y).toBeCloseTo(0.2);
+    expect(tank.placements[0].rotation.z).toBeCloseTo(0.1);
+    const leg = back.volumes.find(v => v.name === 'Leg');
+    expect(leg.components.map(c => c.boolean_operation)).toEqual(['add', 'subtract']);
+    expect(leg.placements[0]).toMatchObject({ name: 'Leg_1', x: 100, parent: 'Tank' });
+  });
+
+  it('keeps placement copy numbers', () => {
+    const json = {
+      world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } },
+      volumes: [
+        { name: 'Bar', type: 'box', material: 'G4_AIR', dimensions: { x: 10, y: 10, z: 10 }, placements: [
+          { name: 'Bar_a', x: -50, y: 0, z: 0, parent: 'World', copynumber: 7 },
+          { name: 'Bar_b', x: 50, y: 0, z: 0, parent: 'World' },
+        ] },
+      ],
+    };
+    const { json: back, report } = importGdml(exportToGdml(json, {}).gdml);
+    expect(report).toEqual([]);
+    // The second placement had none; the exporter wrote its index
+    expect(back.volumes[0].placements.map(p => [p.name, p.copynumber])).toEqual([['Bar_a', 7], ['Bar_b', 1]]);
+
+    const { report: badReport } = importGdml(exportToGdml(json, {}).gdml.replace('copynumber="7"', 'copynumber="seven"'));
+    expect(badReport).toEqual([expect.objectContaining({ construct: 'physvol', message: expect.stringContaining('"seven"') })]);
+  });
+});
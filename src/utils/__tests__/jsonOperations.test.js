@@ -6,6 +6,11 @@ import {
   applyUpdateToJson,
   applyRemoveFromJson,
   applyDuplicateVolumeToJson,
+  applyAddPlacementToJson,
+  applyReparentToJson,
+  getReparentError,
+  applyBulkUpdateToJson,
+  nextPlacementNumber,
 } from '../jsonOperations';
 import { expandToFlat } from '../expandToFlat';
 
@@ -614,6 +619,93 @@ describe('applyUpdateToJson — boolean component movement', () => {
   });
 });
 
+describe('applyUpdateToJson — dimensions of the newer solid types', () => {
+  it('writes flat cone, elliptical tube and polyhedra fields back as JSON dimensions', () => {
+    const place = [{ name: 'P', x: 0, y: 0, z: 0, parent: 'World' }];
+    const scene = {
+      world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } },
+      volumes: [
+        { name: 'Cone', type: 'cone', dimensions: { rmin1: 0, rmax1: 5, rmin2: 0, rmax2: 3, height: 10 }, placements: place },
+        { name: 'Tube', type: 'elliptical_tube', dimensions: { dx: 4, dy: 2, dz: 6 }, placements: place },
+        { name: 'Hex', type: 'polyhedra', dimensions: { z: [0, 10], rmin: [0, 0], rmax: [5, 5], numSides: 6 }, placements: place },
+      ],
+    };
+    const flat = expandToFlat(scene).volumes;
+
+    let result = applyUpdateToJson(scene, flat, 0, { ...flat[0], innerRadiusTop: 1, radiusTop: 4 });
+    expect(result.volumes[0].dimensions).toEqual({ rmin1: 0, rmax1: 5, rmin2: 1, rmax2: 4, height: 10 });
+    result = applyUpdateToJson(scene, flat, 1, { ...flat[1], dy: 3 });
+    expect(result.volumes[1].dimensions).toEqual({ dx: 4, dy: 3, dz: 6 });
+    result = applyUpdateToJson(scene, flat, 2, { ...flat[2], numSides: 8 });
+    expect(result.volumes[2].dimensions.numSides).toBe(8);
+  });
+
+  it('writes phi and theta segments back as JSON dimensions', () => {
+    const place = [{ name: 'P', x: 0, y: 0, z: 0, parent: 'World' }];
+    const scene = {
+      world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } },
+      volumes: [
+        { name: 'Tube', type: 'cylinder', dimensions: { radius: 5, height: 10 }, placements: place },
+        { name: 'Shell', type: 'sphere', dimensions: { radius: 5 }, placements: place },
+      ],
+    };
+    const flat = expandToFlat(scene).volumes;
+
+    let result = applyUpdateToJson(scene, flat, 0, { ...flat[0], startPhi: 0.5, deltaPhi: Math.PI });
+    expect(result.volumes[0].dimensions).toEqual({ radius: 5, height: 10, startPhi: 0.5, deltaPhi: Math.PI });
+    result = applyUpdateToJson(scene, flat, 1, { ...flat[1], innerRadius: 4, deltaTheta: 1 });
+    expect(result.volumes[1].dimensions).toEqual({ radius: 5, inner_radius: 4, deltaTheta: 1 });
+  });
+
+  it('stores the vertices and facets of an added tessellated solid as its dimensions', () => {
+    const scene = {
+      world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } },
+      volumes: [],
+    };
+    const vertices = [[0, 0, 0], [10, 0, 0], [0, 10, 0], [0, 0, 10]];
+    const facets = [[0, 2, 1], [0, 1, 3], [0, 3, 2], [1, 2, 3]];
+    const result = applyAddToJson(scene, {
+      name: 'Bracket', type: 'tessellated', material: 'G4_Al', mother_volume: 'World',
+      position: { x: 0, y: 0, z: 5 }, rotation: { x: 0, y: 0, z: 0 }, vertices, facets,
+    });
+    expect(result.volumes[0]).toMatchObject({ type: 'tessellated', dimensions: { vertices, facets } });
+    const [flat] = expandToFlat(result).volumes;
+    expect(flat).toMatchObject({ vertices, facets, position: { z: 5 } });
+  });
+});
+
+describe('applyUpdateToJson — parameter expressions', () => {
+  const scene = {
+    parameters: { Width: 50, Lift: 20 },
+    world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } },
+    volumes: [{
+      name: 'Crate', type: 'box', material: 'M', dimensions: { x: 'Width', y: 10, z: 10 },
+      placements: [{ name: 'Crate', x: 0, y: 0, z: 'Lift', parent: 'World' }],
+    }],
+  };
+
+  it('keeps expressions the edit did not touch', () => {
+    const flat = expandToFlat(scene).volumes;
+    const result = applyUpdateToJson(scene, flat, 0, { ...flat[0], size: { ...flat[0].size, y: 30 } });
+    expect(result.volumes[0].dimensions).toEqual({ x: 'Width', y: 30, z: 10 });
+    expect(result.volumes[0].placements[0].z).toBe('Lift');
+  });
+
+  it('writes a new expression and lets a changed number replace an old one', () => {
+    const flat = expandToFlat(scene).volumes;
+    let result = applyUpdateToJson(scene, flat, 0, {
+      ...flat[0], size: { ...flat[0].size, y: 100 },
+      _expressions: { ...flat[0]._expressions, 'size.y': '2*Width' },
+    });
+    expect(result.volumes[0].dimensions.y).toBe('2*Width');
+
+    // A gizmo drag moves the volume without touching its expressions
+    result = applyUpdateToJson(scene, flat, 0, { ...flat[0], position: { ...flat[0].position, z: 35 } });
+    expect(result.volumes[0].placements[0].z).toBe(35);
+    expect(result.volumes[0].dimensions.x).toBe('Width');
+  });
+});
+
 describe('add-to-assembly + expandToFlat propagation', () => {
   it('adding a component to one instance expands to ALL placements', () => {
     // Assembly with 3 placements and 1 existing component
@@ -831,6 +923,43 @@ describe('applyUpdateToJson – component stays in assembly', () => {
   });
 });
 
+describe('applyAddPlacementToJson', () => {
+  const scene = {
+    world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } },
+    volumes: [
+      { name: 'Tank', type: 'cylinder', material: 'G4_WATER', dimensions: { radius: 800, height: 1000 },
+        placements: [{ name: 'Tank', x: 0, y: 0, z: 0, parent: 'World' }] },
+      { name: 'PMT', type: 'sphere', material: 'G4_Galactic', dimensions: { radius: 40 },
+        placements: [
+          { name: 'PMT_000', x: 0, y: 0, z: 0, parent: 'Tank' },
+          { name: 'PMT_004', x: 100, y: 0, z: 0, parent: 'Tank' },
+        ] },
+    ],
+  };
+
+  it('numbers placements after the highest _NNN suffix', () => {
+    expect(nextPlacementNumber(scene.volumes[1])).toBe(5);
+    expect(nextPlacementNumber(scene.volumes[0])).toBe(1);
+    const flat = expandToFlat(scene).volumes;
+    const result = applyAddPlacementToJson(scene, flat, 1);
+    expect(result.volumes[1].placements[2]).toMatchObject({ name: 'PMT_005', x: 50, parent: 'Tank' });
+  });
+
+  it('appends a list of pattern placements in the clicked placement\'s parent', () => {
+    const flat = expandToFlat(scene).volumes;
+    const result = applyAddPlacementToJson(scene, flat, 1, [
+      { name: 'PMT_010', x: 1, y: 2, z: 3, copynumber: 10 },
+      { name: 'PMT_011', x: 4, y: 5, z: 6, rotation: { x: 0, y: 0, z: 1 }, copynumber: 11, parent: 'World' },
+    ]);
+    const added = result.volumes[1].placements.slice(2);
+    expect(added).toEqual([
+      { name: 'PMT_010', g4name: 'PMT_010', x: 1, y: 2, z: 3, rotation: { x: 0, y: 0, z: 0 }, copynumber: 10, parent: 'Tank' },
+      { name: 'PMT_011', g4name: 'PMT_011', x: 4, y: 5, z: 6, rotation: { x: 0, y: 0, z: 1 }, copynumber: 11, parent: 'World' },
+    ]);
+    expect(scene.volumes[1].placements).toHaveLength(2);
+  });
+});
+
 describe('applyDuplicateVolumeToJson', () => {
   const makeScene = () => ({
     world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } },
@@ -944,3 +1073,316 @@ describe('applyDuplicateVolumeToJson', () => {
     expect(dup.placements[0].name).toBe('myAssembly_copy_000');
   });
 });
+
+describe('applyReparentToJson', () => {
+  const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } };
+  const box = (name, parent, x = 0) => ({
+    name, type: 'box', material: 'LXe', dimensions: { x: 10, y: 10, z: 10 },
+    placements: [{ name: `${name}_000`, x, y: 0, z: 0, rotation: { x: 0, y: 0, z: 0 }, parent }],
+  });
+  const makeScene = () => ({
+    world,
+    volumes: [
+      box('Tank', 'World'),
+      box('Pipe', 'World', 300),
+      box('Cap', 'Pipe_000', 5),
+      {
+        name: 'PMT',
+        type: 'assembly',
+        placements: [
+          { name: 'PMT_000', x: 0, y: 0, z: 100, parent: 'World' },
+          { name: 'PMT_001', x: 0, y: 0, z: 200, parent: 'World' },
+        ],
+        components: [
+          { ...box('Body', ''), placements: [{ x: 0, y: 0, z: 0, parent: '' }] },
+          { ...box('Window', ''), placements: [{ x: 0, y: 0, z: 8, parent: 'Body' }] },
+        ],
+      },
+    ],
+  });
+  const indexOf = (flat, name) => flat.volumes.findIndex(v => v.name === name);
+
+  it('moves a top-level placement under another volume', () => {
+    const scene = makeScene();
+    const flat = expandToFlat(scene);
+    const json = applyReparentToJson(scene, flat.volumes, indexOf(flat, 'Pipe_000'), indexOf(flat, 'Tank_000'));
+    expect(json.volumes[1].placements[0].parent).toBe('Tank_000');
+    expect(json.volumes[1].placements[0].x).toBe(300);
+    expect(scene.volumes[1].placements[0].parent).toBe('World');
+  });
+
+  it('applies a new local pose', () => {
+    const scene = makeScene();
+    const flat = expandToFlat(scene);
+    const pose = { position: { x: 1, y: 2, z: 3 }, rotation: { x: 0, y: 0, z: 0.5 } };
+    const json = applyReparentToJson(scene, flat.volumes, indexOf(flat, 'Cap_000'), null, pose);
+    expect(json.volumes[2].placements[0]).toMatchObject({ x: 1, y: 2, z: 3, rotation: { x: 0, y: 0, z: 0.5 }, parent: 'World' });
+  });
+
+  it('moves a volume and its daughters into an assembly', () => {
+    const scene = makeScene();
+    const flat = expandToFlat(scene);
+    const json = applyReparentToJson(scene, flat.volumes, indexOf(flat, 'Pipe_000'), indexOf(flat, 'PMT_001'));
+
+    expect(json.volumes.map(v => v.name)).toEqual(['Tank', 'PMT']);
+    const components = json.volumes[1].components;
+    expect(components.map(c => [c.name, c.placements[0].parent])).toEqual([
+      ['Body', ''], ['Window', 'Body'], ['Pipe', ''], ['Cap', 'Pipe'],
+    ]);
+
+    // One copy per assembly instance
+    const moved = expandToFlat(json).volumes.filter(v => v.type === 'box' && v._componentIndex === 3);
+    expect(moved.map(v => v.mother_volume)).toEqual(['Pipe', 'Pipe_1']);
+  });
+
+  it('moves a part within its assembly but not under its own nested parts', () => {
+    const scene = makeScene();
+    const flat = expandToFlat(scene);
+    const json = applyReparentToJson(scene, flat.volumes, indexOf(flat, 'Body'), indexOf(flat, 'Window'));
+    expect(json).toEqual(scene);
+
+    const window = applyReparentToJson(scene, flat.volumes, indexOf(flat, 'Window'), indexOf(flat, 'PMT_000'));
+    expect(window.volumes[3].components[1].placements[0].parent).toBe('');
+  });
+
+  it('moves a part and its nested parts out of an assembly', () => {
+    const scene = makeScene();
+    const flat = expandToFlat(scene);
+    const json = applyReparentToJson(scene, flat.volumes, indexOf(flat, 'Body'), indexOf(flat, 'Tank_000'));
+
+    expect(json.volumes[3].components).toEqual([]);
+    expect(json.volumes.slice(4).map(v => [v.name, v.placements[0].parent])).toEqual([
+      ['Body', 'Tank_000'], ['Window', 'Body'],
+    ]);
+    expect(expandToFlat(json).volumes.find(v => v.name === 'Window').mother_volume).toBe('Body');
+  });
+
+  it('refuses cycles, boolean solids and shared definitions', () => {
+    const scene = makeScene();
+    scene.volumes[0].placements.push({ name: 'Tank_001', x: 500, y: 0, z: 0, parent: 'World' });
+    scene.volumes.push({
+      name: 'U', type: 'union',
+      placements: [{ name: 'U_000', x: 0, y: 0, z: 0, parent: 'World' }],
+      components: [{ ...box('U_a', ''), boolean_operation: 'add' }],
+    });
+    const flat = expandToFlat(scene);
+    const error = (name, parent) => getReparentError(scene, flat.volumes, indexOf(flat, name), parent && indexOf(flat, parent));
+
+    expect(error('Pipe_000', 'Cap_000')).toBe('Cannot move Pipe_000 into itself');
+    expect(error('Tank_000', 'Tank_001')).toBe('Cannot move Tank_000 into itself');
+    expect(error('PMT_000', 'Window_1')).toBe('Cannot move PMT_000 into itself');
+    expect(error('Body', 'Body_1')).toBe('Cannot move Body into itself');
+    expect(error('Pipe_000', 'U_000')).toBe('Volumes cannot be placed inside the boolean solid U_000');
+    expect(error('U_a', null)).toBe('U_a is a part of a boolean solid');
+    expect(error('Tank_000', 'Body')).toMatch(/has 2 placements/);
+    expect(error('Cap_000', 'PMT_000')).toBeNull();
+    expect(error('Body', 'Tank_001')).toBeNull();
+
+    const flatJson = applyReparentToJson(scene, flat.volumes, indexOf(flat, 'Pipe_000'), indexOf(flat, 'Cap_000'));
+    expect(flatJson).toEqual(scene);
+  });
+
+  it('refuses a move that would clash with an existing name', () => {
+    const scene = makeScene();
+    scene.volumes.push(box('Window', 'World', 700));
+    const flat = expandToFlat(scene);
+    expect(getReparentError(scene, flat.volumes, indexOf(flat, 'Body'), null))
+      .toBe('The world already has a volume named Window');
+  });
+});
+
+describe('applyBulkUpdateToJson', () => {
+  const scene = () => ({
+    world: { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } },
+    volumes: [
+      {
+        name: 'Bar', type: 'box', material: 'LXe', hitsCollectionName: 'Old', isActive: true,
+        placements: [{ name: 'Bar_000', parent: 'World' }, { name: 'Bar_001', parent: 'World' }],
+      },
+      {
+        name: 'PMT', type: 'assembly', _displayGroup: 'Optics',
+        placements: [{ name: 'PMT_000', parent: 'World' }],
+        components: [{ name: 'Body', type: 'box', material: 'G4_Al', placements: [{ parent: '' }] }],
+      },
+      {
+        name: 'Shell', type: 'union', material: 'G4_Fe',
+        placements: [{ name: 'Shell_000', parent: 'World' }],
+        components: [{ name: 'Part', type: 'box', boolean_operation: 'union', placements: [{ parent: '' }] }],
+      },
+    ],
+  });
+  // flat volumes as expandToFlat would produce
+  const flatVolumes = [
+    { name: 'Bar_000', _volumeIndex: 0, _placementIndex: 0 },
+    { name: 'Bar_001', _volumeIndex: 0, _placementIndex: 1 },
+    { name: 'PMT_000', _volumeIndex: 1, _placementIndex: 0 },
+    { name: 'Body', _volumeIndex: 1, _placementIndex: 0, _componentIndex: 0 },
+    { name: 'Shell_000', _volumeIndex: 2, _placementIndex: 0 },
+    { name: 'Part', _volumeIndex: 2, _placementIndex: 0, _componentIndex: 0, _is_boolean_component: true },
+  ];
+
+  it('sets the material on each volume definition in one update', () => {
+    const json = applyBulkUpdateToJson(scene(), flatVolumes, [0, 3, 4], { material: 'G4_Pb' });
+    expect(json.volumes[0].material).toBe('G4_Pb');
+    expect(json.volumes[1].components[0].material).toBe('G4_Pb');
+    expect(json.volumes[2].material).toBe('G4_Pb');
+  });
+
+  it('hides top-level placements one by one and components on their definition', () => {
+    const json = applyBulkUpdateToJson(scene(), flatVolumes, [1, 3, 5], { visible: false });
+    expect(json.volumes[0].placements.map(p => p.visible)).toEqual([undefined, false]);
+    expect(json.volumes[1].components[0].visible).toBe(false);
+    expect(json.volumes[2].components[0].visible).toBe(false);
+  });
+
+  it('leaves the material and hits collection of boolean parts to their union', () => {
+    const json = applyBulkUpdateToJson(scene(), flatVolumes, [5], { material: 'G4_Pb', hitsCollectionName: 'Hits' });
+    expect(json.volumes[2].components[0]).not.toHaveProperty('material');
+    expect(json.volumes[2].components[0]).not.toHaveProperty('hitsCollectionName');
+  });
+
+  it('activates, deactivates and regroups volumes', () => {
+    let json = applyBulkUpdateToJson(scene(), flatVolumes, [2, 4], { hitsCollectionName: 'Hits', _displayGroup: 'Shielding' });
+    expect(json.volumes[1]).toMatchObject({ hitsCollectionName: 'Hits', isActive: true, _displayGroup: 'Shielding' });
+    expect(json.volumes[2]).toMatchObject({ hitsCollectionName: 'Hits', isActive: true, _displayGroup: 'Shielding' });
+
+    json = applyBulkUpdateToJson(json, flatVolumes, [0, 2], { hitsCollectionName: null, _displayGroup: '' });
+    expect(json.volumes[0]).not.toHaveProperty('hitsCollectionName');
+    expect(json.volumes[0]).not.toHaveProperty('isActive');
+    expect(json.volumes[1]).not.toHaveProperty('_displayGroup');
+    expect(json.volumes[2]._displayGroup).toBe('Shielding');
+  });
+});
+
+describe('nested compounds', () => {
+  const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } };
+  const box = (name, parent = '', extra = {}) => ({
+    name, type: 'box', material: 'LXe', dimensions: { x: 10, y: 10, z: 10 },
+    placements: [{ name: `${name}_000`, x: 0, y: 0, z: 0, parent }], ...extra,
+  });
+  // Detector ⊃ Module ⊃ Cell ⊃ { Crystal ⊃ Sensor }, and a Cell-level union
+  const makeScene = () => ({
+    world,
+    volumes: [
+      box('Tank', 'World'),
+      {
+        name: 'Detector', type: 'assembly',
+        placements: [{ name: 'Detector_000', x: 0, y: 0, z: 0, parent: 'World' }],
+        components: [{
+          name: 'Module', type: 'assembly', placements: [{ x: 0, y: 0, z: 50, parent: '' }],
+          components: [
+            {
+              name: 'Cell', type: 'assembly', placements: [{ x: 5, y: 0, z: 0, parent: '' }],
+              components: [box('Crystal', '', { material: 'G4_CESIUM_IODIDE' }), box('Sensor', 'Crystal')],
+            },
+            {
+              name: 'Frame', type: 'union', material: 'G4_Al', placements: [{ x: 0, y: 0, z: 0, parent: '' }],
+              components: [box('bar', '', { boolean_operation: 'union' }), box('slot', '', { boolean_operation: 'subtract' })],
+            },
+          ],
+        }],
+      },
+    ],
+  });
+  const cell = (json) => json.volumes[1].components[0].components[0];
+  const indexOf = (flat, name) => flat.volumes.findIndex(v => v.name === name);
+
+  it('updates a component three levels down', () => {
+    const scene = makeScene();
+    const flat = expandToFlat(scene);
+    const json = applyUpdateToJson(scene, flat.volumes, indexOf(flat, 'Crystal'), { size: { x: 12 }, position: { z: 3 } });
+    expect(cell(json).components[0].dimensions.x).toBe(12);
+    expect(cell(json).components[0].placements[0].z).toBe(3);
+    expect(json.volumes[0]).toBe(scene.volumes[0]);
+  });
+
+  it('renames a nested component and the placements that refer to it', () => {
+    const scene = makeScene();
+    const flat = expandToFlat(scene);
+    const json = applyUpdateToJson(scene, flat.volumes, indexOf(flat, 'Crystal'), { name: 'Scintillator' });
+    expect(cell(json).components.map(c => [c.name, c.placements[0].parent])).toEqual([
+      ['Scintillator', ''], ['Sensor', 'Scintillator'],
+    ]);
+  });
+
+  it('removes a nested component with the parts inside it', () => {
+    const scene = makeScene();
+    const flat = expandToFlat(scene);
+    const json = applyRemoveFromJson(scene, flat.volumes, indexOf(flat, 'Crystal'));
+    expect(cell(json).components).toEqual([]);
+    expect(json.volumes[1].components[0].components.map(c => c.name)).toEqual(['Cell', 'Frame']);
+  });
+
+  it('adds a volume to a nested assembly and a part to a nested union', () => {
+    const scene = makeScene();
+    const inCell = applyAddToJson(scene, { name: 'Shield', type: 'box', size: { x: 1, y: 1, z: 1 }, mother_volume: 'Cell' });
+    expect(cell(inCell).components.map(c => [c.name, c.placements[0].parent])).toEqual([
+      ['Crystal', ''], ['Sensor', 'Crystal'], ['Shield', ''],
+    ]);
+    const inFrame = applyAddToJson(scene, { name: 'rib', type: 'box', size: { x: 1, y: 1, z: 1 }, mother_volume: 'Frame' });
+    const frame = inFrame.volumes[1].components[0].components[1];
+    expect(frame.components.map(c => [c.name, c.boolean_operation])).toEqual([
+      ['bar', 'union'], ['slot', 'subtract'], ['rib', 'add'],
+    ]);
+  });
+
+  it('sets visibility and material on nested components', () => {
+    const scene = makeScene();
+    const flat = expandToFlat(scene);
+    const json = applyBulkUpdateToJson(scene, flat.volumes, [indexOf(flat, 'Sensor'), indexOf(flat, 'Cell')], { visible: false, material: 'G4_Si' });
+    expect(cell(json).visible).toBe(false);
+    expect(cell(json).material).toBe('G4_Si');
+    expect(cell(json).components[1]).toMatchObject({ visible: false, material: 'G4_Si' });
+  });
+
+  it('moves assemblies into assemblies and parts between nested assemblies', () => {
+    const scene = makeScene();
+    scene.volumes.push({
+      name: 'Rack', type: 'assembly',
+      placements: [{ name: 'Rack_000', x: 500, y: 0, z: 0, parent: 'World' }],
+      components: [box('Shelf')],
+    });
+    const flat = expandToFlat(scene);
+    expect(getReparentError(scene, flat.volumes, indexOf(flat, 'Rack_000'), indexOf(flat, 'Cell'))).toBeNull();
+    expect(getReparentError(scene, flat.volumes, indexOf(flat, 'Detector_000'), indexOf(flat, 'Cell')))
+      .toBe('Cannot move Detector_000 into itself');
+    expect(getReparentError(scene, flat.volumes, indexOf(flat, 'bar'), indexOf(flat, 'Cell')))
+      .toBe('bar is a part of a boolean solid');
+
+    const nested = applyReparentToJson(scene, flat.volumes, indexOf(flat, 'Rack_000'), indexOf(flat, 'Cell'));
+    expect(nested.volumes.map(v => v.name)).toEqual(['Tank', 'Detector']);
+    expect(cell(nested).components[2]).toMatchObject({ name: 'Rack', type: 'assembly', components: [{ name: 'Shelf' }] });
+    expect(expandToFlat(nested).volumes.find(v => v.name === 'Shelf')._componentPath).toEqual([0, 0, 2, 0]);
+
+    // A part of the cell moved up into the module
+    const moved = applyReparentToJson(scene, flat.volumes, indexOf(flat, 'Crystal'), indexOf(flat, 'Module'));
+    const module = moved.volumes[1].components[0];
+    expect(module.components.map(c => [c.name, c.placements[0].parent])).toEqual([
+      ['Cell', ''], ['Frame', ''], ['Crystal', ''], ['Sensor', 'Crystal'],
+    ]);
+    expect(module.components[0].components).toEqual([]);
+  });
+
+  it('extracts a subtree with unique names at every depth', () => {
+    const subtree = extractSubtreeFromJson(makeScene(), 'Detector', { G4_CESIUM_IODIDE: { density: 4.51 }, G4_Al: { density: 2.7 } });
+    const module = subtree.volumes[0].components[0];
+    const [cellDef, frame] = module.components;
+    expect(cellDef.components[0].g4name).toBe('Crystal');
+    expect(cellDef.components[0].name).not.toBe('Crystal');
+    // Parents follow the renames inside nested compounds
+    expect(cellDef.components[1].placements[0].parent).toBe(cellDef.components[0].name);
+    expect(frame.components.map(c => c.g4name)).toEqual(['bar', 'slot']);
+    expect(Object.keys(subtree.materials).sort()).toEqual(['G4_Al', 'G4_CESIUM_IODIDE']);
+  });
+
+  it('duplicates a compound with its nested components renamed', () => {
+    const scene = makeScene();
+    scene.volumes[1].components[0].components[0].components = [box('Detector_crystal'), box('Detector_sensor', 'Detector_crystal')];
+    const flat = expandToFlat(scene);
+    const json = applyDuplicateVolumeToJson(scene, flat.volumes, indexOf(flat, 'Detector_000'));
+    const copy = json.volumes[2].components[0].components[0].components;
+    expect(copy.map(c => [c.name, c.placements[0].parent])).toEqual([
+      ['Detector_copy_crystal', ''], ['Detector_copy_sensor', 'Detector_copy_crystal'],
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { parseStl, parseObj, parseMeshFile, trianglesToTessellated, countOpenEdges } from '../meshImport';
+
+// Unit tetrahedron, outward winding
+const TETRA = [
+  [[0, 0, 0], [0, 1, 0], [1, 0, 0]],
+  [[0, 0, 0], [1, 0, 0], [0, 0, 1]],
+  [[0, 0, 0], [0, 0, 1], [0, 1, 0]],
+  [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+];
+
+const asciiStl = (triangles) => [
+  'solid tetra',
+  ...triangles.flatMap(corners => [
+    '  facet normal 0 0 0', '    outer loop',
+    ...corners.map(c => `      vertex ${c.join(' ')}`),
+    '    endloop', '  endfacet',
+  ]),
+  'endsolid tetra',
+].join('\n');
+
+const binaryStl = (triangles) => {
+  const buffer = new ArrayBuffer(84 + triangles.length * 50);
+  const view = new DataView(buffer);
+  // A header starting with "solid" must not be taken for ASCII
+  new TextEncoder().encode('solid exported by CAD').forEach((b, i) => view.setUint8(i, b));
+  view.setUint32(80, triangles.length, true);
+  triangles.forEach((corners, t) => corners.forEach((c, k) => c.forEach((v, axis) => {
+    view.setFloat32(84 + t * 50 + 12 + k * 12 + axis * 4, v, true);
+  })));
+  return buffer;
+};
+
+describe('meshImport', () => {
+  it('reads ASCII and binary STL alike', () => {
+    expect(parseStl(asciiStl(TETRA))).toEqual(TETRA);
+    expect(parseStl(binaryStl(TETRA))).toEqual(TETRA);
+    expect(parseMeshFile('part.STL', new TextEncoder().encode(asciiStl(TETRA)).buffer)).toEqual(TETRA);
+    expect(() => parseStl('not a mesh')).toThrow('Not an STL file');
+  });
+
+  it('reads binary STL with bytes after the last triangle', () => {
+    const exact = binaryStl(TETRA);
+    const padded = new Uint8Array(exact.byteLength + 7);
+    padded.set(new Uint8Array(exact));
+    expect(parseStl(padded.buffer)).toEqual(TETRA);
+  });
+
+  it('reads OBJ faces with texture indices, quads and negative indices', () => {
+    const obj = [
+      '# square', 'o plate',
+      'v 0 0 0', 'v 1 0 0', 'v 1 1 0', 'v 0 1 0',
+      'vt 0 0',
+      'f 1/1 2/1 3/1 4/1',
+      'f -4 -2 -1',
+    ].join('\n');
+    expect(parseObj(obj)).toEqual([
+      [[0, 0, 0], [1, 0, 0], [1, 1, 0]],
+      [[0, 0, 0], [1, 1, 0], [0, 1, 0]],
+      [[0, 0, 0], [1, 1, 0], [0, 1, 0]],
+    ]);
+    expect(() => parseObj('v 0 0 0\nf 1 2 3')).toThrow('Line 2');
+    expect(() => parseMeshFile('part.step', new ArrayBuffer(0))).toThrow('Unsupported mesh format');
+  });
+
+  it('welds corners into shared vertices of a closed solid', () => {
+    const { vertices, facets, warnings } = trianglesToTessellated(TETRA);
+    expect(vertices).toHaveLength(4);
+    expect(facets).toHaveLength(4);
+    expect(countOpenEdges(facets)).toBe(0);
+    expect(warnings).toEqual([]);
+  });
+
+  it('scales to mm, turns y-up files z-up and centres on request', () => {
+    const { vertices } = trianglesToTessellated(TETRA, { unit: 'cm', upAxis: 'y' });
+    // The file's +y (up) becomes +z, its +z becomes -y
+    expect(vertices).toContainEqual([0, 0, 10]);
+    expect(vertices).toContainEqual([0, -10, 0]);
+
+    const centred = trianglesToTessellated(TETRA, { center: true }).vertices;
+    expect(centred).toContainEqual([-0.5, -0.5, -0.5]);
+    expect(centred).toContainEqual([0.5, -0.5, -0.5]);
+  });
+
+  it('drops degenerate triangles and warns about open meshes', () => {
+    const { facets, warnings } = trianglesToTessellated([...TETRA.slice(1), [[0, 0, 0], [0, 0, 0], [1, 1, 1]]]);
+    expect(facets).toHaveLength(3);
+    expect(warnings).toHaveLength(2);
+    expect(warnings[1]).toContain('3 open edges');
+    expect(() => trianglesToTessellated([])).toThrow('no triangles');
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveParameters,
+  resolveExpressions,
+  mapExpression,
+  symbolicDimensions,
+  parameterNameError,
+  operand,
+} from '../parameters';
+
+describe('resolveParameters', () => {
+  it('evaluates parameters in any order, with units', () => {
+    const { values, errors, order } = resolveParameters({
+      Inner: 'Outer - Wall',
+      Outer: '1.5*m',
+      Wall: '5*mm',
+      Angle: 90,
+    });
+    expect(errors).toEqual({});
+    expect(values).toEqual({ Inner: 1495, Outer: 1500, Wall: 5, Angle: 90 });
+    // Every parameter comes after the ones it uses
+    expect(order.indexOf('Outer')).toBeLessThan(order.indexOf('Inner'));
+    expect(order.indexOf('Wall')).toBeLessThan(order.indexOf('Inner'));
+  });
+
+  it('reports cycles, unknown names and reserved names', () => {
+    const { values, errors } = resolveParameters({ A: 'B + 1', B: 'A', C: 'Missing', mm: 2, Ok: '2*pi' });
+    expect(errors.A).toBeTruthy();
+    expect(errors.B).toMatch(/Circular/);
+    expect(errors.C).toMatch(/Missing/);
+    expect(errors.mm).toMatch(/unit/);
+    expect(values.Ok).toBeCloseTo(2 * Math.PI);
+    expect(values).not.toHaveProperty('A');
+  });
+});
+
+describe('parameterNameError', () => {
+  it('accepts identifiers that are not units or functions', () => {
+    expect(parameterNameError('WaterTankRadius')).toBeNull();
+    expect(parameterNameError('2ndRing')).toBeTruthy();
+    expect(parameterNameError('deg')).toBeTruthy();
+    expect(parameterNameError('sqrt')).toBeTruthy();
+  });
+});
+
+describe('resolveExpressions', () => {
+  const json = {
+    parameters: { R: '10*cm', T: 5 },
+    world: { name: 'World', type: 'box', dimensions: { x: '20*R', y: 2000, z: 2000 } },
+    volumes: [{
+      name: 'Tank', type: 'polycone',
+      dimensions: { z: [0, 'R'], rmin: [0, 0], rmax: ['R - T', 'R'] },
+      placements: [{ name: 'Tank', x: 'T', y: 0, z: 0, rotation: { x: 0, y: 0, z: '90*deg' }, parent: 'World' }],
+    }],
+  };
+
+  it('replaces expressions by numbers and records where they were', () => {
+    const { json: resolved, errors } = resolveExpressions(json);
+    expect(errors).toEqual([]);
+    expect(resolved.world.dimensions.x).toBe(2000);
+    const tank = resolved.volumes[0];
+    expect(tank.dimensions).toEqual({ z: [0, 100], rmin: [0, 0], rmax: [95, 100] });
+    expect(tank._expressions).toEqual({ 'dimensions.z.1': 'R', 'dimensions.rmax.0': 'R - T', 'dimensions.rmax.1': 'R' });
+    expect(tank.placements[0].x).toBe(5);
+    expect(tank.placements[0].rotation.z).toBeCloseTo(Math.PI / 2);
+    expect(tank.placements[0]._expressions).toEqual({ x: 'T', 'rotation.z': '90*deg' });
+    // The input is left alone
+    expect(json.volumes[0].dimensions.rmax[0]).toBe('R - T');
+  });
+
+  it('reports expressions that fail and leaves them undefined', () => {
+    const { json: resolved, errors } = resolveExpressions({
+      volumes: [{ name: 'Box', type: 'box', dimensions: { x: 'Nope', y: 1, z: 1 }, placements: [] }],
+    });
+    expect(resolved.volumes[0].dimensions.x).toBeUndefined();
+    expect(errors).toEqual([{ name: 'Box', message: expect.stringMatching(/dimensions\.x.*Nope/) }]);
+  });
+
+  it('rewrites dimensions for an exporter', () => {
+    const { json: resolved } = resolveExpressions(json);
+    symbolicDimensions(resolved, (text) => (text.includes('-') ? null : `[${text}]`));
+    expect(resolved.volumes[0].dimensions.rmax).toEqual([95, '[R]']);
+    expect(resolved.world.dimensions.x).toBe('[20*R]');
+  });
+});
+
+describe('mapExpression', () => {
+  it('renames functions and powers and keeps the layout', () => {
+    expect(mapExpression('fabs(a) + b^2', { functions: { fabs: 'abs' }, power: '^' })).toBe('abs(a) + b^2');
+    expect(mapExpression('1/2 * R', { number: (v, text) => `${text}.` })).toBe('1./2. * R');
+  });
+
+  it('returns null for what the target lacks', () => {
+    expect(mapExpression('a**2', {})).toBeNull();
+    expect(mapExpression('floor(a)', { functions: { sin: 'sin' } })).toBeNull();
+    expect(mapExpression('a $ b', {})).toBeNull();
+  });
+});
+
+describe('operand', () => {
+  it('wraps anything but a name or a number', () => {
+    expect(operand('R')).toBe('R');
+    expect(operand('2.5')).toBe('2.5');
+    expect(operand('R - T')).toBe('(R - T)');
+  });
+});
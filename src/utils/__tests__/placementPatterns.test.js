@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  generatePattern,
+  parsePositionsCsv,
+  formatPatternName,
+  MAX_PATTERN_ELEMENTS,
+} from '../placementPatterns';
+
+const positionsOf = (placements) => placements.map(p => [p.x, p.y, p.z]);
+
+describe('generatePattern', () => {
+  it('places a linear row from the origin', () => {
+    const placements = generatePattern({
+      layout: 'linear', baseName: 'Leg', count: 3, step: { x: 0, y: 0, z: 50 }, origin: { x: 10, y: 0, z: 0 },
+    });
+    expect(positionsOf(placements)).toEqual([[10, 0, 0], [10, 0, 50], [10, 0, 100]]);
+    expect(placements.map(p => p.name)).toEqual(['Leg_000', 'Leg_001', 'Leg_002']);
+    expect(placements.map(p => p.copynumber)).toEqual([0, 1, 2]);
+  });
+
+  it('centres a rectangular grid in the plane across the axis', () => {
+    const placements = generatePattern({
+      layout: 'grid', axis: 'x', countU: 2, countV: 3, pitchU: 10, pitchV: 20, nameTemplate: 'Cell_r{row}c{col}',
+    });
+    expect(placements).toHaveLength(6);
+    // Axis x: the grid spans y (columns) and z (rows)
+    expect(positionsOf(placements)[0]).toEqual([0, -5, -20]);
+    expect(positionsOf(placements)[5]).toEqual([0, 5, 20]);
+    expect(placements[5].name).toBe('Cell_r2c1');
+  });
+
+  it('spaces a full ring evenly and an arc end to end', () => {
+    const ring = generatePattern({ layout: 'circular', count: 4, radius: 100 });
+    expect(positionsOf(ring)).toEqual([[100, 0, 0], [0, 100, 0], [-100, 0, 0], [0, -100, 0]]);
+
+    const arc = generatePattern({ layout: 'circular', count: 3, radius: 100, sweep: Math.PI });
+    expect(positionsOf(arc)).toEqual([[100, 0, 0], [0, 100, 0], [-100, 0, 0]]);
+  });
+
+  it('turns elements to face the axis', () => {
+    const placements = generatePattern({ layout: 'circular', count: 4, radius: 100, facing: 'inward' });
+    placements.forEach(p => {
+      const matrix = new THREE.Matrix4().makeRotationFromEuler(
+        new THREE.Euler(p.rotation.x, p.rotation.y, p.rotation.z, 'XYZ')
+      );
+      const localZ = new THREE.Vector3(0, 0, 1).applyMatrix4(matrix);
+      const localY = new THREE.Vector3(0, 1, 0).applyMatrix4(matrix);
+      const inward = new THREE.Vector3(-p.x, -p.y, 0).normalize();
+      expect(localZ.distanceTo(inward)).toBeLessThan(1e-6);
+      expect(localY.distanceTo(new THREE.Vector3(0, 0, 1))).toBeLessThan(1e-6);
+    });
+  });
+
+  it('packs a hexagonal disk and skips the exclusion radius', () => {
+    const all = generatePattern({ layout: 'hexagonal', pitch: 10, radius: 10 });
+    // Centre and its six neighbours
+    expect(all).toHaveLength(7);
+    all.forEach(p => expect(Math.hypot(p.x, p.y)).toBeLessThanOrEqual(10 + 1e-9));
+
+    const ring = generatePattern({ layout: 'hexagonal', pitch: 10, radius: 10, exclusionRadius: 5 });
+    expect(ring).toHaveLength(6);
+    expect(ring.every(p => Math.abs(Math.hypot(p.x, p.y) - 10) < 1e-9)).toBe(true);
+  });
+
+  it('numbers copies from a start and step and takes names from CSV rows', () => {
+    const placements = generatePattern({
+      layout: 'csv', baseName: 'PMT', copyStart: 100, copyStep: 2, nameTemplate: '{name}_{n}',
+      positions: [{ x: 1, y: 2, z: 3 }, { x: 4, y: 5, z: 6, name: 'Special', rotation: { x: 0, y: 0, z: 1 } }],
+    });
+    expect(placements.map(p => [p.name, p.copynumber])).toEqual([['PMT_100', 100], ['Special', 102]]);
+    expect(placements[1].rotation).toEqual({ x: 0, y: 0, z: 1 });
+  });
+
+  it('refuses patterns that are too large', () => {
+    expect(() => generatePattern({ layout: 'grid', countU: MAX_PATTERN_ELEMENTS, countV: 2, pitchU: 1, pitchV: 1 }))
+      .toThrow(/at most/);
+    expect(() => generatePattern({ layout: 'spiral' })).toThrow(/Unknown pattern layout/);
+  });
+});
+
+describe('parsePositionsCsv', () => {
+  it('reads plain rows with optional rotations, scaled to mm and rad', () => {
+    const { positions, errors } = parsePositionsCsv('# PMTs\n1, 2, 3\n\n4;5;6;0;0;90\n', {
+      lengthScale: 10, angleScale: Math.PI / 180,
+    });
+    expect(errors).toEqual([]);
+    expect(positions[0]).toEqual({ x: 10, y: 20, z: 30 });
+    expect(positions[1].rotation.z).toBeCloseTo(Math.PI / 2);
+  });
+
+  it('maps columns by header and reports bad rows', () => {
+    const { positions, errors } = parsePositionsCsv('Name\tz\tx\ty\tcopy_number\nA\t3\t1\t2\t7\nB\tx\t0\t0\t8');
+    expect(positions).toEqual([{ x: 1, y: 2, z: 3, name: 'A', copynumber: 7 }]);
+    expect(errors).toEqual(['Line 3: "x" is not a number']);
+  });
+});
+
+describe('formatPatternName', () => {
+  it('pads numbers and leaves unknown tokens', () => {
+    expect(formatPatternName('{name}_{n:4}_{ring}', { name: 'PMT', n: 7 })).toBe('PMT_0007_{ring}');
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import {
+  diffFields, diffProjects, isEmptyDiff, formatFieldChange, mergeProjects, resolveMerge,
+} from '../projectDiff';
+import { assignStableIds } from '../stableIds';
+
+const world = { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } };
+const placement = (g4name, x = 0) => ({ g4name, x, y: 0, z: 0, rotation: { x: 0, y: 0, z: 0 }, parent: 'World' });
+const box = (name, x = 10, placements = [placement(`${name}_000`)]) => ({
+  name, type: 'box', material: 'G4_WATER', dimensions: { x, y: 10, z: 10 }, placements,
+});
+
+const before = {
+  world,
+  volumes: [box('A'), box('B'), box('C')],
+  materials: { Steel: { density: 7.9 } },
+  parameters: { R: 5 },
+  hitCollections: ['MyHitsCollection'],
+};
+
+describe('diffFields', () => {
+  it('lists changed leaves by path', () => {
+    expect(diffFields({ dimensions: { x: 1, y: 2 } }, { dimensions: { x: 3, y: 2 }, material: 'Lead' })).toEqual([
+      { path: 'dimensions.x', before: 1, after: 3 },
+      { path: 'material', before: undefined, after: 'Lead' },
+    ]);
+  });
+
+  it('compares arrays element by element', () => {
+    expect(diffFields({ zPlanes: [{ z: 0 }, { z: 5 }] }, { zPlanes: [{ z: 0 }, { z: 6 }] })).toEqual([
+      { path: 'zPlanes.1.z', before: 5, after: 6 },
+    ]);
+  });
+});
+
+describe('diffProjects', () => {
+  it('reports volumes, placements, materials and settings by name', () => {
+    const after = {
+      world: { ...world, material: 'G4_Galactic' },
+      volumes: [
+        box('D'),
+        { ...box('B', 20), material: 'G4_Pb' },
+        box('A', 10, [placement('A_000', 50), placement('A_001')]),
+      ],
+      materials: { Steel: { density: 8 }, Lead: { density: 11.3 } },
+      parameters: { R: 5, H: 2 },
+      hitCollections: ['Veto'],
+    };
+    const diff = diffProjects(before, after);
+
+    expect(diff.world).toEqual([{ path: 'material', before: 'G4_AIR', after: 'G4_Galactic' }]);
+    expect(diff.volumes.added).toEqual(['D']);
+    expect(diff.volumes.removed).toEqual(['C']);
+    expect(diff.volumes.changed.map(c => c.name)).toEqual(['B', 'A']);
+
+    const [b, a] = diff.volumes.changed;
+    expect(b.fields).toEqual([
+      { path: 'material', before: 'G4_WATER', after: 'G4_Pb' },
+      { path: 'dimensions.x', before: 10, after: 20 },
+    ]);
+    expect(b.placements).toEqual({ added: [], removed: [], changed: [] });
+    expect(a.fields).toEqual([]);
+    expect(a.placements.added).toEqual(['A_001']);
+    expect(a.placements.changed).toEqual([{ name: 'A_000', fields: [{ path: 'x', before: 0, after: 50 }] }]);
+
+    expect(diff.materials).toEqual({
+      added: ['Lead'],
+      removed: [],
+      changed: [{ name: 'Steel', fields: [{ path: 'density', before: 7.9, after: 8 }] }],
+    });
+    expect(diff.parameters.added).toEqual(['H']);
+    expect(diff.hitCollections).toEqual({ added: ['Veto'], removed: ['MyHitsCollection'] });
+  });
+
+  it('ignores the order of volumes and placements', () => {
+    const reordered = {
+      ...before,
+      volumes: [box('C'), box('B'), box('A')].map(vol => ({ ...vol, placements: [...vol.placements].reverse() })),
+    };
+    expect(isEmptyDiff(diffProjects(before, reordered))).toBe(true);
+    expect(isEmptyDiff(diffProjects(before, { ...before, parameters: {} }))).toBe(false);
+  });
+
+  it('ignores stable ids', () => {
+    expect(isEmptyDiff(diffProjects(before, assignStableIds(before)))).toBe(true);
+  });
+});
+
+describe('formatFieldChange', () => {
+  it('shows missing values as (none)', () => {
+    expect(formatFieldChange({ path: 'dimensions.x', before: 10, after: 20 })).toBe('dimensions.x: 10 → 20');
+    expect(formatFieldChange({ path: 'material', before: undefined, after: 'Lead' })).toBe('material: (none) → "Lead"');
+  });
+});
+
+describe('mergeProjects', () => {
+  const ours = {
+    ...before,
+    volumes: [box('A', 20), box('B'), box('C', 30)],
+    materials: { Steel: { density: 7.9 }, Lead: { density: 11.3 } },
+  };
+  const theirs = {
+    ...before,
+    volumes: [box('A'), box('C', 40), box('E')],
+    hitCollections: ['MyHitsCollection', 'Veto'],
+  };
+
+  it('takes one-sided changes and reports conflicting volumes', () => {
+    const merge = mergeProjects(before, ours, theirs);
+    const status = Object.fromEntries(merge.entries.map(e => [e.key, e.status]));
+    expect(status).toMatchObject({
+      'world:World': 'unchanged',
+      'volume:A': 'ours',
+      'volume:B': 'theirs',
+      'volume:C': 'conflict',
+      'volume:E': 'theirs',
+      'material:Lead': 'ours',
+      'parameter:R': 'unchanged',
+      'hitCollection:Veto': 'theirs',
+    });
+    expect(merge.conflicts.map(e => e.name)).toEqual(['C']);
+    expect(merge.conflicts[0].theirs.dimensions.x).toBe(40);
+  });
+
+  it('builds the merged project from the resolutions', () => {
+    const merge = mergeProjects(before, ours, theirs);
+    expect(() => resolveMerge(merge)).toThrow('Unresolved merge conflicts: C');
+
+    const merged = resolveMerge(merge, { 'volume:C': 'theirs' });
+    expect(merged.volumes.map(v => [v.name, v.dimensions.x])).toEqual([['A', 20], ['C', 40], ['E', 10]]);
+    expect(Object.keys(merged.materials)).toEqual(['Steel', 'Lead']);
+    expect(merged.parameters).toEqual({ R: 5 });
+    expect(merged.hitCollections).toEqual(['MyHitsCollection', 'Veto']);
+    expect(merged.volumes[0]).not.toBe(ours.volumes[0]);
+  });
+
+  it('keeps saved queries and views', () => {
+    const front = { camera: { position: [0, -100, 0], up: [0, 0, 1], target: [0, 0, 0] }, clipping: { planes: [], showCaps: true, subtrees: null } };
+    const saved = { ...before, savedQueries: { Steel: 'material:SS304LSteel', Boxes: 'type:box' }, savedViews: { Front: front } };
+    const edited = { ...saved, volumes: [box('A', 20), box('B'), box('C')] };
+    const merged = resolveMerge(mergeProjects(saved, edited, saved));
+    expect(merged.savedQueries).toEqual(saved.savedQueries);
+    expect(merged.savedViews).toEqual(saved.savedViews);
+
+    const renamed = { ...saved, savedQueries: { Steel: 'material:SS304LSteel', Tubes: 'type:cylinder' } };
+    const merge = mergeProjects(saved, edited, renamed);
+    expect(merge.entries.find(e => e.key === 'savedQuery:Boxes').status).toBe('theirs');
+    expect(resolveMerge(merge).savedQueries).toEqual(renamed.savedQueries);
+    expect(diffProjects(saved, renamed).savedQueries).toEqual({ added: ['Tubes'], removed: ['Boxes'], changed: [] });
+
+    // A view changed on one side only is taken from that side
+    const zoomed = { ...saved, savedViews: { Front: { ...front, camera: { ...front.camera, position: [0, -50, 0] } } } };
+    const viewMerge = mergeProjects(saved, edited, zoomed);
+    expect(viewMerge.entries.find(e => e.key === 'savedView:Front').status).toBe('theirs');
+    expect(resolveMerge(viewMerge).savedViews.Front.camera.position).toEqual([0, -50, 0]);
+    expect(diffProjects(saved, zoomed).savedViews.changed[0].fields).toEqual([{ path: 'camera.position.1', before: -100, after: -50 }]);
+  });
+
+  it('treats the same change on both sides as agreed', () => {
+    const changed = { ...before, volumes: [box('A', 99), box('B'), box('C')] };
+    const merge = mergeProjects(before, changed, structuredClone(changed));
+    expect(merge.conflicts).toEqual([]);
+    expect(merge.entries.find(e => e.name === 'A').status).toBe('both');
+    expect(resolveMerge(merge).volumes[0].dimensions.x).toBe(99);
+  });
+});
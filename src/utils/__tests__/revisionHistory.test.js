@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { revisionsToPrune, MAX_REVISIONS } from '../revisionHistory';
+
+describe('revisionsToPrune', () => {
+  it('drops all but the newest revisions', () => {
+    const ids = [5, 4, 3, 2, 1];
+    expect(revisionsToPrune(ids, 3)).toEqual([2, 1]);
+    expect(revisionsToPrune(ids, 5)).toEqual([]);
+    expect(revisionsToPrune([], 3)).toEqual([]);
+  });
+
+  it('keeps MAX_REVISIONS by default and never the one just saved', () => {
+    const ids = Array.from({ length: MAX_REVISIONS + 2 }, (_, i) => MAX_REVISIONS + 2 - i);
+    expect(revisionsToPrune(ids)).toEqual([2, 1]);
+    expect(revisionsToPrune([2, 1], 0)).toEqual([1]);
+  });
+});
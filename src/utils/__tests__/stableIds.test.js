@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { assignStableIds } from '../stableIds';
+
+const world = { name: 'World', type: 'box', dimensions: { x: 1000, y: 1000, z: 1000 } };
+
+describe('assignStableIds', () => {
+  it('gives ids to volumes, top-level placements and components', () => {
+    const json = assignStableIds({
+      world,
+      volumes: [
+        { name: 'Box', type: 'box', placements: [{ x: 0 }, { x: 10 }] },
+        {
+          name: 'Module', type: 'assembly', placements: [{ x: 0 }],
+          components: [{ name: 'Part', type: 'union', placements: [{ x: 0 }], components: [{ name: 'Sub', type: 'box' }] }],
+        },
+      ],
+    });
+    const [box, module] = json.volumes;
+    const ids = [
+      box._uid, ...box.placements.map(pl => pl._uid),
+      module._uid, module.placements[0]._uid, module.components[0]._uid, module.components[0].components[0]._uid,
+    ];
+    ids.forEach(id => expect(id).toMatch(/^u[0-9a-z]+$/));
+    expect(new Set(ids).size).toBe(ids.length);
+    // Component placements are placed with their compound: no ids of their own
+    expect(module.components[0].placements[0]._uid).toBeUndefined();
+  });
+
+  it('returns the same JSON when every id is there', () => {
+    const json = assignStableIds({ world, volumes: [{ name: 'Box', type: 'box', placements: [{ x: 0 }] }] });
+    expect(assignStableIds(json)).toBe(json);
+  });
+
+  it('renews copied ids and keeps the untouched volumes', () => {
+    const json = assignStableIds({
+      world,
+      volumes: [
+        { name: 'A', type: 'box', placements: [{ x: 0 }] },
+        { name: 'B', type: 'box', placements: [{ x: 0 }] },
+      ],
+    });
+    const [a, b] = json.volumes;
+    // A duplicated volume and a cloned placement, as the editor makes them
+    const edited = { ...json, volumes: [a, { ...b, placements: [...b.placements, { ...b.placements[0], x: 5 }] }, structuredClone(a)] };
+    const result = assignStableIds(edited);
+
+    expect(result.volumes[0]).toBe(a);
+    expect(result.volumes[1]._uid).toBe(b._uid);
+    expect(result.volumes[1].placements[0]._uid).toBe(b.placements[0]._uid);
+    expect(result.volumes[1].placements[1]._uid).not.toBe(b.placements[0]._uid);
+    expect(result.volumes[2]._uid).not.toBe(a._uid);
+    expect(result.volumes[2].placements[0]._uid).not.toBe(a.placements[0]._uid);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createHistory,
+  pushHistory,
+  undoHistory,
+  redoHistory,
+  getUndoLabel,
+  getRedoLabel,
+  beginHistoryGroup,
+  endHistoryGroup,
+} from '../undoHistory';
+
+const jsonA = { volumes: [{ name: 'A' }] };
+const jsonB = { volumes: [{ name: 'B' }] };
+const jsonC = { volumes: [{ name: 'C' }] };
+
+// ───────────────────────────────────────────────────
+// pushHistory
+// ───────────────────────────────────────────────────
+
+describe('pushHistory', () => {
+  it('records an entry and clears the redo stack', () => {
+    const start = { past: [], future: [{ label: 'old', state: {} }] };
+    const h = pushHistory(start, { label: 'Edit A', state: { jsonData: jsonA }, selectedGeometry: 'world' }, { now: 0 });
+    expect(h.past).toHaveLength(1);
+    expect(h.past[0].label).toBe('Edit A');
+    expect(h.past[0].selectedGeometry).toBe('world');
+    expect(h.future).toHaveLength(0);
+  });
+
+  it('drops the oldest entries beyond the limit', () => {
+    let h = createHistory();
+    for (let i = 0; i < 5; i++) {
+      h = pushHistory(h, { label: `Edit ${i}`, state: { jsonData: i } }, { now: i * 10000, limit: 3 });
+    }
+    expect(h.past.map(e => e.label)).toEqual(['Edit 2', 'Edit 3', 'Edit 4']);
+  });
+
+  it('coalesces entries with the same key inside a group', () => {
+    let h = beginHistoryGroup(createHistory());
+    h = pushHistory(h, { label: 'Move A', state: { jsonData: jsonA } }, { coalesceKey: 'transform:a', now: 0 });
+    h = pushHistory(h, { label: 'Move A', state: { jsonData: jsonB } }, { coalesceKey: 'transform:a', now: 500 });
+    // However long the drag lasts
+    h = pushHistory(h, { label: 'Move A', state: { jsonData: jsonC } }, { coalesceKey: 'transform:a', now: 60000 });
+    expect(h.past).toHaveLength(1);
+    // The oldest snapshot of the run is kept
+    expect(h.past[0].state.jsonData).toBe(jsonA);
+    expect(h.past[0].timestamp).toBe(60000);
+  });
+
+  it('starts a new entry after the group ends, in a new group or for a different key', () => {
+    let h = beginHistoryGroup(createHistory());
+    h = pushHistory(h, { label: 'Move A', state: { jsonData: jsonA } }, { coalesceKey: 'transform:a', now: 0 });
+    h = pushHistory(h, { label: 'Move B', state: { jsonData: jsonB } }, { coalesceKey: 'transform:b', now: 10 });
+    h = endHistoryGroup(h);
+    expect(h.group).toBeUndefined();
+    h = pushHistory(h, { label: 'Move B', state: { jsonData: jsonC } }, { coalesceKey: 'transform:b', now: 20 });
+    h = beginHistoryGroup(h);
+    h = pushHistory(h, { label: 'Move B', state: { jsonData: jsonA } }, { coalesceKey: 'transform:b', now: 30 });
+    expect(h.past).toHaveLength(4);
+  });
+
+  it('never coalesces outside a group', () => {
+    let h = createHistory();
+    h = pushHistory(h, { label: 'Move A', state: { jsonData: jsonA } }, { coalesceKey: 'transform:a', now: 0 });
+    h = pushHistory(h, { label: 'Move A', state: { jsonData: jsonB } }, { coalesceKey: 'transform:a', now: 1 });
+    expect(h.past).toHaveLength(2);
+  });
+});
+
+// ───────────────────────────────────────────────────
+// undoHistory / redoHistory
+// ───────────────────────────────────────────────────
+
+describe('undoHistory / redoHistory', () => {
+  it('returns null when there is nothing to undo or redo', () => {
+    const h = createHistory();
+    expect(undoHistory(h, {})).toBeNull();
+    expect(redoHistory(h, {})).toBeNull();
+  });
+
+  it('round-trips state and selection', () => {
+    let h = pushHistory(createHistory(), { label: 'Edit A', state: { jsonData: jsonA }, selectedGeometry: 'vol-0-pl-0' }, { now: 0 });
+
+    const undone = undoHistory(h, { jsonData: jsonB, materials: {}, selectedGeometry: 'world' });
+    expect(undone.state).toEqual({ jsonData: jsonA });
+    expect(undone.selectedGeometry).toBe('vol-0-pl-0');
+    expect(undone.label).toBe('Edit A');
+    h = undone.history;
+    expect(h.past).toHaveLength(0);
+    expect(getRedoLabel(h)).toBe('Edit A');
+
+    const redone = redoHistory(h, { jsonData: jsonA, materials: {}, selectedGeometry: 'vol-0-pl-0' });
+    expect(redone.state).toEqual({ jsonData: jsonB });
+    expect(redone.selectedGeometry).toBe('world');
+    expect(getUndoLabel(redone.history)).toBe('Edit A');
+    expect(redone.history.future).toHaveLength(0);
+  });
+
+  it('only captures the slices the entry touches', () => {
+    const h = pushHistory(createHistory(), { label: 'Edit materials', state: { materials: { G4_AIR: {} } } }, { now: 0 });
+    const undone = undoHistory(h, { jsonData: jsonA, materials: { G4_WATER: {} }, hitCollections: [] });
+    expect(Object.keys(undone.state)).toEqual(['materials']);
+    expect(undone.history.future[0].state).toEqual({ materials: { G4_WATER: {} } });
+  });
+});
+
+describe('labels', () => {
+  it('are null for an empty history', () => {
+    expect(getUndoLabel(createHistory())).toBeNull();
+    expect(getRedoLabel(createHistory())).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * autosave.js
+ *
+ * Crash recovery for the working project. The app periodically stores
+ * snapshots of { jsonData, materials, hitCollections } in IndexedDB
+ * (see IndexedDBManager.saveAutosave), keeping the newest few. The project
+ * last saved or loaded explicitly is kept as the baseline. On startup, a
+ * snapshot newer than the baseline and different from it is an unsaved
+ * session the user may restore; these helpers decide that and describe
+ * what differs. The `_uid`s of volumes and placements (see stableIds.js)
+ * are assigned on load and are not compared, so a project saved before it
+ * had ids is not taken for a changed one.
+ */
+
+import { STABLE_ID_KEY } from './stableIds.js';
+
+/** How often the working project is checked for changes and stored. */
+export const AUTOSAVE_INTERVAL_MS = 30000;
+
+/** Number of snapshots kept. */
+export const MAX_AUTOSAVES = 10;
+
+const LIST_LIMIT = 5;
+
+const withoutIds = (key, value) => (key === STABLE_ID_KEY ? undefined : value);
+
+const same = (a, b) => JSON.stringify(a ?? null, withoutIds) === JSON.stringify(b ?? null, withoutIds);
+
+// "A, B, C and 2 more"
+const listNames = (names) => (names.length > LIST_LIMIT
+  ? `${names.slice(0, LIST_LIMIT).join(', ')} and ${names.length - LIST_LIMIT} more`
+  : names.join(', '));
+
+// Added / removed / changed entries of two name-keyed maps
+function compareByName(current, saved, noun, lines) {
+  const added = Object.keys(current).filter(name => !(name in saved));
+  const removed = Object.keys(saved).filter(name => !(name in current));
+  const changed = Object.keys(current).filter(name => name in saved && !same(current[name], saved[name]));
+  if (added.length) lines.push(`Added ${noun}: ${listNames(added)}`);
+  if (removed.length) lines.push(`Removed ${noun}: ${listNames(removed)}`);
+  if (changed.length) lines.push(`Changed ${noun}: ${listNames(changed)}`);
+}
+
+const volumesByName = (jsonData) => Object.fromEntries(
+  (jsonData?.volumes || []).filter(Boolean).map(vol => [vol.name, vol])
+);
+
+/**
+ * Describe how a project differs from another.
+ *
+ * @param {Object} current - { jsonData, materials, hitCollections }
+ * @param {Object|null} saved - The same shape, or null when nothing was saved
+ * @returns {string[]} One line per kind of change; empty when they match
+ */
+export function describeProjectChanges(current, saved) {
+  const lines = [];
+  const json = current?.jsonData;
+  const savedJson = saved?.jsonData;
+
+  if (savedJson && !same(json?.world, savedJson.world)) lines.push('Changed the world volume');
+  compareByName(volumesByName(json), volumesByName(savedJson), 'volumes', lines);
+  if (!same(json?.parameters || {}, savedJson?.parameters || {})) lines.push('Changed parameters');
+  if (saved) {
+    compareByName(current?.materials || {}, saved.materials || {}, 'materials', lines);
+    if (!same(current?.hitCollections || [], saved.hitCollections || [])) lines.push('Changed hit collections');
+  }
+  return lines;
+}
+
+/**
+ * Whether an autosave holds work the baseline does not: it must be newer
+ * than the baseline and differ from it.
+ *
+ * @param {Object} snapshot - Autosave { savedAt, jsonData, materials, hitCollections }
+ * @param {Object|null} baseline - Last explicitly saved project, with savedAt
+ * @returns {boolean}
+ */
+export function hasUnsavedWork(snapshot, baseline) {
+  if (!snapshot?.jsonData) return false;
+  if (baseline?.savedAt && new Date(snapshot.savedAt) <= new Date(baseline.savedAt)) return false;
+  if (!baseline) return (snapshot.jsonData.volumes || []).length > 0;
+  return describeProjectChanges(snapshot, baseline).length > 0;
+}
@@ -0,0 +1,61 @@
+/**
+ * booleanOperations.js
+ *
+ * Evaluation order of union components, shared by the CSG preview and the
+ * GDML / C++ exporters so all of them build the same solid.
+ *
+ * A union without any 'intersect' component is evaluated the way
+ * GeometryParser.cc always has: every additive component, in array order,
+ * then every subtraction. Files written before intersections existed keep
+ * their meaning, whatever order their components are listed in.
+ *
+ * Once a component intersects, components are applied one after the other
+ * in array order, like a chain of G4UnionSolid / G4SubtractionSolid /
+ * G4IntersectionSolid:
+ *   result = ((c0 op1 c1) op2 c2) …
+ * The chain starts at the first additive component. Subtracting from or
+ * intersecting with nothing leaves nothing, so components before it are
+ * dropped.
+ *
+ * boolean_operation values: 'union' (or the older 'add', or unset),
+ * 'subtract' and 'intersect'.
+ */
+
+export const BOOLEAN_OPERATIONS = ['union', 'subtract', 'intersect'];
+
+/** Normalised operation of a component: 'union', 'subtract' or 'intersect'. */
+export function booleanOperationOf(component) {
+  const op = component && component.boolean_operation;
+  return op === 'subtract' || op === 'intersect' ? op : 'union';
+}
+
+/**
+ * Whether components are applied in array order (the union has an
+ * intersection) rather than all additions before all subtractions.
+ * @param {Object[]} components
+ * @returns {boolean}
+ */
+export function appliesInArrayOrder(components) {
+  return (components || []).some(c => booleanOperationOf(c) === 'intersect');
+}
+
+/**
+ * Split components into the base of the chain and the steps applied to it,
+ * in evaluation order.
+ *
+ * @param {Object[]} components - Union components in array order
+ * @returns {{ base: Object, steps: { op: string, component: Object }[], dropped: Object[] }|null}
+ *   null when no component is additive
+ */
+export function booleanSequence(components) {
+  const all = components || [];
+  const isAdd = (c) => booleanOperationOf(c) === 'union';
+  const list = appliesInArrayOrder(all) ? all : [...all.filter(isAdd), ...all.filter(c => !isAdd(c))];
+  const start = list.findIndex(isAdd);
+  if (start < 0) return null;
+  return {
+    base: list[start],
+    steps: list.slice(start + 1).map(component => ({ op: booleanOperationOf(component), component })),
+    dropped: list.slice(0, start),
+  };
+}
@@ -0,0 +1,660 @@
+/**
+ * cppExport.js
+ *
+ * Pure conversion of the hierarchical JSON project (jsonData + materials)
+ * into a standalone Geant4 DetectorConstruction (.hh/.cc pair) that builds
+ * the same geometry without GeometryParser.cc.
+ *
+ * Mapping:
+ *   materials{}            →  G4NistManager lookups / new G4Material from G4Elements
+ *   volume.dimensions      →  G4Box, G4Tubs, G4Sphere, … (Geant4 half-lengths)
+ *   union components       →  G4UnionSolid / G4SubtractionSolid / G4IntersectionSolid chain, see booleanOperations.js
+ *   tessellated            →  G4TessellatedSolid of G4TriangularFacet / G4QuadrangularFacet
+ *   volume                 →  G4LogicalVolume, shared by all placements
+ *   placements[]           →  G4PVPlacement inside the parent's logical volume
+ *   assembly               →  G4AssemblyVolume, imprinted by every placement
+ *   hitsCollectionName     →  G4MultiFunctionalDetector set in ConstructSDandField()
+ *
+ * Parameters become `const G4double` definitions at the top of Construct(),
+ * and dimensions and placement offsets given as expressions keep them.
+ * Expressions C++ cannot write directly (powers, min/max) are written as
+ * their values.
+ *
+ * Rotations follow GeometryParser.cc: the frame rotation is built with
+ * rotateX(-x), rotateY(-y), rotateZ(-z) from the editor angles (the same
+ * angles GDML uses). Assembly triplets and imprints take an object
+ * transform, so they are given the inverse.
+ */
+
+import * as THREE from 'three';
+import { debugLog } from './logger.js';
+import { restructureCompounds } from './jsonOperations.js';
+import { deriveComponentName } from './expandToFlat.js';
+import { fmt, placementMatrix, matrixToGdml, isNistName, symbolicPosition, facetCorners, BOOLEAN_TAGS } from './gdmlExport.js';
+import { booleanSequence } from './booleanOperations.js';
+import { resolveExpressions, symbolicDimensions, mapExpression, operand } from './parameters.js';
+
+const TWO_PI = 2 * Math.PI;
+
+const DENSITY_UNITS = { 'g/cm3': 'g/cm3', 'mg/cm3': 'mg/cm3', 'kg/m3': 'kg/m3' };
+const STATES = { solid: 'kStateSolid', liquid: 'kStateLiquid', gas: 'kStateGas' };
+// Geant4 class for each GDML boolean element
+const BOOLEAN_CLASSES = { union: 'G4UnionSolid', subtraction: 'G4SubtractionSolid', intersection: 'G4IntersectionSolid' };
+// <cmath> functions, by our name
+const CPP_FUNCTIONS = {
+  ...Object.fromEntries(['sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2', 'sinh', 'cosh', 'tanh',
+    'sqrt', 'exp', 'log', 'log10', 'pow', 'fabs', 'floor', 'ceil'].map(f => [f, `std::${f}`])),
+  abs: 'std::fabs',
+};
+
+// ──────────────────────────────────────────────────────────
+// Formatting helpers
+// ──────────────────────────────────────────────────────────
+
+const cppString = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Dimensions may be expressions already (see symbolicDimensions); those are in mm / rad
+const length = (value) => (typeof value === 'string' ? operand(value) : `${fmt(value ?? 0)}*mm`);
+
+const half = (value) => (typeof value === 'string' ? `${operand(value)}/2` : length((value ?? 0) / 2));
+
+const negated = (value) => (typeof value === 'string' ? `-${operand(value)}` : -value);
+
+const angle = (value) => {
+  if (typeof value === 'string') return operand(value);
+  const a = Number(value) || 0;
+  if (a === 0) return '0.';
+  if (Math.abs(a - TWO_PI) < 1e-12) return 'twopi';
+  if (Math.abs(a - Math.PI) < 1e-12) return 'pi';
+  return `${fmt(a)}*rad`;
+};
+
+// Always a double literal, so AddElement(el, 1.) is not taken for an atom count
+const double = (value) => {
+  const s = fmt(value);
+  return /[.e]/.test(s) ? s : `${s}.`;
+};
+
+// C++ text of an expression, or null; number literals are doubles so 1/2 stays 0.5
+const cppExpression = (text) => mapExpression(text, {
+  functions: CPP_FUNCTIONS,
+  number: (value, literal) => (/[.eE]/.test(literal) ? literal : `${literal}.`),
+});
+
+const vector = (position) => (position
+  ? `G4ThreeVector(${length(position.x)}, ${length(position.y)}, ${length(position.z)})`
+  : 'G4ThreeVector()');
+
+/**
+ * Hand out unique C++ identifiers. Callers pass a prefixed base
+ * ("solid_Tank"), so results never collide with keywords.
+ */
+function createIdentifierRegistry() {
+  const used = new Set();
+  return (base) => {
+    const cleaned = String(base).replace(/[^A-Za-z0-9_]/g, '_');
+    let candidate = cleaned;
+    let i = 1;
+    while (used.has(candidate)) candidate = `${cleaned}_${i++}`;
+    used.add(candidate);
+    return candidate;
+  };
+}
+
+/**
+ * Unique Geant4 object names (logical volume names must be unique so that
+ * SetSensitiveDetector can find them by name).
+ */
+function createNameRegistry() {
+  const used = new Set();
+  return (name) => {
+    const base = String(name || 'unnamed');
+    let candidate = base;
+    let i = 1;
+    while (used.has(candidate)) candidate = `${base}_${i++}`;
+    used.add(candidate);
+    return candidate;
+  };
+}
+
+// Statements that build a frame rotation; empty for the identity
+const rotationCalls = (target, rotation) => ['x', 'y', 'z']
+  .filter(axis => rotation && rotation[axis])
+  .map(axis => `${target}rotate${axis.toUpperCase()}(${angle(rotation[axis])});`);
+
+// ──────────────────────────────────────────────────────────
+// Solids
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Statements constructing a primitive solid into `v`, or null if the type
+ * has no Geant4 mapping. JSON box/cylinder sizes are full lengths; Geant4
+ * takes half-lengths. Trapezoid dimensions are already G4Trd half-lengths.
+ */
+function primitiveSolidLines(type, dims, name, v, ident, include) {
+  const d = dims || {};
+  const sPhi = angle(d.startPhi ?? 0);
+  const dPhi = angle(d.deltaPhi ?? TWO_PI);
+  const n = cppString(name);
+
+  const planes = (cls, head) => {
+    const z = d.z || [];
+    const list = (values) => z.map((_, i) => length((values || [])[i] ?? 0)).join(', ');
+    const zVar = ident(`${v}_z`);
+    const rminVar = ident(`${v}_rmin`);
+    const rmaxVar = ident(`${v}_rmax`);
+    include(cls);
+    return [
+      `const G4double ${zVar}[] = {${z.map(length).join(', ')}};`,
+      `const G4double ${rminVar}[] = {${list(d.rmin)}};`,
+      `const G4double ${rmaxVar}[] = {${list(d.rmax)}};`,
+      `auto* ${v} = new ${cls}(${n}, ${head}, ${z.length}, ${zVar}, ${rminVar}, ${rmaxVar});`,
+    ];
+  };
+
+  switch (type) {
+    case 'box':
+      include('G4Box');
+      return [`auto* ${v} = new G4Box(${n}, ${half(d.x)}, ${half(d.y)}, ${half(d.z)});`];
+    case 'cylinder':
+      include('G4Tubs');
+      return [`auto* ${v} = new G4Tubs(${n}, ${length(d.inner_radius)}, ${length(d.radius)}, ${half(d.height)}, ${sPhi}, ${dPhi});`];
+    case 'sphere':
+      include('G4Sphere');
+      return [`auto* ${v} = new G4Sphere(${n}, ${length(d.inner_radius)}, ${length(d.radius)}, ${sPhi}, ${dPhi}, ${angle(d.startTheta ?? 0)}, ${angle(d.deltaTheta ?? Math.PI)});`];
+    case 'orb':
+      include('G4Orb');
+      return [`auto* ${v} = new G4Orb(${n}, ${length(d.radius)});`];
+    case 'cone':
+      include('G4Cons');
+      return [`auto* ${v} = new G4Cons(${n}, ${length(d.rmin1)}, ${length(d.rmax1)}, ${length(d.rmin2)}, ${length(d.rmax2)}, ${half(d.height)}, ${sPhi}, ${dPhi});`];
+    case 'elliptical_tube':
+      include('G4EllipticalTube');
+      return [`auto* ${v} = new G4EllipticalTube(${n}, ${length(d.dx)}, ${length(d.dy)}, ${length(d.dz)});`];
+    case 'ellipsoid': {
+      include('G4Ellipsoid');
+      const a = d.x_radius ?? d.ax ?? 0;
+      const b = d.y_radius ?? d.by ?? 0;
+      const c = d.z_radius ?? d.cz ?? 0;
+      const cuts = (d.zcut1 !== undefined || d.zcut2 !== undefined)
+        ? `, ${length(d.zcut1 ?? negated(c))}, ${length(d.zcut2 ?? c)}`
+        : '';
+      return [`auto* ${v} = new G4Ellipsoid(${n}, ${length(a)}, ${length(b)}, ${length(c)}${cuts});`];
+    }
+    case 'torus':
+      include('G4Torus');
+      return [`auto* ${v} = new G4Torus(${n}, 0., ${length(d.minor_radius)}, ${length(d.major_radius)}, ${sPhi}, ${dPhi});`];
+    case 'trapezoid':
+      include('G4Trd');
+      return [`auto* ${v} = new G4Trd(${n}, ${length(d.dx1)}, ${length(d.dx2)}, ${length(d.dy1)}, ${length(d.dy2)}, ${length(d.dz)});`];
+    case 'polycone':
+      return planes('G4Polycone', `${sPhi}, ${dPhi}`);
+    case 'polyhedra':
+      return planes('G4Polyhedra', `${sPhi}, ${dPhi}, ${d.numSides ?? 6}`);
+    case 'tessellated': {
+      const verticesVar = ident(`${v}_vertices`);
+      include('G4TessellatedSolid');
+      const facetLines = facetCorners(d.facets || []).map(corners => {
+        const cls = corners.length === 4 ? 'G4QuadrangularFacet' : 'G4TriangularFacet';
+        include(cls);
+        return `${v}->AddFacet(new ${cls}(${corners.map(k => `${verticesVar}[${k}]`).join(', ')}, ABSOLUTE));`;
+      });
+      return [
+        `const G4ThreeVector ${verticesVar}[] = {`,
+        ...(d.vertices || []).map(([x, y, z]) => `  ${vector({ x, y, z })},`),
+        '};',
+        `auto* ${v} = new G4TessellatedSolid(${n});`,
+        ...facetLines,
+        `${v}->SetSolidClosed(true);`,
+      ];
+    }
+    default:
+      return null;
+  }
+}
+
+// ──────────────────────────────────────────────────────────
+// Exporter
+// ──────────────────────────────────────────────────────────
+
+const HEADER = `//
+// DetectorConstruction.hh
+// Generated by the Geant4 Geometry Editor.
+//
+
+#ifndef DetectorConstruction_h
+#define DetectorConstruction_h 1
+
+#include "G4VUserDetectorConstruction.hh"
+#include "globals.hh"
+
+class G4VPhysicalVolume;
+
+class DetectorConstruction : public G4VUserDetectorConstruction
+{
+  public:
+    DetectorConstruction() = default;
+    ~DetectorConstruction() override = default;
+
+    G4VPhysicalVolume* Construct() override;
+    void ConstructSDandField() override;
+
+  private:
+    G4bool fCheckOverlaps = true;
+};
+
+#endif
+`;
+
+/**
+ * Convert the project to a DetectorConstruction.hh/.cc pair.
+ *
+ * @param {Object} jsonData - Hierarchical JSON { world, volumes }
+ * @param {Object} [materials] - Materials map (falls back to jsonData.materials)
+ * @returns {{ header: string, source: string, warnings: string[] }}
+ */
+export function exportToCpp(jsonData, materials) {
+  const { json: resolved, values, order, errors } = resolveExpressions(jsonData || {});
+  const json = restructureCompounds(symbolicDimensions(resolved, cppExpression));
+  json.volumes = (json.volumes || []).filter(Boolean);
+  const materialMap = materials || json.materials || {};
+  const warnings = errors.map(({ name, message }) => `Expression in "${name}" could not be evaluated: ${message}`);
+
+  const ident = createIdentifierRegistry();
+  // Parameters keep their names; generated identifiers go around them
+  const parameterLines = order.map(name => {
+    const raw = jsonData.parameters[name];
+    const text = (typeof raw === 'string' && cppExpression(raw)) || double(values[name]);
+    return `const G4double ${ident(name)} = ${text};`;
+  });
+  const solidName = createNameRegistry();
+  const logicalName = createNameRegistry();
+  const physName = createNameRegistry();
+  const classes = new Set(['G4NistManager', 'G4Material', 'G4LogicalVolume', 'G4PVPlacement', 'G4ThreeVector']);
+  const include = (cls) => classes.add(cls);
+
+  // Materials are referenced through variables; they are defined at the end
+  // once every use is known.
+  const materialVars = new Map();
+  const materialVar = (name) => {
+    if (!materialVars.has(name)) materialVars.set(name, ident(`mat_${name}`));
+    return materialVars.get(name);
+  };
+
+  const definitions = [];
+  const logicals = new Map();   // key → { kind, var, name, aux, daughters[] }
+
+  // ── Solids ──
+  // Returns { ref, frame } like the GDML exporter: frame maps the solid's
+  // own frame into the volume's frame (non-identity only for unions whose
+  // first add component is offset).
+  const buildSolid = (def, nameHint, lines) => {
+    if (def.type === 'union') {
+      const sequence = booleanSequence(def.components);
+      if (!sequence) {
+        warnings.push(`Boolean solid "${def.name}" has no additive component`);
+        return null;
+      }
+      if (sequence.dropped.length > 0) {
+        warnings.push(`Boolean solid "${def.name}": components before the first additive one act on nothing and were skipped`);
+      }
+
+      const built = (c) => {
+        const solid = buildSolid(c, `${nameHint}_${c.g4name || c.name}`, lines);
+        if (!solid) return null;
+        const local = placementMatrix(c.placements && c.placements[0]);
+        return { ref: solid.ref, frame: local.multiply(solid.frame) };
+      };
+
+      const base = built(sequence.base);
+      if (!base) return null;
+      const baseInverse = base.frame.clone().invert();
+      let current = base.ref;
+      const steps = sequence.steps.map(({ op, component }) => [BOOLEAN_TAGS[op], component]);
+
+      steps.forEach(([op, comp], i) => {
+        const solid = built(comp);
+        if (!solid) return;
+        const rel = baseInverse.clone().multiply(solid.frame);
+        const { position, rotation } = matrixToGdml(rel);
+        const cls = BOOLEAN_CLASSES[op];
+        const name = solidName(i === steps.length - 1 ? `${nameHint}_solid` : `${nameHint}_${op}_${i + 1}`);
+        const v = ident(`solid_${name}`);
+        let rotVar = 'nullptr';
+        if (rotation) {
+          include('G4RotationMatrix');
+          rotVar = ident(`rot_${name}`);
+          lines.push(`auto* ${rotVar} = new G4RotationMatrix();`, ...rotationCalls(`${rotVar}->`, rotation));
+        }
+        include(cls);
+        lines.push(`auto* ${v} = new ${cls}(${cppString(name)}, ${current}, ${solid.ref}, ${rotVar}, ${vector(position)});`);
+        current = v;
+      });
+
+      return { ref: current, frame: base.frame };
+    }
+
+    if (def.type === 'tessellated' && !(def.dimensions?.facets?.length > 0)) {
+      warnings.push(`Tessellated solid "${def.name}" has no facets and was skipped`);
+      return null;
+    }
+    const name = solidName(`${nameHint}_solid`);
+    const v = ident(`solid_${name}`);
+    const solidLines = primitiveSolidLines(def.type, def.dimensions, name, v, ident, include);
+    if (!solidLines) {
+      warnings.push(`Solid type "${def.type}" of "${def.name}" has no Geant4 equivalent and was skipped`);
+      return null;
+    }
+    lines.push(...solidLines);
+    return { ref: v, frame: new THREE.Matrix4() };
+  };
+
+  // ── Logical volumes / assemblies ──
+  const nameToKey = new Map();   // volume / placement / component name → key
+
+  const registerNames = (key, def, extraNames = []) => {
+    const names = [def.name, def.g4name, ...extraNames];
+    (def.placements || []).forEach(pl => names.push(pl.name, pl.g4name));
+    names.filter(Boolean).forEach(n => { if (!nameToKey.has(n)) nameToKey.set(n, key); });
+  };
+
+  const defineVolume = (def, key, lines) => {
+    const baseName = def.g4name || def.name;
+    if (def.type === 'assembly') {
+      include('G4AssemblyVolume');
+      const v = ident(`assembly_${baseName}`);
+      lines.push(`auto* ${v} = new G4AssemblyVolume();`);
+      logicals.set(key, { kind: 'assembly', var: v, name: baseName, daughters: [] });
+      return { frame: new THREE.Matrix4() };
+    }
+    const solid = buildSolid(def, baseName, lines);
+    if (!solid) return null;
+    const material = def.material || 'G4_AIR';
+    if (!materialMap[material] && !isNistName(material)) {
+      warnings.push(`Material "${material}" used by "${def.name}" is not defined`);
+    }
+    const name = logicalName(baseName);
+    const v = ident(`logic_${name}`);
+    lines.push(`auto* ${v} = new G4LogicalVolume(${solid.ref}, ${materialVar(material)}, ${cppString(name)});`);
+    logicals.set(key, { kind: 'volume', var: v, name, aux: def.hitsCollectionName, daughters: [] });
+    return { frame: solid.frame };
+  };
+
+  const addDaughter = (parentKey, childKey, childFrame, placement, copynumber, fallbackName) => {
+    const parent = logicals.get(parentKey);
+    if (!parent || !logicals.get(childKey)) return;
+    const matrix = placementMatrix(placement).multiply(childFrame);
+    const { position, rotation } = matrixToGdml(matrix);
+    parent.daughters.push({
+      name: physName(placement?.g4name || placement?.name || fallbackName),
+      ref: childKey,
+      copynumber,
+      position: symbolicPosition(position, placement, childFrame, cppExpression),
+      rotation,
+    });
+  };
+
+  // Object transform for assembly triplets and imprints
+  const transformLines = (name, position, rotation) => {
+    include('G4Transform3D');
+    const v = ident(`transform_${name}`);
+    if (!rotation) return { v, lines: [`G4Transform3D ${v}(G4RotationMatrix(), ${vector(position)});`] };
+    include('G4RotationMatrix');
+    const rotVar = ident(`rotm_${name}`);
+    return {
+      v,
+      lines: [
+        `G4RotationMatrix ${rotVar};`,
+        ...rotationCalls(`${rotVar}.`, rotation),
+        `G4Transform3D ${v}(${rotVar}.inverse(), ${vector(position)});`,
+      ],
+    };
+  };
+
+  // World
+  const world = json.world || { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } };
+  const worldDef = { ...world, type: world.type || 'box', dimensions: world.dimensions || world.size };
+  const worldLines = [];
+  if (!defineVolume(worldDef, 'world', worldLines)) {
+    return { header: HEADER, source: '', warnings: [...warnings, 'World volume could not be exported'] };
+  }
+  definitions.push(worldLines);
+  registerNames('world', worldDef, ['World']);
+
+  // Definitions first, so parent lookups can see every name
+  const topLevel = [];
+  json.volumes.forEach((vol, vi) => {
+    const key = `vol-${vi}`;
+    const lines = [`// ${vol.name}`];
+    const info = defineVolume(vol, key, lines);
+    if (!info) return;
+    registerNames(key, vol);
+    topLevel.push({ vol, key, frame: info.frame });
+    definitions.push(lines);
+
+    if (vol.type !== 'assembly') return;
+    // A nested assembly is a component holding components of its own; it
+    // is filled before it is added to the assembly around it
+    const defineComponents = (assemblyDef, assemblyKey) => {
+      const assembly = logicals.get(assemblyKey);
+      const compEntries = [];
+      (assemblyDef.components || []).forEach((comp, ci) => {
+        const compKey = `${assemblyKey}-c-${ci}`;
+        const compInfo = defineVolume(comp, compKey, lines);
+        if (!compInfo) return;
+        const derived = (vol.placements || []).map((_, pi) => deriveComponentName(comp.name, pi));
+        registerNames(compKey, comp, derived);
+        compEntries.push({ comp, compKey, frame: compInfo.frame });
+      });
+      compEntries.forEach(({ comp, compKey, frame }) => {
+        const child = logicals.get(compKey);
+        if (child.kind === 'assembly') defineComponents(comp, compKey);
+        const pl = (comp.placements && comp.placements[0]) || {};
+        const parentKey = pl.parent ? nameToKey.get(pl.parent) : assemblyKey;
+        if (parentKey && parentKey.startsWith(`${assemblyKey}-c-`) && child.kind !== 'assembly') {
+          addDaughter(parentKey, compKey, frame, pl, 0, comp.g4name || comp.name);
+          return;
+        }
+        // Direct assembly member: add it to the assembly before any imprint
+        const { position, rotation } = matrixToGdml(placementMatrix(pl).multiply(frame));
+        const t = transformLines(comp.g4name || comp.name, position, rotation);
+        const add = child.kind === 'assembly' ? 'AddPlacedAssembly' : 'AddPlacedVolume';
+        lines.push(...t.lines, `${assembly.var}->${add}(${child.var}, ${t.v});`);
+      });
+    };
+    defineComponents(vol, key);
+  });
+
+  // Placements of top-level volumes
+  topLevel.forEach(({ vol, key, frame }) => {
+    (vol.placements || []).forEach((pl, pi) => {
+      if (!pl) return;
+      let parentKey = nameToKey.get(pl.parent || 'World') || null;
+      if (!parentKey) {
+        warnings.push(`Parent "${pl.parent}" of "${pl.name || vol.name}" not found; placed in the world`);
+        parentKey = 'world';
+      } else if (logicals.get(parentKey).kind === 'assembly') {
+        warnings.push(`"${pl.name || vol.name}" is placed inside assembly "${pl.parent}"; placed in the world`);
+        parentKey = 'world';
+      } else if (parentKey === key) {
+        warnings.push(`"${pl.name || vol.name}" is placed inside itself; skipped`);
+        return;
+      }
+      addDaughter(parentKey, key, frame, pl, pl.copynumber ?? pi, vol.g4name || vol.name);
+    });
+  });
+
+  // ── Placements: mothers before daughters ──
+  const placements = [];
+  const visited = new Set();
+  const place = (key) => {
+    if (visited.has(key)) return;
+    visited.add(key);
+    const mother = logicals.get(key);
+    mother.daughters.forEach(d => {
+      const child = logicals.get(d.ref);
+      if (child.kind === 'assembly') {
+        const t = transformLines(d.name, d.position, d.rotation);
+        placements.push(...t.lines, `${child.var}->MakeImprint(${mother.var}, ${t.v}, ${d.copynumber});`);
+      } else {
+        let rotVar = 'nullptr';
+        if (d.rotation) {
+          include('G4RotationMatrix');
+          rotVar = ident(`rot_${d.name}`);
+          placements.push(`auto* ${rotVar} = new G4RotationMatrix();`, ...rotationCalls(`${rotVar}->`, d.rotation));
+        }
+        placements.push(`new G4PVPlacement(${rotVar}, ${vector(d.position)}, ${child.var}, ${cppString(d.name)}, ${mother.var}, false, ${d.copynumber}, fCheckOverlaps);`);
+      }
+    });
+    mother.daughters.forEach(d => place(d.ref));
+    // Daughters of assembly members are reached through the assembly
+    if (mother.kind === 'assembly') {
+      [...logicals.keys()].filter(k => k.startsWith(`${key}-c-`)).forEach(place);
+    }
+  };
+  place('world');
+
+  // ── Materials: dependencies first ──
+  const materialLines = [];
+  const elementVars = new Map();
+  const elementVar = (symbol) => {
+    if (!elementVars.has(symbol)) {
+      include('G4Element');
+      const v = ident(`el_${symbol}`);
+      elementVars.set(symbol, v);
+      materialLines.push(`G4Element* ${v} = nist->FindOrBuildElement(${cppString(symbol)});`);
+    }
+    return elementVars.get(symbol);
+  };
+  const definedMaterials = new Set();
+  const defineMaterial = (name, stack = new Set()) => {
+    if (definedMaterials.has(name) || stack.has(name)) return;
+    const v = materialVar(name);
+    const mat = materialMap[name];
+    const isMaterialRef = (ref) => mat.type === 'compound' && (materialMap[ref] || isNistName(ref));
+
+    if (!mat || mat.type === 'nist' || isNistName(name)) {
+      definedMaterials.add(name);
+      materialLines.push(`G4Material* ${v} = nist->FindOrBuildMaterial(${cppString(name)});`);
+      return;
+    }
+    const entries = Object.entries(mat.composition || {}).filter(([, n]) => Number(n) > 0);
+    stack.add(name);
+    entries.filter(([ref]) => isMaterialRef(ref)).forEach(([ref]) => defineMaterial(ref, stack));
+    stack.delete(name);
+    definedMaterials.add(name);
+
+    if (entries.length === 0) {
+      warnings.push(`Material "${name}" has no composition; G4_Galactic is used instead`);
+      materialLines.push(`G4Material* ${v} = nist->FindOrBuildMaterial("G4_Galactic");`);
+      return;
+    }
+
+    const args = [
+      cppString(name),
+      `${fmt(mat.density ?? 1)}*${DENSITY_UNITS[mat.density_unit] || 'g/cm3'}`,
+      entries.length,
+    ];
+    if (STATES[mat.state] || mat.temperature !== undefined) args.push(STATES[mat.state] || 'kStateUndefined');
+    if (mat.temperature !== undefined) args.push(`${fmt(mat.temperature)}*kelvin`);
+    const adds = [];
+    // Same rule as the GDML exporter: whole-number element_based counts are
+    // atom counts, anything else is a (normalised) mass fraction.
+    const allIntegers = entries.every(([, n]) => Number.isInteger(Number(n)));
+    if (mat.type === 'element_based' && allIntegers) {
+      entries.forEach(([symbol, count]) => adds.push(`${v}->AddElement(${elementVar(symbol)}, ${Number(count)});`));
+    } else {
+      const total = entries.reduce((sum, [, n]) => sum + Number(n), 0);
+      entries.forEach(([ref, n]) => {
+        const fraction = double(Number(n) / total);
+        adds.push(isMaterialRef(ref)
+          ? `${v}->AddMaterial(${materialVar(ref)}, ${fraction});`
+          : `${v}->AddElement(${elementVar(ref)}, ${fraction});`);
+      });
+    }
+    materialLines.push(`auto* ${v} = new G4Material(${args.join(', ')});`, ...adds);
+  };
+  Object.keys(materialMap).forEach(name => {
+    const mat = materialMap[name];
+    // NIST entries are only looked up when used; custom ones are all defined
+    if (mat && mat.type !== 'nist' && !isNistName(name)) defineMaterial(name);
+  });
+  [...materialVars.keys()].forEach(name => defineMaterial(name));
+
+  // ── Sensitive detectors: one per hits collection ──
+  const collections = new Map();
+  logicals.forEach(entry => {
+    if (entry.kind !== 'volume' || !entry.aux) return;
+    if (!collections.has(entry.aux)) collections.set(entry.aux, []);
+    collections.get(entry.aux).push(entry.name);
+  });
+  const sdLines = [];
+  if (collections.size > 0) {
+    include('G4SDManager');
+    include('G4MultiFunctionalDetector');
+    include('G4PSEnergyDeposit');
+    sdLines.push('auto* sdManager = G4SDManager::GetSDMpointer();');
+    collections.forEach((volumeNames, collection) => {
+      const v = ident(`sd_${collection}`);
+      sdLines.push(
+        '',
+        `// Hits collection "${collection}": replace with your own sensitive detector if needed`,
+        `auto* ${v} = new G4MultiFunctionalDetector(${cppString(collection)});`,
+        `${v}->RegisterPrimitive(new G4PSEnergyDeposit("Edep"));`,
+        `sdManager->AddNewDetector(${v});`,
+        ...volumeNames.map(n => `SetSensitiveDetector(${cppString(n)}, ${v});`),
+      );
+    });
+  } else {
+    sdLines.push('// No volume has a hitsCollectionName');
+  }
+
+  // ── Assemble the source ──
+  const indent = (lines) => lines.map(l => (l ? `  ${l}` : ''));
+  const worldEntry = logicals.get('world');
+  const body = [
+    ...(parameterLines.length ? ['// Parameters (mm, rad)', ...parameterLines, ''] : []),
+    'auto* nist = G4NistManager::Instance();',
+    '',
+    '// Materials',
+    ...materialLines,
+    '',
+    '// World',
+    ...definitions[0],
+    `auto* physWorld = new G4PVPlacement(nullptr, G4ThreeVector(), ${worldEntry.var}, ${cppString(worldEntry.name)}, nullptr, false, 0, fCheckOverlaps);`,
+    ...definitions.slice(1).flatMap(lines => ['', ...lines]),
+    '',
+    '// Placements',
+    ...placements,
+    '',
+    'return physWorld;',
+  ];
+
+  const source = [
+    '//',
+    '// DetectorConstruction.cc',
+    '// Generated by the Geant4 Geometry Editor. Lengths are in mm, angles in rad.',
+    '//',
+    '',
+    '#include "DetectorConstruction.hh"',
+    '',
+    ...[...classes].sort().map(cls => `#include "${cls}.hh"`),
+    '#include "G4SystemOfUnits.hh"',
+    '#include "G4PhysicalConstants.hh"',
+    ...(/std::/.test(body.join('\n')) ? ['', '#include <cmath>'] : []),
+    '',
+    'G4VPhysicalVolume* DetectorConstruction::Construct()',
+    '{',
+    ...indent(body),
+    '}',
+    '',
+    'void DetectorConstruction::ConstructSDandField()',
+    '{',
+    ...indent(sdLines),
+    '}',
+    '',
+  ].join('\n');
+
+  debugLog(`exportToCpp:: ${logicals.size} volumes, ${collections.size} hits collections, ${warnings.length} warnings`);
+  return { header: HEADER, source, warnings };
+}
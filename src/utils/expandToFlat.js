@@ -5,11 +5,22 @@
  * This is the forward-only replacement for jsonToGeometry — no inverse needed
  * because the JSON is the primary state.
  * 
- * Input:  { world, volumes, materials } (JSON format, as stored/loaded)
- * Output: { world, volumes[] }           (flat format, for rendering & tree)
+ * Input:  { world, volumes, materials, parameters } (JSON format, as stored/loaded)
+ * Output: { world, volumes[], parameters, expressionErrors } (flat format, for rendering & tree)
+ *
+ * Expressions in the JSON are evaluated here (see parameters.js). Flat entries
+ * carry numbers, plus an `_expressions` map of flat path → expression text
+ * ('radius', 'size.x', 'zSections.0.rMax', 'position.x', 'rotation.z') so
+ * edits can keep them.
+ *
+ * Flat keys are built from the `_uid`s stored in the JSON (see stableIds.js),
+ * so they do not change when volumes or placements before them are removed.
+ * Given a cache, only the volumes that changed since the last call are
+ * expanded again.
  */
 
 import { debugLog, debugWarn } from './logger.js';
+import { resolveParameters, resolveDefinitionExpressions } from './parameters.js';
 
 // ---------------------------------------------------------------------------
 // Stable key helpers
@@ -17,12 +28,16 @@ import { debugLog, debugWarn } from './logger.js';
 
 /**
  * Build a stable key for a flat volume entry.
- * Format: vol-{vi}-pl-{pi}  or  vol-{vi}-pl-{pi}-c-{ci}  or  vol-{vi}-pl-{pi}-c-{ci}-sc-{sci}
+ * Format: vol-{vi}-pl-{pi}  or  vol-{vi}-pl-{pi}-c-{ci}  or
+ * vol-{vi}-pl-{pi}-c-{ci}-sc-{sci}[-sc-{...}] for components nested deeper,
+ * where each part is the `_uid` of the volume, placement or component, or
+ * its array index if it has none.
  */
-export function buildVolumeKey(vi, pi, ci, sci) {
+export function buildVolumeKey(vi, pi, ...componentParts) {
   let key = `vol-${vi}-pl-${pi}`;
-  if (ci !== undefined) key += `-c-${ci}`;
-  if (sci !== undefined) key += `-sc-${sci}`;
+  componentParts.forEach((part, depth) => {
+    if (part !== undefined) key += `${depth === 0 ? '-c-' : '-sc-'}${part}`;
+  });
   return key;
 }
 
@@ -41,32 +56,69 @@ export function findFlatIndex(volumes, key) {
   return volumes.findIndex(v => v._id === key);
 }
 
+// Part of a flat key: the stored id, or the index without one
+const keyPart = (item, index) => item?._uid ?? index;
+
 /**
  * Expand hierarchical JSON geometry into a flat volume array.
  * Each placement becomes a separate entry. Assemblies/booleans are expanded
  * so that both the compound entry and its components appear as flat volumes.
  *
- * @param {Object} json - The JSON geometry { world, volumes, materials }
- * @returns {Object} { world, volumes[] } in flat internal format
+ * With `options.cache` (a WeakMap the caller keeps between calls), the
+ * entries of a JSON volume object seen before are reused as long as the
+ * parameters are the same, so an edit that replaces one volume expands
+ * only that one. The returned entries are shared: never modify them.
+ *
+ * @param {Object} json - The JSON geometry { world, volumes, materials, parameters }
+ * @param {Object} [options]
+ * @param {WeakMap} [options.cache] - JSON volume → its expansion
+ * @returns {Object} { world, volumes[], parameters, expressionErrors } in flat internal format;
+ *   parameters maps each valid parameter name to its value
  */
-export function expandToFlat(json) {
-  if (!json) return { world: defaultWorld(), volumes: [] };
+export function expandToFlat(json, { cache } = {}) {
+  if (!json) return { world: defaultWorld(), volumes: [], parameters: {}, expressionErrors: [] };
+
+  const { values, errors: parameterErrors, variables } = resolveParameters(json.parameters);
+  const errors = Object.entries(parameterErrors).map(([name, message]) => ({ name, message }));
+  // Expansions made with other parameter values are stale
+  const parametersKey = JSON.stringify(json.parameters || {});
 
-  const world = json.world ? expandWorld(json.world) : defaultWorld();
+  const resolvedWorld = resolveDefinitionExpressions(json.world, variables);
+  errors.push(...resolvedWorld.errors);
+  const world = resolvedWorld.definition ? expandWorld(resolvedWorld.definition) : defaultWorld();
   const flatVolumes = [];
 
   if (json.volumes && Array.isArray(json.volumes)) {
     json.volumes.forEach((volume, volumeIndex) => {
       if (!volume) return;
-      if (volume.type === 'assembly' || volume.type === 'union') {
-        expandCompound(volume, volumeIndex, flatVolumes);
-      } else {
-        expandStandard(volume, volumeIndex, flatVolumes);
+      let entry = cache?.get(volume);
+      // Keys of a volume without an id hold its index
+      if (!entry || entry.parametersKey !== parametersKey || (entry.volumeIndex !== volumeIndex && volume._uid === undefined)) {
+        entry = { parametersKey, volumeIndex, ...expandVolume(volume, volumeIndex, variables) };
+        cache?.set(volume, entry);
+      } else if (entry.volumeIndex !== volumeIndex) {
+        entry = { ...entry, volumeIndex, volumes: entry.volumes.map(flat => ({ ...flat, _volumeIndex: volumeIndex })) };
+        cache.set(volume, entry);
       }
+      flatVolumes.push(...entry.volumes);
+      errors.push(...entry.errors);
     });
   }
 
-  return { world, volumes: flatVolumes };
+  errors.forEach(e => debugWarn(`expandToFlat:: ${e.name}: ${e.message}`));
+  return { world, volumes: flatVolumes, parameters: values, expressionErrors: errors };
+}
+
+// Flat entries and expression errors of one JSON volume
+function expandVolume(volume, volumeIndex, variables) {
+  const { definition, errors } = resolveDefinitionExpressions(volume, variables);
+  const volumes = [];
+  if (definition.type === 'assembly' || definition.type === 'union') {
+    expandCompound(definition, volumeIndex, volumes);
+  } else {
+    expandStandard(definition, volumeIndex, volumes);
+  }
+  return { volumes, errors };
 }
 
 // ---------------------------------------------------------------------------
@@ -85,12 +137,15 @@ function defaultWorld() {
 }
 
 function expandWorld(w) {
-  return {
+  const world = {
     ...w,
     size: w.dimensions || w.size || { x: 1000, y: 1000, z: 1000 },
     position: { x: 0, y: 0, z: 0 },
     rotation: { x: 0, y: 0, z: 0 }
   };
+  delete world._expressions;
+  setExpressions(world, { ...w, type: w.type || 'box' });
+  return world;
 }
 
 // ---------------------------------------------------------------------------
@@ -106,7 +161,7 @@ function expandStandard(volume, volumeIndex, flatVolumes) {
   volume.placements.forEach((placement, placementIndex) => {
     if (!placement) return;
     const flat = {
-      _id: buildVolumeKey(volumeIndex, placementIndex),
+      _id: buildVolumeKey(keyPart(volume, volumeIndex), keyPart(placement, placementIndex)),
       name: placement.name || volume.name,
       g4name: placement.g4name || volume.g4name || volume.name,
       type: volume.type,
@@ -136,6 +191,7 @@ function expandStandard(volume, volumeIndex, flatVolumes) {
 
     // Map dimensions from JSON format to internal flat format
     setDimensions(flat, volume);
+    setExpressions(flat, volume, placement);
 
     flatVolumes.push(flat);
   });
@@ -145,6 +201,9 @@ function expandStandard(volume, volumeIndex, flatVolumes) {
 // Compound volumes (assembly / union)
 // ---------------------------------------------------------------------------
 
+// Components that are compounds themselves and expand their own components
+const isCompound = (def) => (def.type === 'assembly' || def.type === 'union') && Array.isArray(def.components);
+
 function expandCompound(volume, volumeIndex, flatVolumes) {
   if (!volume.placements || !Array.isArray(volume.placements)) {
     debugWarn(`expandCompound:: compound ${volume.name} has no placements`);
@@ -157,10 +216,11 @@ function expandCompound(volume, volumeIndex, flatVolumes) {
   volume.placements.forEach((placement, placementIndex) => {
     const instanceId = `inst_${placementIndex}`;
     const compoundName = placement.name || volume.name;
+    const keyPrefix = [keyPart(volume, volumeIndex), keyPart(placement, placementIndex)];
 
     // 1. The compound entry itself (assembly/union header)
     const compoundFlat = {
-      _id: buildVolumeKey(volumeIndex, placementIndex),
+      _id: buildVolumeKey(...keyPrefix),
       name: compoundName,
       g4name: placement.g4name || volume.g4name || volume.name,
       type: volume.type,
@@ -182,113 +242,112 @@ function expandCompound(volume, volumeIndex, flatVolumes) {
     // Per-placement visibility takes precedence over volume-level visibility
     if (placement.visible !== undefined) compoundFlat.visible = placement.visible;
     else if (volume.visible !== undefined) compoundFlat.visible = volume.visible;
+    setExpressions(compoundFlat, volume, placement);
 
     flatVolumes.push(compoundFlat);
 
-    // 2. Expand components (one set per placement)
-    if (volume.components && Array.isArray(volume.components)) {
-      const seenComponents = new Set();
-
-      volume.components.forEach((component, componentIndex) => {
-        // Deduplicate by _componentId
-        const componentKey = component._componentId || `${component.name || 'unnamed'}:${component.type || 'unknown'}`;
-        if (seenComponents.has(componentKey)) return;
-        seenComponents.add(componentKey);
-
-        const compPlacement = (component.placements && component.placements[0]) || { x: 0, y: 0, z: 0, rotation: { x: 0, y: 0, z: 0 } };
-
-        // Derive component name for this instance
-        const componentName = deriveComponentName(component.name || compPlacement.name, placementIndex);
-
-        // Determine mother_volume: if parent is empty, use the compound name
-        const parentName = compPlacement.parent;
-        let motherVolume;
-        if (!parentName || parentName === '') {
-          motherVolume = compoundName;
-        } else {
-          motherVolume = deriveComponentName(parentName, placementIndex);
-        }
-
-        const componentFlat = {
-          _id: buildVolumeKey(volumeIndex, placementIndex, componentIndex),
-          name: componentName,
-          g4name: component.g4name || component.name || componentName,
-          type: component.type,
-          material: component.material || undefined,
-          position: { x: compPlacement.x || 0, y: compPlacement.y || 0, z: compPlacement.z || 0 },
-          rotation: compPlacement.rotation
-            ? { x: compPlacement.rotation.x || 0, y: compPlacement.rotation.y || 0, z: compPlacement.rotation.z || 0 }
-            : { x: 0, y: 0, z: 0 },
-          mother_volume: motherVolume,
-          _compoundId: sharedCompoundId,
-          _componentId: component._componentId || component.g4name || component.name,
-          _instanceId: instanceId,
-          _volumeIndex: volumeIndex,
-          _placementIndex: placementIndex,
-          _componentIndex: componentIndex
-        };
-
-        if (component.boolean_operation) {
-          componentFlat.boolean_operation = component.boolean_operation;
-          componentFlat._is_boolean_component = true;
-          componentFlat._boolean_parent = compoundName;
-        }
-        if (component.hitsCollectionName !== undefined) componentFlat.hitsCollectionName = component.hitsCollectionName;
-        if (component._displayGroup !== undefined) componentFlat._displayGroup = component._displayGroup;
-        if (component.visible !== undefined) componentFlat.visible = component.visible;
-
-        setDimensions(componentFlat, component);
-
-        flatVolumes.push(componentFlat);
-
-        // If this component is itself a compound (union nested inside
-        // an assembly), expand its own sub-components so UnionObject can find them.
-        const nestedCompoundTypes = new Set(['union']);
-        if (nestedCompoundTypes.has(component.type) && component.components) {
-          component.components.forEach((subComp, subCompIdx) => {
-            const subPlacement = (subComp.placements && subComp.placements[0]) || { x: 0, y: 0, z: 0, rotation: { x: 0, y: 0, z: 0 } };
-
-            const subName = deriveComponentName(subComp.name || subPlacement.name, placementIndex);
-            const subParentName = subPlacement.parent
-              ? deriveComponentName(subPlacement.parent, placementIndex)
-              : componentName; // default: direct child of the union
-
-            const subFlat = {
-              _id: buildVolumeKey(volumeIndex, placementIndex, componentIndex, subCompIdx),
-              name: subName,
-              g4name: subComp.g4name || subComp.name || subName,
-              type: subComp.type,
-              material: subComp.material || undefined,
-              position: { x: subPlacement.x || 0, y: subPlacement.y || 0, z: subPlacement.z || 0 },
-              rotation: subPlacement.rotation
-                ? { x: subPlacement.rotation.x || 0, y: subPlacement.rotation.y || 0, z: subPlacement.rotation.z || 0 }
-                : { x: 0, y: 0, z: 0 },
-              mother_volume: subParentName,
-              _compoundId: sharedCompoundId,
-              _componentId: subComp._componentId || subComp.g4name || subComp.name,
-              _instanceId: instanceId,
-              _volumeIndex: volumeIndex,
-              _placementIndex: placementIndex,
-              _componentIndex: componentIndex,
-              _subComponentIndex: subCompIdx,
-            };
-
-            if (subComp.boolean_operation) {
-              subFlat.boolean_operation = subComp.boolean_operation;
-              subFlat._is_boolean_component = true;
-              subFlat._boolean_parent = componentName;
-            }
-            if (subComp.visible !== undefined) subFlat.visible = subComp.visible;
-
-            setDimensions(subFlat, subComp);
-            flatVolumes.push(subFlat);
-          });
-        }
-      });
+    // 2. Expand components (one set per placement), and the components of
+    // nested compounds below them
+    expandComponents(volume, compoundName, {
+      sharedCompoundId, instanceId, volumeIndex, placementIndex, keyPrefix, path: [],
+    }, flatVolumes);
+  });
+}
+
+// Flat entries of a compound's components, recursing into nested
+// assemblies and unions. Names are derived per top-level placement at every
+// depth; keys and `_componentPath` grow by one part per level.
+function expandComponents(container, containerName, context, flatVolumes) {
+  if (!Array.isArray(container.components)) return;
+  const { sharedCompoundId, instanceId, volumeIndex, placementIndex, keyPrefix, path } = context;
+  const seenComponents = new Set();
+
+  container.components.forEach((component, componentIndex) => {
+    if (!component) return;
+    // Deduplicate by _componentId
+    const componentKey = component._componentId || `${component.name || 'unnamed'}:${component.type || 'unknown'}`;
+    if (seenComponents.has(componentKey)) return;
+    seenComponents.add(componentKey);
+
+    const compPlacement = (component.placements && component.placements[0]) || { x: 0, y: 0, z: 0, rotation: { x: 0, y: 0, z: 0 } };
+
+    // Derive component name for this instance
+    const componentName = deriveComponentName(component.name || compPlacement.name, placementIndex);
+
+    // Determine mother_volume: if parent is empty, use the container name
+    const parentName = compPlacement.parent;
+    const motherVolume = parentName ? deriveComponentName(parentName, placementIndex) : containerName;
+
+    const indexPath = [...path, componentIndex];
+    const componentKeys = [...keyPrefix, keyPart(component, componentIndex)];
+
+    const componentFlat = {
+      _id: buildVolumeKey(...componentKeys),
+      name: componentName,
+      g4name: component.g4name || component.name || componentName,
+      type: component.type,
+      material: component.material || undefined,
+      position: { x: compPlacement.x || 0, y: compPlacement.y || 0, z: compPlacement.z || 0 },
+      rotation: compPlacement.rotation
+        ? { x: compPlacement.rotation.x || 0, y: compPlacement.rotation.y || 0, z: compPlacement.rotation.z || 0 }
+        : { x: 0, y: 0, z: 0 },
+      mother_volume: motherVolume,
+      _compoundId: sharedCompoundId,
+      _componentId: component._componentId || component.g4name || component.name,
+      _instanceId: instanceId,
+      _volumeIndex: volumeIndex,
+      _placementIndex: placementIndex,
+      _componentIndex: indexPath[0],
+      _componentPath: indexPath,
+    };
+    if (indexPath.length > 1) componentFlat._subComponentIndex = indexPath[1];
+
+    if (component.boolean_operation) {
+      componentFlat.boolean_operation = component.boolean_operation;
+      componentFlat._is_boolean_component = true;
+      componentFlat._boolean_parent = containerName;
+    }
+    if (component.hitsCollectionName !== undefined) componentFlat.hitsCollectionName = component.hitsCollectionName;
+    if (component._displayGroup !== undefined) componentFlat._displayGroup = component._displayGroup;
+    if (component.visible !== undefined) componentFlat.visible = component.visible;
+
+    setDimensions(componentFlat, component);
+    setExpressions(componentFlat, component, compPlacement);
+
+    flatVolumes.push(componentFlat);
+
+    if (isCompound(component)) {
+      expandComponents(component, componentName, { ...context, keyPrefix: componentKeys, path: indexPath }, flatVolumes);
     }
   });
 }
 
+/**
+ * Index path of a flat component inside its top-level JSON volume
+ * (`[ci]` for a component, `[ci, sci, ...]` for one nested deeper), or an
+ * empty array for a top-level volume.
+ * @param {Object} flatVol
+ * @returns {number[]}
+ */
+export function componentPath(flatVol) {
+  if (!flatVol) return [];
+  if (Array.isArray(flatVol._componentPath)) return flatVol._componentPath;
+  if (flatVol._componentIndex === undefined) return [];
+  return flatVol._subComponentIndex === undefined
+    ? [flatVol._componentIndex]
+    : [flatVol._componentIndex, flatVol._subComponentIndex];
+}
+
+/**
+ * JSON definition at an index path below a volume (see componentPath).
+ * @param {Object} volume - JSON volume or component
+ * @param {number[]} path
+ * @returns {Object|undefined} the volume itself for an empty path
+ */
+export function componentAt(volume, path) {
+  return path.reduce((def, index) => def?.components?.[index], volume);
+}
+
 // ---------------------------------------------------------------------------
 // Name derivation for component instances  
 // ---------------------------------------------------------------------------
@@ -319,9 +378,23 @@ export function deriveComponentName(name, placementIndex) {
 // Same logic as jsonToGeometry's setDimensions
 // ---------------------------------------------------------------------------
 
+/**
+ * Segment dimensions (rad) a solid type may carry, stored under the same
+ * name in the JSON dimensions and the flat volume.
+ */
+export function segmentKeys(type) {
+  if (type === 'sphere') return ['startPhi', 'deltaPhi', 'startTheta', 'deltaTheta'];
+  if (['cylinder', 'cone', 'torus', 'polycone', 'polyhedra'].includes(type)) return ['startPhi', 'deltaPhi'];
+  return [];
+}
+
 function setDimensions(flat, source) {
   if (!source.dimensions) return;
 
+  segmentKeys(source.type).forEach(key => {
+    if (source.dimensions[key] !== undefined) flat[key] = source.dimensions[key];
+  });
+
   switch (source.type) {
     case 'box':
       flat.size = {
@@ -340,7 +413,25 @@ function setDimensions(flat, source) {
       break;
 
     case 'sphere':
+    case 'orb':
       flat.radius = source.dimensions.radius;
+      if (source.type === 'sphere' && source.dimensions.inner_radius !== undefined) {
+        flat.innerRadius = source.dimensions.inner_radius;
+      }
+      break;
+
+    case 'cone':
+      flat.radiusBottom = source.dimensions.rmax1;
+      flat.radiusTop = source.dimensions.rmax2;
+      flat.innerRadiusBottom = source.dimensions.rmin1 ?? 0;
+      flat.innerRadiusTop = source.dimensions.rmin2 ?? 0;
+      flat.height = source.dimensions.height;
+      break;
+
+    case 'elliptical_tube':
+      flat.dx = source.dimensions.dx;
+      flat.dy = source.dimensions.dy;
+      flat.dz = source.dimensions.dz;
       break;
 
     case 'ellipsoid':
@@ -373,6 +464,15 @@ function setDimensions(flat, source) {
           rMax: source.dimensions.rmax[index]
         }));
       }
+      if (source.type === 'polyhedra' && source.dimensions.numSides !== undefined) {
+        flat.numSides = source.dimensions.numSides;
+      }
+      break;
+
+    case 'tessellated':
+      // Shared with the JSON: meshes are replaced whole, never edited in place
+      flat.vertices = source.dimensions.vertices;
+      flat.facets = source.dimensions.facets;
       break;
 
     default:
@@ -384,3 +484,48 @@ function setDimensions(flat, source) {
       }
   }
 }
+
+// ---------------------------------------------------------------------------
+// Expressions (resolved JSON paths → flat paths)
+// ---------------------------------------------------------------------------
+
+// Same shape with every leaf undefined, so setDimensions maps whole arrays
+const blankLeaves = (value) => {
+  if (Array.isArray(value)) return value.map(blankLeaves);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, blankLeaves(v)]));
+  }
+  return undefined;
+};
+
+const collectStrings = (value, path, found) => {
+  if (typeof value === 'string') found[path] = value;
+  else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(k => collectStrings(value[k], path ? `${path}.${k}` : k, found));
+  }
+};
+
+/**
+ * Attach `_expressions` (flat path → expression text) for the expressions
+ * resolveExpressions found in a definition and its placement.
+ */
+function setExpressions(flat, source, placement) {
+  const found = {};
+  const dimensionPaths = Object.entries(source._expressions || {}).filter(([path]) => path.startsWith('dimensions.'));
+  if (dimensionPaths.length > 0) {
+    // Map a dimensions object holding only the expressions, like the numbers
+    const dimensions = blankLeaves(source.dimensions);
+    dimensionPaths.forEach(([path, text]) => {
+      const keys = path.split('.').slice(1);
+      const parent = keys.slice(0, -1).reduce((node, key) => node?.[key], dimensions);
+      if (parent) parent[keys[keys.length - 1]] = text;
+    });
+    const mapped = {};
+    setDimensions(mapped, { type: source.type, dimensions });
+    collectStrings(mapped, '', found);
+  }
+  Object.entries(placement?._expressions || {}).forEach(([path, text]) => {
+    found[path.startsWith('rotation.') ? path : `position.${path}`] = text;
+  });
+  if (Object.keys(found).length > 0) flat._expressions = found;
+}
@@ -0,0 +1,160 @@
+/**
+ * expressionEvaluator.js
+ *
+ * Small, safe arithmetic evaluator for numeric expressions such as
+ * "2*pi", "WaterTankRadius - 5*mm" or "sqrt(a^2 + b^2)".
+ * No `eval` / `Function` is used: the input is tokenized and parsed with
+ * a recursive-descent parser.
+ *
+ * Grammar:
+ *   expr    := term (('+' | '-') term)*
+ *   term    := unary (('*' | '/') unary)*
+ *   unary   := ('+' | '-') unary | power
+ *   power   := primary (('^' | '**') unary)?        (right-associative)
+ *   primary := number | name | name '(' args ')' | '(' expr ')'
+ *
+ * Identifiers resolve against the `variables` map; unknown names throw.
+ */
+
+const FUNCTIONS = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan,
+  asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+  sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+  sqrt: Math.sqrt, exp: Math.exp, log: Math.log, log10: Math.log10,
+  pow: Math.pow, abs: Math.abs, fabs: Math.abs,
+  min: Math.min, max: Math.max, floor: Math.floor, ceil: Math.ceil,
+};
+
+/** Names of the functions an expression may call. */
+export const FUNCTION_NAMES = Object.keys(FUNCTIONS);
+
+const TOKEN_RE = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/^(),]))/y;
+
+/**
+ * Split an expression into number, name and operator tokens, each with its
+ * [start, end) offsets in the source.
+ *
+ * @param {string} source - Expression text
+ * @returns {{ type: string, value: number|string, start: number, end: number }[]}
+ * @throws {Error} On characters that are not part of the grammar
+ */
+export function tokenizeExpression(source) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  let pos = 0;
+  while (pos < source.length) {
+    if (/^\s*$/.test(source.slice(pos))) break;
+    TOKEN_RE.lastIndex = pos;
+    const m = TOKEN_RE.exec(source);
+    if (!m) throw new Error(`Unexpected character "${source.slice(pos).trim()[0]}" in "${source}"`);
+    const text = m[1] ?? m[2] ?? m[3];
+    const span = { start: TOKEN_RE.lastIndex - text.length, end: TOKEN_RE.lastIndex };
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(m[1]), ...span });
+    else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2], ...span });
+    else tokens.push({ type: 'op', value: m[3], ...span });
+    pos = TOKEN_RE.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression.
+ *
+ * @param {string|number} expression - Expression text (numbers pass through)
+ * @param {Object} [variables] - Map of identifier → number
+ * @returns {number}
+ * @throws {Error} On syntax errors, unknown identifiers or non-finite results
+ */
+export function evaluateExpression(expression, variables = {}) {
+  if (typeof expression === 'number') return expression;
+  const source = String(expression ?? '').trim();
+  if (source === '') throw new Error('Empty expression');
+
+  const tokens = tokenizeExpression(source);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}" in "${source}"`);
+    i++;
+  };
+
+  const parseExpr = () => {
+    let value = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[i++].value;
+      const rhs = parseTerm();
+      value = op === '+' ? value + rhs : value - rhs;
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[i++].value;
+      const rhs = parseUnary();
+      value = op === '*' ? value * rhs : value / rhs;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-')) { i++; return -parseUnary(); }
+    if (isOp('+')) { i++; return parseUnary(); }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^') || isOp('**')) {
+      i++;
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error(`Unexpected end of "${source}"`);
+
+    if (token.type === 'num') { i++; return token.value; }
+
+    if (token.type === 'name') {
+      i++;
+      if (isOp('(')) {
+        // Own keys only, so names like "constructor" are not functions
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new Error(`Unknown function "${token.value}"`);
+        }
+        const fn = FUNCTIONS[token.value];
+        i++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseExpr());
+          while (isOp(',')) { i++; args.push(parseExpr()); }
+        }
+        expect(')');
+        return fn(...args);
+      }
+      if (!Object.prototype.hasOwnProperty.call(variables, token.value)) {
+        throw new Error(`Unknown identifier "${token.value}"`);
+      }
+      return Number(variables[token.value]);
+    }
+
+    if (isOp('(')) {
+      i++;
+      const value = parseExpr();
+      expect(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected "${token.value}" in "${source}"`);
+  };
+
+  const result = parseExpr();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].value}" in "${source}"`);
+  if (!Number.isFinite(result)) throw new Error(`"${source}" does not evaluate to a finite number`);
+  return result;
+}
@@ -0,0 +1,606 @@
+/**
+ * gdmlExport.js
+ *
+ * Pure conversion of the hierarchical JSON project (jsonData + materials)
+ * into a GDML 1.x document readable by G4GDMLParser.
+ *
+ * Mapping:
+ *   materials{}                 →  <materials> (NIST entries are referenced, not defined)
+ *   volume.dimensions           →  <solids> (one solid per volume definition)
+ *   union components            →  chained <union>/<subtraction>/<intersection>, see booleanOperations.js
+ *   tessellated                 →  <tessellated> over <position> defines, one per vertex
+ *   volume                      →  <volume> (logical volume, shared by all placements)
+ *   assembly                    →  <assembly>, imprinted by every placement
+ *   placements[]                →  <physvol> inside the parent's logical volume
+ *   world                       →  <setup><world ref=.../></setup>
+ *
+ * Units: lengths are written in mm and angles in rad, matching the JSON.
+ *
+ * Parameters: the parameter table becomes <variable> defines, and dimensions
+ * and placement offsets given as expressions keep them (in CLHEP syntax).
+ * Expressions GDML cannot evaluate are written as their values.
+ *
+ * Rotations: the editor applies placement.rotation as an XYZ Euler object
+ * rotation (Rx·Ry·Rz). G4GDML builds rotateX(x)·rotateY(y)·rotateZ(z) and
+ * inverts it, so the GDML angles are the negated editor angles — the same
+ * convention GeometryParser.cc uses.
+ */
+
+import * as THREE from 'three';
+import { debugLog } from './logger.js';
+import { restructureCompounds } from './jsonOperations.js';
+import { deriveComponentName } from './expandToFlat.js';
+import { booleanSequence } from './booleanOperations.js';
+import { resolveExpressions, symbolicDimensions, mapExpression, operand } from './parameters.js';
+
+const TWO_PI = 2 * Math.PI;
+const IDENTITY = new THREE.Matrix4();
+
+// Functions the CLHEP evaluator behind GDML knows, by our name
+const GDML_FUNCTIONS = {
+  ...Object.fromEntries(['sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2', 'sinh', 'cosh', 'tanh',
+    'sqrt', 'exp', 'log', 'log10', 'pow', 'abs', 'min', 'max'].map(f => [f, f])),
+  fabs: 'abs',
+};
+
+const gdmlExpression = (text) => mapExpression(text, { functions: GDML_FUNCTIONS, power: '^' });
+
+// GDML boolean element for each boolean_operation
+export const BOOLEAN_TAGS = { union: 'union', subtract: 'subtraction', intersect: 'intersection' };
+
+// ──────────────────────────────────────────────────────────
+// Formatting helpers
+// ──────────────────────────────────────────────────────────
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Trim float noise (0.30000000000000004 → 0.3) and normalise -0 to 0
+export const fmt = (value) => {
+  const n = Number(value) || 0;
+  const rounded = Number(n.toPrecision(12));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+};
+
+const attrs = (obj) => Object.entries(obj)
+  .filter(([, v]) => v !== undefined && v !== null)
+  .map(([k, v]) => `${k}="${typeof v === 'number' ? fmt(v) : escapeXml(v)}"`)
+  .join(' ');
+
+// GDML names are used as XML references: keep them to a safe character set
+const sanitizeName = (name) => {
+  const cleaned = String(name || 'unnamed').replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+};
+
+/**
+ * Hand out unique sanitized names within one namespace.
+ */
+function createNameRegistry() {
+  const used = new Set();
+  return (name) => {
+    const base = sanitizeName(name);
+    let candidate = base;
+    let i = 1;
+    while (used.has(candidate)) candidate = `${base}_${i++}`;
+    used.add(candidate);
+    return candidate;
+  };
+}
+
+// ──────────────────────────────────────────────────────────
+// Transform helpers (placement ↔ Matrix4)
+// ──────────────────────────────────────────────────────────
+
+export function placementMatrix(placement) {
+  const p = placement || {};
+  const r = p.rotation || {};
+  const m = new THREE.Matrix4().makeRotationFromEuler(
+    new THREE.Euler(r.x || 0, r.y || 0, r.z || 0, 'XYZ')
+  );
+  m.setPosition(p.x || 0, p.y || 0, p.z || 0);
+  return m;
+}
+
+/**
+ * Placement offset with the placement's own expressions in place of the
+ * numbers, as long as the solid frame does not shift it.
+ *
+ * @param {Object|null} position - Offset from matrixToGdml
+ * @param {Object} placement - Resolved placement (see resolveExpressions)
+ * @param {THREE.Matrix4} frame - Solid frame within the volume
+ * @param {Function} rewrite - expression → target text, or null
+ * @returns {Object|null}
+ */
+export function symbolicPosition(position, placement, frame, rewrite) {
+  const expressions = placement?._expressions;
+  if (!expressions || !frame.equals(IDENTITY)) return position;
+  const symbols = ['x', 'y', 'z'].map(axis => (expressions[axis] ? rewrite(expressions[axis]) : null));
+  if (symbols.every(symbol => symbol === null)) return position;
+  const result = { x: 0, y: 0, z: 0, ...position };
+  ['x', 'y', 'z'].forEach((axis, i) => { if (symbols[i] !== null) result[axis] = symbols[i]; });
+  return result;
+}
+
+/**
+ * Split a matrix into a GDML position and a GDML rotation (negated XYZ Euler).
+ * Near-zero components are dropped so identity transforms emit nothing.
+ * The rotation angles are also the rotateX/Y/Z angles of a G4PVPlacement
+ * frame rotation, so the C++ exporter shares this helper.
+ */
+export function matrixToGdml(matrix) {
+  const position = new THREE.Vector3().setFromMatrixPosition(matrix);
+  const euler = new THREE.Euler().setFromRotationMatrix(matrix, 'XYZ');
+  const clean = (v) => (Math.abs(v) < 1e-12 ? 0 : v);
+  const pos = { x: clean(position.x), y: clean(position.y), z: clean(position.z) };
+  const rot = { x: clean(-euler.x), y: clean(-euler.y), z: clean(-euler.z) };
+  return {
+    position: (pos.x || pos.y || pos.z) ? pos : null,
+    rotation: (rot.x || rot.y || rot.z) ? rot : null,
+  };
+}
+
+// ──────────────────────────────────────────────────────────
+// Materials
+// ──────────────────────────────────────────────────────────
+
+export const isNistName = (name) => typeof name === 'string' && name.startsWith('G4_');
+
+function materialToGdml(name, mat, materials, gdmlName, warnings) {
+  const composition = mat.composition || {};
+  const entries = Object.entries(composition).filter(([, v]) => Number(v) > 0);
+  if (entries.length === 0) {
+    warnings.push(`Material "${name}" has no composition and was not exported`);
+    return null;
+  }
+
+  const stateAttr = ['solid', 'liquid', 'gas'].includes(mat.state) ? mat.state : undefined;
+  const lines = [`    <material ${attrs({ name: gdmlName, state: stateAttr })}>`];
+  if (mat.temperature !== undefined) {
+    lines.push(`      <T ${attrs({ unit: 'K', value: mat.temperature })}/>`);
+  }
+  lines.push(`      <D ${attrs({ unit: mat.density_unit || 'g/cm3', value: mat.density ?? 1 })}/>`);
+
+  // element_based with whole-number counts is a formula (natoms);
+  // anything else is treated as mass fractions and normalised.
+  const allIntegers = entries.every(([, v]) => Number.isInteger(Number(v)));
+  if (mat.type === 'element_based' && allIntegers) {
+    for (const [symbol, count] of entries) {
+      lines.push(`      <composite ${attrs({ n: Number(count), ref: symbol })}/>`);
+    }
+  } else {
+    const total = entries.reduce((sum, [, v]) => sum + Number(v), 0);
+    for (const [ref, value] of entries) {
+      // Compounds may reference other materials; everything else is an element
+      const isMaterialRef = mat.type === 'compound' && (materials[ref] || isNistName(ref));
+      const target = isMaterialRef && materials[ref] && materials[ref].type !== 'nist'
+        ? sanitizeName(ref)
+        : ref;
+      lines.push(`      <fraction ${attrs({ n: Number(value) / total, ref: target })}/>`);
+    }
+  }
+  lines.push('    </material>');
+  return lines.join('\n');
+}
+
+/**
+ * Emit <materials>. Custom materials that reference other custom materials
+ * are written after their dependencies, as GDML requires.
+ */
+function buildMaterials(materials, warnings) {
+  const blocks = [];
+  const emitted = new Set();
+
+  const visit = (name, stack = new Set()) => {
+    if (emitted.has(name) || stack.has(name)) return;
+    const mat = materials[name];
+    if (!mat || mat.type === 'nist' || isNistName(name)) return;
+    stack.add(name);
+    if (mat.type === 'compound') {
+      Object.keys(mat.composition || {}).forEach(ref => visit(ref, stack));
+    }
+    stack.delete(name);
+    emitted.add(name);
+    const block = materialToGdml(name, mat, materials, sanitizeName(name), warnings);
+    if (block) blocks.push(block);
+  };
+
+  Object.keys(materials).forEach(name => visit(name));
+  return blocks;
+}
+
+// ──────────────────────────────────────────────────────────
+// Solids
+// ──────────────────────────────────────────────────────────
+
+function zPlanes(dims) {
+  const z = dims.z || [];
+  return z.map((zv, i) =>
+    `      <zplane ${attrs({ z: zv, rmin: (dims.rmin || [])[i] ?? 0, rmax: (dims.rmax || [])[i] ?? 0 })}/>`
+  );
+}
+
+/**
+ * Facets of a tessellated solid as Geant4 takes them: triangles and
+ * quadrangles as they are, larger polygons fanned into triangles.
+ */
+export function facetCorners(facets) {
+  return facets.flatMap(facet => (facet.length <= 4
+    ? [facet]
+    : facet.slice(1, -1).map((v, k) => [facet[0], v, facet[k + 2]])));
+}
+
+/**
+ * XML for a primitive solid, or null if the type has no GDML mapping.
+ */
+function primitiveSolidXml(type, dims, name) {
+  const d = dims || {};
+  // Full lengths from half-lengths, expressions included
+  const twice = (value) => (typeof value === 'string' ? `2*${operand(value)}` : 2 * (value ?? 0));
+  const phi = { startphi: d.startPhi ?? 0, deltaphi: d.deltaPhi ?? TWO_PI };
+
+  switch (type) {
+    case 'box':
+      // JSON box dimensions are full lengths, like GDML
+      return `    <box ${attrs({ name, x: d.x ?? 0, y: d.y ?? 0, z: d.z ?? 0, lunit: 'mm' })}/>`;
+    case 'cylinder':
+      return `    <tube ${attrs({
+        name, rmin: d.inner_radius ?? 0, rmax: d.radius ?? 0, z: d.height ?? 0,
+        ...phi, aunit: 'rad', lunit: 'mm',
+      })}/>`;
+    case 'sphere':
+      return `    <sphere ${attrs({
+        name, rmin: d.inner_radius ?? 0, rmax: d.radius ?? 0, ...phi,
+        starttheta: d.startTheta ?? 0, deltatheta: d.deltaTheta ?? Math.PI,
+        aunit: 'rad', lunit: 'mm',
+      })}/>`;
+    case 'orb':
+      return `    <orb ${attrs({ name, r: d.radius ?? 0, lunit: 'mm' })}/>`;
+    case 'cone':
+      return `    <cone ${attrs({
+        name,
+        rmin1: d.rmin1 ?? 0, rmax1: d.rmax1 ?? 0,
+        rmin2: d.rmin2 ?? 0, rmax2: d.rmax2 ?? 0,
+        z: d.height ?? 0,
+        ...phi, aunit: 'rad', lunit: 'mm',
+      })}/>`;
+    case 'elliptical_tube':
+      // Semi-axes and half-length, as G4EllipticalTube
+      return `    <eltube ${attrs({ name, dx: d.dx ?? 0, dy: d.dy ?? 0, dz: d.dz ?? 0, lunit: 'mm' })}/>`;
+    case 'ellipsoid':
+      return `    <ellipsoid ${attrs({
+        name,
+        ax: d.x_radius ?? d.ax ?? 0,
+        by: d.y_radius ?? d.by ?? 0,
+        cz: d.z_radius ?? d.cz ?? 0,
+        zcut1: d.zcut1,
+        zcut2: d.zcut2,
+        lunit: 'mm',
+      })}/>`;
+    case 'torus':
+      return `    <torus ${attrs({
+        name, rmin: 0, rmax: d.minor_radius ?? 0, rtor: d.major_radius ?? 0,
+        ...phi, aunit: 'rad', lunit: 'mm',
+      })}/>`;
+    case 'trapezoid':
+      // JSON stores G4Trd half-lengths; GDML <trd> takes full lengths
+      return `    <trd ${attrs({
+        name,
+        x1: twice(d.dx1), x2: twice(d.dx2),
+        y1: twice(d.dy1), y2: twice(d.dy2),
+        z: twice(d.dz),
+        lunit: 'mm',
+      })}/>`;
+    case 'polycone':
+      return [
+        `    <polycone ${attrs({ name, ...phi, aunit: 'rad', lunit: 'mm' })}>`,
+        ...zPlanes(d),
+        '    </polycone>',
+      ].join('\n');
+    case 'polyhedra':
+      return [
+        `    <polyhedra ${attrs({ name, ...phi, numsides: d.numSides ?? 6, aunit: 'rad', lunit: 'mm' })}>`,
+        ...zPlanes(d),
+        '    </polyhedra>',
+      ].join('\n');
+    default:
+      return null;
+  }
+}
+
+// ──────────────────────────────────────────────────────────
+// Exporter
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Convert the project to a GDML document.
+ *
+ * @param {Object} jsonData - Hierarchical JSON { world, volumes }
+ * @param {Object} [materials] - Materials map (falls back to jsonData.materials)
+ * @returns {{ gdml: string, warnings: string[] }}
+ */
+export function exportToGdml(jsonData, materials) {
+  const { json: resolved, values, order, errors } = resolveExpressions(jsonData || {});
+  const json = restructureCompounds(symbolicDimensions(resolved, gdmlExpression));
+  json.volumes = (json.volumes || []).filter(Boolean);
+  const materialMap = materials || json.materials || {};
+  const warnings = errors.map(({ name, message }) => `Expression in "${name}" could not be evaluated: ${message}`);
+
+  const defines = [];
+  const solids = [];
+  const logicals = new Map();   // key → { kind, name, solid, material, aux, daughters[] }
+  const solidName = createNameRegistry();
+  const structName = createNameRegistry();
+  const physName = createNameRegistry();
+  const defineName = createNameRegistry();
+
+  // ── Parameters: each after the ones it uses ──
+  order.forEach(name => {
+    const raw = jsonData.parameters[name];
+    const value = typeof raw === 'string' ? gdmlExpression(raw) ?? values[name] : values[name];
+    defines.push(`    <variable ${attrs({ name: defineName(name), value })}/>`);
+  });
+
+  // ── Solids ──
+  // Returns { ref, frame }: frame maps the solid's own frame into the
+  // volume's frame (non-identity only for unions whose first add
+  // component is offset — GDML booleans live in the first solid's frame).
+  const buildSolid = (def, nameHint) => {
+    if (def.type === 'union') {
+      const sequence = booleanSequence(def.components);
+      if (!sequence) {
+        warnings.push(`Boolean solid "${def.name}" has no additive component`);
+        return null;
+      }
+      if (sequence.dropped.length > 0) {
+        warnings.push(`Boolean solid "${def.name}": components before the first additive one act on nothing and were skipped`);
+      }
+
+      const built = (c) => {
+        const solid = buildSolid(c, `${nameHint}_${c.g4name || c.name}`);
+        if (!solid) return null;
+        const local = placementMatrix(c.placements && c.placements[0]);
+        return { ref: solid.ref, frame: local.multiply(solid.frame) };
+      };
+
+      const base = built(sequence.base);
+      if (!base) return null;
+      const baseInverse = base.frame.clone().invert();
+      let current = base.ref;
+      const steps = sequence.steps.map(({ op, component }) => [BOOLEAN_TAGS[op], component]);
+
+      steps.forEach(([op, comp], i) => {
+        const solid = built(comp);
+        if (!solid) return;
+        const rel = baseInverse.clone().multiply(solid.frame);
+        const { position, rotation } = matrixToGdml(rel);
+        const name = solidName(i === steps.length - 1 ? `${nameHint}_solid` : `${nameHint}_${op}_${i + 1}`);
+        const lines = [
+          `    <${op} ${attrs({ name })}>`,
+          `      <first ${attrs({ ref: current })}/>`,
+          `      <second ${attrs({ ref: solid.ref })}/>`,
+        ];
+        if (position) lines.push(`      <position ${attrs({ name: defineName(`${name}_pos`), unit: 'mm', ...position })}/>`);
+        if (rotation) lines.push(`      <rotation ${attrs({ name: defineName(`${name}_rot`), unit: 'rad', ...rotation })}/>`);
+        lines.push(`    </${op}>`);
+        solids.push(lines.join('\n'));
+        current = name;
+      });
+
+      return { ref: current, frame: base.frame };
+    }
+
+    if (def.type === 'tessellated' && !(def.dimensions?.facets?.length > 0)) {
+      warnings.push(`Tessellated solid "${def.name}" has no facets and was skipped`);
+      return null;
+    }
+    const name = solidName(`${nameHint}_solid`);
+    if (def.type === 'tessellated') {
+      const { vertices = [], facets } = def.dimensions;
+      // Facet corners refer to vertices defined as named positions
+      const refs = vertices.map(([x, y, z], i) => {
+        const ref = defineName(`${name}_v${i}`);
+        defines.push(`    <position ${attrs({ name: ref, unit: 'mm', x, y, z })}/>`);
+        return ref;
+      });
+      solids.push([
+        `    <tessellated ${attrs({ name, lunit: 'mm' })}>`,
+        ...facetCorners(facets).map(corners => `      <${corners.length === 4 ? 'quadrangular' : 'triangular'} ${attrs({
+          ...Object.fromEntries(corners.map((v, k) => [`vertex${k + 1}`, refs[v]])),
+          type: 'ABSOLUTE',
+        })}/>`),
+        '    </tessellated>',
+      ].join('\n'));
+      return { ref: name, frame: new THREE.Matrix4() };
+    }
+    const xml = primitiveSolidXml(def.type, def.dimensions, name);
+    if (!xml) {
+      warnings.push(`Solid type "${def.type}" of "${def.name}" has no GDML equivalent and was skipped`);
+      return null;
+    }
+    solids.push(xml);
+    return { ref: name, frame: new THREE.Matrix4() };
+  };
+
+  // ── Logical volumes / assemblies ──
+  // Each definition becomes one structure entry, keyed by a unique id.
+  const nameToKey = new Map();   // volume / placement / component name → structure key
+
+  const registerNames = (key, def, extraNames = []) => {
+    const names = [def.name, def.g4name, ...extraNames];
+    (def.placements || []).forEach(pl => names.push(pl.name, pl.g4name));
+    names.filter(Boolean).forEach(n => { if (!nameToKey.has(n)) nameToKey.set(n, key); });
+  };
+
+  const defineVolume = (def, key) => {
+    const baseName = def.g4name || def.name;
+    if (def.type === 'assembly') {
+      logicals.set(key, { kind: 'assembly', name: structName(baseName), daughters: [] });
+      return { frame: new THREE.Matrix4() };
+    }
+    const solid = buildSolid(def, sanitizeName(baseName));
+    if (!solid) return null;
+    const material = def.material || 'G4_AIR';
+    if (!materialMap[material] && !isNistName(material)) {
+      warnings.push(`Material "${material}" used by "${def.name}" is not defined`);
+    }
+    const materialRef = materialMap[material] && materialMap[material].type !== 'nist'
+      ? sanitizeName(material)
+      : material;
+    logicals.set(key, {
+      kind: 'volume',
+      name: structName(baseName),
+      solid: solid.ref,
+      material: materialRef,
+      aux: def.hitsCollectionName,
+      daughters: [],
+    });
+    return { frame: solid.frame };
+  };
+
+  const addDaughter = (parentKey, childKey, childFrame, placement, copynumber, fallbackName) => {
+    const parent = logicals.get(parentKey);
+    const child = logicals.get(childKey);
+    if (!parent || !child) return;
+    const matrix = placementMatrix(placement).multiply(childFrame);
+    const { rotation, ...offset } = matrixToGdml(matrix);
+    const position = symbolicPosition(offset.position, placement, childFrame, gdmlExpression);
+    const name = physName(placement?.g4name || placement?.name || fallbackName);
+    parent.daughters.push({
+      name,
+      ref: childKey,
+      copynumber,
+      position: position ? { name: defineName(`${name}_pos`), ...position } : null,
+      rotation: rotation ? { name: defineName(`${name}_rot`), ...rotation } : null,
+    });
+  };
+
+  // World
+  const world = json.world || { name: 'World', type: 'box', material: 'G4_AIR', dimensions: { x: 2000, y: 2000, z: 2000 } };
+  const worldDef = { ...world, type: world.type || 'box', dimensions: world.dimensions || world.size };
+  if (!defineVolume(worldDef, 'world')) {
+    return { gdml: '', warnings: [...warnings, 'World volume could not be exported'] };
+  }
+  registerNames('world', worldDef, ['World']);
+
+  // Definitions first, so parent lookups can see every name
+  const topLevel = [];
+  json.volumes.forEach((vol, vi) => {
+    const key = `vol-${vi}`;
+    const info = defineVolume(vol, key);
+    if (!info) return;
+    registerNames(key, vol);
+    topLevel.push({ vol, key, frame: info.frame });
+
+    if (vol.type !== 'assembly') return;
+    // Assembly components: one definition each, imprinted by every placement.
+    // A nested assembly is a component holding components of its own.
+    const defineComponents = (assembly, assemblyKey) => {
+      const compEntries = [];
+      (assembly.components || []).forEach((comp, ci) => {
+        const compKey = `${assemblyKey}-c-${ci}`;
+        const compInfo = defineVolume(comp, compKey);
+        if (!compInfo) return;
+        // Component instance names of later imprints are derived names
+        // (PMTBody_0 → PMTBody_1 …); parents may refer to any of them.
+        const derived = (vol.placements || []).map((_, pi) => deriveComponentName(comp.name, pi));
+        registerNames(compKey, comp, derived);
+        compEntries.push({ comp, compKey, frame: compInfo.frame });
+      });
+      compEntries.forEach(({ comp, compKey, frame }) => {
+        const pl = (comp.placements && comp.placements[0]) || {};
+        const parentKey = pl.parent ? nameToKey.get(pl.parent) : assemblyKey;
+        const inAssembly = parentKey && parentKey.startsWith(`${assemblyKey}-c-`) ? parentKey : assemblyKey;
+        addDaughter(inAssembly, compKey, frame, pl, 0, comp.g4name || comp.name);
+        if (comp.type === 'assembly') defineComponents(comp, compKey);
+      });
+    };
+    defineComponents(vol, key);
+  });
+
+  // Placements of top-level volumes
+  topLevel.forEach(({ vol, key, frame }) => {
+    (vol.placements || []).forEach((pl, pi) => {
+      if (!pl) return;
+      let parentKey = nameToKey.get(pl.parent || 'World') || null;
+      if (!parentKey) {
+        warnings.push(`Parent "${pl.parent}" of "${pl.name || vol.name}" not found; placed in the world`);
+        parentKey = 'world';
+      } else if (logicals.get(parentKey).kind === 'assembly') {
+        warnings.push(`"${pl.name || vol.name}" is placed inside assembly "${pl.parent}"; placed in the world`);
+        parentKey = 'world';
+      } else if (parentKey === key) {
+        warnings.push(`"${pl.name || vol.name}" is placed inside itself; skipped`);
+        return;
+      }
+      addDaughter(parentKey, key, frame, pl, pl.copynumber ?? pi, vol.g4name || vol.name);
+    });
+  });
+
+  // ── Structure: children before parents ──
+  const structure = [];
+  const emitted = new Set();
+  const emit = (key, stack = new Set()) => {
+    if (emitted.has(key) || stack.has(key)) return;
+    const entry = logicals.get(key);
+    stack.add(key);
+    entry.daughters.forEach(d => emit(d.ref, stack));
+    stack.delete(key);
+    emitted.add(key);
+
+    const lines = [];
+    if (entry.kind === 'assembly') {
+      lines.push(`    <assembly ${attrs({ name: entry.name })}>`);
+    } else {
+      lines.push(`    <volume ${attrs({ name: entry.name })}>`);
+      lines.push(`      <materialref ${attrs({ ref: entry.material })}/>`);
+      lines.push(`      <solidref ${attrs({ ref: entry.solid })}/>`);
+    }
+    entry.daughters.forEach(d => {
+      lines.push(`      <physvol ${attrs({ name: d.name, copynumber: d.copynumber })}>`);
+      lines.push(`        <volumeref ${attrs({ ref: logicals.get(d.ref).name })}/>`);
+      if (d.position) {
+        defines.push(`    <position ${attrs({ name: d.position.name, unit: 'mm', x: d.position.x, y: d.position.y, z: d.position.z })}/>`);
+        lines.push(`        <positionref ${attrs({ ref: d.position.name })}/>`);
+      }
+      if (d.rotation) {
+        defines.push(`    <rotation ${attrs({ name: d.rotation.name, unit: 'rad', x: d.rotation.x, y: d.rotation.y, z: d.rotation.z })}/>`);
+        lines.push(`        <rotationref ${attrs({ ref: d.rotation.name })}/>`);
+      }
+      lines.push('      </physvol>');
+    });
+    if (entry.kind === 'volume' && entry.aux) {
+      lines.push(`      <auxiliary ${attrs({ auxtype: 'SensDet', auxvalue: entry.aux })}/>`);
+    }
+    lines.push(entry.kind === 'assembly' ? '    </assembly>' : '    </volume>');
+    structure.push(lines.join('\n'));
+  };
+  // Everything hangs off the world; unreachable definitions are not written
+  emit('world');
+
+  const materialBlocks = buildMaterials(materialMap, warnings);
+
+  const section = (tag, blocks) => (blocks.length
+    ? [`  <${tag}>`, ...blocks, `  </${tag}>`].join('\n')
+    : `  <${tag}/>`);
+
+  const gdml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gdml xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="http://service-spi.web.cern.ch/service-spi/app/releases/GDML/schema/gdml.xsd">',
+    section('define', defines),
+    section('materials', materialBlocks),
+    section('solids', solids),
+    section('structure', structure),
+    `  <setup ${attrs({ name: 'Default', version: '1.0' })}>`,
+    `    <world ${attrs({ ref: logicals.get('world').name })}/>`,
+    '  </setup>',
+    '</gdml>',
+    '',
+  ].join('\n');
+
+  debugLog(`exportToGdml:: ${solids.length} solids, ${structure.length} structure entries, ${warnings.length} warnings`);
+  return { gdml, warnings };
+}
@@ -0,0 +1,792 @@
+/**
+ * gdmlImport.js
+ *
+ * Pure conversion of a GDML document into the editor's hierarchical JSON
+ * ({ world, volumes, materials }), the inverse of gdmlExport.js.
+ *
+ * Mapping:
+ *   <define>                    →  evaluated constants/variables/quantities/expressions,
+ *                                  named positions and rotations (units applied)
+ *   <materials>                 →  materials{} (composite → element_based counts,
+ *                                  fraction → element_based / compound fractions)
+ *   <solids>                    →  volume.dimensions; boolean trees → `union` components
+ *                                  (<tessellated> → vertices and facets)
+ *   <volume>                    →  one JSON volume per logical volume
+ *   <physvol>                   →  placements[] (one per mother instance, parent = mother placement)
+ *   <assembly>                  →  `assembly` volume; nested LVs/assemblies become components
+ *   <setup><world>              →  world
+ *
+ * Anything that cannot be represented (unsupported solids, replicas,
+ * divisions, optical surfaces, scaled placements …) is listed in the
+ * returned report instead of being dropped silently.
+ *
+ * Units: GDML values are converted to mm and rad. Rotations are negated to
+ * the editor's XYZ Euler object rotation (see gdmlExport.js).
+ */
+
+import * as THREE from 'three';
+import { debugLog } from './logger.js';
+import { evaluateExpression } from './expressionEvaluator.js';
+import { appliesInArrayOrder } from './booleanOperations.js';
+
+const TWO_PI = 2 * Math.PI;
+
+// CLHEP units in Geant4 internal units (mm, rad), plus the standard constants
+const GDML_UNITS = {
+  pi: Math.PI, twopi: TWO_PI, halfpi: Math.PI / 2, e: Math.E,
+  mm: 1, millimeter: 1, cm: 10, centimeter: 10, m: 1000, meter: 1000, km: 1e6, kilometer: 1e6,
+  um: 1e-3, micrometer: 1e-3, nm: 1e-6, nanometer: 1e-6, angstrom: 1e-7, fermi: 1e-12, fm: 1e-12,
+  rad: 1, radian: 1, mrad: 1e-3, milliradian: 1e-3, deg: Math.PI / 180, degree: Math.PI / 180,
+};
+
+// Density units → g/cm3
+const DENSITY_UNITS = {
+  'g/cm3': 1, 'g/cm^3': 1, 'mg/cm3': 1e-3, 'mg/cm^3': 1e-3, 'kg/m3': 1e-3, 'kg/m^3': 1e-3, 'g/m3': 1e-6,
+};
+
+const ELEMENT_SYMBOLS = (
+  'H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn Ga Ge As Se Br Kr ' +
+  'Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La Ce Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb ' +
+  'Lu Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi Po At Rn Fr Ra Ac Th Pa U Np Pu Am Cm Bk Cf Es Fm Md No Lr'
+).split(' ');
+
+// ──────────────────────────────────────────────────────────
+// Minimal XML reader
+// ──────────────────────────────────────────────────────────
+
+const decodeEntities = (s) => s
+  .replace(/&#x([0-9a-fA-F]+);/g, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+  .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const TAG_RE = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTR_RE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Parse XML text into { tag, attributes, children[], text } nodes.
+ * Sufficient for GDML: no namespaces handling beyond keeping prefixed names.
+ *
+ * @throws {Error} On malformed markup
+ */
+function parseXml(text) {
+  const root = { tag: '#document', attributes: {}, children: [], text: '', doctype: '' };
+  const stack = [root];
+  let last = 0;
+  let match;
+  TAG_RE.lastIndex = 0;
+
+  while ((match = TAG_RE.exec(text))) {
+    const between = text.slice(last, match.index);
+    if (between.includes('<')) throw new Error('Malformed XML near "' + between.slice(between.indexOf('<'), between.indexOf('<') + 30) + '"');
+    stack[stack.length - 1].text += decodeEntities(between);
+    last = TAG_RE.lastIndex;
+
+    const token = match[0];
+    if (token.startsWith('<!--') || token.startsWith('<?')) continue;
+    if (token.startsWith('<![CDATA[')) { stack[stack.length - 1].text += match[1]; continue; }
+    if (token.startsWith('<!DOCTYPE')) { root.doctype = token; continue; }
+
+    if (match[2]) {
+      const node = stack.pop();
+      if (!node || node.tag !== match[2]) {
+        throw new Error(`Malformed XML: unexpected </${match[2]}>`);
+      }
+      continue;
+    }
+
+    const attributes = {};
+    let a;
+    ATTR_RE.lastIndex = 0;
+    while ((a = ATTR_RE.exec(match[4] || ''))) {
+      attributes[a[1]] = decodeEntities(a[2] ?? a[3]);
+    }
+    const node = { tag: match[3], attributes, children: [], text: '' };
+    stack[stack.length - 1].children.push(node);
+    if (!match[5]) stack.push(node);
+  }
+
+  if (text.slice(last).includes('<')) throw new Error('Malformed XML: unterminated tag');
+  if (stack.length !== 1) throw new Error(`Malformed XML: <${stack[stack.length - 1].tag}> is not closed`);
+  return root;
+}
+
+const childrenByTag = (node, tag) => (node ? node.children.filter(c => c.tag === tag) : []);
+const firstChild = (node, tag) => (node ? node.children.find(c => c.tag === tag) : undefined);
+
+// G4GDMLWrite appends pointer addresses ("World0x55d1c8") — strip them like G4GDMLRead does
+const cleanName = (name) => String(name || '').replace(/0x[0-9a-fA-F]+$/, '') || 'unnamed';
+
+// ──────────────────────────────────────────────────────────
+// Transform helpers
+// ──────────────────────────────────────────────────────────
+
+/** GDML position + GDML rotation → object transform (rotation negated). */
+function gdmlMatrix(position, rotation) {
+  const p = position || { x: 0, y: 0, z: 0 };
+  const r = rotation || { x: 0, y: 0, z: 0 };
+  const m = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(-r.x, -r.y, -r.z, 'XYZ'));
+  m.setPosition(p.x, p.y, p.z);
+  return m;
+}
+
+/** Object transform → JSON placement fields { x, y, z, rotation }. */
+function matrixToPlacement(matrix) {
+  const pos = new THREE.Vector3().setFromMatrixPosition(matrix);
+  const euler = new THREE.Euler().setFromRotationMatrix(matrix, 'XYZ');
+  const clean = (v) => {
+    const n = Math.abs(v) < 1e-12 ? 0 : Number(v.toPrecision(12));
+    return Object.is(n, -0) ? 0 : n;
+  };
+  return {
+    x: clean(pos.x), y: clean(pos.y), z: clean(pos.z),
+    rotation: { x: clean(euler.x), y: clean(euler.y), z: clean(euler.z) },
+  };
+}
+
+// ──────────────────────────────────────────────────────────
+// Importer
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Convert GDML text to the editor's JSON model.
+ *
+ * @param {string} text - GDML document
+ * @returns {{ json: { world, volumes, materials }, report: Array<{construct: string, name: string, message: string}> }}
+ * @throws {Error} If the document is not GDML or has no world volume
+ */
+export function importGdml(text) {
+  const doc = parseXml(text);
+  const gdml = doc.children.find(c => c.tag === 'gdml');
+  if (!gdml) throw new Error('Not a GDML document: missing <gdml> root element');
+
+  const report = [];
+  const note = (construct, name, message) => report.push({ construct, name: cleanName(name), message });
+
+  if (/<!ENTITY/.test(doc.doctype)) {
+    note('!ENTITY', 'DOCTYPE', 'External entities are not resolved; inline the referenced files before importing');
+  }
+
+  // ── Defines ──
+  const variables = { ...GDML_UNITS };
+  const positions = {};
+  const rotations = {};
+
+  const evaluate = (expr, construct, name, fallback = 0) => {
+    if (expr === undefined || expr === null || expr === '') return fallback;
+    try {
+      return evaluateExpression(expr, variables);
+    } catch (err) {
+      note(construct, name, `Could not evaluate "${expr}": ${err.message}`);
+      return fallback;
+    }
+  };
+  const unitOf = (unit, fallback, construct, name) => (unit ? evaluate(unit, construct, name, fallback) : fallback);
+
+  const readVector = (node, defaultUnit, fallback = 0) => {
+    const u = unitOf(node.attributes.unit, defaultUnit, node.tag, node.attributes.name);
+    return {
+      x: evaluate(node.attributes.x, node.tag, node.attributes.name, fallback) * u,
+      y: evaluate(node.attributes.y, node.tag, node.attributes.name, fallback) * u,
+      z: evaluate(node.attributes.z, node.tag, node.attributes.name, fallback) * u,
+    };
+  };
+
+  childrenByTag(gdml, 'define').forEach(define => {
+    define.children.forEach(node => {
+      const { name, value } = node.attributes;
+      switch (node.tag) {
+        case 'constant':
+        case 'variable':
+          variables[name] = evaluate(value, node.tag, name);
+          break;
+        case 'quantity':
+          variables[name] = evaluate(value, node.tag, name) * unitOf(node.attributes.unit, 1, node.tag, name);
+          break;
+        case 'expression':
+          variables[name] = evaluate(node.text.trim(), node.tag, name);
+          break;
+        case 'position':
+          positions[name] = readVector(node, 1);
+          break;
+        case 'rotation':
+          rotations[name] = readVector(node, 1);
+          break;
+        default:
+          note(node.tag, name, 'Define type is not supported and was ignored');
+      }
+    });
+  });
+
+  // ── Materials ──
+  const elements = {};   // GDML element name → chemical symbol
+  const materials = {};
+  const materialNames = new Set();
+
+  const elementSymbol = (ref) => elements[ref] || cleanName(ref);
+  const isElementRef = (ref) => Boolean(elements[ref]) || ELEMENT_SYMBOLS.includes(ref);
+
+  childrenByTag(gdml, 'materials').forEach(section => {
+    section.children.forEach(node => {
+      const name = node.attributes.name;
+      if (node.tag === 'isotope') return;
+      if (node.tag === 'element') {
+        const z = node.attributes.Z !== undefined ? Math.round(evaluate(node.attributes.Z, 'element', name)) : null;
+        const symbol = node.attributes.formula || (z ? ELEMENT_SYMBOLS[z - 1] : null) || cleanName(name);
+        elements[name] = symbol;
+        if (childrenByTag(node, 'fraction').length > 0) {
+          note('element', name, `Isotope composition is not supported; the natural element ${symbol} is used`);
+        }
+        return;
+      }
+      if (node.tag !== 'material') {
+        note(node.tag, name, 'Material construct is not supported and was ignored');
+        return;
+      }
+
+      const materialName = cleanName(name);
+      const density = firstChild(node, 'D') || firstChild(node, 'Dref');
+      let densityValue = 1;
+      if (density && density.tag === 'D') {
+        const unit = density.attributes.unit || 'g/cm3';
+        const factor = DENSITY_UNITS[unit];
+        if (factor === undefined) note('material', name, `Density unit "${unit}" is not supported; value taken as g/cm3`);
+        densityValue = evaluate(density.attributes.value, 'material', name, 1) * (factor ?? 1);
+      } else {
+        note('material', name, 'Missing density; 1 g/cm3 assumed');
+      }
+
+      const mat = {
+        type: 'element_based',
+        density: densityValue,
+        density_unit: 'g/cm3',
+        composition: {},
+      };
+      if (node.attributes.state) mat.state = node.attributes.state;
+      const temperature = firstChild(node, 'T');
+      if (temperature) {
+        mat.temperature = evaluate(temperature.attributes.value, 'material', name);
+        mat.temperature_unit = 'kelvin';
+      }
+
+      const composites = childrenByTag(node, 'composite');
+      const fractions = childrenByTag(node, 'fraction');
+      if (node.attributes.Z !== undefined) {
+        const z = Math.round(evaluate(node.attributes.Z, 'material', name));
+        mat.composition[ELEMENT_SYMBOLS[z - 1] || `Z${z}`] = 1;
+      } else if (composites.length > 0) {
+        composites.forEach(c => {
+          mat.composition[elementSymbol(c.attributes.ref)] = evaluate(c.attributes.n, 'composite', name);
+        });
+      } else if (fractions.length > 0) {
+        // Fractions can mix elements and previously defined materials
+        const anyMaterial = fractions.some(f => !isElementRef(f.attributes.ref));
+        if (anyMaterial) mat.type = 'compound';
+        fractions.forEach(f => {
+          const ref = f.attributes.ref;
+          const key = isElementRef(ref) ? elementSymbol(ref) : cleanName(ref);
+          mat.composition[key] = evaluate(f.attributes.n, 'fraction', name);
+        });
+      } else {
+        note('material', name, 'Material has no composition');
+      }
+
+      materials[materialName] = mat;
+      materialNames.add(name);
+    });
+  });
+
+  const materialRef = (ref, owner) => {
+    if (!ref) return 'G4_AIR';
+    if (!materialNames.has(ref) && !ref.startsWith('G4_')) {
+      note('materialref', owner, `Material "${ref}" is not defined in the file`);
+    }
+    return cleanName(ref);
+  };
+
+  // ── Solids ──
+  const solidNodes = new Map();
+  childrenByTag(gdml, 'solids').forEach(section => {
+    section.children.forEach(node => solidNodes.set(node.attributes.name, node));
+  });
+
+  // Phi segments are only stored when the solid is actually cut
+  const phiOf = (attrs, aunit, name, tag, dims) => {
+    const startPhi = evaluate(attrs.startphi, tag, name, 0) * aunit;
+    const deltaPhi = evaluate(attrs.deltaphi, tag, name, TWO_PI / aunit) * aunit;
+    if (Math.abs(deltaPhi - TWO_PI) > 1e-9 || Math.abs(startPhi) > 1e-12) {
+      dims.startPhi = startPhi;
+      dims.deltaPhi = deltaPhi;
+    }
+  };
+
+  const zPlanesOf = (node, lunit, name) => {
+    const planes = childrenByTag(node, 'zplane');
+    return {
+      z: planes.map(p => evaluate(p.attributes.z, 'zplane', name) * lunit),
+      rmin: planes.map(p => evaluate(p.attributes.rmin, 'zplane', name) * lunit),
+      rmax: planes.map(p => evaluate(p.attributes.rmax, 'zplane', name) * lunit),
+    };
+  };
+
+  const primitiveCache = new Map();
+  const convertPrimitive = (node) => {
+    if (!primitiveCache.has(node)) primitiveCache.set(node, convertPrimitiveUncached(node));
+    return primitiveCache.get(node);
+  };
+
+  /** Primitive solid node → { type, dimensions } or null (reported). */
+  const convertPrimitiveUncached = (node) => {
+    const a = node.attributes;
+    const name = a.name;
+    const L = unitOf(a.lunit, 1, node.tag, name);
+    const A = unitOf(a.aunit, 1, node.tag, name);
+    const len = (key, fallback = 0) => evaluate(a[key], node.tag, name, fallback) * L;
+    const dims = {};
+
+    switch (node.tag) {
+      case 'box':
+        return { type: 'box', dimensions: { x: len('x'), y: len('y'), z: len('z') } };
+      case 'tube': {
+        dims.radius = len('rmax');
+        dims.height = len('z');
+        const rmin = len('rmin');
+        if (rmin > 0) dims.inner_radius = rmin;
+        phiOf(a, A, name, node.tag, dims);
+        return { type: 'cylinder', dimensions: dims };
+      }
+      case 'cone': {
+        Object.assign(dims, {
+          rmin1: len('rmin1'), rmax1: len('rmax1'),
+          rmin2: len('rmin2'), rmax2: len('rmax2'),
+          height: len('z'),
+        });
+        phiOf(a, A, name, node.tag, dims);
+        return { type: 'cone', dimensions: dims };
+      }
+      case 'orb':
+        return { type: 'orb', dimensions: { radius: len('r') } };
+      case 'sphere': {
+        dims.radius = len('rmax');
+        const rmin = len('rmin');
+        if (rmin > 0) dims.inner_radius = rmin;
+        phiOf(a, A, name, node.tag, dims);
+        const startTheta = evaluate(a.starttheta, node.tag, name, 0) * A;
+        const deltaTheta = evaluate(a.deltatheta, node.tag, name, Math.PI / A) * A;
+        if (Math.abs(deltaTheta - Math.PI) > 1e-9 || Math.abs(startTheta) > 1e-12) {
+          dims.startTheta = startTheta;
+          dims.deltaTheta = deltaTheta;
+        }
+        return { type: 'sphere', dimensions: dims };
+      }
+      case 'eltube':
+        return { type: 'elliptical_tube', dimensions: { dx: len('dx'), dy: len('dy'), dz: len('dz') } };
+      case 'ellipsoid': {
+        Object.assign(dims, { x_radius: len('ax'), y_radius: len('by'), z_radius: len('cz') });
+        const zcut1 = len('zcut1');
+        const zcut2 = len('zcut2');
+        if (zcut1) dims.zcut1 = zcut1;
+        if (zcut2) dims.zcut2 = zcut2;
+        return { type: 'ellipsoid', dimensions: dims };
+      }
+      case 'torus': {
+        if (len('rmin') > 0) note('torus', name, 'Inner radius of the torus tube is not supported and was ignored');
+        Object.assign(dims, { major_radius: len('rtor'), minor_radius: len('rmax') });
+        phiOf(a, A, name, node.tag, dims);
+        return { type: 'torus', dimensions: dims };
+      }
+      case 'trd':
+        // GDML <trd> takes full lengths; JSON stores G4Trd half-lengths
+        return {
+          type: 'trapezoid',
+          dimensions: {
+            dx1: len('x1') / 2, dx2: len('x2') / 2,
+            dy1: len('y1') / 2, dy2: len('y2') / 2,
+            dz: len('z') / 2,
+          },
+        };
+      case 'polycone':
+      case 'polyhedra': {
+        if (childrenByTag(node, 'rzpoint').length > 0) break;
+        Object.assign(dims, zPlanesOf(node, L, name));
+        if (node.tag === 'polyhedra') dims.numSides = Math.round(evaluate(a.numsides, node.tag, name, 6));
+        phiOf(a, A, name, node.tag, dims);
+        return { type: node.tag, dimensions: dims };
+      }
+      case 'tessellated': {
+        // Corners are named positions; RELATIVE corners are offsets from the first
+        const vertices = [];
+        const indexOf = new Map();
+        const vertexIndex = ({ x, y, z }) => {
+          const key = `${x},${y},${z}`;
+          if (!indexOf.has(key)) {
+            indexOf.set(key, vertices.length);
+            vertices.push([x, y, z]);
+          }
+          return indexOf.get(key);
+        };
+        const facets = [];
+        node.children.filter(f => f.tag === 'triangular' || f.tag === 'quadrangular').forEach(f => {
+          const refs = (f.tag === 'triangular' ? [1, 2, 3] : [1, 2, 3, 4]).map(k => f.attributes[`vertex${k}`]);
+          const missing = refs.find(ref => !positions[ref]);
+          if (missing !== undefined) {
+            note(f.tag, name, `Vertex "${missing}" not found; the facet was skipped`);
+            return;
+          }
+          const u = unitOf(f.attributes.lunit, 1, f.tag, name);
+          const corners = refs.map(ref => positions[ref]);
+          const relative = f.attributes.type === 'RELATIVE';
+          facets.push(corners.map((p, k) => {
+            const base = relative && k > 0 ? corners[0] : { x: 0, y: 0, z: 0 };
+            return vertexIndex({ x: (base.x + p.x) * u, y: (base.y + p.y) * u, z: (base.z + p.z) * u });
+          }));
+        });
+        if (facets.length === 0) break;
+        return { type: 'tessellated', dimensions: { vertices, facets } };
+      }
+      default:
+        break;
+    }
+    note(node.tag, name, `Solid type <${node.tag}> is not supported`);
+    return null;
+  };
+
+  // boolean_operation of the second operand of each boolean element
+  const BOOLEAN_OPS = { union: 'add', subtraction: 'subtract', intersection: 'intersect' };
+  const BOOLEAN_TAGS = new Set(Object.keys(BOOLEAN_OPS));
+
+  const placementOf = (node, positionTag, rotationTag) => {
+    const pos = firstChild(node, positionTag);
+    const posRef = firstChild(node, `${positionTag}ref`);
+    const rot = firstChild(node, rotationTag);
+    const rotRef = firstChild(node, `${rotationTag}ref`);
+    const lookup = (map, ref, kind) => {
+      if (!ref) return null;
+      if (!map[ref.attributes.ref]) note(kind, ref.attributes.ref, 'Referenced define not found');
+      return map[ref.attributes.ref] || null;
+    };
+    return gdmlMatrix(
+      pos ? readVector(pos, 1) : lookup(positions, posRef, 'positionref'),
+      rot ? readVector(rot, 1) : lookup(rotations, rotRef, 'rotationref')
+    );
+  };
+
+  /**
+   * Flatten a boolean tree into [{ node, op, matrix }] with matrices relative
+   * to the tree's root frame. The JSON model applies components one after
+   * the other, so left-deep chains map exactly; a boolean second operand
+   * only does when its result can be applied part by part.
+   */
+  const flattenBoolean = (name, matrix) => {
+    const node = solidNodes.get(name);
+    if (!node) {
+      note('solidref', name, 'Referenced solid not found');
+      return [];
+    }
+    if (!BOOLEAN_TAGS.has(node.tag)) return [{ node, op: 'add', matrix }];
+
+    const first = firstChild(node, 'first')?.attributes.ref;
+    const second = firstChild(node, 'second')?.attributes.ref;
+    const firstMatrix = matrix.clone().multiply(placementOf(node, 'firstposition', 'firstrotation'));
+    const secondMatrix = matrix.clone().multiply(placementOf(node, 'position', 'rotation'));
+
+    const left = flattenBoolean(first, firstMatrix);
+    const right = flattenBoolean(second, secondMatrix);
+    const op = BOOLEAN_OPS[node.tag];
+    const rightIsUnion = right.every(c => c.op === 'add');
+
+    // union: the second operand's own chain continues the first one's
+    if (op === 'add') {
+      if (!rightIsUnion) {
+        note('union', node.attributes.name, 'The second operand is applied step by step after the first; the shape may differ');
+      }
+      return [...left, ...right];
+    }
+
+    // subtraction: everything added on the right is cut away in turn
+    if (op === 'subtract') {
+      if (!rightIsUnion) {
+        note('subtraction', node.attributes.name, 'Cuts inside the subtracted operand cannot be represented and were dropped');
+      }
+      return [...left, ...right.filter(c => c.op === 'add').map(c => ({ ...c, op: 'subtract' }))];
+    }
+
+    // intersection: only a single solid can be intersected exactly
+    if (right.length > 1) {
+      note('intersection', node.attributes.name, 'Only the first solid of a boolean second operand is intersected');
+    }
+    return right.length > 0 ? [...left, { ...right[0], op: 'intersect' }] : left;
+  };
+
+  const solidCache = new Map();
+  /** Solid name → { type, dimensions } | { type: 'union', components } | null */
+  const convertSolid = (name) => {
+    if (solidCache.has(name)) return solidCache.get(name);
+    const node = solidNodes.get(name);
+    let result = null;
+    if (!node) {
+      note('solidref', name, 'Referenced solid not found');
+    } else if (!BOOLEAN_TAGS.has(node.tag)) {
+      result = convertPrimitive(node);
+    } else {
+      const parts = flattenBoolean(name, new THREE.Matrix4());
+      const used = new Set();
+      const components = [];
+      // Array order is the order of the GDML tree
+      parts.forEach(part => {
+        const converted = convertPrimitive(part.node);
+        if (!converted) return;
+        let compName = cleanName(part.node.attributes.name);
+        for (let i = 1; used.has(compName); i++) compName = `${cleanName(part.node.attributes.name)}_${i}`;
+        used.add(compName);
+        components.push({
+          name: compName,
+          type: converted.type,
+          boolean_operation: part.op,
+          dimensions: converted.dimensions,
+          placements: [matrixToPlacement(part.matrix)],
+        });
+      });
+      // Only an intersection makes the editor follow the tree's order
+      const addAfterCut = components.some((c, i) => c.boolean_operation === 'add'
+        && components.slice(0, i).some(prev => prev.boolean_operation === 'subtract'));
+      if (!components.some(c => c.boolean_operation === 'add')) {
+        note(node.tag, name, 'Boolean solid has no supported additive component');
+      } else {
+        if (addAfterCut && !appliesInArrayOrder(components)) {
+          note(node.tag, name, 'Without an intersection, every union is applied before the subtractions; the shape may differ');
+        }
+        result = { type: 'union', components };
+      }
+    }
+    solidCache.set(name, result);
+    return result;
+  };
+
+  // ── Structure ──
+  const structure = new Map();   // name → { node, kind: 'volume' | 'assembly' }
+  childrenByTag(gdml, 'structure').forEach(section => {
+    section.children.forEach(node => {
+      if (node.tag === 'volume' || node.tag === 'assembly') {
+        structure.set(node.attributes.name, { node, kind: node.tag });
+      } else {
+        note(node.tag, node.attributes.name, 'Structure element is not supported and was ignored');
+      }
+    });
+  });
+
+  const physvolsOf = (node, owner) => {
+    const list = [];
+    node.children.forEach(child => {
+      if (child.tag === 'physvol') {
+        const ref = firstChild(child, 'volumeref')?.attributes.ref;
+        if (!ref) {
+          note('physvol', child.attributes.name || owner, firstChild(child, 'file')
+            ? 'Physvols referencing external files are not supported'
+            : 'Physvol has no volumeref');
+          return;
+        }
+        if (firstChild(child, 'scale') || firstChild(child, 'scaleref')) {
+          note('physvol', child.attributes.name || ref, 'Scaled (reflected) placements are not supported; the scale was ignored');
+        }
+        let copynumber;
+        if (child.attributes.copynumber !== undefined) {
+          copynumber = Number(child.attributes.copynumber);
+          if (!Number.isInteger(copynumber)) {
+            note('physvol', child.attributes.name || ref, `Copy number "${child.attributes.copynumber}" is not an integer and was ignored`);
+            copynumber = undefined;
+          }
+        }
+        list.push({ name: child.attributes.name, ref, matrix: placementOf(child, 'position', 'rotation'), copynumber });
+      } else if (['replicavol', 'paramvol', 'divisionvol'].includes(child.tag)) {
+        note(child.tag, owner, `<${child.tag}> is not supported; its daughters were not imported`);
+      } else if (child.tag === 'loop') {
+        note('loop', owner, 'Loops are not supported');
+      }
+    });
+    return list;
+  };
+
+  // Placement field for the copy number of a physvol that sets one
+  const copyNumberOf = (pv) => (pv.copynumber === undefined ? {} : { copynumber: pv.copynumber });
+
+  const hitsCollectionOf = (node) => {
+    const aux = childrenByTag(node, 'auxiliary').find(x => x.attributes.auxtype === 'SensDet');
+    return aux ? aux.attributes.auxvalue : undefined;
+  };
+
+  // Placement names must be unique: the viewer resolves parents by name
+  const usedNames = new Set(['World']);
+  const uniqueName = (name) => {
+    const base = cleanName(name);
+    let candidate = base;
+    for (let i = 1; usedNames.has(candidate); i++) candidate = `${base}_${i}`;
+    usedNames.add(candidate);
+    return candidate;
+  };
+
+  const volumes = [];
+  const volumeByRef = new Map();
+  const reached = new Set();     // every structure entry visited from the world
+  const instanceCount = new Map(); // logical volume → number of JSON copies
+  const usedVolumeNames = new Set();
+
+  /** Logical volume → JSON definition fields (no placements). */
+  const volumeDefinition = (ref) => {
+    const { node } = structure.get(ref);
+    const solid = convertSolid(firstChild(node, 'solidref')?.attributes.ref);
+    if (!solid) return null;
+    const def = {
+      name: cleanName(ref),
+      g4name: cleanName(ref),
+      type: solid.type,
+      material: materialRef(firstChild(node, 'materialref')?.attributes.ref, ref),
+    };
+    if (solid.dimensions) def.dimensions = solid.dimensions;
+    if (solid.components) def.components = structuredClone(solid.components);
+    const hc = hitsCollectionOf(node);
+    if (hc) def.hitsCollectionName = hc;
+    return def;
+  };
+
+  /**
+   * Flatten the contents of an assembly into a components[] list.
+   * `parent` is '' for direct children of the assembly, otherwise the
+   * name of the component the children sit in.
+   */
+  const assemblyComponents = (ref, matrix, parent, components, usedComponentNames, stack) => {
+    const entry = structure.get(ref);
+    if (stack.has(ref)) {
+      note(entry.kind, ref, 'Recursive placement ignored');
+      return;
+    }
+    stack.add(ref);
+    reached.add(ref);
+    physvolsOf(entry.node, ref).forEach(pv => {
+      const child = structure.get(pv.ref);
+      if (!child) {
+        note('volumeref', pv.ref, 'Referenced volume not found');
+        return;
+      }
+      const local = matrix.clone().multiply(pv.matrix);
+      if (child.kind === 'assembly') {
+        // Nested assemblies are merged into the outer one
+        assemblyComponents(pv.ref, local, parent, components, usedComponentNames, stack);
+        return;
+      }
+      const def = volumeDefinition(pv.ref);
+      if (!def) return;
+      let compName = cleanName(pv.name || pv.ref);
+      for (let i = 1; usedComponentNames.has(compName); i++) compName = `${cleanName(pv.name || pv.ref)}_${i}`;
+      usedComponentNames.add(compName);
+      components.push({
+        ...def,
+        name: compName,
+        placements: [{ ...matrixToPlacement(local), parent, ...copyNumberOf(pv) }],
+      });
+      // Daughters of the component are positioned relative to it
+      assemblyComponents(pv.ref, new THREE.Matrix4(), compName, components, usedComponentNames, stack);
+    });
+    stack.delete(ref);
+  };
+
+  /** Get or create the JSON volume for a logical volume or assembly. */
+  const jsonVolumeFor = (ref) => {
+    if (volumeByRef.has(ref)) return volumeByRef.get(ref);
+    const entry = structure.get(ref);
+    let vol;
+    if (entry.kind === 'assembly') {
+      const components = [];
+      assemblyComponents(ref, new THREE.Matrix4(), '', components, new Set(), new Set());
+      vol = { name: cleanName(ref), g4name: cleanName(ref), type: 'assembly', components };
+    } else {
+      vol = volumeDefinition(ref);
+    }
+    if (vol) {
+      let name = vol.name;
+      for (let i = 1; usedVolumeNames.has(name); i++) name = `${vol.name}_${i}`;
+      usedVolumeNames.add(name);
+      vol.name = name;
+      vol.placements = [];
+      volumes.push(vol);
+    }
+    volumeByRef.set(ref, vol);
+    return vol;
+  };
+
+  /**
+   * Place the daughters of `ref` into each of its instances.
+   * A logical volume placed N times carries its daughters in all N copies,
+   * so daughters get one JSON placement per mother instance.
+   */
+  const placeDaughters = (ref, motherInstances, stack) => {
+    const entry = structure.get(ref);
+    reached.add(ref);
+    if (entry.kind === 'assembly') return;   // assembly contents live in components
+    if (stack.has(ref)) {
+      note('volume', ref, 'Recursive placement ignored');
+      return;
+    }
+    stack.add(ref);
+    reached.add(ref);
+    const pvs = physvolsOf(entry.node, ref);
+    instanceCount.set(ref, (instanceCount.get(ref) || 0) + motherInstances.length);
+    pvs.forEach(pv => {
+      if (!structure.has(pv.ref)) {
+        note('volumeref', pv.ref, 'Referenced volume not found');
+        return;
+      }
+      const vol = jsonVolumeFor(pv.ref);
+      if (!vol) return;
+      const instances = motherInstances.map((parent, i) => {
+        const name = uniqueName(motherInstances.length > 1 ? `${pv.name || pv.ref}_${i}` : (pv.name || pv.ref));
+        vol.placements.push({ name, g4name: name, ...matrixToPlacement(pv.matrix), parent, ...copyNumberOf(pv) });
+        return name;
+      });
+      placeDaughters(pv.ref, instances, stack);
+    });
+    stack.delete(ref);
+  };
+
+  // ── World ──
+  const setup = firstChild(gdml, 'setup');
+  const worldRef = firstChild(setup, 'world')?.attributes.ref;
+  const worldEntry = worldRef && structure.get(worldRef);
+  if (!worldEntry || worldEntry.kind !== 'volume') {
+    throw new Error('GDML has no <setup><world ref=…/> pointing to a logical volume');
+  }
+
+  const worldSolid = convertSolid(firstChild(worldEntry.node, 'solidref')?.attributes.ref);
+  let worldDims = { x: 2000, y: 2000, z: 2000 };
+  if (worldSolid && worldSolid.type === 'box') {
+    worldDims = worldSolid.dimensions;
+  } else {
+    note('world', worldRef, 'The world solid is not a box; a 2 m box was used instead');
+  }
+  const world = {
+    name: 'World',
+    g4name: cleanName(worldRef),
+    type: 'box',
+    material: materialRef(firstChild(worldEntry.node, 'materialref')?.attributes.ref, worldRef),
+    dimensions: worldDims,
+  };
+
+  placeDaughters(worldRef, ['World'], new Set());
+
+  instanceCount.forEach((count, ref) => {
+    if (count > 1 && childrenByTag(structure.get(ref).node, 'physvol').length > 0) {
+      note('volume', ref, `Placed ${count} times; its daughters were expanded once per copy`);
+    }
+  });
+
+  // Logical volumes defined but never placed under the world are not imported
+  structure.forEach((entry, ref) => {
+    if (ref !== worldRef && !reached.has(ref)) {
+      note(entry.kind, ref, 'Not placed in the world hierarchy; not imported');
+    }
+  });
+
+  debugLog(`importGdml:: ${volumes.length} volumes, ${Object.keys(materials).length} materials, ${report.length} report entries`);
+  return { json: { world, volumes, materials }, report };
+}
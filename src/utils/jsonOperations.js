@@ -12,20 +12,28 @@
  *   flat.name                  ↔  placement.name / volume.name
  *   flat.size / flat.radius …  ↔  volume.dimensions.*
  *   flat.material, type, …    ↔  volume.material, type, …
+ *   flat._expressions          ↔  expression strings in place of those numbers
  */
 
 import { debugWarn } from './logger.js';
-import { deriveComponentName } from './expandToFlat.js';
+import { componentAt, componentPath, deriveComponentName, segmentKeys } from './expandToFlat.js';
 
 // Zero-padded 3-digit index for placement naming
 const pad3 = (n) => String(n).padStart(3, '0');
 
+// Components of a compound at every depth, each before its own components
+const allComponents = (def) => (def?.components || [])
+  .flatMap(comp => (comp ? [comp, ...allComponents(comp)] : []));
+
 // ──────────────────────────────────────────────────────────
 // Dimension mapping  (flat → JSON)  — inverse of expandToFlat.setDimensions
 // ──────────────────────────────────────────────────────────
 
 function flatDimsToJson(type, patch) {
   const dims = {};
+  segmentKeys(type).forEach(key => {
+    if (patch[key] !== undefined) dims[key] = patch[key];
+  });
   switch (type) {
     case 'box':
       if (patch.size) {
@@ -40,7 +48,21 @@ function flatDimsToJson(type, patch) {
       if (patch.innerRadius !== undefined) dims.inner_radius = patch.innerRadius;
       break;
     case 'sphere':
+    case 'orb':
       if (patch.radius !== undefined) dims.radius = patch.radius;
+      if (type === 'sphere' && patch.innerRadius !== undefined) dims.inner_radius = patch.innerRadius;
+      break;
+    case 'cone':
+      if (patch.innerRadiusBottom !== undefined) dims.rmin1 = patch.innerRadiusBottom;
+      if (patch.radiusBottom !== undefined) dims.rmax1 = patch.radiusBottom;
+      if (patch.innerRadiusTop !== undefined) dims.rmin2 = patch.innerRadiusTop;
+      if (patch.radiusTop !== undefined) dims.rmax2 = patch.radiusTop;
+      if (patch.height !== undefined) dims.height = patch.height;
+      break;
+    case 'elliptical_tube':
+      if (patch.dx !== undefined) dims.dx = patch.dx;
+      if (patch.dy !== undefined) dims.dy = patch.dy;
+      if (patch.dz !== undefined) dims.dz = patch.dz;
       break;
     case 'ellipsoid':
       if (patch.xRadius !== undefined) dims.x_radius = patch.xRadius;
@@ -71,17 +93,49 @@ function flatDimsToJson(type, patch) {
         dims.numSides = patch.numSides;
       }
       break;
+    case 'tessellated':
+      if (patch.vertices !== undefined) dims.vertices = patch.vertices;
+      if (patch.facets !== undefined) dims.facets = patch.facets;
+      break;
     default:
       break;
   }
   return dims;
 }
 
+// ──────────────────────────────────────────────────────────
+// Expressions  (flat._expressions → expression strings in the patch)
+// ──────────────────────────────────────────────────────────
+
+const getPath = (obj, keys) => keys.reduce((node, key) => node?.[key], obj);
+
+/**
+ * Copy of a flat patch with the expression text of patch._expressions in
+ * place of the evaluated numbers, so writing it keeps the expressions.
+ * A field whose number was changed under an unchanged expression (a gizmo
+ * drag, say) loses its expression; `before` is the entry as it was.
+ */
+function withExpressions(patch, before) {
+  const expressions = patch._expressions;
+  if (!expressions) return patch;
+  const previous = before?._expressions || {};
+  const result = structuredClone(patch);
+  Object.entries(expressions).forEach(([path, text]) => {
+    const keys = path.split('.');
+    const value = getPath(result, keys);
+    if (value === undefined) return;
+    if (previous[path] === text && value !== getPath(before, keys)) return;
+    getPath(result, keys.slice(0, -1))[keys[keys.length - 1]] = text;
+  });
+  return result;
+}
+
 // ──────────────────────────────────────────────────────────
 // Flat → JSON volume conversion  (used by add)
 // ──────────────────────────────────────────────────────────
 
-export function flatToJsonVolume(flat) {
+export function flatToJsonVolume(flatVolume) {
+  const flat = withExpressions(flatVolume);
   const vol = {
     name: flat.name,
     type: flat.type,
@@ -126,7 +180,7 @@ function cascadeParentRename(json, oldName, newName) {
     for (const pl of (vol.placements || [])) {
       if (pl.parent === oldName) pl.parent = newName;
     }
-    for (const comp of (vol.components || [])) {
+    for (const comp of allComponents(vol)) {
       for (const pl of (comp.placements || [])) {
         if (pl.parent === oldName) pl.parent = newName;
       }
@@ -147,23 +201,35 @@ export function restructureCompounds(json) {
   // Also map component names and component placement names → compound
   const parentLookup = new Map();       // name → compound volume
   const componentParentMap = new Map();  // component placement/name → component name
-  for (const vol of json.volumes) {
-    if (!compoundTypes.has(vol.type)) continue;
-    parentLookup.set(vol.name, vol);
-    for (const pl of (vol.placements || [])) {
-      if (pl.name) parentLookup.set(pl.name, vol);
-    }
-    // Also index component names and their placement names
-    for (const comp of (vol.components || [])) {
-      parentLookup.set(comp.name, vol);
+  const indexComponents = (compound) => {
+    for (const comp of (compound.components || [])) {
+      // A nested assembly takes its daughters as its own components
+      if (comp.type === 'assembly' && Array.isArray(comp.components)) {
+        parentLookup.set(comp.name, comp);
+        for (const pl of (comp.placements || [])) {
+          if (pl.name) parentLookup.set(pl.name, comp);
+        }
+        indexComponents(comp);
+        continue;
+      }
+      parentLookup.set(comp.name, compound);
       componentParentMap.set(comp.name, comp.name);
       for (const pl of (comp.placements || [])) {
         if (pl.name) {
-          parentLookup.set(pl.name, vol);
+          parentLookup.set(pl.name, compound);
           componentParentMap.set(pl.name, comp.name);
         }
       }
     }
+  };
+  for (const vol of json.volumes) {
+    if (!compoundTypes.has(vol.type)) continue;
+    parentLookup.set(vol.name, vol);
+    for (const pl of (vol.placements || [])) {
+      if (pl.name) parentLookup.set(pl.name, vol);
+    }
+    // Also index component names and their placement names
+    indexComponents(vol);
   }
 
   // Collect indices of volumes to move (in reverse order for safe splicing)
@@ -213,13 +279,31 @@ export function restructureCompounds(json) {
   return json;
 }
 
+// Copy of the JSON with only the volumes at `volumeIndices` cloned, for
+// edits that stay inside them. The other volume objects are shared, so
+// expandToFlat reuses their expansion.
+function cloneVolumes(jsonData, volumeIndices) {
+  const json = { ...jsonData, volumes: [...(jsonData.volumes || [])] };
+  new Set(volumeIndices).forEach(vi => {
+    if (json.volumes[vi]) json.volumes[vi] = structuredClone(json.volumes[vi]);
+  });
+  return json;
+}
+
 // ──────────────────────────────────────────────────────────
 // UPDATE — apply a flat patch to JSON
 // ──────────────────────────────────────────────────────────
 
-export function applyUpdateToJson(jsonData, flatVolumes, flatIndex, patch) {
-  const json = structuredClone(jsonData);
+export function applyUpdateToJson(jsonData, flatVolumes, flatIndex, flatPatch) {
   const flatVol = flatVolumes[flatIndex];
+  // A rename reaches the placements of other volumes, and a boolean move
+  // another volume's components
+  const touchesOthers = (flatPatch.name !== undefined && flatPatch.name !== flatVol?.name)
+    || '_boolean_parent' in flatPatch || '_is_boolean_component' in flatPatch;
+  const json = touchesOthers || flatVol?._volumeIndex === undefined
+    ? structuredClone(jsonData)
+    : cloneVolumes(jsonData, [flatVol._volumeIndex]);
+  const patch = withExpressions(flatPatch, flatVol);
 
   if (flatVol._volumeIndex === undefined) {
     debugWarn('applyUpdateToJson: volume has no _volumeIndex, cannot map to JSON');
@@ -228,15 +312,16 @@ export function applyUpdateToJson(jsonData, flatVolumes, flatIndex, patch) {
 
   const vi = flatVol._volumeIndex;
   const pi = flatVol._placementIndex;
-  const ci = flatVol._componentIndex;
+  const path = componentPath(flatVol);
+  const isComponent = path.length > 0;
 
   const jsonVol = json.volumes[vi];
   const isMultiPlacement = jsonVol.placements && jsonVol.placements.length > 1;
 
   // Determine the target definition and placement
   let targetDef, targetPlacement;
-  if (ci !== undefined && jsonVol.components) {
-    targetDef = jsonVol.components[ci];
+  if (isComponent && componentAt(jsonVol, path)) {
+    targetDef = componentAt(jsonVol, path);
     targetPlacement = targetDef.placements?.[0];
   } else {
     targetDef = jsonVol;
@@ -262,7 +347,7 @@ export function applyUpdateToJson(jsonData, flatVolumes, flatIndex, patch) {
 
   // ── Name ──
   if (patch.name !== undefined && patch.name !== oldName) {
-    if (!isMultiPlacement || ci !== undefined) {
+    if (!isMultiPlacement || isComponent) {
       targetDef.name = patch.name;
     }
     if (targetPlacement) targetPlacement.name = patch.name;
@@ -274,7 +359,7 @@ export function applyUpdateToJson(jsonData, flatVolumes, flatIndex, patch) {
     cascadeParentRename(json, oldName, patch.name);
   }
   if (patch.g4name !== undefined) {
-    if (!isMultiPlacement || ci !== undefined) targetDef.g4name = patch.g4name;
+    if (!isMultiPlacement || isComponent) targetDef.g4name = patch.g4name;
     if (targetPlacement) targetPlacement.g4name = patch.g4name;
   }
 
@@ -291,7 +376,7 @@ export function applyUpdateToJson(jsonData, flatVolumes, flatIndex, patch) {
         ...patch.rotation,
       };
     }
-    if (patch.mother_volume !== undefined && ci === undefined) {
+    if (patch.mother_volume !== undefined && !isComponent) {
       // Only reparent for top-level volumes, not for components inside compounds.
       // Component parent references are managed by the compound structure itself.
       targetPlacement.parent = patch.mother_volume;
@@ -311,13 +396,16 @@ export function applyUpdateToJson(jsonData, flatVolumes, flatIndex, patch) {
     const wantBoolean = patch._is_boolean_component !== false && !!patch._boolean_parent;
     const targetUnionName = patch._boolean_parent;
 
-    if (wantBoolean && targetUnionName && ci === undefined) {
-      // Top-level volume → move INTO a union's components array
+    if (wantBoolean && targetUnionName && !isComponent) {
+      // Top-level volume → move INTO a union's components array (a union
+      // nested in another compound is found by its component name)
       const unionVol = json.volumes.find(v =>
         v.name === targetUnionName && compoundTypes.has(v.type)
       ) || json.volumes.find(v =>
         compoundTypes.has(v.type) &&
         (v.placements || []).some(pl => pl.name === targetUnionName)
+      ) || json.volumes.flatMap(allComponents).find(c =>
+        c.name === targetUnionName && c.type === 'union'
       );
 
       if (unionVol) {
@@ -331,18 +419,20 @@ export function applyUpdateToJson(jsonData, flatVolumes, flatIndex, patch) {
         unionVol.components.push(component);
         json.volumes.splice(vi, 1);
       }
-    } else if (!wantBoolean && ci !== undefined) {
-      // Component inside a compound → move OUT to top-level
+    } else if (!wantBoolean && isComponent) {
+      // Component inside a compound (at any depth) → move OUT to top-level
       const compound = json.volumes[vi];
-      if (compound.components && compound.components[ci]) {
-        const comp = structuredClone(compound.components[ci]);
+      const container = componentAt(compound, path.slice(0, -1));
+      const ci = path[path.length - 1];
+      if (container?.components && container.components[ci]) {
+        const comp = structuredClone(container.components[ci]);
         delete comp.boolean_operation;
         // Set placement parent to the compound's own parent (typically 'World')
         const compoundParent = (compound.placements && compound.placements[0]?.parent) || 'World';
         for (const pl of (comp.placements || [])) {
           pl.parent = compoundParent;
         }
-        compound.components.splice(ci, 1);
+        container.components.splice(ci, 1);
         json.volumes.push(comp);
       }
     }
@@ -355,8 +445,9 @@ export function applyUpdateToJson(jsonData, flatVolumes, flatIndex, patch) {
 // UPDATE WORLD
 // ──────────────────────────────────────────────────────────
 
-export function applyWorldUpdateToJson(jsonData, currentWorld, patch) {
+export function applyWorldUpdateToJson(jsonData, currentWorld, worldPatch) {
   const json = structuredClone(jsonData);
+  const patch = withExpressions(worldPatch, currentWorld);
   if (!json.world) json.world = {};
 
   const oldName = currentWorld?.name || json.world.name || 'World';
@@ -410,50 +501,39 @@ export function applyAddToJson(jsonData, flatNewVolume) {
     }
     if (!parentVol) {
       // 3. Parent is a component INSIDE a compound (e.g. mother_volume = "box_xxx_000"
-      //    which is a component's flat name inside an assembly).
+      //    which is a component's flat name inside an assembly), at any depth.
       //    Also handles instance-derived names (e.g. "box_xxx_002" from placement 2).
       //    Search all compounds' components by name, placement name, or derived name.
-      for (const vol of json.volumes) {
-        if (!compoundTypes.has(vol.type)) continue;
-        for (const comp of (vol.components || [])) {
-          // Direct match by component name or placement name
-          if (comp.name === parentName) {
-            parentVol = vol;
-            componentParentName = comp.name;
-            break;
-          }
-          for (const pl of (comp.placements || [])) {
-            if (pl.name === parentName) {
-              parentVol = vol;
-              componentParentName = comp.name;
-              break;
-            }
-          }
-          if (parentVol) break;
-          // Instance-derived name match: for each placement index, check if
-          // deriveComponentName(comp.name, idx) produces the parentName
-          for (let pi = 0; pi < (vol.placements || []).length; pi++) {
-            const derivedName = deriveComponentName(comp.name, pi);
-            if (derivedName === parentName) {
-              parentVol = vol;
+      //    A nested assembly or union takes the new volume as its own component;
+      //    any other component has it placed inside, in the component's container.
+      const matches = (vol, comp) => {
+        if (comp.name === parentName) return true;
+        if ((comp.placements || []).some(pl => pl.name === parentName)) return true;
+        // Instance-derived name match: for each placement index, check if
+        // deriveComponentName(comp.name, idx) produces the parentName
+        return (vol.placements || []).some((_, pi) =>
+          deriveComponentName(comp.name, pi) === parentName ||
+          // Also try component placement names
+          (comp.placements || []).some(pl => deriveComponentName(pl.name, pi) === parentName)
+        );
+      };
+      const search = (vol, container) => {
+        for (const comp of (container.components || [])) {
+          if (matches(vol, comp)) {
+            if (compoundTypes.has(comp.type) && Array.isArray(comp.components)) {
+              parentVol = comp;
+              componentParentName = '';
+            } else {
+              parentVol = container;
               componentParentName = comp.name;
-              break;
             }
-            // Also try component placement names
-            for (const pl of (comp.placements || [])) {
-              const derivedPlName = deriveComponentName(pl.name, pi);
-              if (derivedPlName === parentName) {
-                parentVol = vol;
-                componentParentName = comp.name;
-                break;
-              }
-            }
-            if (parentVol) break;
+            return true;
           }
-          if (parentVol) break;
+          if (search(vol, comp)) return true;
         }
-        if (parentVol) break;
-      }
+        return false;
+      };
+      json.volumes.some(vol => compoundTypes.has(vol.type) && search(vol, vol));
     }
   }
 
@@ -496,12 +576,14 @@ export function applyRemoveFromJson(jsonData, flatVolumes, flatIndex) {
 
   const vi = flatVol._volumeIndex;
   const pi = flatVol._placementIndex;
-  const ci = flatVol._componentIndex;
+  const path = componentPath(flatVol);
   const jsonVol = json.volumes[vi];
+  const container = path.length > 0 ? componentAt(jsonVol, path.slice(0, -1)) : null;
+  const ci = path[path.length - 1];
 
-  // ── Component inside a compound (assembly/union) ──
-  if (ci !== undefined && jsonVol.components && jsonVol.components[ci]) {
-    const component = jsonVol.components[ci];
+  // ── Component inside a compound (assembly/union), at any depth ──
+  if (container?.components && container.components[ci]) {
+    const component = container.components[ci];
     const compName = component.name;
 
     // Also remove any child components whose parent references this component
@@ -514,7 +596,7 @@ export function applyRemoveFromJson(jsonData, flatVolumes, flatIndex) {
     let changed = true;
     while (changed) {
       changed = false;
-      for (const comp of jsonVol.components) {
+      for (const comp of container.components) {
         if (namesToRemove.has(comp.name)) continue;
         for (const pl of (comp.placements || [])) {
           if (namesToRemove.has(pl.parent)) {
@@ -526,7 +608,7 @@ export function applyRemoveFromJson(jsonData, flatVolumes, flatIndex) {
       }
     }
 
-    jsonVol.components = jsonVol.components.filter(c => !namesToRemove.has(c.name));
+    container.components = container.components.filter(c => !namesToRemove.has(c.name));
     return json;
   }
 
@@ -589,7 +671,7 @@ export function extractSubtreeFromJson(jsonData, volumeName, materialsMap) {
   // Daughters of components are top-level volumes whose parent is the
   // component's placement name, so we must add those names to the set.
   const seedComponents = (vol) => {
-    for (const comp of (vol.components || [])) {
+    for (const comp of allComponents(vol)) {
       selectedNames.add(comp.name);
       for (const pl of (comp.placements || [])) {
         if (pl.name) selectedNames.add(pl.name);
@@ -676,9 +758,10 @@ export function extractSubtreeFromJson(jsonData, volumeName, materialsMap) {
     const nameMap = new Map(); // old name → new name (for component names AND placement names)
     const uniqueId = `${Date.now()}_${Math.floor(Math.random() * 10000)}`;
 
-    // Pass 1: build the rename map
-    for (let ci = 0; ci < vol.components.length; ci++) {
-      const comp = vol.components[ci];
+    // Pass 1: build the rename map (components of nested compounds too)
+    const components = allComponents(vol);
+    for (let ci = 0; ci < components.length; ci++) {
+      const comp = components[ci];
       const baseName = comp.g4name || comp.name;
       const newName = `${baseName}_${uniqueId}_${ci}`;
       nameMap.set(comp.name, newName);
@@ -697,7 +780,7 @@ export function extractSubtreeFromJson(jsonData, volumeName, materialsMap) {
     }
 
     // Pass 2: update parent references within components
-    for (const comp of vol.components) {
+    for (const comp of components) {
       for (const pl of (comp.placements || [])) {
         const mapped = nameMap.get(pl.parent);
         if (mapped) pl.parent = mapped;
@@ -712,7 +795,7 @@ export function extractSubtreeFromJson(jsonData, volumeName, materialsMap) {
       if (vol.material && materialsMap[vol.material]) {
         usedMaterials[vol.material] = materialsMap[vol.material];
       }
-      for (const comp of (vol.components || [])) {
+      for (const comp of allComponents(vol)) {
         if (comp.material && materialsMap[comp.material]) {
           usedMaterials[comp.material] = materialsMap[comp.material];
         }
@@ -744,12 +827,8 @@ function deepEqual(a, b) {
   return keysA.every(k => deepEqual(a[k], b[k]));
 }
 
-function volumeDefinitionMatches(a, b) {
-  if (a.type !== b.type) return false;
-  if (a.material !== b.material) return false;
-  if ((a._displayGroup || '') !== (b._displayGroup || '')) return false;
-  if (!deepEqual(a.dimensions, b.dimensions)) return false;
-  // Compare components for compounds
+// Compare components for compounds, and those of nested compounds
+function componentsMatch(a, b) {
   const aComps = a.components || [];
   const bComps = b.components || [];
   if (aComps.length !== bComps.length) return false;
@@ -757,10 +836,19 @@ function volumeDefinitionMatches(a, b) {
     if (aComps[i].type !== bComps[i].type) return false;
     if (aComps[i].material !== bComps[i].material) return false;
     if (!deepEqual(aComps[i].dimensions, bComps[i].dimensions)) return false;
+    if (!componentsMatch(aComps[i], bComps[i])) return false;
   }
   return true;
 }
 
+function volumeDefinitionMatches(a, b) {
+  if (a.type !== b.type) return false;
+  if (a.material !== b.material) return false;
+  if ((a._displayGroup || '') !== (b._displayGroup || '')) return false;
+  if (!deepEqual(a.dimensions, b.dimensions)) return false;
+  return componentsMatch(a, b);
+}
+
 /**
  * Find an existing volume in JSON whose definition matches the incoming volume.
  * Returns the matching volume object, or null if no match.
@@ -775,10 +863,28 @@ export function findMatchingVolume(jsonData, incomingVolume) {
 }
 
 // ──────────────────────────────────────────────────────────
-// ADD PLACEMENT — add a new placement of an existing volume
+// ADD PLACEMENT — add new placements of an existing volume.
+// Without `placements`, one copy of the clicked placement is added,
+// offset slightly. A pattern passes its generated placements instead;
+// they inherit the clicked placement's parent unless they name one.
 // ──────────────────────────────────────────────────────────
 
-export function applyAddPlacementToJson(jsonData, flatVolumes, flatIndex) {
+/**
+ * Next free placement number of a JSON volume, from the trailing _NNN of
+ * its placement names (or the number of placements if none has one).
+ */
+export function nextPlacementNumber(jsonVol) {
+  const placements = jsonVol?.placements || [];
+  let maxIdx = -1;
+  for (const pl of placements) {
+    const match = pl?.name?.match(/_(\d+)$/);
+    if (match) maxIdx = Math.max(maxIdx, parseInt(match[1], 10));
+  }
+  if (maxIdx < 0) maxIdx = placements.length - 1;
+  return maxIdx + 1;
+}
+
+export function applyAddPlacementToJson(jsonData, flatVolumes, flatIndex, placements) {
   const json = structuredClone(jsonData);
   const flatVol = flatVolumes[flatIndex];
 
@@ -791,22 +897,29 @@ export function applyAddPlacementToJson(jsonData, flatVolumes, flatIndex) {
   const jsonVol = json.volumes[vi];
   if (!jsonVol || !jsonVol.placements) return json;
 
+  const sourcePl = jsonVol.placements[flatVol._placementIndex] || jsonVol.placements[0];
+
+  if (placements) {
+    placements.forEach(pl => {
+      jsonVol.placements.push({
+        ...pl,
+        g4name: pl.g4name || pl.name,
+        rotation: pl.rotation ? { ...pl.rotation } : { x: 0, y: 0, z: 0 },
+        parent: pl.parent || sourcePl?.parent || 'World',
+      });
+    });
+    return json;
+  }
+
   // Determine next placement index for naming.
   // Use the volume definition name, stripping any trailing _NNN suffix
   // so that e.g. clicking on R11410_000 produces R11410_002, not R11410_000_002.
-  let maxIdx = -1;
-  for (const pl of jsonVol.placements) {
-    const match = pl.name?.match(/_(\d+)$/);
-    if (match) maxIdx = Math.max(maxIdx, parseInt(match[1], 10));
-  }
-  if (maxIdx < 0) maxIdx = jsonVol.placements.length - 1;
-  const newIdx = maxIdx + 1;
+  const newIdx = nextPlacementNumber(jsonVol);
   const rawName = jsonVol.g4name || jsonVol.name;
   const baseName = rawName.replace(/_\d+$/, '');
   const newPlName = `${baseName}_${pad3(newIdx)}`;
 
   // Copy position/rotation/parent from the source placement, offset slightly
-  const sourcePl = jsonVol.placements[flatVol._placementIndex] || jsonVol.placements[0];
   const newPlacement = {
     name: newPlName,
     g4name: newPlName,
@@ -872,8 +985,9 @@ export function applyDuplicateVolumeToJson(jsonData, flatVolumes, flatIndex) {
     const nameMap = new Map();
     nameMap.set(oldName, newName);
 
-    // Build rename map for all components
-    for (const comp of clone.components) {
+    // Build rename map for all components, nested ones included
+    const components = allComponents(clone);
+    for (const comp of components) {
       const oldCompName = comp.name;
       const newCompName = oldCompName.replace(oldName, newName);
       if (newCompName !== oldCompName) {
@@ -896,7 +1010,7 @@ export function applyDuplicateVolumeToJson(jsonData, flatVolumes, flatIndex) {
     }
 
     // Update parent references inside components
-    for (const comp of clone.components) {
+    for (const comp of components) {
       for (const pl of (comp.placements || [])) {
         if (pl.parent && nameMap.has(pl.parent)) {
           pl.parent = nameMap.get(pl.parent);
@@ -909,6 +1023,280 @@ export function applyDuplicateVolumeToJson(jsonData, flatVolumes, flatIndex) {
   return json;
 }
 
+// ──────────────────────────────────────────────────────────
+// BULK UPDATE — set shared properties on several volumes at once
+// (material, visibility, hits collection, display group).
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Apply one patch to several flat volumes in a single JSON update.
+ *
+ * Visibility is stored per placement for top-level volumes, as the tree's
+ * eye toggle does; the other fields live on the volume definition, so they
+ * reach every placement of it. Boolean parts take their material and hits
+ * collection from their union and only get the visibility.
+ *
+ * @param {Object} jsonData
+ * @param {Array} flatVolumes
+ * @param {number[]} flatIndices
+ * @param {Object} patch - Any of { material, visible, hitsCollectionName, _displayGroup };
+ *   a null or empty hitsCollectionName makes the volumes inactive and an
+ *   empty _displayGroup removes them from their folder
+ * @returns {Object} New JSON
+ */
+export function applyBulkUpdateToJson(jsonData, flatVolumes, flatIndices, patch) {
+  const json = cloneVolumes(jsonData, flatIndices.map(flatIndex => flatVolumes[flatIndex]?._volumeIndex));
+
+  for (const flatIndex of flatIndices) {
+    const flatVol = flatVolumes[flatIndex];
+    if (!flatVol || flatVol._volumeIndex === undefined) continue;
+    const jsonVol = json.volumes[flatVol._volumeIndex];
+    if (!jsonVol) continue;
+
+    const path = componentPath(flatVol);
+    const def = componentAt(jsonVol, path);
+    if (!def) continue;
+
+    if (patch.visible !== undefined) {
+      const placement = path.length === 0 ? jsonVol.placements?.[flatVol._placementIndex] : null;
+      if (placement) placement.visible = patch.visible;
+      else def.visible = patch.visible;
+    }
+
+    if (flatVol._is_boolean_component) continue;
+
+    if (patch.material !== undefined) def.material = patch.material;
+    if ('hitsCollectionName' in patch) {
+      if (patch.hitsCollectionName) {
+        def.hitsCollectionName = patch.hitsCollectionName;
+        def.isActive = true;
+      } else {
+        delete def.hitsCollectionName;
+        delete def.isActive;
+      }
+    }
+    if ('_displayGroup' in patch) {
+      if (patch._displayGroup) def._displayGroup = patch._displayGroup;
+      else delete def._displayGroup;
+    }
+  }
+
+  return json;
+}
+
+// ──────────────────────────────────────────────────────────
+// REPARENT — move a placement under another parent (World, a volume,
+// an assembly or a part of one). Moving into or out of an assembly moves
+// the definition into or out of that assembly's components array.
+// Assemblies nest: an assembly, top-level or a component itself, holds
+// the components placed directly in it.
+// ──────────────────────────────────────────────────────────
+
+// Where a reparented volume goes. For a compound (an assembly, or the
+// compound owning a part) `parent` is the component placement parent:
+// '' for a direct child, otherwise the parent component's name.
+function reparentTarget(json, parent) {
+  if (!parent) return { compound: null, parent: json.world?.name || 'World' };
+  const vol = json.volumes[parent._volumeIndex];
+  const path = componentPath(parent);
+  if (parent.type === 'assembly') return { compound: componentAt(vol, path), parent: '' };
+  if (path.length > 0) {
+    return { compound: componentAt(vol, path.slice(0, -1)), parent: componentAt(vol, path).name };
+  }
+  return { compound: null, parent: parent.name };
+}
+
+const samePath = (a, b) => a.length === b.length && a.every((index, i) => index === b[i]);
+
+// Components of a compound that hang (transitively) under the given one
+function componentSubtree(compound, component) {
+  const names = new Set([component.name]);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const comp of compound.components) {
+      if (names.has(comp.name)) continue;
+      if ((comp.placements || []).some(pl => names.has(pl.parent))) {
+        names.add(comp.name);
+        changed = true;
+      }
+    }
+  }
+  return [component, ...compound.components.filter(c => c !== component && names.has(c.name))];
+}
+
+// Single-placement top-level volumes that hang (transitively) under the
+// given one; they move into an assembly along with it
+function topLevelSubtree(json, vol) {
+  const moved = [vol];
+  const names = new Set([vol.name, ...(vol.placements || []).map(pl => pl.name).filter(Boolean)]);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const other of json.volumes) {
+      if (moved.includes(other) || other.placements?.length !== 1) continue;
+      if (names.has(other.placements[0].parent)) {
+        moved.push(other);
+        names.add(other.name);
+        if (other.placements[0].name) names.add(other.placements[0].name);
+        changed = true;
+      }
+    }
+  }
+  return moved;
+}
+
+/**
+ * Why a volume cannot be moved under a new parent, or null if it can.
+ * Refuses cycles (the parent is the volume, inside it, or inside another
+ * placement of the same definition), boolean parts, unions as parents,
+ * and name clashes in the destination.
+ *
+ * @param {Object} jsonData
+ * @param {Array} flatVolumes
+ * @param {number} flatIndex - Volume to move
+ * @param {number|null} parentIndex - Flat index of the new parent, null for World
+ * @returns {string|null}
+ */
+export function getReparentError(jsonData, flatVolumes, flatIndex, parentIndex) {
+  const flatVol = flatVolumes[flatIndex];
+  if (!flatVol || flatVol._volumeIndex === undefined) return 'Volume not found';
+  const source = jsonData.volumes[flatVol._volumeIndex];
+  const path = componentPath(flatVol);
+  const container = path.length > 0 ? componentAt(source, path.slice(0, -1)) : null;
+  if (flatVol._is_boolean_component || container?.type === 'union') {
+    return `${flatVol.name} is a part of a boolean solid`;
+  }
+
+  const parent = parentIndex === null || parentIndex === undefined ? null : flatVolumes[parentIndex];
+  if (parent) {
+    if (parent.type === 'union' || parent._is_boolean_component) {
+      return `Volumes cannot be placed inside the boolean solid ${parent.name}`;
+    }
+    const byName = new Map(flatVolumes.map(v => [v.name, v]));
+    const seen = new Set();
+    for (let node = parent; node && !seen.has(node); node = byName.get(node.mother_volume)) {
+      const sameDefinition = node._volumeIndex === flatVol._volumeIndex &&
+        samePath(componentPath(node), path);
+      if (node === flatVol || sameDefinition) return `Cannot move ${flatVol.name} into itself`;
+      seen.add(node);
+    }
+  }
+
+  const target = reparentTarget(jsonData, parent);
+  let moving;
+
+  if (!container) {
+    if (!target.compound) return null;
+    if ((source.placements || []).length > 1) {
+      return `${source.name} has ${source.placements.length} placements; only a volume with one placement can move into an assembly`;
+    }
+    moving = topLevelSubtree(jsonData, source);
+  } else {
+    if (target.compound === container) return null;
+    moving = componentSubtree(container, container.components[path[path.length - 1]]);
+  }
+
+  const clash = moving.find(vol => (target.compound
+    ? (target.compound.components || []).some(c => c.name === vol.name)
+    : jsonData.volumes.some(v => v.name === vol.name)));
+  if (clash) return `${target.compound ? target.compound.name : 'The world'} already has a volume named ${clash.name}`;
+  return null;
+}
+
+/**
+ * Move a volume under a new parent.
+ *
+ * A top-level placement just gets a new parent, unless the parent is an
+ * assembly (or one of its parts): then the volume, with the single-placement
+ * volumes inside it, becomes a component of that assembly. A component
+ * moved out of its compound takes its own nested components along and
+ * becomes a top-level volume, or a component of the new compound. Since a
+ * component exists once per compound instance, moving it out leaves a
+ * single volume.
+ *
+ * @param {Object} jsonData
+ * @param {Array} flatVolumes
+ * @param {number} flatIndex - Volume to move
+ * @param {number|null} parentIndex - Flat index of the new parent, null for World
+ * @param {{position: Object, rotation: Object}} [pose] - New local placement
+ *   (e.g. to keep the world pose); the current one is kept if omitted
+ * @returns {Object} New JSON, unchanged if getReparentError refuses the move
+ */
+export function applyReparentToJson(jsonData, flatVolumes, flatIndex, parentIndex, pose) {
+  const json = structuredClone(jsonData);
+  const error = getReparentError(json, flatVolumes, flatIndex, parentIndex);
+  if (error) {
+    debugWarn(`applyReparentToJson: ${error}`);
+    return json;
+  }
+
+  const flatVol = flatVolumes[flatIndex];
+  const parent = parentIndex === null || parentIndex === undefined ? null : flatVolumes[parentIndex];
+  const source = json.volumes[flatVol._volumeIndex];
+  const path = componentPath(flatVol);
+  const container = path.length > 0 ? componentAt(source, path.slice(0, -1)) : null;
+  const target = reparentTarget(json, parent);
+  let placement;
+
+  if (!container && !target.compound) {
+    // Top-level placement under a new top-level parent
+    placement = source.placements[flatVol._placementIndex];
+    placement.parent = target.parent;
+  } else if (!container) {
+    // Top-level volume into an assembly: parents inside the moved set are
+    // referred to by component name, as expandToFlat resolves them
+    const moving = topLevelSubtree(json, source);
+    const componentName = new Map();
+    moving.forEach(vol => {
+      componentName.set(vol.name, vol.name);
+      (vol.placements || []).forEach(pl => pl.name && componentName.set(pl.name, vol.name));
+    });
+    if (!target.compound.components) target.compound.components = [];
+    moving.forEach(vol => {
+      const component = { ...vol, placements: vol.placements.slice(0, 1) };
+      component.placements[0].parent = vol === source ? target.parent : componentName.get(component.placements[0].parent);
+      target.compound.components.push(component);
+    });
+    json.volumes = json.volumes.filter(vol => !moving.includes(vol));
+    placement = source.placements[0];
+  } else {
+    const component = container.components[path[path.length - 1]];
+    if (!component.placements?.length) {
+      component.placements = [{ x: 0, y: 0, z: 0, rotation: { x: 0, y: 0, z: 0 }, parent: '' }];
+    }
+    placement = component.placements[0];
+
+    if (target.compound !== container) {
+      const moving = componentSubtree(container, component);
+      container.components = container.components.filter(comp => !moving.includes(comp));
+      if (target.compound) {
+        if (!target.compound.components) target.compound.components = [];
+        target.compound.components.push(...moving);
+      } else {
+        // Top-level parents are looked up by placement name
+        const flatName = new Map(moving.map(comp => [comp.name, comp.placements?.[0]?.name || comp.name]));
+        moving.forEach(comp => {
+          if (comp === component) return;
+          const pl = comp.placements?.[0];
+          if (pl && flatName.has(pl.parent)) pl.parent = flatName.get(pl.parent);
+        });
+        json.volumes.push(...moving);
+      }
+    }
+    placement.parent = target.parent;
+  }
+
+  if (pose) {
+    placement.x = pose.position.x;
+    placement.y = pose.position.y;
+    placement.z = pose.position.z;
+    placement.rotation = { x: pose.rotation.x, y: pose.rotation.y, z: pose.rotation.z };
+  }
+
+  return json;
+}
+
 // ──────────────────────────────────────────────────────────
 // MERGE VOLUMES — merge imported JSON volumes into existing JSON.
 // Compound types (assembly/union) with the same name:
@@ -954,7 +1342,7 @@ export function mergeJsonVolumes(jsonData, incomingVolumes) {
       const renamed = placementRenameMap.get(pl.parent);
       if (renamed) pl.parent = renamed;
     }
-    for (const comp of (clone.components || [])) {
+    for (const comp of allComponents(clone)) {
       for (const pl of (comp.placements || [])) {
         const renamed = placementRenameMap.get(pl.parent);
         if (renamed) pl.parent = renamed;
@@ -0,0 +1,213 @@
+/**
+ * meshImport.js
+ *
+ * Reads triangle meshes from STL (ASCII or binary) and Wavefront OBJ files
+ * into the dimensions of a `tessellated` volume:
+ *
+ *   { vertices: [[x, y, z], …], facets: [[i, j, k], …] }
+ *
+ * Vertices are in mm and shared between facets; facets list vertex indices
+ * counter-clockwise seen from outside, as G4TessellatedSolid expects.
+ * Neither format stores a length unit, and CAD tools disagree on which axis
+ * is up, so both are chosen on import.
+ */
+
+/** Length of one file unit in mm. */
+export const MESH_UNITS = { mm: 1, cm: 10, m: 1000, in: 25.4 };
+
+// Maps a point with the given axis up onto the editor's z-up frame
+// (proper rotations, so facet winding is kept)
+const UP_AXIS_ROTATIONS = {
+  z: ([x, y, z]) => [x, y, z],
+  y: ([x, y, z]) => [x, -z, y],
+  x: ([x, y, z]) => [-z, y, x],
+};
+
+/** Axes a mesh file may use as up. */
+export const MESH_UP_AXES = Object.keys(UP_AXIS_ROTATIONS);
+
+// Binary STL: 80-byte header, triangle count, then 50 bytes per triangle.
+// Some exporters pad the file, so bytes after the last triangle are allowed.
+const isBinaryStl = (buffer) => {
+  if (buffer.byteLength < 84) return false;
+  const count = new DataView(buffer).getUint32(80, true);
+  return count > 0 && buffer.byteLength >= 84 + count * 50;
+};
+
+const parseBinaryStl = (buffer) => {
+  const view = new DataView(buffer);
+  const count = view.getUint32(80, true);
+  const triangles = [];
+  for (let t = 0; t < count; t++) {
+    // Skip the 12-byte normal; the winding defines the outside
+    const offset = 84 + t * 50 + 12;
+    const corner = (k) => [0, 1, 2].map(axis => view.getFloat32(offset + k * 12 + axis * 4, true));
+    triangles.push([corner(0), corner(1), corner(2)]);
+  }
+  return triangles;
+};
+
+const parseAsciiStl = (text) => {
+  const triangles = [];
+  let corners = [];
+  text.split('\n').forEach(line => {
+    const words = line.trim().split(/\s+/);
+    if (words[0] === 'vertex') {
+      corners.push(words.slice(1, 4).map(Number));
+    } else if (words[0] === 'endloop' || words[0] === 'endfacet') {
+      if (corners.length >= 3) {
+        // Polygons are fanned out from their first corner
+        for (let k = 1; k < corners.length - 1; k++) triangles.push([corners[0], corners[k], corners[k + 1]]);
+      }
+      corners = [];
+    }
+  });
+  return triangles;
+};
+
+/**
+ * Triangles of an STL file, in file units.
+ * @param {ArrayBuffer|string} data - File contents
+ * @returns {number[][][]} [[a, b, c], …] with each corner an [x, y, z]
+ */
+export function parseStl(data) {
+  if (typeof data !== 'string') {
+    if (isBinaryStl(data)) return parseBinaryStl(data);
+    data = new TextDecoder().decode(data);
+  }
+  if (!/^\s*solid/.test(data)) throw new Error('Not an STL file');
+  return parseAsciiStl(data);
+}
+
+/**
+ * Triangles of an OBJ file, in file units. Only the geometry is read:
+ * `v` and `f` lines of every object and group, with negative (relative)
+ * indices; polygons are fanned out from their first corner.
+ * @param {string} text
+ * @returns {number[][][]}
+ */
+export function parseObj(text) {
+  const positions = [];
+  const triangles = [];
+  text.split('\n').forEach((line, lineIndex) => {
+    const words = line.trim().split(/\s+/);
+    if (words[0] === 'v') {
+      positions.push(words.slice(1, 4).map(Number));
+    } else if (words[0] === 'f') {
+      const corners = words.slice(1).map(word => {
+        const index = parseInt(word.split('/')[0], 10);
+        const corner = positions[index < 0 ? positions.length + index : index - 1];
+        if (!corner) throw new Error(`Line ${lineIndex + 1}: no vertex ${word}`);
+        return corner;
+      });
+      for (let k = 1; k < corners.length - 1; k++) triangles.push([corners[0], corners[k], corners[k + 1]]);
+    }
+  });
+  return triangles;
+}
+
+/**
+ * Triangles of a mesh file, by its extension.
+ * @param {string} fileName - .stl or .obj
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {number[][][]}
+ */
+export function parseMeshFile(fileName, buffer) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (extension === 'stl') return parseStl(buffer);
+  if (extension === 'obj') return parseObj(new TextDecoder().decode(buffer));
+  throw new Error(`Unsupported mesh format ".${extension}"; use STL or OBJ`);
+}
+
+/**
+ * Edges used by only one facet (a closed solid has none).
+ * @param {number[][]} facets
+ * @returns {number}
+ */
+export function countOpenEdges(facets) {
+  const uses = new Map();
+  facets.forEach(facet => facet.forEach((a, k) => {
+    const b = facet[(k + 1) % facet.length];
+    const key = a < b ? `${a},${b}` : `${b},${a}`;
+    uses.set(key, (uses.get(key) || 0) + 1);
+  }));
+  let open = 0;
+  uses.forEach(count => { if (count === 1) open++; });
+  return open;
+}
+
+/**
+ * Bounding box of a vertex list.
+ * @param {number[][]} vertices
+ * @returns {{ min: number[], max: number[] }}
+ */
+export function meshBounds(vertices) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  vertices.forEach(v => {
+    for (let k = 0; k < 3; k++) {
+      if (v[k] < min[k]) min[k] = v[k];
+      if (v[k] > max[k]) max[k] = v[k];
+    }
+  });
+  return { min, max };
+}
+
+/**
+ * Dimensions of a tessellated volume from file triangles: scaled to mm,
+ * turned z-up, optionally centred on the origin, with coincident corners
+ * merged and degenerate triangles dropped.
+ *
+ * @param {number[][][]} triangles - From parseStl / parseObj
+ * @param {Object} [options]
+ * @param {string} [options.unit='mm'] - Key of MESH_UNITS
+ * @param {string} [options.upAxis='z'] - Axis that is up in the file
+ * @param {boolean} [options.center=false] - Move the bounding box centre to the origin
+ * @returns {{ vertices: number[][], facets: number[][], warnings: string[] }}
+ */
+export function trianglesToTessellated(triangles, { unit = 'mm', upAxis = 'z', center = false } = {}) {
+  const scale = MESH_UNITS[unit];
+  const rotate = UP_AXIS_ROTATIONS[upAxis];
+  if (scale === undefined) throw new Error(`Unknown unit "${unit}"`);
+  if (!rotate) throw new Error(`Unknown up axis "${upAxis}"`);
+
+  const vertices = [];
+  const indexOf = new Map();
+  const vertexIndex = (point) => {
+    // Float32 coordinates of the same corner can differ in the last bits
+    const p = rotate(point).map(v => Math.round(v * scale * 1e6) / 1e6 + 0);
+    const key = p.join(',');
+    if (!indexOf.has(key)) {
+      indexOf.set(key, vertices.length);
+      vertices.push(p);
+    }
+    return indexOf.get(key);
+  };
+
+  const warnings = [];
+  const facets = [];
+  let degenerate = 0;
+  triangles.forEach(corners => {
+    if (corners.some(c => c.some(v => !Number.isFinite(v)))) {
+      degenerate++;
+      return;
+    }
+    const facet = corners.map(vertexIndex);
+    if (new Set(facet).size < 3) degenerate++;
+    else facets.push(facet);
+  });
+  if (facets.length === 0) throw new Error('The file has no triangles');
+  if (degenerate > 0) warnings.push(`${degenerate} degenerate triangle(s) were dropped`);
+
+  if (center) {
+    const { min, max } = meshBounds(vertices);
+    const mid = min.map((m, k) => (m + max[k]) / 2);
+    vertices.forEach(v => { for (let k = 0; k < 3; k++) v[k] = Math.round((v[k] - mid[k]) * 1e6) / 1e6 + 0; });
+  }
+
+  const open = countOpenEdges(facets);
+  if (open > 0) {
+    warnings.push(`The mesh is not closed (${open} open edge${open === 1 ? '' : 's'}); Geant4 and the boolean preview need a closed solid`);
+  }
+  return { vertices, facets, warnings };
+}
@@ -0,0 +1,238 @@
+/**
+ * parameters.js
+ *
+ * Named parameters and expressions in the JSON model.
+ *
+ * A project may carry a parameter table next to its volumes:
+ *   "parameters": { "TankRadius": "1.5*m", "TankWall": "5*mm", "TankInner": "TankRadius - TankWall" }
+ * and any dimension or placement coordinate may hold an expression string
+ * in place of a number:
+ *   "dimensions": { "radius": "TankInner", "height": 3000 }
+ *
+ * Expressions evaluate to the JSON's own units (mm, rad). Unit names are
+ * constants, so "5*cm" is 50 and "90*deg" is π/2. Parameters may refer to
+ * each other in any order; cycles are reported as errors.
+ *
+ * The JSON keeps the expressions. resolveExpressions gives a copy with
+ * numbers in their place and an `_expressions` map (path → text) on every
+ * definition and placement that had one, for the editor and the exporters.
+ */
+
+import { evaluateExpression, tokenizeExpression, FUNCTION_NAMES } from './expressionEvaluator.js';
+
+/** Unit constants available in every expression, in the JSON's units. */
+export const UNIT_CONSTANTS = {
+  pi: Math.PI,
+  mm: 1, cm: 10, m: 1000, um: 1e-3, nm: 1e-6,
+  rad: 1, mrad: 1e-3, deg: Math.PI / 180,
+};
+
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/** True for a value that must be evaluated (a non-empty string). */
+export function isExpression(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Why `name` cannot be used as a parameter name, or null if it can.
+ */
+export function parameterNameError(name) {
+  if (!NAME_RE.test(name || '')) return 'Use letters, digits and underscores, not starting with a digit';
+  if (name in UNIT_CONSTANTS) return `"${name}" is a unit`;
+  if (FUNCTION_NAMES.includes(name)) return `"${name}" is a function`;
+  return null;
+}
+
+/**
+ * Evaluate a parameter table.
+ *
+ * @param {Object} [parameters] - Map of name → expression or number
+ * @returns {{ values: Object, errors: Object, order: string[], variables: Object }}
+ *   values and errors by name; order lists the valid parameters with every
+ *   one after those it uses; variables adds the unit constants to values
+ */
+export function resolveParameters(parameters) {
+  const table = parameters || {};
+  const values = {};
+  const errors = {};
+  const order = [];
+  const state = {};
+  const variables = { ...UNIT_CONSTANTS };
+
+  const resolve = (name) => {
+    if (state[name] === 'pending') throw new Error(`Circular reference through "${name}"`);
+    if (state[name] === 'done') return values[name];
+    state[name] = 'pending';
+    try {
+      values[name] = evaluateExpression(table[name], variables);
+      order.push(name);
+    } catch (err) {
+      errors[name] = err.message;
+    } finally {
+      state[name] = 'done';
+    }
+    return values[name];
+  };
+
+  // Parameters resolve on first use, so they may be listed in any order
+  Object.keys(table).forEach(name => {
+    const nameError = parameterNameError(name);
+    if (nameError) {
+      errors[name] = nameError;
+      state[name] = 'done';
+      return;
+    }
+    Object.defineProperty(variables, name, {
+      enumerable: true,
+      get: () => {
+        const value = resolve(name);
+        if (value === undefined) throw new Error(`Parameter "${name}" has an error`);
+        return value;
+      },
+    });
+  });
+  Object.keys(table).forEach(resolve);
+
+  return { values, errors, order, variables: { ...UNIT_CONSTANTS, ...values } };
+}
+
+// Evaluate the expressions of a definition in place, through its
+// placements and components, collecting failures in `errors`
+const resolveDefinitionInPlace = (def, variables, errors) => {
+  const resolveValue = (node, key, owner, path, label) => {
+    const value = node[key];
+    if (isExpression(value)) {
+      try {
+        node[key] = evaluateExpression(value, variables);
+        owner._expressions = { ...owner._expressions, [path]: value };
+      } catch (err) {
+        node[key] = undefined;
+        errors.push({ name: label, message: `${path}: ${err.message}` });
+      }
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(k => resolveValue(value, k, owner, `${path}.${k}`, label));
+    }
+  };
+
+  const resolveDefinition = (definition) => {
+    if (!definition) return;
+    const label = definition.name || 'unnamed';
+    if (definition.dimensions) resolveValue(definition, 'dimensions', definition, 'dimensions', label);
+    (definition.placements || []).forEach(pl => {
+      if (!pl) return;
+      ['x', 'y', 'z', 'rotation'].forEach(key => resolveValue(pl, key, pl, key, pl.name || label));
+    });
+    (definition.components || []).forEach(resolveDefinition);
+  };
+
+  resolveDefinition(def);
+};
+
+/**
+ * Replace every expression in one definition (the world or a volume) by
+ * its value, as resolveExpressions does for the whole geometry.
+ *
+ * @param {Object} definition - World or volume JSON
+ * @param {Object} variables - From resolveParameters
+ * @returns {{ definition: Object, errors: { name: string, message: string }[] }} definition is a copy
+ */
+export function resolveDefinitionExpressions(definition, variables) {
+  const errors = [];
+  if (!definition) return { definition, errors };
+  const resolved = structuredClone(definition);
+  resolveDefinitionInPlace(resolved, variables, errors);
+  return { definition: resolved, errors };
+}
+
+/**
+ * Replace every expression in the geometry by its value.
+ *
+ * Expressions are looked for in world and volume dimensions and in
+ * placement x / y / z / rotation, through union and assembly components.
+ *
+ * @param {Object} json - Hierarchical JSON { world, volumes, parameters }
+ * @returns {{ json: Object, values: Object, order: string[], errors: { name: string, message: string }[] }}
+ *   json is a copy; an expression that fails to evaluate is left undefined
+ */
+export function resolveExpressions(json) {
+  const { values, errors: parameterErrors, order, variables } = resolveParameters(json?.parameters);
+  const errors = Object.entries(parameterErrors).map(([name, message]) => ({ name, message }));
+  if (!json) return { json, values, order, errors };
+
+  const resolved = structuredClone(json);
+  resolveDefinitionInPlace(resolved.world, variables, errors);
+  (resolved.volumes || []).forEach(volume => resolveDefinitionInPlace(volume, variables, errors));
+
+  return { json: resolved, values, order, errors };
+}
+
+/**
+ * Rewrite an expression for another evaluator, or null if it uses
+ * something the target cannot express.
+ *
+ * @param {string} expression - Expression text
+ * @param {Object} [syntax]
+ * @param {Object} [syntax.functions] - Our function name → target name; others are not supported
+ * @param {string|null} [syntax.power] - Target power operator, or null if there is none
+ * @param {Function} [syntax.number] - (value, text) → literal text
+ * @returns {string|null}
+ */
+export function mapExpression(expression, { functions = {}, power = null, number = (value, text) => text } = {}) {
+  const source = String(expression);
+  let tokens;
+  try {
+    tokens = tokenizeExpression(source);
+  } catch {
+    return null;
+  }
+  let out = '';
+  let last = 0;
+  for (let k = 0; k < tokens.length; k++) {
+    const token = tokens[k];
+    let text = source.slice(token.start, token.end);
+    if (token.type === 'num') {
+      text = number(token.value, text);
+    } else if (token.type === 'name' && tokens[k + 1]?.value === '(') {
+      if (!functions[token.value]) return null;
+      text = functions[token.value];
+    } else if (token.value === '^' || token.value === '**') {
+      if (!power) return null;
+      text = power;
+    }
+    out += source.slice(last, token.start) + text;
+    last = token.end;
+  }
+  return (out + source.slice(last)).trim();
+}
+
+/**
+ * Put rewritten expressions back into the dimensions of a resolved copy
+ * (see resolveExpressions), wherever `rewrite` can express them.
+ *
+ * @param {Object} json - Resolved JSON; modified in place
+ * @param {Function} rewrite - expression → target text, or null to keep the number
+ * @returns {Object} json
+ */
+export function symbolicDimensions(json, rewrite) {
+  const visit = (def) => {
+    if (!def) return;
+    Object.entries(def._expressions || {}).forEach(([path, text]) => {
+      const keys = path.split('.');
+      if (keys[0] !== 'dimensions') return;
+      const symbol = rewrite(text);
+      if (symbol === null) return;
+      const parent = keys.slice(0, -1).reduce((node, key) => node?.[key], def);
+      if (parent) parent[keys[keys.length - 1]] = symbol;
+    });
+    (def.components || []).forEach(visit);
+  };
+  visit(json.world);
+  (json.volumes || []).forEach(visit);
+  return json;
+}
+
+/** Grouped form of an expression, safe to use as an operand. */
+export function operand(text) {
+  return NAME_RE.test(text) || /^\d*\.?\d+$/.test(text) ? text : `(${text})`;
+}
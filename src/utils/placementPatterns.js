@@ -0,0 +1,288 @@
+/**
+ * placementPatterns.js
+ *
+ * Generates many placements of one volume at once: a row, a rectangular
+ * grid, a ring, a hexagonal-packed disk or a list of positions read from
+ * CSV. The result is a list of JSON placements for applyAddPlacementToJson.
+ *
+ * Patterns are built in the parent's frame around an origin and an axis
+ * (x, y or z). Two-dimensional layouts lie in the plane across the axis:
+ *   axis z → (x, y),  axis x → (y, z),  axis y → (z, x)
+ * The same axis is used to skip elements inside an exclusion radius and to
+ * turn elements to face it (local +z pointing at the axis, local +y along it).
+ *
+ * Values are in the JSON's units (mm, rad).
+ */
+
+import * as THREE from 'three';
+
+export const PATTERN_LAYOUTS = ['linear', 'grid', 'circular', 'hexagonal', 'csv'];
+
+/** Upper bound on the elements of one pattern, to keep the editor responsive. */
+export const MAX_PATTERN_ELEMENTS = 10000;
+
+export const DEFAULT_NAME_TEMPLATE = '{name}_{n:3}';
+
+const AXES = {
+  z: { u: 'x', v: 'y' },
+  x: { u: 'y', v: 'z' },
+  y: { u: 'z', v: 'x' },
+};
+
+const unit = (key) => new THREE.Vector3(key === 'x' ? 1 : 0, key === 'y' ? 1 : 0, key === 'z' ? 1 : 0);
+
+// Drop floating-point noise such as cos(π/2) = 6e-17
+const clean = (value) => {
+  const rounded = Number(value.toFixed(9));
+  return rounded === 0 ? 0 : rounded;
+};
+
+/**
+ * Fill a name template. Tokens are {name}, {n} (copy number), {i} (index
+ * in the pattern), {row} and {col}; {token:W} pads the number to W digits.
+ */
+export function formatPatternName(template, tokens) {
+  return String(template).replace(/\{(\w+)(?::(\d+))?\}/g, (match, key, width) => {
+    if (tokens[key] === undefined) return match;
+    const text = String(tokens[key]);
+    return width ? text.padStart(Number(width), '0') : text;
+  });
+}
+
+/**
+ * Read positions from CSV text.
+ *
+ * Columns are x, y, z and optionally rx, ry, rz (rotation), or any order
+ * given by a header row; a header may also name `name` and `copynumber`
+ * columns. Cells are separated by commas, semicolons, tabs or spaces.
+ * Blank lines and lines starting with # are ignored.
+ *
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {number} [options.lengthScale=1] - Factor from the file's length unit to mm
+ * @param {number} [options.angleScale=1] - Factor from the file's angle unit to rad
+ * @returns {{ positions: Object[], errors: string[] }} positions as
+ *   { x, y, z, rotation?, name?, copynumber? }
+ */
+export function parsePositionsCsv(text, { lengthScale = 1, angleScale = 1 } = {}) {
+  const positions = [];
+  const errors = [];
+  const lines = String(text || '').split(/\r?\n/);
+  let columns = ['x', 'y', 'z', 'rx', 'ry', 'rz'];
+  let first = true;
+
+  const columnOf = (label) => {
+    const key = label.trim().toLowerCase().replace(/[\s_]/g, '');
+    if (['x', 'y', 'z', 'name'].includes(key)) return key;
+    if (/^(r|rot|rotation)[xyz]$/.test(key)) return `r${key.slice(-1)}`;
+    if (['copynumber', 'copy', 'copyno'].includes(key)) return 'copynumber';
+    return null;
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const cells = trimmed.split(/\s*[,;\t]\s*|\s+/);
+
+    // A first row that is not all numbers is a header
+    if (first) {
+      first = false;
+      if (cells.some(cell => cell !== '' && !Number.isFinite(Number(cell)))) {
+        columns = cells.map(columnOf);
+        if (!['x', 'y', 'z'].every(key => columns.includes(key))) {
+          errors.push(`Line ${index + 1}: header needs x, y and z columns`);
+        }
+        return;
+      }
+    }
+
+    const row = {};
+    let bad = null;
+    cells.forEach((cell, c) => {
+      const column = columns[c];
+      if (!column) return;
+      if (column === 'name') {
+        if (cell) row.name = cell;
+        return;
+      }
+      const value = Number(cell);
+      if (cell === '' || !Number.isFinite(value)) {
+        bad = bad || `"${cell}" is not a number`;
+        return;
+      }
+      row[column] = value;
+    });
+    if (!bad && ['x', 'y', 'z'].some(key => row[key] === undefined)) bad = 'expected x, y and z';
+    if (bad) {
+      errors.push(`Line ${index + 1}: ${bad}`);
+      return;
+    }
+
+    const position = { x: row.x * lengthScale, y: row.y * lengthScale, z: row.z * lengthScale };
+    if (['rx', 'ry', 'rz'].some(key => row[key] !== undefined)) {
+      position.rotation = {
+        x: (row.rx || 0) * angleScale,
+        y: (row.ry || 0) * angleScale,
+        z: (row.rz || 0) * angleScale,
+      };
+    }
+    if (row.name) position.name = row.name;
+    if (row.copynumber !== undefined) position.copynumber = Math.round(row.copynumber);
+    positions.push(position);
+  });
+
+  return { positions, errors };
+}
+
+// Raw element positions of a layout: { point: Vector3, row, col, rotation? }
+function layoutPoints(options, frame) {
+  const { layout, count = 0 } = options;
+  const points = [];
+  const add = (point, extra = {}) => {
+    if (points.length >= MAX_PATTERN_ELEMENTS) {
+      throw new Error(`A pattern can have at most ${MAX_PATTERN_ELEMENTS} elements`);
+    }
+    points.push({ point, row: 0, col: points.length, ...extra });
+  };
+  const inPlane = (u, v) => frame.u.clone().multiplyScalar(u).addScaledVector(frame.v, v);
+
+  switch (layout) {
+    case 'linear': {
+      const step = options.step || {};
+      const stepVector = new THREE.Vector3(step.x || 0, step.y || 0, step.z || 0);
+      for (let i = 0; i < count; i++) add(stepVector.clone().multiplyScalar(i));
+      break;
+    }
+    case 'grid': {
+      const { countU = 0, countV = 0, pitchU = 0, pitchV = 0 } = options;
+      if (countU * countV > MAX_PATTERN_ELEMENTS) {
+        throw new Error(`A pattern can have at most ${MAX_PATTERN_ELEMENTS} elements`);
+      }
+      // Centred on the origin
+      for (let row = 0; row < countV; row++) {
+        for (let col = 0; col < countU; col++) {
+          add(inPlane((col - (countU - 1) / 2) * pitchU, (row - (countV - 1) / 2) * pitchV), { row, col });
+        }
+      }
+      break;
+    }
+    case 'circular': {
+      const { radius = 0, startAngle = 0, sweep = 2 * Math.PI } = options;
+      // A full turn spaces elements evenly; an arc puts them at both ends
+      const fullTurn = Math.abs(sweep) >= 2 * Math.PI - 1e-9;
+      const spacing = fullTurn ? sweep / Math.max(count, 1) : sweep / Math.max(count - 1, 1);
+      for (let i = 0; i < count; i++) {
+        const angle = startAngle + i * spacing;
+        add(inPlane(radius * Math.cos(angle), radius * Math.sin(angle)));
+      }
+      break;
+    }
+    case 'hexagonal': {
+      // Triangular lattice with rows along u, filling a disk of `radius`
+      const { pitch = 0, radius = 0 } = options;
+      if (!(pitch > 0)) break;
+      const rowPitch = pitch * Math.sqrt(3) / 2;
+      const rows = Math.floor(radius / rowPitch + 1e-9);
+      for (let j = -rows; j <= rows; j++) {
+        const v = j * rowPitch;
+        const offset = Math.abs(j) % 2 === 1 ? pitch / 2 : 0;
+        const half = Math.sqrt(Math.max(radius * radius - v * v, 0));
+        const first = Math.ceil((-half - offset) / pitch - 1e-9);
+        const last = Math.floor((half - offset) / pitch + 1e-9);
+        for (let i = first; i <= last; i++) {
+          add(inPlane(i * pitch + offset, v), { row: j + rows, col: i - first });
+        }
+      }
+      break;
+    }
+    case 'csv':
+      (options.positions || []).forEach(p => {
+        add(new THREE.Vector3(p.x || 0, p.y || 0, p.z || 0), {
+          rotation: p.rotation, name: p.name, copynumber: p.copynumber,
+        });
+      });
+      break;
+    default:
+      throw new Error(`Unknown pattern layout "${layout}"`);
+  }
+  return points;
+}
+
+/**
+ * Generate the placements of a pattern.
+ *
+ * @param {Object} options
+ * @param {string} options.layout - One of PATTERN_LAYOUTS
+ * @param {string} options.baseName - Volume name used by the {name} token
+ * @param {Object} [options.origin] - Pattern origin { x, y, z } in the parent frame
+ * @param {string} [options.axis='z'] - Pattern axis: 'x', 'y' or 'z'
+ * @param {Object} [options.rotation] - Rotation { x, y, z } of every element
+ * @param {string} [options.facing='none'] - 'none', 'inward' (face the axis) or 'outward'
+ * @param {number} [options.exclusionRadius=0] - Skip elements closer than this to the axis
+ * @param {string} [options.nameTemplate] - See formatPatternName
+ * @param {number} [options.copyStart=0] - Copy number of the first element
+ * @param {number} [options.copyStep=1] - Copy number increment
+ * @param {number} [options.count] - linear / circular: number of elements
+ * @param {Object} [options.step] - linear: offset { x, y, z } between elements
+ * @param {number} [options.countU] - grid: elements along the first plane axis
+ * @param {number} [options.countV] - grid: elements along the second plane axis
+ * @param {number} [options.pitchU] - grid: spacing along the first plane axis
+ * @param {number} [options.pitchV] - grid: spacing along the second plane axis
+ * @param {number} [options.radius] - circular: ring radius; hexagonal: disk radius
+ * @param {number} [options.startAngle] - circular: angle of the first element
+ * @param {number} [options.sweep] - circular: angle covered (2π for a full ring)
+ * @param {number} [options.pitch] - hexagonal: centre-to-centre distance
+ * @param {Object[]} [options.positions] - csv: rows from parsePositionsCsv
+ * @returns {Object[]} placements { name, x, y, z, rotation, copynumber }
+ */
+export function generatePattern(options) {
+  const {
+    baseName = 'Volume',
+    origin = {},
+    axis = 'z',
+    rotation = {},
+    facing = 'none',
+    exclusionRadius = 0,
+    nameTemplate = DEFAULT_NAME_TEMPLATE,
+    copyStart = 0,
+    copyStep = 1,
+  } = options;
+
+  const planeAxes = AXES[axis] || AXES.z;
+  const frame = { axis: unit(AXES[axis] ? axis : 'z'), u: unit(planeAxes.u), v: unit(planeAxes.v) };
+  const originVector = new THREE.Vector3(origin.x || 0, origin.y || 0, origin.z || 0);
+  const baseRotation = { x: rotation.x || 0, y: rotation.y || 0, z: rotation.z || 0 };
+  const baseMatrix = new THREE.Matrix4().makeRotationFromEuler(
+    new THREE.Euler(baseRotation.x, baseRotation.y, baseRotation.z, 'XYZ')
+  );
+
+  const placements = [];
+  layoutPoints(options, frame).forEach(({ point, row, col, ...element }) => {
+    // Offset from the axis, across it
+    const radial = point.clone().addScaledVector(frame.axis, -point.dot(frame.axis));
+    if (exclusionRadius > 0 && radial.length() < exclusionRadius - 1e-9) return;
+
+    let elementRotation = element.rotation || baseRotation;
+    if (facing !== 'none' && radial.length() > 1e-9) {
+      const z = radial.normalize().multiplyScalar(facing === 'outward' ? 1 : -1);
+      const y = frame.axis.clone();
+      const x = new THREE.Vector3().crossVectors(y, z);
+      const facingMatrix = new THREE.Matrix4().makeBasis(x, y, z).multiply(baseMatrix);
+      const euler = new THREE.Euler().setFromRotationMatrix(facingMatrix, 'XYZ');
+      elementRotation = { x: euler.x, y: euler.y, z: euler.z };
+    }
+
+    const index = placements.length;
+    const copynumber = element.copynumber ?? copyStart + index * copyStep;
+    const position = point.add(originVector);
+    placements.push({
+      name: element.name || formatPatternName(nameTemplate, { name: baseName, n: copynumber, i: index, row, col }),
+      x: clean(position.x),
+      y: clean(position.y),
+      z: clean(position.z),
+      rotation: { x: clean(elementRotation.x), y: clean(elementRotation.y), z: clean(elementRotation.z) },
+      copynumber,
+    });
+  });
+  return placements;
+}
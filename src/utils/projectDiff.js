@@ -0,0 +1,232 @@
+/**
+ * projectDiff.js
+ *
+ * Structured comparison of two saved projects (hierarchical JSON with
+ * materials and hitCollections embedded, as stored by saveProject).
+ * Volumes are matched by name and placements by g4name, so reordering
+ * the arrays is not reported as a change. Also holds the three-way merge
+ * of two projects edited from a common ancestor, resolved per volume.
+ * The `_uid`s of volumes and placements (see stableIds.js) are bookkeeping,
+ * not content, and are never compared.
+ */
+
+import { STABLE_ID_KEY } from './stableIds.js';
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+const withoutIds = (key, value) => (key === STABLE_ID_KEY ? undefined : value);
+
+const same = (a, b) => JSON.stringify(a ?? null, withoutIds) === JSON.stringify(b ?? null, withoutIds);
+
+/**
+ * List the leaf values that differ between two values as
+ * { path, before, after }, where path is dot-separated ('dimensions.x').
+ * A value missing on one side is undefined there.
+ *
+ * @param {*} before
+ * @param {*} after
+ * @param {string} [path='']
+ * @returns {Array<{path: string, before: *, after: *}>}
+ */
+export function diffFields(before, after, path = '') {
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(key => key !== STABLE_ID_KEY);
+    return keys.flatMap(key => diffFields(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+  return same(before, after) ? [] : [{ path, before, after }];
+}
+
+// Added / removed / changed entries of two name-keyed maps; describe(before, after) gives the details
+function compareByKey(before, after, describe) {
+  const added = Object.keys(after).filter(key => !(key in before));
+  const removed = Object.keys(before).filter(key => !(key in after));
+  const changed = Object.keys(after)
+    .filter(key => key in before && !same(before[key], after[key]))
+    .map(key => ({ name: key, ...describe(before[key], after[key]) }));
+  return { added, removed, changed };
+}
+
+const byName = (items, keyOf) => Object.fromEntries(
+  (items || []).filter(Boolean).map((item, i) => [keyOf(item, i), item])
+);
+
+const placementKey = (pl, i) => pl.g4name || pl.name || `#${i}`;
+
+function diffVolume(before, after) {
+  const { placements: beforePlacements, ...beforeRest } = before;
+  const { placements: afterPlacements, ...afterRest } = after;
+  return {
+    fields: diffFields(beforeRest, afterRest),
+    placements: compareByKey(
+      byName(beforePlacements, placementKey),
+      byName(afterPlacements, placementKey),
+      (a, b) => ({ fields: diffFields(a, b) })
+    ),
+  };
+}
+
+/**
+ * Compare two saved projects.
+ *
+ * @param {Object|null} before - Project JSON { world, volumes, materials?, parameters?, hitCollections?, savedQueries?, savedViews? }
+ * @param {Object|null} after - The same shape
+ * @returns {{
+ *   world: Array<{path: string, before: *, after: *}>,
+ *   volumes: { added: string[], removed: string[], changed: Array<{name, fields, placements}> },
+ *   materials: { added: string[], removed: string[], changed: Array<{name, fields}> },
+ *   parameters: { added: string[], removed: string[], changed: Array<{name, fields}> },
+ *   hitCollections: { added: string[], removed: string[] },
+ *   savedQueries: { added: string[], removed: string[], changed: Array<{name, fields}> },
+ *   savedViews: { added: string[], removed: string[], changed: Array<{name, fields}> }
+ * }} Placement changes inside `placements` have the same added/removed/changed shape
+ */
+export function diffProjects(before, after) {
+  const beforeHits = before?.hitCollections || [];
+  const afterHits = after?.hitCollections || [];
+  return {
+    world: diffFields(before?.world ?? null, after?.world ?? null),
+    volumes: compareByKey(
+      byName(before?.volumes, vol => vol.name),
+      byName(after?.volumes, vol => vol.name),
+      diffVolume
+    ),
+    materials: compareByKey(before?.materials || {}, after?.materials || {},
+      (a, b) => ({ fields: diffFields(a, b) })),
+    parameters: compareByKey(before?.parameters || {}, after?.parameters || {},
+      (a, b) => ({ fields: diffFields(a, b) })),
+    hitCollections: {
+      added: afterHits.filter(name => !beforeHits.includes(name)),
+      removed: beforeHits.filter(name => !afterHits.includes(name)),
+    },
+    savedQueries: compareByKey(before?.savedQueries || {}, after?.savedQueries || {},
+      (a, b) => ({ fields: diffFields(a, b) })),
+    savedViews: compareByKey(before?.savedViews || {}, after?.savedViews || {},
+      (a, b) => ({ fields: diffFields(a, b) })),
+  };
+}
+
+/**
+ * Whether a diff from diffProjects records no change at all.
+ * @param {Object} diff
+ * @returns {boolean}
+ */
+export function isEmptyDiff(diff) {
+  const emptyGroup = (group) => group.added.length === 0 && group.removed.length === 0
+    && (group.changed || []).length === 0;
+  return diff.world.length === 0 && emptyGroup(diff.volumes) && emptyGroup(diff.materials)
+    && emptyGroup(diff.parameters) && emptyGroup(diff.hitCollections)
+    && emptyGroup(diff.savedQueries) && emptyGroup(diff.savedViews);
+}
+
+/**
+ * Short text of one field change, e.g. "dimensions.x: 10 → 20".
+ * @param {{path: string, before: *, after: *}} change
+ * @returns {string}
+ */
+export function formatFieldChange({ path, before, after }) {
+  const show = (value) => (value === undefined ? '(none)' : JSON.stringify(value));
+  return `${path || 'value'}: ${show(before)} → ${show(after)}`;
+}
+
+// Which side a three-way merge takes for an entry, given the base
+function mergeStatus(base, ours, theirs) {
+  const oursChanged = !same(base, ours);
+  const theirsChanged = !same(base, theirs);
+  if (!oursChanged && !theirsChanged) return 'unchanged';
+  if (!theirsChanged) return 'ours';
+  if (!oursChanged) return 'theirs';
+  return same(ours, theirs) ? 'both' : 'conflict';
+}
+
+const hitCollectionMap = (project) => Object.fromEntries((project?.hitCollections || []).map(name => [name, true]));
+
+// Name-keyed entries of every kind, in the order they appear in ours, then theirs, then base
+function mergeKeys(base, ours, theirs) {
+  const volumeNames = (project) => (project?.volumes || []).filter(Boolean).map(vol => vol.name);
+  const keysOf = (getMap) => [...new Set([ours, theirs, base].flatMap(project => Object.keys(getMap(project))))];
+  return [
+    { kind: 'world', name: 'World', get: (project) => project?.world },
+    ...[...new Set([ours, theirs, base].flatMap(volumeNames))].map(name => ({
+      kind: 'volume', name, get: (project) => (project?.volumes || []).find(vol => vol?.name === name),
+    })),
+    ...keysOf(project => project?.materials || {}).map(name => ({
+      kind: 'material', name, get: (project) => project?.materials?.[name],
+    })),
+    ...keysOf(project => project?.parameters || {}).map(name => ({
+      kind: 'parameter', name, get: (project) => project?.parameters?.[name],
+    })),
+    ...keysOf(hitCollectionMap).map(name => ({
+      kind: 'hitCollection', name, get: (project) => hitCollectionMap(project)[name],
+    })),
+    ...keysOf(project => project?.savedQueries || {}).map(name => ({
+      kind: 'savedQuery', name, get: (project) => project?.savedQueries?.[name],
+    })),
+    ...keysOf(project => project?.savedViews || {}).map(name => ({
+      kind: 'savedView', name, get: (project) => project?.savedViews?.[name],
+    })),
+  ];
+}
+
+/**
+ * Three-way merge of two projects edited from a common ancestor. Every
+ * volume (by name), material, parameter, hit collection, saved tree query
+ * and saved camera view, and the world, becomes one entry. An entry changed on one side only takes that side;
+ * one changed differently on both sides is a conflict for the user to
+ * resolve with resolveMerge.
+ *
+ * @param {Object} base - Common ancestor project JSON
+ * @param {Object} ours - Project JSON
+ * @param {Object} theirs - Project JSON
+ * @returns {{ entries: Array, conflicts: Array }} entries are
+ *   { key, kind, name, base, ours, theirs, status } where kind is 'world',
+ *   'volume', 'material', 'parameter', 'hitCollection', 'savedQuery' or
+ *   'savedView', a missing value
+ *   is undefined, and status is 'unchanged', 'ours', 'theirs', 'both'
+ *   (the same change on both sides) or 'conflict'
+ */
+export function mergeProjects(base, ours, theirs) {
+  const entries = mergeKeys(base, ours, theirs).map(({ kind, name, get }) => {
+    const values = { base: get(base), ours: get(ours), theirs: get(theirs) };
+    return { key: `${kind}:${name}`, kind, name, ...values, status: mergeStatus(values.base, values.ours, values.theirs) };
+  });
+  return { entries, conflicts: entries.filter(entry => entry.status === 'conflict') };
+}
+
+/**
+ * Build the merged project from mergeProjects output.
+ *
+ * @param {Object} merge - Result of mergeProjects
+ * @param {Object<string, 'ours'|'theirs'>} resolutions - Side to take for each conflict key
+ * @returns {Object} Project JSON { world, volumes, materials?, parameters?, hitCollections?, savedQueries?, savedViews? }
+ * @throws {Error} If a conflict has no resolution
+ */
+export function resolveMerge(merge, resolutions = {}) {
+  const unresolved = merge.conflicts.filter(entry => !['ours', 'theirs'].includes(resolutions[entry.key]));
+  if (unresolved.length > 0) {
+    throw new Error(`Unresolved merge conflicts: ${unresolved.map(entry => entry.name).join(', ')}`);
+  }
+
+  const pick = (entry) => {
+    const side = entry.status === 'conflict' ? resolutions[entry.key]
+      : entry.status === 'theirs' ? 'theirs' : 'ours';
+    return entry[side];
+  };
+  const result = { world: null, volumes: [], materials: {}, parameters: {}, hitCollections: [], savedQueries: {}, savedViews: {} };
+  merge.entries.forEach(entry => {
+    const value = pick(entry);
+    if (value === undefined) return;
+    if (entry.kind === 'world') result.world = structuredClone(value);
+    else if (entry.kind === 'volume') result.volumes.push(structuredClone(value));
+    else if (entry.kind === 'material') result.materials[entry.name] = structuredClone(value);
+    else if (entry.kind === 'parameter') result.parameters[entry.name] = structuredClone(value);
+    else if (entry.kind === 'savedQuery') result.savedQueries[entry.name] = value;
+    else if (entry.kind === 'savedView') result.savedViews[entry.name] = structuredClone(value);
+    else result.hitCollections.push(entry.name);
+  });
+
+  ['materials', 'parameters', 'savedQueries', 'savedViews'].forEach(key => {
+    if (Object.keys(result[key]).length === 0) delete result[key];
+  });
+  if (result.hitCollections.length === 0) delete result.hitCollections;
+  return result;
+}
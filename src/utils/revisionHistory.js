@@ -0,0 +1,22 @@
+/**
+ * revisionHistory.js
+ *
+ * Size limit of the revision history both storage managers keep per
+ * project. Every save adds a revision holding the whole geometry, so the
+ * oldest are dropped once a project has more than MAX_REVISIONS.
+ */
+
+/** Number of revisions kept per project. */
+export const MAX_REVISIONS = 50;
+
+/**
+ * Revisions to delete after a save: all but the newest `keep`. The newest
+ * one, just saved, is always kept.
+ *
+ * @param {Array} revisions - Revisions (or their ids) of one project, newest first
+ * @param {number} [keep=MAX_REVISIONS]
+ * @returns {Array} The revisions to delete, newest first
+ */
+export function revisionsToPrune(revisions, keep = MAX_REVISIONS) {
+  return (revisions || []).slice(Math.max(1, keep));
+}
@@ -0,0 +1,85 @@
+/**
+ * stableIds.js
+ *
+ * Persistent identities for the JSON model. Every volume, placement of a
+ * top-level volume and compound component carries a `_uid` that is saved
+ * with the project and never changes, so flat volume keys (see
+ * expandToFlat.js) survive removals and reorderings of the arrays.
+ *
+ * assignStableIds gives an id to anything without one, and a fresh one to
+ * a later copy of an id already used (a duplicated volume or placement
+ * cloned from its original), so edits never have to manage them.
+ */
+
+/** Name of the identity field in the JSON. */
+export const STABLE_ID_KEY = '_uid';
+
+/**
+ * New identity. Starts with a letter so it never reads as an array index.
+ * @returns {string}
+ */
+export function createStableId() {
+  return `u${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Map keeping the array itself when no item changes
+const mapShared = (list, fn) => {
+  let changed = false;
+  const mapped = list.map(item => {
+    const next = fn(item);
+    if (next !== item) changed = true;
+    return next;
+  });
+  return changed ? mapped : list;
+};
+
+/**
+ * Give every volume, top-level placement and component a unique `_uid`.
+ *
+ * @param {Object} json - Hierarchical JSON { world, volumes, ... }
+ * @returns {Object} json itself when nothing was missing, otherwise a copy
+ *   sharing every volume that already had its ids
+ */
+export function assignStableIds(json) {
+  if (!json || !Array.isArray(json.volumes)) return json;
+  const seen = new Set();
+
+  const claim = (item) => {
+    const id = item[STABLE_ID_KEY];
+    if (id && !seen.has(id)) {
+      seen.add(id);
+      return null;
+    }
+    let fresh = createStableId();
+    while (seen.has(fresh)) fresh = createStableId();
+    seen.add(fresh);
+    return fresh;
+  };
+
+  const withId = (item) => {
+    if (!item || typeof item !== 'object') return item;
+    const fresh = claim(item);
+    return fresh ? { ...item, [STABLE_ID_KEY]: fresh } : item;
+  };
+
+  // Components are placed once per placement of their compound, so only
+  // the placements of top-level volumes need ids of their own
+  const definitionWithIds = (def, topLevel) => {
+    if (!def || typeof def !== 'object') return def;
+    const changes = {};
+    const fresh = claim(def);
+    if (fresh) changes[STABLE_ID_KEY] = fresh;
+    if (topLevel && Array.isArray(def.placements)) {
+      const placements = mapShared(def.placements, withId);
+      if (placements !== def.placements) changes.placements = placements;
+    }
+    if (Array.isArray(def.components)) {
+      const components = mapShared(def.components, comp => definitionWithIds(comp, false));
+      if (components !== def.components) changes.components = components;
+    }
+    return Object.keys(changes).length > 0 ? { ...def, ...changes } : def;
+  };
+
+  const volumes = mapShared(json.volumes, vol => definitionWithIds(vol, true));
+  return volumes === json.volumes ? json : { ...json, volumes };
+}
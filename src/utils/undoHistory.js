@@ -0,0 +1,196 @@
+/**
+ * undoHistory.js
+ *
+ * Pure helpers for a bounded undo/redo stack over the app state slices
+ * (jsonData, materials, hitCollections). Every edit records the slices it
+ * is about to change *before* changing them, together with the selection at
+ * that moment, so an undo can put both back.
+ *
+ * History shape:
+ *   { past: Entry[], future: Entry[], group? }
+ *
+ * Entry shape:
+ *   { label, state: { jsonData?, materials?, hitCollections? },
+ *     selectedGeometry, coalesceKey?, group?, timestamp }
+ *
+ * A continuous interaction (a gizmo drag, which emits many live updates)
+ * opens a group with beginHistoryGroup and closes it with endHistoryGroup.
+ * Entries recorded inside one group with the same coalesceKey are folded
+ * into a single step.
+ *
+ * Only the slices named in `state` are restored by an entry. This keeps two
+ * edits recorded in the same event handler (e.g. JSON import followed by
+ * material import) independent of each other.
+ */
+
+/** Maximum number of undo steps kept. */
+export const HISTORY_LIMIT = 100;
+
+/**
+ * Create an empty history.
+ * @returns {{past: Array, future: Array}}
+ */
+export function createHistory() {
+  return { past: [], future: [] };
+}
+
+/**
+ * Open a group: until endHistoryGroup, entries with the same coalesceKey
+ * become one step. A group left open is replaced by the new one.
+ * @param {Object} history
+ * @returns {Object} New history
+ */
+export function beginHistoryGroup(history) {
+  // A fresh object, so entries of an earlier group never match it
+  return { ...history, group: {} };
+}
+
+/**
+ * Close the open group; the next entry starts a new step.
+ * @param {Object} history
+ * @returns {Object} New history
+ */
+export function endHistoryGroup(history) {
+  if (!history.group) return history;
+  const next = { ...history };
+  delete next.group;
+  return next;
+}
+
+/**
+ * Record an entry describing the state *before* an edit.
+ * Clears the redo stack. Entries beyond `limit` are dropped from the bottom.
+ *
+ * @param {Object} history - Current history
+ * @param {Object} entry - { label, state, selectedGeometry }
+ * @param {Object} [options]
+ * @param {string} [options.coalesceKey] - Merge with the previous entry if it has
+ *   the same key and was recorded in the open group
+ * @param {number} [options.now] - Timestamp override (for tests)
+ * @param {number} [options.limit] - Stack limit override
+ * @returns {Object} New history
+ */
+export function pushHistory(history, entry, options = {}) {
+  const {
+    coalesceKey,
+    now = Date.now(),
+    limit = HISTORY_LIMIT,
+  } = options;
+
+  const { past, group } = history;
+  const top = past[past.length - 1];
+
+  // Coalesce: keep the oldest snapshot of the run, just refresh the timestamp
+  if (
+    coalesceKey &&
+    group &&
+    top &&
+    top.group === group &&
+    top.coalesceKey === coalesceKey
+  ) {
+    return {
+      ...history,
+      past: [...past.slice(0, -1), { ...top, timestamp: now }],
+      future: [],
+    };
+  }
+
+  const newEntry = {
+    label: entry.label || 'Edit',
+    state: { ...entry.state },
+    selectedGeometry: entry.selectedGeometry ?? null,
+    timestamp: now,
+  };
+  if (coalesceKey) newEntry.coalesceKey = coalesceKey;
+  if (group) newEntry.group = group;
+
+  const nextPast = [...past, newEntry];
+  if (nextPast.length > limit) nextPast.splice(0, nextPast.length - limit);
+
+  return { ...history, past: nextPast, future: [] };
+}
+
+/**
+ * Pick the slices named by `keys` out of a full state object.
+ */
+function pickSlices(current, keys) {
+  const picked = {};
+  for (const key of keys) picked[key] = current[key];
+  return picked;
+}
+
+/**
+ * Step back one entry.
+ *
+ * @param {Object} history - Current history
+ * @param {Object} current - Full current state { jsonData, materials, hitCollections, selectedGeometry }
+ * @returns {Object|null} { history, state, selectedGeometry, label } or null if nothing to undo
+ */
+export function undoHistory(history, current) {
+  if (history.past.length === 0) return null;
+
+  const entry = history.past[history.past.length - 1];
+  const keys = Object.keys(entry.state);
+  const redoEntry = {
+    label: entry.label,
+    state: pickSlices(current, keys),
+    selectedGeometry: current.selectedGeometry ?? null,
+    timestamp: entry.timestamp,
+  };
+
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, redoEntry],
+    },
+    state: entry.state,
+    selectedGeometry: entry.selectedGeometry,
+    label: entry.label,
+  };
+}
+
+/**
+ * Step forward one entry (inverse of undoHistory).
+ *
+ * @param {Object} history - Current history
+ * @param {Object} current - Full current state
+ * @returns {Object|null} { history, state, selectedGeometry, label } or null if nothing to redo
+ */
+export function redoHistory(history, current) {
+  if (history.future.length === 0) return null;
+
+  const entry = history.future[history.future.length - 1];
+  const keys = Object.keys(entry.state);
+  const undoEntry = {
+    label: entry.label,
+    state: pickSlices(current, keys),
+    selectedGeometry: current.selectedGeometry ?? null,
+    timestamp: entry.timestamp,
+  };
+
+  return {
+    history: {
+      past: [...history.past, undoEntry],
+      future: history.future.slice(0, -1),
+    },
+    state: entry.state,
+    selectedGeometry: entry.selectedGeometry,
+    label: entry.label,
+  };
+}
+
+/**
+ * Label of the action that the next undo would revert, or null.
+ */
+export function getUndoLabel(history) {
+  const top = history.past[history.past.length - 1];
+  return top ? top.label : null;
+}
+
+/**
+ * Label of the action that the next redo would re-apply, or null.
+ */
+export function getRedoLabel(history) {
+  const top = history.future[history.future.length - 1];
+  return top ? top.label : null;
+}
@@ -4,4 +4,6 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The CSG worker imports manifold-3d, which locates itself via import.meta.url
+  worker: { format: 'es' },
 })